@@ -4,6 +4,7 @@ import Animated, {
   useAnimatedStyle, 
   useSharedValue, 
   withTiming, 
+  withDelay,
   withSpring, 
   withRepeat, 
   withSequence,
@@ -297,7 +298,7 @@ export const ShakeView = ({
 };
 
 /**
- * Enhanced Progress Ring Component with animation
+ * Progress ring drawn from two clipped half circles, so no SVG is needed
  */
 export const ProgressRing = ({ 
   progress, 
@@ -306,66 +307,57 @@ export const ProgressRing = ({
   color = colors.primary,
   backgroundColor = colors.gray[200],
   showPercentage = true,
+  textStyle,
   children,
   animated = true,
 }) => {
-  const animatedValue = useRef(new Animated.Value(0)).current;
-  const circleRef = useRef();
-  
-  const radius = (size - strokeWidth) / 2;
-  const circumference = radius * 2 * Math.PI;
-  
+  const degrees = useSharedValue(animated ? 0 : progress * 3.6);
+
   useEffect(() => {
-    if (animated) {
-      Animated.timing(animatedValue, {
-        toValue: progress,
-        duration: 1000,
-        useNativeDriver: false,
-      }).start();
-    } else {
-      animatedValue.setValue(progress);
-    }
+    const target = Math.min(Math.max(progress, 0), 100) * 3.6;
+    degrees.value = animated ? withTiming(target, { duration: 1000 }) : target;
   }, [progress, animated]);
 
-  const strokeDashoffset = circumference - (circumference * progress) / 100;
+  // Each half shows a half circle with its top and right borders colored,
+  // turned so only the part of the arc that has been reached is inside it
+  const firstHalfStyle = useAnimatedStyle(() => ({
+    transform: [{ rotate: `${Math.min(degrees.value, 180) - 135}deg` }],
+  }));
+  const secondHalfStyle = useAnimatedStyle(() => ({
+    opacity: degrees.value > 180 ? 1 : 0,
+    transform: [{ rotate: `${45 + Math.max(degrees.value - 180, 0)}deg` }],
+  }));
+
+  const circle = {
+    width: size,
+    height: size,
+    borderRadius: size / 2,
+    borderWidth: strokeWidth,
+  };
+  const arc = [
+    styles.progressCircle,
+    circle,
+    styles.progressFill,
+    { borderTopColor: color, borderRightColor: color },
+  ];
 
   return (
     <View style={[styles.progressRing, { width: size, height: size }]}>
+      <View style={[styles.progressCircle, circle, { borderColor: backgroundColor }]} />
+      <View style={[styles.progressHalf, { left: size / 2, width: size / 2, height: size }]}>
+        <Animated.View style={[...arc, { left: -size / 2 }, firstHalfStyle]} />
+      </View>
+      <View style={[styles.progressHalf, { left: 0, width: size / 2, height: size }]}>
+        <Animated.View style={[...arc, { left: 0 }, secondHalfStyle]} />
+      </View>
       <View style={styles.progressRingContent}>
         {showPercentage && (
-          <Text style={styles.progressPercentage}>
+          <Text style={[styles.progressPercentage, textStyle]}>
             {Math.round(progress)}%
           </Text>
         )}
         {children}
       </View>
-      {/* This would need react-native-svg for actual implementation */}
-      <View 
-        style={[
-          styles.progressCircle,
-          {
-            width: size,
-            height: size,
-            borderRadius: size / 2,
-            borderWidth: strokeWidth,
-            borderColor: backgroundColor,
-          }
-        ]}
-      />
-      <View 
-        style={[
-          styles.progressCircle,
-          styles.progressFill,
-          {
-            width: size,
-            height: size,
-            borderRadius: size / 2,
-            borderWidth: strokeWidth,
-            borderColor: color,
-            transform: [{ rotate: '-90deg' }],
-          }
-        ]}
-      />
     </View>
   );
 };
@@ -520,60 +512,49 @@ export const AchievementBadge = ({
 /**
  * Stats Grid Component
  */
-export const StatsGrid = ({ stats, animated = true }) => {
-  const fadeAnim = useRef(new Animated.Value(0)).current;
+export const StatsGrid = ({ stats, animated = true, cardStyle, valueStyle, labelStyle }) => (
+  <View style={styles.statsGrid}>
+    {stats.map((stat, index) => (
+      <StatCard
+        key={stat.label}
+        stat={stat}
+        delay={animated ? index * 100 : null}
+        cardStyle={cardStyle}
+        valueStyle={valueStyle}
+        labelStyle={labelStyle}
+      />
+    ))}
+  </View>
+);
+
+// One card of the grid, rising into place after its delay (null shows it straight away)
+const StatCard = ({ stat, delay, cardStyle, valueStyle, labelStyle }) => {
+  const shown = useSharedValue(delay === null ? 1 : 0);
 
   useEffect(() => {
-    if (animated) {
-      Animated.staggered(
-        200,
-        stats.map((_, index) =>
-          Animated.timing(fadeAnim, {
-            toValue: 1,
-            duration: 600,
-            delay: index * 100,
-            useNativeDriver: true,
-          })
-        )
-      ).start();
-    } else {
-      fadeAnim.setValue(1);
+    if (delay !== null) {
+      shown.value = withDelay(delay, withTiming(1, { duration: 600 }));
     }
-  }, [stats, animated]);
+  }, []);
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    opacity: shown.value,
+    transform: [{ translateY: (1 - shown.value) * 50 }],
+  }));
 
   return (
-    <View style={styles.statsGrid}>
-      {stats.map((stat, index) => (
-        <Animated.View
-          key={stat.label}
-          style={[
-            styles.statCard,
-            {
-              opacity: fadeAnim,
-              transform: [
-                {
-                  translateY: fadeAnim.interpolate({
-                    inputRange: [0, 1],
-                    outputRange: [50, 0],
-                  }),
-                },
-              ],
-            },
-          ]}
-        >
-          <Text style={styles.statNumber}>{stat.value}</Text>
-          <Text style={styles.statLabel}>{stat.label}</Text>
-          {stat.change && (
-            <Text style={[
-              styles.statChange,
-              { color: stat.change > 0 ? colors.success : colors.error }
-            ]}>
-              {stat.change > 0 ? '+' : ''}{stat.change}
-            </Text>
-          )}
-        </Animated.View>
-      ))}
-    </View>
+    <Animated.View style={[styles.statCard, cardStyle, animatedStyle]}>
+      <Text style={[styles.statNumber, valueStyle]}>{stat.value}</Text>
+      <Text style={[styles.statLabel, labelStyle]}>{stat.label}</Text>
+      {!!stat.change && (
+        <Text style={[
+          styles.statChange,
+          { color: stat.change > 0 ? colors.success : colors.error }
+        ]}>
+          {stat.change > 0 ? '+' : ''}{stat.change}
+        </Text>
+      )}
+    </Animated.View>
   );
 };
 
@@ -600,6 +581,11 @@ const styles = StyleSheet.create({
     borderLeftColor: 'transparent',
     borderBottomColor: 'transparent',
   },
+  progressHalf: {
+    position: 'absolute',
+    top: 0,
+    overflow: 'hidden',
+  },
   streakFlame: {
     justifyContent: 'center',
     alignItems: 'center',
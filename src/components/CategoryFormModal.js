@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { WEATHER_OPTIONS, COMMON_SKILLS } from '../utils/drives';
+import { SUPERVISOR_RELATIONSHIPS } from '../utils/supervisors';
+import { validateCategory } from '../utils/categories';
+
+const TIME_OPTIONS = [
+  { value: null, label: 'Neither' },
+  { value: 'day', label: 'Day minutes' },
+  { value: 'night', label: 'Night minutes' },
+];
+
+/**
+ * CategoryFormModal component
+ * Adds a requirement category or edits one, including the rule for which drives count
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {Object} category - Category to edit, or null to add a new one
+ * @param {Function} onSave - Called with the category record to store
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const CategoryFormModal = ({ visible, category, onSave, onClose }) => {
+  const { theme } = useTheme();
+  const [label, setLabel] = useState('');
+  const [hours, setHours] = useState('');
+  const [weather, setWeather] = useState([]);
+  const [skills, setSkills] = useState([]);
+  const [relationships, setRelationships] = useState([]);
+  const [time, setTime] = useState(null);
+
+  // Start from the category being edited each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setLabel(category?.label || '');
+      setHours(category?.hours ? String(category.hours) : '');
+      setWeather(category?.rule?.weather || []);
+      setSkills(category?.rule?.skills || []);
+      setRelationships(category?.rule?.supervisorRelationships || []);
+      setTime(category?.rule?.time || null);
+    }
+  }, [visible, category]);
+
+  const toggle = (list, setList, option) => {
+    setList(list.includes(option) ? list.filter(item => item !== option) : [...list, option]);
+  };
+
+  const handleSave = () => {
+    const rule = {
+      ...(weather.length > 0 ? { weather } : {}),
+      ...(skills.length > 0 ? { skills } : {}),
+      ...(relationships.length > 0 ? { supervisorRelationships: relationships } : {}),
+      ...(time ? { time } : {}),
+    };
+
+    const errors = validateCategory({ label, hours, rule });
+    if (errors.length > 0) {
+      Alert.alert('Check Category Details', errors.join('\n'));
+      return;
+    }
+
+    onSave({
+      id: category?.id || `custom-${Date.now()}`,
+      label: label.trim(),
+      hours: parseFloat(hours),
+      rule,
+    });
+  };
+
+  const renderChips = (options, selectedList, onPress) => (
+    <View style={styles.chipContainer}>
+      {options.map(option => {
+        const selected = selectedList.includes(option);
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[
+              styles.chip,
+              { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+              selected && { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary },
+            ]}
+            onPress={() => onPress(option)}
+          >
+            <Text style={[
+              styles.chipText,
+              { color: theme.colors.text.primary },
+              selected && { color: theme.colors.text.inverse, fontWeight: '600' },
+            ]}>
+              {option}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const inputStyle = [
+    styles.textInput,
+    { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light, color: theme.colors.text.primary },
+  ];
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>
+            {category ? 'Edit Category' : 'Add Category'}
+          </Text>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <View style={styles.row}>
+              <View style={styles.rowItem}>
+                <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Name *</Text>
+                <TextInput
+                  style={inputStyle}
+                  value={label}
+                  onChangeText={setLabel}
+                  placeholder="e.g. Highway Driving"
+                  placeholderTextColor={theme.colors.text.light}
+                  maxLength={40}
+                />
+              </View>
+              <View style={styles.hoursItem}>
+                <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Hours *</Text>
+                <TextInput
+                  style={inputStyle}
+                  value={hours}
+                  onChangeText={setHours}
+                  placeholder="5"
+                  placeholderTextColor={theme.colors.text.light}
+                  keyboardType="numeric"
+                  maxLength={4}
+                />
+              </View>
+            </View>
+            <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+              A drive counts in full if any selected weather, skill or supervisor matches
+            </Text>
+
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Weather</Text>
+            {renderChips(WEATHER_OPTIONS, weather, (option) => toggle(weather, setWeather, option))}
+
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Skills Practiced</Text>
+            {renderChips(COMMON_SKILLS, skills, (option) => toggle(skills, setSkills, option))}
+
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Saved Supervisor Is</Text>
+            {renderChips(SUPERVISOR_RELATIONSHIPS, relationships, (option) => toggle(relationships, setRelationships, option))}
+
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Otherwise Count</Text>
+            <View style={styles.chipContainer}>
+              {TIME_OPTIONS.map(option => {
+                const selected = time === option.value;
+                return (
+                  <TouchableOpacity
+                    key={option.label}
+                    style={[
+                      styles.chip,
+                      { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                      selected && { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary },
+                    ]}
+                    onPress={() => setTime(option.value)}
+                  >
+                    <Text style={[
+                      styles.chipText,
+                      { color: theme.colors.text.primary },
+                      selected && { color: theme.colors.text.inverse, fontWeight: '600' },
+                    ]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </ScrollView>
+
+          <TouchableOpacity
+            style={[styles.saveButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleSave}
+          >
+            <Text style={[styles.saveButtonText, { color: theme.colors.text.inverse }]}>Save Category</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  inputLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  hoursItem: {
+    width: 80,
+  },
+  helpText: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 20,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  saveButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default CategoryFormModal;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  FlatList,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  COUNTRIES,
+  JURISDICTIONS,
+  describeJurisdictionHours,
+  describeJurisdictionTimeline,
+  describeJurisdictionNight,
+} from '../utils/jurisdictions';
+
+/**
+ * JurisdictionPickerModal component
+ * Lets the user pick the state or province whose rules they learn under
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {string} selectedId - Currently selected pack id
+ * @param {Function} onSelect - Called with the chosen rule pack
+ * @param {Function} onClear - Optional; offers going back to custom goals with no jurisdiction
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const JurisdictionPickerModal = ({ visible, selectedId, onSelect, onClear, onClose }) => {
+  const { theme } = useTheme();
+  const [country, setCountry] = useState('US');
+  const [search, setSearch] = useState('');
+
+  // Open on the country of the current selection
+  useEffect(() => {
+    if (visible) {
+      setCountry(selectedId ? selectedId.split('-')[0] : 'US');
+      setSearch('');
+    }
+  }, [visible]);
+
+  const query = search.trim().toLowerCase();
+  const packs = JURISDICTIONS.filter(pack =>
+    query ? pack.name.toLowerCase().includes(query) : pack.country === country
+  );
+
+  const renderPack = ({ item: pack }) => {
+    const selected = pack.id === selectedId;
+    return (
+      <TouchableOpacity
+        style={[
+          styles.packRow,
+          { borderColor: theme.colors.border.light },
+          selected && { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' },
+        ]}
+        onPress={() => onSelect(pack)}
+      >
+        <Text style={[styles.packName, { color: selected ? theme.colors.primary : theme.colors.text.primary }]}>
+          {pack.name}
+        </Text>
+        <Text style={[styles.packDetail, { color: theme.colors.text.secondary }]}>{describeJurisdictionHours(pack)}</Text>
+        <Text style={[styles.packDetail, { color: theme.colors.text.secondary }]}>{describeJurisdictionTimeline(pack)}</Text>
+        <Text style={[styles.packDetail, { color: theme.colors.text.secondary }]}>{describeJurisdictionNight(pack)}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>Where Are You Learning?</Text>
+
+          <TextInput
+            style={[styles.searchInput, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light, color: theme.colors.text.primary }]}
+            value={search}
+            onChangeText={setSearch}
+            placeholder="Search states and provinces"
+            placeholderTextColor={theme.colors.text.light}
+            autoCorrect={false}
+          />
+
+          {!query && (
+            <View style={styles.countryTabs}>
+              {Object.entries(COUNTRIES).map(([code, label]) => (
+                <TouchableOpacity
+                  key={code}
+                  style={[
+                    styles.countryTab,
+                    { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                    country === code && { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary },
+                  ]}
+                  onPress={() => setCountry(code)}
+                >
+                  <Text style={[
+                    styles.countryTabText,
+                    { color: theme.colors.text.primary },
+                    country === code && { color: theme.colors.text.inverse, fontWeight: '600' },
+                  ]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          <FlatList
+            data={packs}
+            renderItem={renderPack}
+            keyExtractor={(pack) => pack.id}
+            style={styles.list}
+            keyboardShouldPersistTaps="handled"
+            ListEmptyComponent={(
+              <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>No matching state or province</Text>
+            )}
+          />
+
+          {onClear && selectedId && (
+            <TouchableOpacity style={styles.clearButton} onPress={onClear}>
+              <Text style={[styles.clearText, { color: theme.colors.primary }]}>Use custom goals instead</Text>
+            </TouchableOpacity>
+          )}
+
+          <Text style={[styles.disclaimer, { color: theme.colors.text.secondary }]}>
+            Requirements change. Confirm them with your licensing office.
+          </Text>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+    width: '90%',
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  searchInput: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 16,
+  },
+  countryTabs: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  countryTab: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  countryTabText: {
+    fontSize: 14,
+  },
+  list: {
+    marginTop: 12,
+  },
+  packRow: {
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    marginBottom: 8,
+  },
+  packName: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  packDetail: {
+    fontSize: 13,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    padding: 16,
+  },
+  clearButton: {
+    padding: 8,
+    alignItems: 'center',
+  },
+  clearText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  disclaimer: {
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default JurisdictionPickerModal;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { PIN_LENGTH, isValidPin, hashPin, verifyPin } from '../utils/approval';
+
+/**
+ * PinModal component
+ * Asks for the parent PIN, or sets a new one (entered twice)
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {string} title - Modal title
+ * @param {string} message - Explanation shown under the title
+ * @param {string} pinHash - Saved PIN hash to check against; omit to set a new PIN
+ * @param {Function} onSuccess - Called once the PIN checks out; gets the new hash when setting a PIN
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const PinModal = ({ visible, title, message, pinHash, onSuccess, onClose }) => {
+  const { theme } = useTheme();
+  const [pin, setPin] = useState('');
+  const [firstPin, setFirstPin] = useState(null);
+  const [error, setError] = useState(null);
+
+  const settingPin = !pinHash;
+
+  // Start empty each time the modal opens, or switches between checking and setting a PIN
+  useEffect(() => {
+    if (visible) {
+      setPin('');
+      setFirstPin(null);
+      setError(null);
+    }
+  }, [visible, settingPin]);
+
+  const handleSubmit = () => {
+    if (!isValidPin(pin)) {
+      setError(`Enter ${PIN_LENGTH} digits.`);
+      return;
+    }
+
+    if (!settingPin) {
+      if (verifyPin(pin, pinHash)) {
+        onSuccess();
+      } else {
+        setPin('');
+        setError('Incorrect PIN. Try again.');
+      }
+      return;
+    }
+
+    // New PINs are entered twice so a typo doesn't lock the parent out
+    if (firstPin === null) {
+      setFirstPin(pin);
+      setPin('');
+      setError(null);
+    } else if (pin === firstPin) {
+      onSuccess(hashPin(pin));
+    } else {
+      setFirstPin(null);
+      setPin('');
+      setError("PINs didn't match. Start again.");
+    }
+  };
+
+  const prompt = !settingPin
+    ? 'Parent PIN'
+    : firstPin === null ? 'Choose a PIN' : 'Enter the PIN again';
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>{title}</Text>
+          {!!message && (
+            <Text style={[styles.message, { color: theme.colors.text.secondary }]}>{message}</Text>
+          )}
+
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>{prompt}</Text>
+          <TextInput
+            style={[
+              styles.pinInput,
+              { backgroundColor: theme.colors.surfaceSecondary, borderColor: error ? theme.colors.error : theme.colors.border.light, color: theme.colors.text.primary },
+            ]}
+            value={pin}
+            onChangeText={(text) => setPin(text.replace(/[^0-9]/g, ''))}
+            onSubmitEditing={handleSubmit}
+            keyboardType="number-pad"
+            secureTextEntry={true}
+            maxLength={PIN_LENGTH}
+            autoFocus={true}
+          />
+          {error && (
+            <Text style={[styles.errorText, { color: theme.colors.error }]}>{error}</Text>
+          )}
+
+          <TouchableOpacity
+            style={[styles.submitButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleSubmit}
+          >
+            <Text style={[styles.submitButtonText, { color: theme.colors.text.inverse }]}>
+              {settingPin && firstPin === null ? 'Next' : 'Confirm'}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  inputLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  pinInput: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 24,
+    letterSpacing: 12,
+    textAlign: 'center',
+    alignSelf: 'center',
+    width: 180,
+  },
+  errorText: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  submitButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default PinModal;
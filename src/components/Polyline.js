@@ -0,0 +1,67 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+
+/**
+ * Polyline component
+ * Draws connected points inside an absolutely positioned parent. Each leg is
+ * a thin rotated view, so no drawing library is needed.
+ * @param {Array} points - Points in order ({ x, y })
+ * @param {string} color - Line color
+ * @param {number} lineWidth - Line thickness
+ */
+const Polyline = ({ points, color, lineWidth = 3 }) => {
+  if (points.length === 1) {
+    // A single tap still leaves a dot
+    return (
+      <View
+        style={[
+          styles.leg,
+          {
+            backgroundColor: color,
+            width: lineWidth,
+            height: lineWidth,
+            borderRadius: lineWidth / 2,
+            left: points[0].x - lineWidth / 2,
+            top: points[0].y - lineWidth / 2,
+          },
+        ]}
+      />
+    );
+  }
+
+  return points.slice(1).map((to, index) => {
+    const from = points[index];
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) {
+      return null;
+    }
+
+    return (
+      <View
+        key={index}
+        style={[
+          styles.leg,
+          {
+            backgroundColor: color,
+            width: length + lineWidth,
+            height: lineWidth,
+            borderRadius: lineWidth / 2,
+            left: (from.x + to.x) / 2 - (length + lineWidth) / 2,
+            top: (from.y + to.y) / 2 - lineWidth / 2,
+            transform: [{ rotate: `${Math.atan2(dy, dx)}rad` }],
+          },
+        ]}
+      />
+    );
+  });
+};
+
+const styles = StyleSheet.create({
+  leg: {
+    position: 'absolute',
+  },
+});
+
+export default Polyline;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { useDriving } from '../contexts/DrivingContext';
+import { loadActiveDrive } from '../utils/storage';
+import { validateProfileName, MAX_PROFILE_NAME_LENGTH } from '../utils/profiles';
+import { logUserAction } from '../utils/logger';
+
+/**
+ * ProfileSwitcherModal component
+ * Lists the learner profiles on this device to switch between, and adds new ones
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const ProfileSwitcherModal = ({ visible, onClose }) => {
+  const { theme } = useTheme();
+  const { profiles, activeProfileId, switchProfile, createProfile } = useDriving();
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setNewName('');
+    }
+  }, [visible]);
+
+  // A drive in progress belongs to the current learner, so it has to end first
+  const confirmNoActiveDrive = async () => {
+    if (await loadActiveDrive()) {
+      Alert.alert('Drive in Progress', 'Finish or discard the drive in progress before switching learners.');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSwitch = async (profile) => {
+    if (profile.id === activeProfileId) {
+      onClose();
+      return;
+    }
+    if (!(await confirmNoActiveDrive())) {
+      return;
+    }
+    onClose();
+    try {
+      await switchProfile(profile.id);
+    } catch (error) {
+      Alert.alert('Switch Failed', `Unable to switch to ${profile.name}. You're still on the current learner; please try again.`);
+    }
+  };
+
+  const handleAdd = async () => {
+    const errors = validateProfileName(newName, profiles);
+    if (errors.length > 0) {
+      Alert.alert('Check Name', errors.join('\n'));
+      return;
+    }
+    if (!(await confirmNoActiveDrive())) {
+      return;
+    }
+    onClose();
+    logUserAction('add_profile', 'PROFILES', { profileCount: profiles.length + 1 });
+    try {
+      await createProfile(newName);
+    } catch (error) {
+      Alert.alert('Add Learner Failed', 'Unable to add or switch to the new learner. Please try again.');
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>Learners</Text>
+          <Text style={[styles.subtitle, { color: theme.colors.text.secondary }]}>
+            Each learner has their own drives, goals, streaks and settings
+          </Text>
+
+          <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+            {profiles.map(profile => {
+              const active = profile.id === activeProfileId;
+              return (
+                <TouchableOpacity
+                  key={profile.id}
+                  style={[
+                    styles.profileItem,
+                    { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                    active && { backgroundColor: theme.colors.primary + '15', borderColor: theme.colors.primary },
+                  ]}
+                  onPress={() => handleSwitch(profile)}
+                >
+                  <Text style={[styles.profileName, { color: active ? theme.colors.primary : theme.colors.text.primary }]}>
+                    {active ? '✓ ' : ''}{profile.name}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Add a Learner</Text>
+          <View style={styles.addRow}>
+            <TextInput
+              style={[styles.textInput, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light, color: theme.colors.text.primary }]}
+              value={newName}
+              onChangeText={setNewName}
+              placeholder="Name"
+              placeholderTextColor={theme.colors.text.light}
+              autoCapitalize="words"
+              maxLength={MAX_PROFILE_NAME_LENGTH}
+            />
+            <TouchableOpacity
+              style={[styles.addButton, { backgroundColor: newName.trim() ? theme.colors.primary : theme.colors.gray[400] }]}
+              onPress={handleAdd}
+              disabled={!newName.trim()}
+            >
+              <Text style={[styles.addButtonText, { color: theme.colors.text.inverse }]}>Add</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+            New learners start with setup, and you can switch back at any time
+          </Text>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  profileItem: {
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    marginBottom: 10,
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  inputLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 8,
+    marginTop: 8,
+  },
+  addRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  textInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 16,
+  },
+  addButton: {
+    paddingHorizontal: 18,
+    borderRadius: 12,
+    justifyContent: 'center',
+  },
+  addButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  helpText: {
+    fontSize: 13,
+    marginTop: 6,
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default ProfileSwitcherModal;
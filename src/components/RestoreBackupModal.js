@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { useDriving } from '../contexts/DrivingContext';
+import { restoreBackup, restoreAllProfiles } from '../utils/backup';
+import { formatDateForDisplay } from '../utils/time';
+import { logUserAction } from '../utils/logger';
+import PinModal from './PinModal';
+
+/**
+ * RestoreBackupModal component
+ * Previews a picked JSON backup and lets the user replace or merge their data
+ * A backup of all learners restores each one into the matching profile.
+ * With parent approval on, the parent PIN is asked for before the preview, so
+ * every restore path (backup file or snapshot) is covered.
+ * @param {Object} backup - Result of pickBackupFile() ({ fileName, data, summary } or
+ *   { fileName, profiles }), or null when hidden
+ * @param {Function} onClose - Called when the modal is dismissed or the restore finished
+ */
+const RestoreBackupModal = ({ backup, onClose }) => {
+  const { theme } = useTheme();
+  const { drives, settings, reloadData } = useDriving();
+  const [restoring, setRestoring] = useState(false);
+  const [pinVerified, setPinVerified] = useState(false);
+
+  // Each backup picked needs the PIN again
+  useEffect(() => {
+    setPinVerified(false);
+  }, [backup]);
+  const locked = !!backup && !!settings.parentApproval && !pinVerified;
+
+  const summary = backup?.summary;
+  const backupProfiles = backup?.profiles || null;
+
+  const runRestore = async (mode) => {
+    if (locked) {
+      return;
+    }
+    try {
+      setRestoring(true);
+      const { restoredCount, addedProfiles = 0 } = backupProfiles
+        ? await restoreAllProfiles(backupProfiles, mode)
+        : await restoreBackup(backup.data, mode);
+      await reloadData();
+      logUserAction('restore_backup', 'BACKUP', { mode, restoredCount, profiles: backupProfiles?.length || 1 });
+
+      onClose();
+      if (backupProfiles) {
+        Alert.alert(
+          'Backup Restored',
+          `${mode === 'merge'
+            ? `${restoredCount} drive${restoredCount !== 1 ? 's were' : ' was'} added`
+            : `${restoredCount} drive${restoredCount !== 1 ? 's were' : ' was'} restored`} across ${backupProfiles.length} learner${backupProfiles.length !== 1 ? 's' : ''}.${addedProfiles > 0 ? ` ${addedProfiles} new learner${addedProfiles !== 1 ? 's were' : ' was'} added to this device.` : ''}`
+        );
+        return;
+      }
+      Alert.alert(
+        'Backup Restored',
+        mode === 'merge'
+          ? `${restoredCount} drive${restoredCount !== 1 ? 's were' : ' was'} added to your log.`
+          : `Your driving log was replaced with ${restoredCount} drive${restoredCount !== 1 ? 's' : ''} from the backup.`
+      );
+    } catch (error) {
+      console.error('Restore backup error:', error);
+      Alert.alert('Restore Failed', 'Unable to restore this backup. Your current data was not changed.');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const handleReplace = () => {
+    Alert.alert(
+      'Replace All Data?',
+      backupProfiles
+        ? 'This will replace the drives, goals and settings of each learner in the backup. Learners not in the backup are left alone. This action cannot be undone.'
+        : `This will replace your ${drives.length} current drive${drives.length !== 1 ? 's' : ''}, goals and settings with the backup. This action cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: () => runRestore('replace') },
+      ]
+    );
+  };
+
+  const handleMerge = () => {
+    runRestore('merge');
+  };
+
+  if (locked) {
+    return (
+      <PinModal
+        visible={true}
+        title="Restore Backup"
+        message="Enter the parent PIN to restore a backup or snapshot."
+        pinHash={settings.parentPinHash}
+        onSuccess={() => setPinVerified(true)}
+        onClose={onClose}
+      />
+    );
+  }
+
+  return (
+    <Modal
+      visible={!!backup}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={() => !restoring && onClose()}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>Restore Backup</Text>
+          <Text style={[styles.fileName, { color: theme.colors.text.secondary }]} numberOfLines={1}>
+            {backup?.fileName}
+          </Text>
+
+          {backupProfiles && (
+            <View style={[styles.summary, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}>
+              {backupProfiles.map(profile => (
+                <View key={profile.id || profile.name} style={styles.summaryRow}>
+                  <Text style={[styles.summaryLabel, { color: theme.colors.text.secondary }]}>{profile.name}:</Text>
+                  <Text style={[styles.summaryValue, { color: theme.colors.text.primary }]}>
+                    {profile.summary.driveCount} drive{profile.summary.driveCount !== 1 ? 's' : ''} • {profile.summary.totalHours.toFixed(1)}h
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+
+          {summary && (
+            <View style={[styles.summary, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}>
+              <View style={styles.summaryRow}>
+                <Text style={[styles.summaryLabel, { color: theme.colors.text.secondary }]}>Drives:</Text>
+                <Text style={[styles.summaryValue, { color: theme.colors.text.primary }]}>{summary.driveCount}</Text>
+              </View>
+              <View style={styles.summaryRow}>
+                <Text style={[styles.summaryLabel, { color: theme.colors.text.secondary }]}>Total Hours:</Text>
+                <Text style={[styles.summaryValue, { color: theme.colors.text.primary }]}>
+                  {summary.totalHours.toFixed(1)} ({summary.dayHours.toFixed(1)} day / {summary.nightHours.toFixed(1)} night)
+                </Text>
+              </View>
+              <View style={styles.summaryRow}>
+                <Text style={[styles.summaryLabel, { color: theme.colors.text.secondary }]}>Date Range:</Text>
+                <Text style={[styles.summaryValue, { color: theme.colors.text.primary }]}>
+                  {summary.firstDate
+                    ? `${formatDateForDisplay(summary.firstDate)} - ${formatDateForDisplay(summary.lastDate)}`
+                    : 'No drives'}
+                </Text>
+              </View>
+            </View>
+          )}
+
+          {settings.parentApproval && (
+            <Text style={[styles.approvalNote, { color: theme.colors.text.secondary }]}>
+              ⏳ Restored drives will wait for parent approval before they count toward the required hours.
+            </Text>
+          )}
+
+          {restoring ? (
+            <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loading} />
+          ) : (
+            <>
+              <TouchableOpacity
+                style={[styles.option, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+                onPress={handleMerge}
+              >
+                <Text style={[styles.optionTitle, { color: theme.colors.text.primary }]}>➕ Merge</Text>
+                <Text style={[styles.optionDescription, { color: theme.colors.text.secondary }]}>
+                  {backupProfiles
+                    ? 'Add drives from the backup that aren\'t already in each learner\'s log. Goals and settings stay the same.'
+                    : 'Add drives from the backup that aren\'t already in your log. Goals and settings stay the same.'}
+                </Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.option, { backgroundColor: theme.colors.error + '15', borderColor: theme.colors.error }]}
+                onPress={handleReplace}
+              >
+                <Text style={[styles.optionTitle, { color: theme.colors.error }]}>♻️ Replace</Text>
+                <Text style={[styles.optionDescription, { color: theme.colors.text.secondary }]}>
+                  {backupProfiles
+                    ? 'Replace each learner\'s drives, goals and settings with the backup.'
+                    : 'Replace all current drives, goals and settings with the backup.'}
+                </Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+                <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Cancel</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  fileName: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  summary: {
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    marginBottom: 16,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+    gap: 12,
+  },
+  summaryLabel: {
+    fontSize: 14,
+  },
+  summaryValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  approvalNote: {
+    fontSize: 13,
+    lineHeight: 18,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  option: {
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    marginBottom: 12,
+  },
+  optionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  optionDescription: {
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  loading: {
+    marginVertical: 24,
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default RestoreBackupModal;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { projectRoute } from '../utils/routeMap';
+import Polyline from './Polyline';
+
+const LINE_WIDTH = 3;
+const MARKER_SIZE = 12;
+
+/**
+ * RouteMap component
+ * Draws a drive's recorded track scaled to fit, without map tiles
+ * @param {Object} route - Route stored on a drive ({ polylines })
+ * @param {number} height - Map height; the width fills the parent
+ */
+const RouteMap = ({ route, height = 200 }) => {
+  const { theme } = useTheme();
+  const [width, setWidth] = useState(0);
+
+  const projection = width > 0 ? projectRoute(route, width, height, MARKER_SIZE) : null;
+
+  const renderMarker = (point, color) => (
+    <View
+      style={[
+        styles.marker,
+        { backgroundColor: color, left: point.x - MARKER_SIZE / 2, top: point.y - MARKER_SIZE / 2 },
+      ]}
+    />
+  );
+
+  return (
+    <View
+      style={[styles.container, { height, backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+    >
+      {width > 0 && !projection && (
+        <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>No route recorded for this drive</Text>
+      )}
+
+      {projection && (
+        <>
+          {projection.segments.map((points, index) => (
+            <Polyline key={index} points={points} color={theme.colors.primary} lineWidth={LINE_WIDTH} />
+          ))}
+          {renderMarker(projection.start, theme.colors.success)}
+          {renderMarker(projection.end, theme.colors.error)}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    borderWidth: 1,
+    overflow: 'hidden',
+    justifyContent: 'center',
+  },
+  marker: {
+    position: 'absolute',
+    width: MARKER_SIZE,
+    height: MARKER_SIZE,
+    borderRadius: MARKER_SIZE / 2,
+    borderWidth: 2,
+    borderColor: 'white',
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+export default RouteMap;
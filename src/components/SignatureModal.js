@@ -0,0 +1,202 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  PanResponder,
+  Alert,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { addStrokePoint, strokeToPoints, createSignature } from '../utils/signature';
+import Polyline from './Polyline';
+
+const PAD_HEIGHT = 180;
+const INK_WIDTH = 3;
+
+/**
+ * SignatureModal component
+ * Lets the supervisor draw their signature to confirm a drive
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {string} supervisorName - Name shown under the signature line
+ * @param {Function} onSave - Called with the signature to store on the drive
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const SignatureModal = ({ visible, supervisorName, onSave, onClose }) => {
+  const { theme } = useTheme();
+  const [strokes, setStrokes] = useState([]);
+  const [currentStroke, setCurrentStroke] = useState([]);
+  const [padWidth, setPadWidth] = useState(0);
+  const currentStrokeRef = useRef([]);
+
+  // Start with a blank pad each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setStrokes([]);
+      setCurrentStroke([]);
+      currentStrokeRef.current = [];
+    }
+  }, [visible]);
+
+  const finishStroke = () => {
+    const stroke = currentStrokeRef.current;
+    setStrokes(prev => [...prev, stroke]);
+    currentStrokeRef.current = [];
+    setCurrentStroke([]);
+  };
+
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: (event) => {
+      currentStrokeRef.current = addStrokePoint([], event.nativeEvent.locationX, event.nativeEvent.locationY);
+      setCurrentStroke(currentStrokeRef.current);
+    },
+    onPanResponderMove: (event) => {
+      const stroke = addStrokePoint(currentStrokeRef.current, event.nativeEvent.locationX, event.nativeEvent.locationY);
+      if (stroke !== currentStrokeRef.current) {
+        currentStrokeRef.current = stroke;
+        setCurrentStroke(stroke);
+      }
+    },
+    onPanResponderRelease: finishStroke,
+    onPanResponderTerminate: finishStroke,
+  })).current;
+
+  const handleSave = () => {
+    const signature = createSignature(strokes, padWidth, PAD_HEIGHT);
+    if (!signature) {
+      Alert.alert('No Signature', 'Please sign in the box before saving.');
+      return;
+    }
+    onSave(signature);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>Supervisor Signature</Text>
+          <Text style={[styles.subtitle, { color: theme.colors.text.secondary }]}>
+            By signing, the supervisor confirms this drive took place as logged.
+          </Text>
+
+          <View
+            style={[styles.pad, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+            onLayout={(event) => setPadWidth(event.nativeEvent.layout.width)}
+            {...panResponder.panHandlers}
+          >
+            {/* Ink never takes the touch, so touch positions stay relative to the pad */}
+            <View style={StyleSheet.absoluteFill} pointerEvents="none">
+              <View style={[styles.signatureLine, { backgroundColor: theme.colors.border.light }]} />
+              {[...strokes, currentStroke].filter(stroke => stroke.length > 0).map((stroke, index) => (
+                <Polyline key={index} points={strokeToPoints(stroke)} color={theme.colors.text.primary} lineWidth={INK_WIDTH} />
+              ))}
+            </View>
+          </View>
+          <Text style={[styles.supervisorName, { color: theme.colors.text.secondary }]}>
+            {supervisorName || 'Supervisor'}
+          </Text>
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.actionButton, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+              onPress={() => setStrokes([])}
+              disabled={strokes.length === 0}
+            >
+              <Text style={[styles.actionText, { color: strokes.length > 0 ? theme.colors.text.primary : theme.colors.text.light }]}>Clear</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary }]}
+              onPress={handleSave}
+            >
+              <Text style={[styles.actionText, { color: theme.colors.text.inverse }]}>Save Signature</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+    width: '90%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  pad: {
+    height: PAD_HEIGHT,
+    borderRadius: 12,
+    borderWidth: 1,
+    overflow: 'hidden',
+  },
+  signatureLine: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 40,
+    height: 1,
+  },
+  supervisorName: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 16,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default SignatureModal;
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { fitSignature } from '../utils/signature';
+import Polyline from './Polyline';
+
+/**
+ * SignatureView component
+ * Shows a stored supervisor signature scaled to fit
+ * @param {Object} signature - Signature stored on a drive
+ * @param {number} height - View height; the width fills the parent
+ */
+const SignatureView = ({ signature, height = 60 }) => {
+  const { theme } = useTheme();
+  const [width, setWidth] = useState(0);
+
+  const strokes = width > 0 ? fitSignature(signature, width, height, 6) : [];
+
+  return (
+    <View
+      style={[styles.container, { height, backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+    >
+      {strokes.map((points, index) => (
+        <Polyline key={index} points={points} color={theme.colors.text.primary} lineWidth={2} />
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 8,
+    borderWidth: 1,
+    overflow: 'hidden',
+  },
+});
+
+export default SignatureView;
@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { listSnapshots } from '../utils/backup';
+
+/**
+ * Format a snapshot timestamp like "Mar 4, 3:15 PM"
+ * @param {number} timestamp - Snapshot time in milliseconds
+ * @returns {string} Formatted date and time
+ */
+export function formatSnapshotTime(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+}
+
+/**
+ * SnapshotPickerModal component
+ * Lists the automatic snapshots with their drive counts and hour totals
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {Function} onSelect - Called with the chosen snapshot ({ uri, timestamp, data, summary })
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const SnapshotPickerModal = ({ visible, onSelect, onClose }) => {
+  const { theme } = useTheme();
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+
+    const loadSnapshots = async () => {
+      try {
+        setLoading(true);
+        setSnapshots(await listSnapshots());
+      } catch (error) {
+        console.error('Failed to list snapshots:', error);
+        setSnapshots([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSnapshots();
+  }, [visible]);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>Snapshots</Text>
+          <Text style={[styles.subtitle, { color: theme.colors.text.secondary }]}>
+            Kept hourly for a day and daily for a month
+          </Text>
+
+          {loading ? (
+            <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loading} />
+          ) : snapshots.length === 0 ? (
+            <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>
+              No snapshots yet. One is saved every hour while you use the app.
+            </Text>
+          ) : (
+            <ScrollView style={styles.list}>
+              {snapshots.map(snapshot => (
+                <TouchableOpacity
+                  key={snapshot.uri}
+                  style={[styles.snapshotItem, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+                  onPress={() => onSelect(snapshot)}
+                >
+                  <Text style={[styles.snapshotTime, { color: theme.colors.text.primary }]}>
+                    {formatSnapshotTime(snapshot.timestamp)}
+                  </Text>
+                  <Text style={[styles.snapshotDetails, { color: theme.colors.text.secondary }]}>
+                    {snapshot.summary.driveCount} drive{snapshot.summary.driveCount !== 1 ? 's' : ''} • {snapshot.summary.totalHours.toFixed(1)}h ({snapshot.summary.dayHours.toFixed(1)} day / {snapshot.summary.nightHours.toFixed(1)} night)
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  snapshotItem: {
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    marginBottom: 10,
+  },
+  snapshotTime: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  snapshotDetails: {
+    fontSize: 13,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    lineHeight: 20,
+    marginVertical: 16,
+  },
+  loading: {
+    marginVertical: 24,
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default SnapshotPickerModal;
@@ -0,0 +1,120 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { getCurrentDate, addDaysToDate } from '../utils/time';
+
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+/**
+ * StreakCalendar component
+ * Grid of the last few weeks showing which days were driven or frozen
+ * @param {Array} drives - Array of drive objects
+ * @param {Array<string>} frozenDates - Dates covered by a freeze day (YYYY-MM-DD)
+ * @param {number} weeks - Number of weeks to show
+ */
+const StreakCalendar = ({ drives, frozenDates = [], weeks = 4 }) => {
+  const { theme } = useTheme();
+
+  const today = getCurrentDate();
+  const driveDates = new Set(drives.map(drive => drive.date));
+  const frozen = new Set(frozenDates);
+
+  // Start on the Sunday so each row is a calendar week ending with this one
+  const [year, month, day] = today.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const startDate = addDaysToDate(today, -((weeks - 1) * 7 + weekday));
+
+  const rows = Array.from({ length: weeks }, (_, week) =>
+    Array.from({ length: 7 }, (_, dayIndex) => addDaysToDate(startDate, week * 7 + dayIndex))
+  );
+
+  const getCellStyle = (date) => {
+    if (date > today) return { backgroundColor: 'transparent', borderColor: theme.colors.border.light };
+    if (driveDates.has(date)) return { backgroundColor: theme.colors.success, borderColor: theme.colors.success };
+    if (frozen.has(date)) return { backgroundColor: theme.colors.info + '30', borderColor: theme.colors.info };
+    return { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light };
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+      <View style={styles.row}>
+        {WEEKDAY_LABELS.map((label, index) => (
+          <Text key={index} style={[styles.weekdayLabel, { color: theme.colors.text.light }]}>{label}</Text>
+        ))}
+      </View>
+
+      {rows.map(row => (
+        <View key={row[0]} style={styles.row}>
+          {row.map(date => (
+            <View key={date} style={[styles.cell, getCellStyle(date), date === today && { borderColor: theme.colors.primary, borderWidth: 2 }]}>
+              <Text style={[
+                styles.cellText,
+                { color: date > today ? theme.colors.text.light : theme.colors.text.secondary },
+                driveDates.has(date) && { color: theme.colors.text.inverse, fontWeight: '600' },
+              ]}>
+                {frozen.has(date) && !driveDates.has(date) ? '🧊' : Number(date.split('-')[2])}
+              </Text>
+            </View>
+          ))}
+        </View>
+      ))}
+
+      <View style={styles.legend}>
+        <View style={[styles.legendSwatch, { backgroundColor: theme.colors.success }]} />
+        <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>Drove</Text>
+        <View style={[styles.legendSwatch, { backgroundColor: theme.colors.info + '30', borderColor: theme.colors.info, borderWidth: 1 }]} />
+        <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>Freeze day</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    borderWidth: 1,
+    padding: 12,
+    marginTop: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  weekdayLabel: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  cell: {
+    flex: 1,
+    aspectRatio: 1,
+    marginHorizontal: 3,
+    borderRadius: 6,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cellText: {
+    fontSize: 12,
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 4,
+    gap: 6,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+  },
+  legendText: {
+    fontSize: 12,
+    marginRight: 10,
+  },
+});
+
+export default StreakCalendar;
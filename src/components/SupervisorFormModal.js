@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { SUPERVISOR_RELATIONSHIPS, validateSupervisor } from '../utils/supervisors';
+
+/**
+ * SupervisorFormModal component
+ * Adds a supervisor to the roster or edits a saved one
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {Object} supervisor - Supervisor to edit, or null to add a new one
+ * @param {Function} onSave - Called with the supervisor record to store
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const SupervisorFormModal = ({ visible, supervisor, onSave, onClose }) => {
+  const { theme } = useTheme();
+  const [name, setName] = useState('');
+  const [birthDate, setBirthDate] = useState('');
+  const [age, setAge] = useState('');
+  const [relationship, setRelationship] = useState('');
+  const [licenseYears, setLicenseYears] = useState('');
+
+  // Start from the supervisor being edited each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setName(supervisor?.name || '');
+      setBirthDate(supervisor?.birthDate || '');
+      setAge(supervisor?.age ? String(supervisor.age) : '');
+      setRelationship(supervisor?.relationship || '');
+      setLicenseYears(Number.isFinite(supervisor?.licenseYears) ? String(supervisor.licenseYears) : '');
+    }
+  }, [visible, supervisor]);
+
+  const handleSave = () => {
+    const errors = validateSupervisor({ name, birthDate, age, licenseYears });
+    if (errors.length > 0) {
+      Alert.alert('Check Supervisor Details', errors.join('\n'));
+      return;
+    }
+
+    const trimmedBirthDate = birthDate.trim();
+    onSave({
+      id: supervisor?.id || Date.now().toString(),
+      name: name.trim(),
+      // A birthdate keeps the age current, so the typed age is only kept without one
+      birthDate: trimmedBirthDate || null,
+      age: !trimmedBirthDate && age ? parseInt(age, 10) : null,
+      relationship: relationship || null,
+      licenseYears: licenseYears ? parseInt(licenseYears, 10) : null,
+    });
+  };
+
+  const inputStyle = [
+    styles.textInput,
+    { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light, color: theme.colors.text.primary },
+  ];
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>
+            {supervisor ? 'Edit Supervisor' : 'Add Supervisor'}
+          </Text>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Name *</Text>
+            <TextInput
+              style={inputStyle}
+              value={name}
+              onChangeText={setName}
+              placeholder="Full name"
+              placeholderTextColor={theme.colors.text.light}
+              autoCapitalize="words"
+              autoCorrect={false}
+            />
+
+            <View style={styles.row}>
+              <View style={styles.rowItem}>
+                <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Birthdate</Text>
+                <TextInput
+                  style={inputStyle}
+                  value={birthDate}
+                  onChangeText={setBirthDate}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor={theme.colors.text.light}
+                  autoCorrect={false}
+                  maxLength={10}
+                />
+              </View>
+              <View style={styles.ageItem}>
+                <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>or Age</Text>
+                <TextInput
+                  style={inputStyle}
+                  value={age}
+                  onChangeText={(text) => setAge(text.replace(/[^0-9]/g, ''))}
+                  placeholder="Age"
+                  placeholderTextColor={theme.colors.text.light}
+                  keyboardType="numeric"
+                  maxLength={3}
+                />
+              </View>
+            </View>
+            <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+              A birthdate keeps the age up to date
+            </Text>
+
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Years Licensed</Text>
+            <TextInput
+              style={[inputStyle, styles.yearsInput]}
+              value={licenseYears}
+              onChangeText={(text) => setLicenseYears(text.replace(/[^0-9]/g, ''))}
+              placeholder="Years"
+              placeholderTextColor={theme.colors.text.light}
+              keyboardType="numeric"
+              maxLength={2}
+            />
+
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Relationship</Text>
+            <View style={styles.chipContainer}>
+              {SUPERVISOR_RELATIONSHIPS.map(option => {
+                const selected = relationship === option;
+                return (
+                  <TouchableOpacity
+                    key={option}
+                    style={[
+                      styles.chip,
+                      { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                      selected && { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary },
+                    ]}
+                    onPress={() => setRelationship(selected ? '' : option)}
+                  >
+                    <Text style={[
+                      styles.chipText,
+                      { color: theme.colors.text.primary },
+                      selected && { color: theme.colors.text.inverse, fontWeight: '600' },
+                    ]}>
+                      {option}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </ScrollView>
+
+          <TouchableOpacity
+            style={[styles.saveButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleSave}
+          >
+            <Text style={[styles.saveButtonText, { color: theme.colors.text.inverse }]}>Save Supervisor</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  inputLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  ageItem: {
+    width: 80,
+  },
+  yearsInput: {
+    width: 100,
+  },
+  helpText: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 20,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  saveButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default SupervisorFormModal;
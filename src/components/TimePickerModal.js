@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { formatTimeForDisplay } from '../utils/time';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const MINUTES = Array.from({ length: 12 }, (_, index) => index * 5);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Label an hour of the day like "6 PM"
+ * @param {number} hour - Hour from 0 to 23
+ * @returns {string} 12-hour label
+ */
+const formatHourLabel = (hour) => `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+
+/**
+ * TimePickerModal component
+ * Hour and minute columns for picking a time of day in 5-minute steps
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {string} title - Heading shown above the picker
+ * @param {string} value - Initial time in HH:MM format
+ * @param {Function} onConfirm - Called with the picked time in HH:MM format
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const TimePickerModal = ({ visible, title, value, onConfirm, onClose }) => {
+  const { theme } = useTheme();
+  const [hour, setHour] = useState(0);
+  const [minute, setMinute] = useState(0);
+
+  useEffect(() => {
+    if (visible) {
+      const [initialHour, initialMinute] = (value || '00:00').split(':').map(Number);
+      setHour(initialHour);
+      setMinute(Math.round(initialMinute / 5) * 5 % 60);
+    }
+  }, [visible, value]);
+
+  const renderOption = (label, selected, onPress, key) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.option,
+        selected && { backgroundColor: theme.colors.primary + '15', borderColor: theme.colors.primary },
+      ]}
+      onPress={onPress}
+    >
+      <Text style={[
+        styles.optionText,
+        { color: theme.colors.text.secondary },
+        selected && { color: theme.colors.primary, fontWeight: '600' },
+      ]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>{title}</Text>
+          <Text style={[styles.selectedTime, { color: theme.colors.primary }]}>
+            {formatTimeForDisplay(`${pad(hour)}:${pad(minute)}`)}
+          </Text>
+
+          <View style={styles.columns}>
+            <ScrollView style={[styles.column, { borderColor: theme.colors.border.light }]}>
+              {HOURS.map(option => renderOption(formatHourLabel(option), option === hour, () => setHour(option), option))}
+            </ScrollView>
+            <ScrollView style={[styles.column, { borderColor: theme.colors.border.light }]}>
+              {MINUTES.map(option => renderOption(`:${pad(option)}`, option === minute, () => setMinute(option), option))}
+            </ScrollView>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.confirmButton, { backgroundColor: theme.colors.primary }]}
+            onPress={() => onConfirm(`${pad(hour)}:${pad(minute)}`)}
+          >
+            <Text style={[styles.confirmText, { color: theme.colors.text.inverse }]}>Set Time</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={[styles.cancelText, { color: theme.colors.text.secondary }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    margin: 20,
+    borderRadius: 16,
+    padding: 24,
+    minWidth: 300,
+    maxWidth: 400,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  selectedTime: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  columns: {
+    flexDirection: 'row',
+    gap: 12,
+    height: 240,
+    marginBottom: 16,
+  },
+  column: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 12,
+  },
+  option: {
+    paddingVertical: 10,
+    marginHorizontal: 6,
+    marginVertical: 2,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    alignItems: 'center',
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  confirmButton: {
+    borderRadius: 12,
+    padding: 14,
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cancelButton: {
+    marginTop: 4,
+    padding: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+});
+
+export default TimePickerModal;
@@ -0,0 +1,75 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import RestoreBackupModal from '../RestoreBackupModal';
+import PinModal from '../PinModal';
+import { useDriving } from '../../contexts/DrivingContext';
+import { restoreBackup } from '../../utils/backup';
+import { hashPin } from '../../utils/approval';
+
+jest.mock('../../contexts/DrivingContext', () => ({ useDriving: jest.fn() }));
+jest.mock('../../contexts/ThemeContext', () => ({
+  useTheme: () => ({
+    theme: {
+      colors: {
+        primary: '#2563eb',
+        error: '#ef4444',
+        overlay: '#00000080',
+        surface: '#fff',
+        surfaceSecondary: '#f3f4f6',
+        border: { light: '#e5e7eb' },
+        text: { primary: '#111', secondary: '#666', inverse: '#fff' },
+      },
+    },
+  }),
+}));
+jest.mock('../../utils/backup', () => ({
+  restoreBackup: jest.fn(async () => ({ restoredCount: 0 })),
+  restoreAllProfiles: jest.fn(),
+}));
+
+const backup = {
+  fileName: 'drively_backup.json',
+  data: { drives: [] },
+  summary: { driveCount: 0, dayHours: 0, nightHours: 0, totalHours: 0, firstDate: null, lastDate: null },
+};
+
+const renderModal = (settings) => {
+  useDriving.mockReturnValue({ drives: [], settings, reloadData: jest.fn() });
+  let renderer;
+  act(() => {
+    renderer = TestRenderer.create(<RestoreBackupModal backup={backup} onClose={jest.fn()} />);
+  });
+  return renderer;
+};
+
+const hasText = (renderer, text) => renderer.root
+  .findAll(node => node.type === 'Text' && [].concat(node.props.children).join('').includes(text))
+  .length > 0;
+
+describe('RestoreBackupModal', () => {
+  it('asks for the parent PIN before showing the restore options', () => {
+    const renderer = renderModal({ parentApproval: true, parentPinHash: hashPin('1234') });
+
+    expect(renderer.root.findAllByType(PinModal)).toHaveLength(1);
+    expect(hasText(renderer, 'Merge')).toBe(false);
+    expect(restoreBackup).not.toHaveBeenCalled();
+  });
+
+  it('shows the restore options once the PIN is entered', () => {
+    const renderer = renderModal({ parentApproval: true, parentPinHash: hashPin('1234') });
+
+    act(() => {
+      renderer.root.findByType(PinModal).props.onSuccess();
+    });
+
+    expect(renderer.root.findAllByType(PinModal)).toHaveLength(0);
+    expect(hasText(renderer, 'Merge')).toBe(true);
+  });
+
+  it('goes straight to the restore options without parent approval', () => {
+    const renderer = renderModal({ parentApproval: false });
+
+    expect(renderer.root.findAllByType(PinModal)).toHaveLength(0);
+    expect(hasText(renderer, 'Merge')).toBe(true);
+  });
+});
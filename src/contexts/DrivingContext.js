@@ -1,18 +1,34 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { loadData, saveData } from '../utils/storage';
+import {
+  loadData,
+  saveData,
+  loadProfiles,
+  setActiveProfile,
+  addProfile,
+  updateProfileName,
+  removeProfile,
+} from '../utils/storage';
 import { logger, logUserAction, logError } from '../utils/logger';
-import { getAppVersion } from '../utils/appInfo';
+import { DATA_VERSION } from '../utils/migrations';
+import { getDriveMinutes, calculateCompletedHours, reclassifyDrives } from '../utils/drives';
+import { APPROVAL_STATUSES, isDriveApproved } from '../utils/approval';
 import { 
   calculateCurrentStreak, 
   calculateLongestStreak,
   shouldResetMonthlyFreezeCounter,
   formatDateForStorage 
 } from '../utils/streaks';
+import { getNextStage, createStageArchive, getArchivedDrives, countPendingDrives } from '../utils/license';
+import { DEFAULT_ALLOWED_PURPOSES } from '../utils/restrictions';
+import { DEFAULT_PROFILE_ID } from '../utils/profiles';
 
 const DrivingContext = createContext();
 
+// Archived stages keep counting toward the streak
+const withArchivedDrives = (state, drives) => [...getArchivedDrives(state.archives), ...drives];
+
 // Action types
-const ACTIONS = {
+export const ACTIONS = {
   LOAD_DATA: 'LOAD_DATA',
   SET_USER_INFO: 'SET_USER_INFO',
   ADD_DRIVE: 'ADD_DRIVE',
@@ -21,22 +37,36 @@ const ACTIONS = {
   UPDATE_STREAKS: 'UPDATE_STREAKS',
   USE_FREEZE_DAY: 'USE_FREEZE_DAY',
   UPDATE_SETTINGS: 'UPDATE_SETTINGS',
+  RECLASSIFY_DRIVES: 'RECLASSIFY_DRIVES',
+  REVIEW_DRIVES: 'REVIEW_DRIVES',
+  ADD_SUPERVISOR: 'ADD_SUPERVISOR',
+  UPDATE_SUPERVISOR: 'UPDATE_SUPERVISOR',
+  DELETE_SUPERVISOR: 'DELETE_SUPERVISOR',
+  ADVANCE_LICENSE: 'ADVANCE_LICENSE',
   COMPLETE_ONBOARDING: 'COMPLETE_ONBOARDING',
   RESET_DATA: 'RESET_DATA',
+  START_PROFILE_SWITCH: 'START_PROFILE_SWITCH',
+  CANCEL_PROFILE_SWITCH: 'CANCEL_PROFILE_SWITCH',
+  SET_PROFILES: 'SET_PROFILES',
 };
 
 // Initial state
-const initialState = {
+export const initialState = {
   user: {
     licenseType: null,
     licenseDate: null,
+    jurisdiction: null, // rule pack id, null for custom goals
+    birthDate: null,
     goalDayHours: 50,
     goalNightHours: 10,
+    goalCategories: [], // extra requirement categories, see utils/categories
     completedDayHours: 0,
     completedNightHours: 0,
     onboardingComplete: false,
   },
   drives: [],
+  supervisors: [],
+  archives: [], // finished license stages, see utils/license
   streaks: {
     current: 0,
     longest: 0,
@@ -44,20 +74,39 @@ const initialState = {
     freezeDaysUsed: 0,
     freezeDaysThisMonth: 0,
     lastFreezeReset: null,
+    frozenDates: [],
   },
   settings: {
     nightTimeStart: '18:00',
     nightTimeEnd: '06:00',
+    nightDefinition: 'fixed', // 'fixed', 'sunset' (sunset to sunrise) or 'sun' (civil dusk to dawn)
+    nightOffsetMinutes: 0, // minutes after sunset or dusk / before sunrise or dawn
+    maxFreezeDaysPerMonth: 10,
     backupReminder: true,
     lastBackupDate: null,
     temperatureUnit: 'metric', // 'metric' or 'imperial'
+    supervisorMinAge: 21,
+    supervisorMinLicenseYears: 3,
+    supervisorRuleMode: 'block', // 'warn' or 'block' when a supervisor breaks a rule
+    parentApproval: false, // new drives wait for parent approval before counting
+    parentPinHash: null,
+    // Restricted license rules, see utils/restrictions
+    curfewStart: '23:00', // null for no curfew
+    curfewEnd: '05:00',
+    maxMinorPassengers: 1, // null for no limit
+    allowedPurposes: DEFAULT_ALLOWED_PURPOSES,
+    requireSupervisor: false,
+    restrictionRuleMode: 'warn', // 'warn' or 'block' when a drive breaks a rule
   },
+  // Learner profiles on this device, see utils/profiles; everything above belongs to the active one
+  profiles: [],
+  activeProfileId: DEFAULT_PROFILE_ID,
   loading: true,
   error: null,
 };
 
-// Reducer function
-function drivingReducer(state, action) {
+// Reducer function, exported for tests
+export function drivingReducer(state, action) {
   // Log all actions for debugging
   logger.debug(`Action dispatched: ${action.type}`, 'DRIVING_CONTEXT', { 
     actionType: action.type, 
@@ -73,8 +122,16 @@ function drivingReducer(state, action) {
       return {
         ...state,
         ...action.payload,
+        supervisors: action.payload.supervisors || [],
+        archives: action.payload.archives || [],
+        streaks: { ...initialState.streaks, ...action.payload.streaks },
+        settings: { ...initialState.settings, ...action.payload.settings },
+        // The profile list is only changed through SET_PROFILES
+        profiles: state.profiles,
+        activeProfileId: state.activeProfileId,
         loading: false,
-        error: null,
+        // Set when the data couldn't be loaded, so the app shows it instead of onboarding
+        error: action.payload.error ?? null,
       };
 
     case ACTIONS.SET_USER_INFO:
@@ -88,22 +145,32 @@ function drivingReducer(state, action) {
       };
 
     case ACTIONS.ADD_DRIVE:
-      const newDrives = [...state.drives, action.payload];
+      // In parent mode the drive only counts once a parent approves it
+      const newDrive = state.settings.parentApproval
+        ? { ...action.payload, approval: { status: APPROVAL_STATUSES.PENDING } }
+        : action.payload;
+      const newDrives = [...state.drives, newDrive];
+      const { dayMinutes, nightMinutes } = isDriveApproved(newDrive)
+        ? getDriveMinutes(newDrive)
+        : { dayMinutes: 0, nightMinutes: 0 };
       const updatedStreaks = {
         ...state.streaks,
-        current: calculateCurrentStreak(newDrives),
+        current: calculateCurrentStreak(withArchivedDrives(state, newDrives), state.streaks.frozenDates),
         longest: Math.max(
           state.streaks.longest,
-          calculateLongestStreak(newDrives)
+          calculateLongestStreak(withArchivedDrives(state, newDrives), state.streaks.frozenDates)
         ),
-        lastDriveDate: action.payload.date,
+        // A drive logged for an earlier day doesn't move the last drive date back
+        lastDriveDate: [state.streaks.lastDriveDate, action.payload.date].filter(Boolean).sort().pop() || null,
       };
       
       logger.info('Drive added', 'DRIVING_CONTEXT', {
         driveId: action.payload.id,
         duration: action.payload.duration,
-        isNightDrive: action.payload.isNightDrive,
-        newStreakCount: updatedStreaks.current
+        dayMinutes,
+        nightMinutes,
+        newStreakCount: updatedStreaks.current,
+        pendingApproval: !isDriveApproved(newDrive),
       });
       
       return {
@@ -112,10 +179,8 @@ function drivingReducer(state, action) {
         streaks: updatedStreaks,
         user: {
           ...state.user,
-          completedDayHours: state.user.completedDayHours + 
-            (action.payload.isNightDrive ? 0 : action.payload.duration / 60),
-          completedNightHours: state.user.completedNightHours + 
-            (action.payload.isNightDrive ? action.payload.duration / 60 : 0),
+          completedDayHours: state.user.completedDayHours + dayMinutes / 60,
+          completedNightHours: state.user.completedNightHours + nightMinutes / 60,
         },
       };
 
@@ -130,20 +195,15 @@ function drivingReducer(state, action) {
       });
       
       // Recalculate totals
-      const dayHours = updatedDrives
-        .filter(d => !d.isNightDrive)
-        .reduce((sum, d) => sum + d.duration / 60, 0);
-      const nightHours = updatedDrives
-        .filter(d => d.isNightDrive)
-        .reduce((sum, d) => sum + d.duration / 60, 0);
+      const { dayHours, nightHours } = calculateCompletedHours(updatedDrives);
       
       return {
         ...state,
         drives: updatedDrives,
         streaks: {
           ...state.streaks,
-          current: calculateCurrentStreak(updatedDrives),
-          longest: calculateLongestStreak(updatedDrives),
+          current: calculateCurrentStreak(withArchivedDrives(state, updatedDrives), state.streaks.frozenDates),
+          longest: calculateLongestStreak(withArchivedDrives(state, updatedDrives), state.streaks.frozenDates),
         },
         user: {
           ...state.user,
@@ -161,20 +221,18 @@ function drivingReducer(state, action) {
       });
       
       // Recalculate totals
-      const remainingDayHours = filteredDrives
-        .filter(d => !d.isNightDrive)
-        .reduce((sum, d) => sum + d.duration / 60, 0);
-      const remainingNightHours = filteredDrives
-        .filter(d => d.isNightDrive)
-        .reduce((sum, d) => sum + d.duration / 60, 0);
+      const {
+        dayHours: remainingDayHours,
+        nightHours: remainingNightHours,
+      } = calculateCompletedHours(filteredDrives);
       
       return {
         ...state,
         drives: filteredDrives,
         streaks: {
           ...state.streaks,
-          current: calculateCurrentStreak(filteredDrives),
-          longest: calculateLongestStreak(filteredDrives),
+          current: calculateCurrentStreak(withArchivedDrives(state, filteredDrives), state.streaks.frozenDates),
+          longest: calculateLongestStreak(withArchivedDrives(state, filteredDrives), state.streaks.frozenDates),
         },
         user: {
           ...state.user,
@@ -193,12 +251,22 @@ function drivingReducer(state, action) {
       };
 
     case ACTIONS.USE_FREEZE_DAY:
+      const frozenDates = [...new Set([...state.streaks.frozenDates, ...action.payload])].sort();
+
+      logger.info('Freeze days used', 'DRIVING_CONTEXT', { dates: action.payload });
+
       return {
         ...state,
         streaks: {
           ...state.streaks,
-          freezeDaysUsed: state.streaks.freezeDaysUsed + 1,
-          freezeDaysThisMonth: state.streaks.freezeDaysThisMonth + 1,
+          frozenDates,
+          current: calculateCurrentStreak(withArchivedDrives(state, state.drives), frozenDates),
+          longest: Math.max(
+            state.streaks.longest,
+            calculateLongestStreak(withArchivedDrives(state, state.drives), frozenDates)
+          ),
+          freezeDaysUsed: state.streaks.freezeDaysUsed + action.payload.length,
+          freezeDaysThisMonth: state.streaks.freezeDaysThisMonth + action.payload.length,
         },
       };
 
@@ -211,6 +279,92 @@ function drivingReducer(state, action) {
         },
       };
 
+    case ACTIONS.RECLASSIFY_DRIVES:
+      // With parent approval on, approved drives whose minutes change go back for review
+      const reclassifiedDrives = reclassifyDrives(state.drives, state.settings).map((drive, index) => {
+        const before = getDriveMinutes(state.drives[index]);
+        const changed = drive.dayMinutes !== before.dayMinutes || drive.nightMinutes !== before.nightMinutes;
+        return state.settings.parentApproval && changed && isDriveApproved(drive)
+          ? { ...drive, approval: { status: APPROVAL_STATUSES.PENDING } }
+          : drive;
+      });
+      const {
+        dayHours: reclassifiedDayHours,
+        nightHours: reclassifiedNightHours,
+      } = calculateCompletedHours(reclassifiedDrives);
+
+      logger.info('Drives reclassified', 'DRIVING_CONTEXT', {
+        drivesCount: reclassifiedDrives.length,
+        nightTimeStart: state.settings.nightTimeStart,
+        nightTimeEnd: state.settings.nightTimeEnd,
+        nightDefinition: state.settings.nightDefinition,
+        sentForApproval: reclassifiedDrives.filter(
+          (drive, index) => !isDriveApproved(drive) && isDriveApproved(state.drives[index])
+        ).length,
+      });
+
+      return {
+        ...state,
+        drives: reclassifiedDrives,
+        user: {
+          ...state.user,
+          completedDayHours: reclassifiedDayHours,
+          completedNightHours: reclassifiedNightHours,
+        },
+      };
+
+    case ACTIONS.REVIEW_DRIVES:
+      const { driveIds, status, comment } = action.payload;
+      const reviewedAt = new Date().toISOString();
+      const reviewedDrives = state.drives.map(drive =>
+        driveIds.includes(drive.id)
+          ? { ...drive, approval: { status, comment: comment || null, reviewedAt } }
+          : drive
+      );
+      const {
+        dayHours: approvedDayHours,
+        nightHours: approvedNightHours,
+      } = calculateCompletedHours(reviewedDrives);
+
+      logger.info('Drives reviewed', 'DRIVING_CONTEXT', {
+        driveIds,
+        status,
+        hasComment: !!comment,
+      });
+
+      return {
+        ...state,
+        drives: reviewedDrives,
+        user: {
+          ...state.user,
+          completedDayHours: approvedDayHours,
+          completedNightHours: approvedNightHours,
+        },
+      };
+
+    case ACTIONS.ADD_SUPERVISOR:
+      logger.info('Supervisor added', 'DRIVING_CONTEXT', { supervisorId: action.payload.id });
+      return {
+        ...state,
+        supervisors: [...state.supervisors, action.payload],
+      };
+
+    case ACTIONS.UPDATE_SUPERVISOR:
+      return {
+        ...state,
+        supervisors: state.supervisors.map(supervisor =>
+          supervisor.id === action.payload.id ? action.payload : supervisor
+        ),
+      };
+
+    case ACTIONS.DELETE_SUPERVISOR:
+      // Drives keep the supervisor's name and age; only the roster entry goes
+      logger.info('Supervisor deleted', 'DRIVING_CONTEXT', { supervisorId: action.payload });
+      return {
+        ...state,
+        supervisors: state.supervisors.filter(supervisor => supervisor.id !== action.payload),
+      };
+
     case ACTIONS.COMPLETE_ONBOARDING:
       return {
         ...state,
@@ -220,12 +374,71 @@ function drivingReducer(state, action) {
         },
       };
 
+    case ACTIONS.ADVANCE_LICENSE:
+      // Pending drives can't be reviewed once archived, so their hours would be lost
+      if (countPendingDrives(state.drives) > 0) {
+        logger.warn('License stage not advanced: drives are awaiting approval', 'DRIVING_CONTEXT', {
+          pendingDrives: countPendingDrives(state.drives),
+        });
+        return state;
+      }
+
+      // The finished stage's log is archived and the next stage starts empty
+      const archive = createStageArchive(state.user, state.drives, action.payload.date);
+      const nextStage = getNextStage(state.user.licenseType);
+
+      logger.info('License stage advanced', 'DRIVING_CONTEXT', {
+        from: state.user.licenseType,
+        to: nextStage,
+        archivedDrives: state.drives.length,
+      });
+
+      return {
+        ...state,
+        archives: [...state.archives, archive],
+        drives: [],
+        user: {
+          ...state.user,
+          licenseType: nextStage,
+          licenseDate: action.payload.date,
+          goalDayHours: action.payload.goalDayHours,
+          goalNightHours: action.payload.goalNightHours,
+          goalCategories: [],
+          completedDayHours: 0,
+          completedNightHours: 0,
+        },
+      };
+
     case ACTIONS.RESET_DATA:
       return {
         ...initialState,
+        profiles: state.profiles,
+        activeProfileId: state.activeProfileId,
         loading: false,
       };
 
+    case ACTIONS.START_PROFILE_SWITCH:
+      // Back to loading so nothing is saved until the other profile's data is in
+      logger.info('Switching profile', 'DRIVING_CONTEXT', { profileId: action.payload });
+      return {
+        ...state,
+        loading: true,
+      };
+
+    case ACTIONS.CANCEL_PROFILE_SWITCH:
+      // The current profile's data is still loaded, so it can carry on as before
+      return {
+        ...state,
+        loading: false,
+      };
+
+    case ACTIONS.SET_PROFILES:
+      return {
+        ...state,
+        profiles: action.payload.profiles,
+        activeProfileId: action.payload.activeProfileId,
+      };
+
     default:
       return state;
   }
@@ -235,67 +448,98 @@ function drivingReducer(state, action) {
 export function DrivingProvider({ children }) {
   const [state, dispatch] = useReducer(drivingReducer, initialState);
 
-  // Load data on mount
-  useEffect(() => {
-    async function initializeData() {
-      try {
-        // Add safety check for logger
+  // Load data from storage into state
+  async function initializeData() {
+    try {
+      // Add safety check for logger
+      if (logger && logger.info) {
+        await logger.info('Loading app data', 'DRIVING_CONTEXT');
+      } else {
+        console.log('Loading app data (logger not ready)');
+      }
+      
+      const { profiles, activeProfileId } = await loadProfiles();
+      dispatch({ type: ACTIONS.SET_PROFILES, payload: { profiles, activeProfileId } });
+
+      const data = await loadData();
+      
+      // Check if we need to reset monthly freeze counter
+      if (shouldResetMonthlyFreezeCounter(data.streaks?.lastFreezeReset)) {
         if (logger && logger.info) {
-          await logger.info('Loading app data', 'DRIVING_CONTEXT');
+          await logger.info('Resetting monthly freeze counter', 'DRIVING_CONTEXT');
         } else {
-          console.log('Loading app data (logger not ready)');
+          console.log('Resetting monthly freeze counter');
         }
         
-        const data = await loadData();
-        
-        // Check if we need to reset monthly freeze counter
-        if (shouldResetMonthlyFreezeCounter(data.streaks?.lastFreezeReset)) {
-          if (logger && logger.info) {
-            await logger.info('Resetting monthly freeze counter', 'DRIVING_CONTEXT');
-          } else {
-            console.log('Resetting monthly freeze counter');
-          }
-          
-          data.streaks = {
-            ...data.streaks,
-            freezeDaysThisMonth: 0,
-            lastFreezeReset: formatDateForStorage(),
-          };
-        }
-        
-        dispatch({ type: ACTIONS.LOAD_DATA, payload: data });
-      } catch (error) {
-        // Safe error logging
-        if (logError) {
-          try {
-            await logError(error, 'DRIVING_CONTEXT', 'Failed to load data on app startup');
-          } catch (logErr) {
-            console.error('Failed to log error:', logErr);
-          }
+        data.streaks = {
+          ...data.streaks,
+          freezeDaysThisMonth: 0,
+          lastFreezeReset: formatDateForStorage(),
+        };
+      }
+
+      // Days may have passed since the streak was last calculated
+      data.streaks = {
+        ...data.streaks,
+        current: calculateCurrentStreak(
+          [...getArchivedDrives(data.archives), ...data.drives],
+          data.streaks?.frozenDates
+        ),
+      };
+      
+      dispatch({ type: ACTIONS.LOAD_DATA, payload: data });
+    } catch (error) {
+      // Safe error logging
+      if (logError) {
+        try {
+          await logError(error, 'DRIVING_CONTEXT', 'Failed to load data on app startup');
+        } catch (logErr) {
+          console.error('Failed to log error:', logErr);
         }
-        
-        console.error('Failed to load data:', error);
-        dispatch({ 
-          type: ACTIONS.LOAD_DATA, 
-          payload: { ...initialState, loading: false, error: error.message } 
-        });
       }
+      
+      console.error('Failed to load data:', error);
+      dispatch({ 
+        type: ACTIONS.LOAD_DATA, 
+        payload: { ...initialState, loading: false, error: error.message } 
+      });
     }
+  }
+
+  // Load another learner's profile in place of the active one
+  // Throws when the switch can't be saved, leaving the current profile active
+  async function switchProfile(profileId) {
+    dispatch({ type: ACTIONS.START_PROFILE_SWITCH, payload: profileId });
+    try {
+      await setActiveProfile(profileId);
+    } catch (error) {
+      logError(error, 'DRIVING_CONTEXT', 'Failed to switch profile');
+      dispatch({ type: ACTIONS.CANCEL_PROFILE_SWITCH });
+      throw error;
+    }
+    logUserAction('switch_profile', 'DRIVING_CONTEXT', { profileId });
+    await initializeData();
+  }
 
+  // Load data on mount
+  useEffect(() => {
     initializeData();
   }, []);
 
-  // Save data whenever state changes (except loading)
+  // Save data whenever state changes (except loading, or after a failed load,
+  // when the empty state must not replace the file that couldn't be read)
   useEffect(() => {
-    if (!state.loading) {
+    if (!state.loading && !state.error) {
       const saveDataAsync = async () => {
         try {
           const dataToSave = {
             user: state.user,
             drives: state.drives,
+            supervisors: state.supervisors,
+            archives: state.archives,
             streaks: state.streaks,
             settings: state.settings,
-            version: getAppVersion(),
+            version: DATA_VERSION,
           };
           await saveData(dataToSave);
           
@@ -318,7 +562,7 @@ export function DrivingProvider({ children }) {
       
       saveDataAsync();
     }
-  }, [state.user, state.drives, state.streaks, state.settings, state.loading]);
+  }, [state.user, state.drives, state.supervisors, state.archives, state.streaks, state.settings, state.loading]);
 
   // Context value with actions
   const value = {
@@ -340,17 +584,69 @@ export function DrivingProvider({ children }) {
     updateStreaks: (streakData) => 
       dispatch({ type: ACTIONS.UPDATE_STREAKS, payload: streakData }),
     
-    useFreezeDay: () => 
-      dispatch({ type: ACTIONS.USE_FREEZE_DAY }),
+    // Freeze the given dates (YYYY-MM-DD) so they bridge the streak
+    useFreezeDay: (dates) => 
+      dispatch({ type: ACTIONS.USE_FREEZE_DAY, payload: dates }),
     
     updateSettings: (settings) => 
       dispatch({ type: ACTIONS.UPDATE_SETTINGS, payload: settings }),
+
+    // Recompute every drive's day/night minutes with the current night settings
+    recomputeNightMinutes: () =>
+      dispatch({ type: ACTIONS.RECLASSIFY_DRIVES }),
     
+    // Approve or reject drives waiting for parent approval
+    reviewDrives: (driveIds, status, comment = null) =>
+      dispatch({ type: ACTIONS.REVIEW_DRIVES, payload: { driveIds, status, comment } }),
+
+    addSupervisor: (supervisor) =>
+      dispatch({ type: ACTIONS.ADD_SUPERVISOR, payload: supervisor }),
+
+    updateSupervisor: (supervisor) =>
+      dispatch({ type: ACTIONS.UPDATE_SUPERVISOR, payload: supervisor }),
+
+    deleteSupervisor: (supervisorId) =>
+      dispatch({ type: ACTIONS.DELETE_SUPERVISOR, payload: supervisorId }),
+    
+    // Move on to the next license stage, archiving the current drive log
+    advanceLicense: (date, goals) =>
+      dispatch({ type: ACTIONS.ADVANCE_LICENSE, payload: { date, ...goals } }),
+
     completeOnboarding: () => 
       dispatch({ type: ACTIONS.COMPLETE_ONBOARDING }),
     
     resetData: () => 
       dispatch({ type: ACTIONS.RESET_DATA }),
+
+    // Re-read data.json after it was replaced outside the reducer (e.g. backup restore)
+    reloadData: () =>
+      initializeData(),
+
+    switchProfile,
+
+    // Add a learner and switch to them; they start at onboarding
+    createProfile: async (name) => {
+      const profile = await addProfile(name);
+      try {
+        await switchProfile(profile.id);
+      } catch (error) {
+        // The learner was added, so list them to switch to later
+        dispatch({ type: ACTIONS.SET_PROFILES, payload: await loadProfiles() });
+        throw error;
+      }
+      return profile;
+    },
+
+    renameProfile: async (profileId, name) => {
+      const registry = await updateProfileName(profileId, name);
+      dispatch({ type: ACTIONS.SET_PROFILES, payload: registry });
+    },
+
+    // Permanently delete another learner's profile and data
+    deleteProfile: async (profileId) => {
+      const registry = await removeProfile(profileId);
+      dispatch({ type: ACTIONS.SET_PROFILES, payload: registry });
+    },
   };
 
   return (
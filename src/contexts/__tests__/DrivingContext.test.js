@@ -0,0 +1,135 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { DrivingProvider, useDriving, drivingReducer, initialState, ACTIONS } from '../DrivingContext';
+import { loadData, saveData } from '../../utils/storage';
+import { APPROVAL_STATUSES } from '../../utils/approval';
+import { NIGHT_DEFINITIONS } from '../../utils/solar';
+
+jest.mock('../../utils/storage', () => ({
+  loadData: jest.fn(),
+  saveData: jest.fn(async () => true),
+  loadProfiles: jest.fn(async () => ({
+    activeProfileId: 'default',
+    profiles: [{ id: 'default', name: 'Learner 1', createdAt: null }],
+  })),
+  setActiveProfile: jest.fn(),
+  addProfile: jest.fn(),
+  updateProfileName: jest.fn(),
+  removeProfile: jest.fn(),
+}));
+
+const TOO_NEW_MESSAGE = 'This data was saved by a newer version of Drively (data version 99.0.0, this app reads up to 1.2.0). Please update the app.';
+
+describe('LOAD_DATA', () => {
+  it('keeps the error from a failed load', () => {
+    const state = drivingReducer(initialState, {
+      type: ACTIONS.LOAD_DATA,
+      payload: { ...initialState, loading: false, error: TOO_NEW_MESSAGE },
+    });
+
+    expect(state.loading).toBe(false);
+    expect(state.error).toBe(TOO_NEW_MESSAGE);
+  });
+
+  it('clears an earlier error once data loads', () => {
+    const failed = { ...initialState, loading: false, error: TOO_NEW_MESSAGE };
+    const state = drivingReducer(failed, {
+      type: ACTIONS.LOAD_DATA,
+      payload: { user: { ...initialState.user, onboardingComplete: true }, drives: [], streaks: {}, settings: {} },
+    });
+
+    expect(state.error).toBeNull();
+    expect(state.user.onboardingComplete).toBe(true);
+  });
+});
+
+describe('DrivingProvider', () => {
+  it('reports a failed load and saves nothing over the unreadable file', async () => {
+    const error = new Error(TOO_NEW_MESSAGE);
+    loadData.mockRejectedValueOnce(error);
+    let driving;
+    const Consumer = () => {
+      driving = useDriving();
+      return null;
+    };
+
+    await act(async () => {
+      TestRenderer.create(<DrivingProvider><Consumer /></DrivingProvider>);
+    });
+
+    expect(driving.loading).toBe(false);
+    expect(driving.error).toBe(TOO_NEW_MESSAGE);
+    expect(saveData).not.toHaveBeenCalled();
+  });
+});
+
+describe('RECLASSIFY_DRIVES', () => {
+  // 19:00-21:00 is half night under a fixed 20:00-06:00 window
+  const drive = (id, status) => ({
+    id,
+    date: '2024-05-01',
+    startTime: '19:00',
+    endTime: '21:00',
+    duration: 120,
+    dayMinutes: 120,
+    nightMinutes: 0,
+    approval: { status },
+  });
+  const stateWith = (settings, drives) => ({
+    ...initialState,
+    loading: false,
+    drives,
+    settings: { ...initialState.settings, nightDefinition: NIGHT_DEFINITIONS.FIXED, nightTimeStart: '20:00', nightTimeEnd: '06:00', ...settings },
+  });
+
+  it('sends approved drives whose minutes change back for approval in parent mode', () => {
+    const state = drivingReducer(
+      stateWith({ parentApproval: true }, [drive('1', APPROVAL_STATUSES.APPROVED), drive('2', APPROVAL_STATUSES.REJECTED)]),
+      { type: ACTIONS.RECLASSIFY_DRIVES }
+    );
+
+    expect(state.drives.map(d => [d.nightMinutes, d.approval.status])).toEqual([[60, APPROVAL_STATUSES.PENDING], [60, APPROVAL_STATUSES.REJECTED]]);
+    expect(state.user.completedDayHours).toBe(0);
+    expect(state.user.completedNightHours).toBe(0);
+  });
+
+  it('keeps approved drives that are unchanged', () => {
+    const unchanged = { ...drive('1', APPROVAL_STATUSES.APPROVED), dayMinutes: 60, nightMinutes: 60 };
+    const state = drivingReducer(stateWith({ parentApproval: true }, [unchanged]), { type: ACTIONS.RECLASSIFY_DRIVES });
+
+    expect(state.drives[0].approval.status).toBe(APPROVAL_STATUSES.APPROVED);
+    expect(state.user.completedNightHours).toBe(1);
+  });
+
+  it('counts the new minutes straight away without parent approval', () => {
+    const state = drivingReducer(stateWith({ parentApproval: false }, [drive('1', APPROVAL_STATUSES.APPROVED)]), {
+      type: ACTIONS.RECLASSIFY_DRIVES,
+    });
+
+    expect(state.drives[0].approval.status).toBe(APPROVAL_STATUSES.APPROVED);
+    expect(state.user.completedNightHours).toBe(1);
+  });
+});
+
+describe('ADD_DRIVE', () => {
+  const drive = (id, date) => ({
+    id,
+    date,
+    startTime: '10:00',
+    endTime: '11:00',
+    duration: 60,
+    dayMinutes: 60,
+    nightMinutes: 0,
+  });
+  const addDrive = (state, payload) => drivingReducer(state, { type: ACTIONS.ADD_DRIVE, payload });
+
+  it('keeps the latest drive date when an older drive is logged', () => {
+    const first = addDrive({ ...initialState, loading: false }, drive('1', '2024-05-10'));
+    expect(first.streaks.lastDriveDate).toBe('2024-05-10');
+
+    const backfilled = addDrive(first, drive('2', '2024-05-03'));
+    expect(backfilled.streaks.lastDriveDate).toBe('2024-05-10');
+
+    expect(addDrive(backfilled, drive('3', '2024-05-12')).streaks.lastDriveDate).toBe('2024-05-12');
+  });
+});
@@ -10,8 +10,13 @@ import OnboardingScreen from '../screens/OnboardingScreen';
 import DashboardScreen from '../screens/DashboardScreen';
 import LogDriveScreen from '../screens/LogDriveScreen';
 import DriveHistoryScreen from '../screens/DriveHistoryScreen';
+import StatisticsScreen from '../screens/StatisticsScreen';
 import ExportScreen from '../screens/ExportScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import EditDriveScreen from '../screens/EditDriveScreen';
+import DriveDetailScreen from '../screens/DriveDetailScreen';
+import ApprovalScreen from '../screens/ApprovalScreen';
+import LicenseProgressScreen from '../screens/LicenseProgressScreen';
 
 // Context
 import { useDriving } from '../contexts/DrivingContext';
@@ -62,6 +67,9 @@ function MainTabs() {
             case 'DriveHistory':
               iconName = '📝';
               break;
+            case 'Statistics':
+              iconName = '📊';
+              break;
             case 'Settings':
               iconName = '⚙️';
               break;
@@ -136,6 +144,15 @@ function MainTabs() {
           headerShown: false,
         }}
       />
+      <Tab.Screen 
+        name="Statistics" 
+        component={StatisticsScreen}
+        options={{
+          title: 'Statistics',
+          tabBarLabel: 'Stats',
+          headerShown: false,
+        }}
+      />
       <Tab.Screen 
         name="Settings" 
         component={SettingsScreen}
@@ -150,7 +167,7 @@ function MainTabs() {
 
 // Main app navigator
 function AppNavigator() {
-  const { user, loading } = useDriving();
+  const { user, loading, error } = useDriving();
   const { theme } = useTheme();
 
   if (loading) {
@@ -158,6 +175,22 @@ function AppNavigator() {
     return null;
   }
 
+  if (error) {
+    // Data could not be loaded (e.g. written by a newer app version) - don't
+    // let the user continue into onboarding over the top of it
+    return (
+      <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', padding: 32, backgroundColor: theme.colors.background }}>
+        <Text style={{ fontSize: 48, marginBottom: 16 }}>⚠️</Text>
+        <Text style={{ fontSize: 20, fontWeight: '700', color: theme.colors.text.primary, marginBottom: 12, textAlign: 'center' }}>
+          Unable to load your driving log
+        </Text>
+        <Text style={{ fontSize: 15, color: theme.colors.text.secondary, textAlign: 'center', lineHeight: 22 }}>
+          {error}
+        </Text>
+      </View>
+    );
+  }
+
   // Navigation state change handler for logging
   const handleNavigationStateChange = (state) => {
     if (state) {
@@ -208,6 +241,40 @@ function AppNavigator() {
                 headerShown: false,
               }}
             />
+            <Stack.Screen 
+              name="DriveDetail" 
+              component={DriveDetailScreen}
+              options={{ 
+                title: 'Drive Details',
+                headerShown: false,
+              }}
+            />
+            <Stack.Screen 
+              name="EditDrive" 
+              component={EditDriveScreen}
+              options={{ 
+                title: 'Edit Drive',
+                headerShown: false,
+              }}
+            />
+            <Stack.Screen 
+              name="Approval" 
+              component={ApprovalScreen}
+              options={{ 
+                title: 'Drive Approval',
+                presentation: 'modal',
+                headerShown: false,
+              }}
+            />
+            <Stack.Screen 
+              name="LicenseProgress" 
+              component={LicenseProgressScreen}
+              options={{ 
+                title: 'License Progress',
+                presentation: 'modal',
+                headerShown: false,
+              }}
+            />
           </>
         )}
       </Stack.Navigator>
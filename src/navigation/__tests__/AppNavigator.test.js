@@ -0,0 +1,46 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import AppNavigator from '../AppNavigator';
+import { useDriving } from '../../contexts/DrivingContext';
+
+jest.mock('../../contexts/DrivingContext', () => ({ useDriving: jest.fn() }));
+jest.mock('../../contexts/ThemeContext', () => ({
+  useTheme: () => ({
+    theme: {
+      colors: { background: '#fff', text: { primary: '#000', secondary: '#666' } },
+    },
+  }),
+}));
+
+// The screens aren't rendered on the error path; stubs keep their native modules out
+jest.mock('../../screens/OnboardingScreen', () => () => null);
+jest.mock('../../screens/DashboardScreen', () => () => null);
+jest.mock('../../screens/LogDriveScreen', () => () => null);
+jest.mock('../../screens/DriveHistoryScreen', () => () => null);
+jest.mock('../../screens/StatisticsScreen', () => () => null);
+jest.mock('../../screens/ExportScreen', () => () => null);
+jest.mock('../../screens/SettingsScreen', () => () => null);
+jest.mock('../../screens/EditDriveScreen', () => () => null);
+jest.mock('../../screens/DriveDetailScreen', () => () => null);
+jest.mock('../../screens/ApprovalScreen', () => () => null);
+jest.mock('../../screens/LicenseProgressScreen', () => () => null);
+
+describe('AppNavigator', () => {
+  it('shows a failed load instead of onboarding', () => {
+    useDriving.mockReturnValue({
+      user: { onboardingComplete: false },
+      loading: false,
+      error: 'Please update the app.',
+    });
+
+    let renderer;
+    act(() => {
+      renderer = TestRenderer.create(<AppNavigator />);
+    });
+    const texts = renderer.root.findAllByType('Text').map(node => node.props.children);
+
+    expect(texts).toContain('Unable to load your driving log');
+    expect(texts).toContain('Please update the app.');
+    expect(renderer.root.findAllByProps({ name: 'Onboarding' })).toHaveLength(0);
+  });
+});
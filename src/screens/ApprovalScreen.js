@@ -0,0 +1,280 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SafeAreaView,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { useDriving } from '../contexts/DrivingContext';
+import { useTheme } from '../contexts/ThemeContext';
+import PinModal from '../components/PinModal';
+import {
+  formatDateForDisplay,
+  formatTimeForDisplay,
+  formatDuration,
+} from '../utils/time';
+import { getDriveMinutes } from '../utils/drives';
+import { APPROVAL_STATUSES, getApprovalStatus } from '../utils/approval';
+import { hasSignature, needsSignature } from '../utils/signature';
+import { RESTRICTION_LABELS, hasRestrictionViolations } from '../utils/restrictions';
+import { logUserAction } from '../utils/logger';
+
+export default function ApprovalScreen({ navigation }) {
+  const { drives, settings, reviewDrives } = useDriving();
+  const { theme } = useTheme();
+  const [unlocked, setUnlocked] = useState(false);
+  const [comments, setComments] = useState({});
+
+  const byNewest = (a, b) => `${b.date} ${b.startTime}`.localeCompare(`${a.date} ${a.startTime}`);
+  const pendingDrives = drives.filter(drive => getApprovalStatus(drive) === APPROVAL_STATUSES.PENDING).sort(byNewest);
+  const rejectedDrives = drives.filter(drive => getApprovalStatus(drive) === APPROVAL_STATUSES.REJECTED).sort(byNewest);
+
+  const handleReview = (drive, status) => {
+    const comment = (comments[drive.id] || '').trim();
+    reviewDrives([drive.id], status, comment);
+    setComments(prev => ({ ...prev, [drive.id]: '' }));
+    logUserAction('review_drive', 'APPROVAL', { driveId: drive.id, status, hasComment: !!comment });
+  };
+
+  const handleReject = (drive) => {
+    Alert.alert(
+      'Reject Drive',
+      `The drive from ${formatDateForDisplay(drive.date)} won't count toward the required hours. You can still approve it later.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reject', style: 'destructive', onPress: () => handleReview(drive, APPROVAL_STATUSES.REJECTED) },
+      ]
+    );
+  };
+
+  const handleApproveAll = () => {
+    Alert.alert(
+      'Approve All',
+      `Approve all ${pendingDrives.length} pending drives? Comments typed below are not saved.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Approve All',
+          onPress: () => {
+            reviewDrives(pendingDrives.map(drive => drive.id), APPROVAL_STATUSES.APPROVED);
+            setComments({});
+            logUserAction('approve_all_drives', 'APPROVAL', { count: pendingDrives.length });
+          },
+        },
+      ]
+    );
+  };
+
+  const renderDriveCard = (drive) => {
+    const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+    const status = getApprovalStatus(drive);
+
+    return (
+      <View
+        key={drive.id}
+        style={[styles.driveCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}
+      >
+        <TouchableOpacity onPress={() => navigation.navigate('DriveDetail', { driveId: drive.id })}>
+          <View style={styles.driveHeader}>
+            <Text style={[styles.driveDate, { color: theme.colors.text.primary }]}>
+              {formatDateForDisplay(drive.date)}
+              {drive.isNightDrive && ' 🌙'}
+            </Text>
+            <Text style={[styles.driveDuration, { color: theme.colors.primary }]}>{formatDuration(drive.duration)}</Text>
+          </View>
+          <Text style={[styles.detailText, { color: theme.colors.text.secondary }]}>
+            {formatTimeForDisplay(drive.startTime)} - {formatTimeForDisplay(drive.endTime)} • {formatDuration(dayMinutes)} day • {formatDuration(nightMinutes)} night
+          </Text>
+          {drive.supervisorName && (
+            <Text style={[styles.detailText, { color: theme.colors.text.secondary }]}>
+              Supervisor: {drive.supervisorName}
+              {needsSignature(drive) && !hasSignature(drive) && ' (unsigned)'}
+            </Text>
+          )}
+          {hasRestrictionViolations(drive) && (
+            <Text style={[styles.detailText, { color: theme.colors.error }]}>
+              🚫 Broke {drive.restrictionViolations.map(violation => RESTRICTION_LABELS[violation.type].toLowerCase()).join(', ')} rule{drive.restrictionViolations.length !== 1 ? 's' : ''}
+            </Text>
+          )}
+          {drive.isManualEntry && (
+            <Text style={[styles.detailText, { color: theme.colors.warning }]}>✍️ Manually entered</Text>
+          )}
+          {drive.approval?.comment && (
+            <Text style={[styles.detailText, { color: theme.colors.text.secondary }]}>💬 {drive.approval.comment}</Text>
+          )}
+        </TouchableOpacity>
+
+        <TextInput
+          style={[styles.commentInput, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light, color: theme.colors.text.primary }]}
+          value={comments[drive.id] || ''}
+          onChangeText={(text) => setComments(prev => ({ ...prev, [drive.id]: text }))}
+          placeholder="Comment (optional)"
+          placeholderTextColor={theme.colors.text.light}
+          maxLength={200}
+        />
+
+        <View style={styles.actions}>
+          {status === APPROVAL_STATUSES.PENDING && (
+            <TouchableOpacity
+              style={[styles.actionButton, { backgroundColor: theme.colors.error + '20', borderColor: theme.colors.error }]}
+              onPress={() => handleReject(drive)}
+            >
+              <Text style={[styles.actionText, { color: theme.colors.error }]}>Reject</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={[styles.actionButton, { backgroundColor: theme.colors.success + '20', borderColor: theme.colors.success }]}
+            onPress={() => handleReview(drive, APPROVAL_STATUSES.APPROVED)}
+          >
+            <Text style={[styles.actionText, { color: theme.colors.success }]}>Approve</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <View style={[styles.header, { backgroundColor: theme.colors.surface }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={[styles.headerButton, { color: theme.colors.text.secondary }]}>Done</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, { color: theme.colors.text.primary }]}>Drive Approval</Text>
+        <TouchableOpacity onPress={handleApproveAll} disabled={!unlocked || pendingDrives.length === 0}>
+          <Text style={[
+            styles.headerButton,
+            { color: unlocked && pendingDrives.length > 0 ? theme.colors.primary : theme.colors.text.light, fontWeight: '600' },
+          ]}>
+            Approve All
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {unlocked && (
+        <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+            ⏳ Awaiting Approval ({pendingDrives.length})
+          </Text>
+          {pendingDrives.length === 0 ? (
+            <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>
+              No drives are waiting for approval.
+            </Text>
+          ) : (
+            pendingDrives.map(renderDriveCard)
+          )}
+
+          {rejectedDrives.length > 0 && (
+            <>
+              <Text style={[styles.sectionTitle, styles.sectionTitleSpaced, { color: theme.colors.text.primary }]}>
+                ❌ Rejected ({rejectedDrives.length})
+              </Text>
+              {rejectedDrives.map(renderDriveCard)}
+            </>
+          )}
+        </ScrollView>
+      )}
+
+      <PinModal
+        visible={!unlocked}
+        title="Parent Approval"
+        message="Enter the parent PIN to review logged drives."
+        pinHash={settings.parentPinHash}
+        onSuccess={() => setUnlocked(true)}
+        onClose={() => navigation.goBack()}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 24,
+    paddingBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    letterSpacing: -0.3,
+  },
+  headerButton: {
+    fontSize: 16,
+  },
+  scrollContent: {
+    padding: 24,
+    paddingBottom: 120,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  sectionTitleSpaced: {
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 15,
+    marginBottom: 16,
+  },
+  driveCard: {
+    padding: 20,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginBottom: 16,
+  },
+  driveHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  driveDate: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  driveDuration: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  detailText: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  commentInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 14,
+    marginTop: 12,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   View,
   Text,
@@ -10,19 +10,83 @@ import {
 } from 'react-native';
 import { useDriving } from '../contexts/DrivingContext';
 import { useTheme } from '../contexts/ThemeContext';
-import { formatDuration, minutesToHours } from '../utils/time';
-import { canUseFreezeDay, shouldSuggestFreezeDay } from '../utils/streaks';
+import { formatDuration, minutesToHours, formatTimeForDisplay, formatDateForDisplay } from '../utils/time';
+import {
+  shouldSuggestFreezeDay,
+  calculateCurrentStreak,
+  getLastActiveDate,
+  getMissedStreakDates,
+} from '../utils/streaks';
+import { loadActiveDrive, clearActiveDrive } from '../utils/storage';
+import { calculateTotalDistance, formatDistance } from '../utils/route';
+import { getDriveMinutes } from '../utils/drives';
+import { APPROVAL_STATUSES, APPROVAL_LABELS, getApprovalStatus } from '../utils/approval';
+import { getJurisdiction } from '../utils/jurisdictions';
+import { getGoalCategories, calculateCategoryProgress } from '../utils/categories';
+import {
+  calculateRoadTestEligibility,
+  describeBlockingFactor,
+  describeFactorStatus,
+} from '../utils/eligibility';
+import { getArchivedDrives } from '../utils/license';
+import { getActiveProfile } from '../utils/profiles';
+import StreakCalendar from '../components/StreakCalendar';
+import ProfileSwitcherModal from '../components/ProfileSwitcherModal';
+import { logUserAction } from '../utils/logger';
 
 export default function DashboardScreen({ navigation }) {
   const { 
     user, 
     drives, 
+    supervisors,
+    archives,
     streaks, 
+    settings,
     useFreezeDay,
+    profiles,
+    activeProfileId,
     loading 
   } = useDriving();
 
   const { theme } = useTheme();
+  const [showProfiles, setShowProfiles] = useState(false);
+  const activeProfile = getActiveProfile(profiles, activeProfileId);
+
+  // Offer to pick up a drive that was still running when the app was closed
+  useEffect(() => {
+    const checkActiveDrive = async () => {
+      const session = await loadActiveDrive();
+      if (!session) {
+        return;
+      }
+
+      const stopped = session.stoppedElapsedTime !== null && session.stoppedElapsedTime !== undefined;
+      Alert.alert(
+        stopped ? 'Unsaved Drive' : 'Drive in Progress',
+        `${stopped ? 'You stopped a drive' : 'You have a drive'} that started at ${formatTimeForDisplay(session.startTime)} on ${formatDateForDisplay(session.date)}${stopped ? ' but didn\'t save it' : ''}.`,
+        [
+          {
+            text: 'Discard',
+            style: 'destructive',
+            onPress: () => {
+              logUserAction('discard_active_drive', 'DASHBOARD');
+              clearActiveDrive();
+            },
+          },
+          ...(!stopped ? [{
+            text: 'Finish',
+            onPress: () => navigation.navigate('LogDrive', { activeDriveAction: 'finish' }),
+          }] : []),
+          {
+            text: stopped ? 'Save' : 'Resume',
+            onPress: () => navigation.navigate('LogDrive'),
+          },
+        ]
+      );
+    };
+
+    checkActiveDrive();
+  }, []);
 
   if (loading) {
     return (
@@ -34,10 +98,48 @@ export default function DashboardScreen({ navigation }) {
     );
   }
 
-  const dayProgress = (user.completedDayHours / user.goalDayHours) * 100;
-  const nightProgress = user.goalNightHours > 0 ? (user.completedNightHours / user.goalNightHours) * 100 : 100;
   const totalProgress = ((user.completedDayHours + user.completedNightHours) / (user.goalDayHours + user.goalNightHours)) * 100;
 
+  const totalDistance = calculateTotalDistance(drives);
+
+  // One progress bar per goal category, day and night first
+  const categoryProgress = calculateCategoryProgress(drives, getGoalCategories(user), supervisors);
+  const categoryColors = {
+    day: theme.colors.warning || '#f59e0b',
+    night: theme.colors.secondary || '#6366f1',
+  };
+
+  // Drives waiting for a parent, and the hours they'll add once approved
+  const pendingDrives = drives.filter(drive => getApprovalStatus(drive) === APPROVAL_STATUSES.PENDING);
+  const rejectedCount = drives.filter(drive => getApprovalStatus(drive) === APPROVAL_STATUSES.REJECTED).length;
+  const pendingMinutes = pendingDrives.reduce((sum, drive) => {
+    const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+    return sum + dayMinutes + nightMinutes;
+  }, 0);
+  const approvalColors = {
+    pending: theme.colors.warning,
+    approved: theme.colors.success,
+    rejected: theme.colors.error,
+  };
+
+  // Earliest road test date, only relevant while on a learner's permit
+  const jurisdiction = getJurisdiction(user.jurisdiction);
+  const eligibility = user.licenseType === 'learners'
+    ? calculateRoadTestEligibility({
+        user,
+        drives,
+        jurisdiction,
+        completedHours: { dayHours: user.completedDayHours, nightHours: user.completedNightHours },
+        categoryProgress,
+        supervisors,
+      })
+    : null;
+  const eligibilityHint = !jurisdiction
+    ? 'Choose your state or province in Settings to include the permit holding period and minimum age.'
+    : eligibility?.missing.length > 0
+      ? `Add your ${eligibility.missing.map(field => (field === 'birthDate' ? 'birthdate' : 'permit issue date')).join(' and ')} in Settings to include ${eligibility.missing.length > 1 ? 'them' : 'it'}.`
+      : null;
+
   const recentDrives = drives
     .slice(-3)
     .reverse()
@@ -46,11 +148,20 @@ export default function DashboardScreen({ navigation }) {
       durationText: formatDuration(drive.duration),
     }));
 
+  // Missed days since the last drive or freeze day, and the streak freezing them would keep
+  // Archived stages count too, so the streak carries over when the license changes
+  const streakDrives = [...getArchivedDrives(archives), ...drives];
+  const frozenDates = streaks.frozenDates || [];
+  const maxFreezeDays = settings.maxFreezeDaysPerMonth;
+  const freezeDaysLeft = Math.max(0, maxFreezeDays - streaks.freezeDaysThisMonth);
+  const missedDates = getMissedStreakDates(streakDrives, frozenDates);
+  const preservableStreak = calculateCurrentStreak(streakDrives, [...frozenDates, ...missedDates]);
+
   const handleFreezeDay = () => {
-    if (!canUseFreezeDay(streaks.freezeDaysThisMonth)) {
+    if (missedDates.length > freezeDaysLeft) {
       Alert.alert(
-        'Freeze Days Exhausted',
-        'You\'ve used all your freeze days for this month. Freeze days reset monthly.',
+        'Not Enough Freeze Days',
+        `You missed ${missedDates.length} day${missedDates.length !== 1 ? 's' : ''} but have ${freezeDaysLeft} freeze day${freezeDaysLeft !== 1 ? 's' : ''} left this month. Freeze days reset monthly.`,
         [{ text: 'OK' }]
       );
       return;
@@ -58,13 +169,14 @@ export default function DashboardScreen({ navigation }) {
 
     Alert.alert(
       'Use Freeze Day?',
-      `This will preserve your ${streaks.current}-day streak. You have ${10 - streaks.freezeDaysThisMonth} freeze days left this month.`,
+      `This will use ${missedDates.length} freeze day${missedDates.length !== 1 ? 's' : ''} to cover ${missedDates.map(date => formatDateForDisplay(date)).join(', ')} and preserve your ${preservableStreak}-day streak. You have ${freezeDaysLeft} freeze day${freezeDaysLeft !== 1 ? 's' : ''} left this month.`,
       [
         { text: 'Cancel', style: 'cancel' },
         { 
           text: 'Use Freeze Day', 
           onPress: () => {
-            useFreezeDay();
+            useFreezeDay(missedDates);
+            logUserAction('use_freeze_day', 'DASHBOARD', { dates: missedDates });
             Alert.alert('Streak Preserved!', 'Your streak has been preserved with a freeze day.');
           }
         }
@@ -72,9 +184,10 @@ export default function DashboardScreen({ navigation }) {
     );
   };
 
-  const shouldShowFreezePrompt = shouldSuggestFreezeDay(
-    streaks.lastDriveDate, 
-    streaks.freezeDaysThisMonth
+  const shouldShowFreezePrompt = preservableStreak > 0 && shouldSuggestFreezeDay(
+    getLastActiveDate(streakDrives, frozenDates),
+    streaks.freezeDaysThisMonth,
+    maxFreezeDays
   );
 
   return (
@@ -82,8 +195,20 @@ export default function DashboardScreen({ navigation }) {
       <ScrollView contentContainerStyle={styles.scrollContent}>
         {/* Header */}
         <View style={styles.header}>
-          <Text style={[styles.greeting, { color: theme.colors.text.primary }]}>Good {getTimeOfDay()}! 👋</Text>
-          <Text style={[styles.subtitle, { color: theme.colors.text.secondary }]}>Ready to log some driving time?</Text>
+          <View style={styles.headerText}>
+            <Text style={[styles.greeting, { color: theme.colors.text.primary }]}>
+              Good {getTimeOfDay()}{profiles.length > 1 && activeProfile ? `, ${activeProfile.name}` : ''}! 👋
+            </Text>
+            <Text style={[styles.subtitle, { color: theme.colors.text.secondary }]}>Ready to log some driving time?</Text>
+          </View>
+          <TouchableOpacity
+            style={[styles.profileChip, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}
+            onPress={() => setShowProfiles(true)}
+          >
+            <Text style={[styles.profileChipText, { color: theme.colors.text.primary }]} numberOfLines={1}>
+              👤 {profiles.length > 1 && activeProfile ? activeProfile.name : 'Learners'} ▾
+            </Text>
+          </TouchableOpacity>
         </View>
 
         {/* Freeze Day Prompt */}
@@ -91,7 +216,7 @@ export default function DashboardScreen({ navigation }) {
           <View style={[styles.freezePrompt, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
             <Text style={[styles.freezeTitle, { color: theme.colors.text.primary }]}>🧊 Preserve Your Streak</Text>
             <Text style={[styles.freezeText, { color: theme.colors.text.secondary }]}>
-              Haven't driven in a while? Use a freeze day to preserve your {streaks.current}-day streak!
+              Haven't driven in a while? Use a freeze day to preserve your {preservableStreak}-day streak!
             </Text>
             <TouchableOpacity style={[styles.freezeButton, { backgroundColor: theme.colors.secondary || '#3b82f6' }]} onPress={handleFreezeDay}>
               <Text style={[styles.freezeButtonText, { color: theme.colors.text.inverse }]}>Use Freeze Day</Text>
@@ -99,6 +224,29 @@ export default function DashboardScreen({ navigation }) {
           </View>
         )}
 
+        {/* Parent Approval */}
+        {(pendingDrives.length > 0 || rejectedCount > 0) && (
+          <View style={[styles.approvalPrompt, { backgroundColor: theme.colors.surface, borderColor: theme.colors.warning }]}>
+            <Text style={[styles.freezeTitle, { color: theme.colors.text.primary }]}>
+              {pendingDrives.length > 0
+                ? `⏳ ${pendingDrives.length} drive${pendingDrives.length !== 1 ? 's' : ''} awaiting approval`
+                : `❌ ${rejectedCount} rejected drive${rejectedCount !== 1 ? 's' : ''}`}
+            </Text>
+            <Text style={[styles.freezeText, { color: theme.colors.text.secondary }]}>
+              {pendingDrives.length > 0
+                ? `${minutesToHours(pendingMinutes)} hours will count toward your goal once a parent approves ${pendingDrives.length !== 1 ? 'them' : 'it'}.`
+                : 'Rejected drives don\'t count toward your goal.'}
+              {pendingDrives.length > 0 && rejectedCount > 0 && ` ${rejectedCount} rejected.`}
+            </Text>
+            <TouchableOpacity
+              style={[styles.freezeButton, { backgroundColor: theme.colors.warning }]}
+              onPress={() => navigation.navigate('Approval')}
+            >
+              <Text style={[styles.freezeButtonText, { color: theme.colors.text.inverse }]}>Parent Review</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Quick Actions */}
         <View style={styles.quickActions}>
           <TouchableOpacity 
@@ -134,35 +282,84 @@ export default function DashboardScreen({ navigation }) {
             <Text style={[styles.progressText, { color: theme.colors.text.secondary }]}>
               {minutesToHours((user.completedDayHours + user.completedNightHours) * 60)} / {user.goalDayHours + user.goalNightHours} hours
             </Text>
+            {totalDistance > 0 && (
+              <Text style={[styles.progressText, { color: theme.colors.text.secondary }]}>
+                📏 {formatDistance(totalDistance, settings.temperatureUnit)} driven
+              </Text>
+            )}
           </View>
 
-          {/* Day Hours */}
-          <View style={[styles.progressCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
-            <View style={styles.progressHeader}>
-              <Text style={[styles.progressTitle, { color: theme.colors.text.primary }]}>☀️ Day Driving</Text>
-              <Text style={[styles.progressPercent, { color: theme.colors.text.primary }]}>{Math.round(dayProgress)}%</Text>
-            </View>
-            <View style={[styles.progressBarContainer, { backgroundColor: theme.colors.border.light }]}>
-              <View style={[styles.progressBar, { width: `${Math.min(dayProgress, 100)}%`, backgroundColor: theme.colors.warning || '#f59e0b' }]} />
-            </View>
-            <Text style={[styles.progressText, { color: theme.colors.text.secondary }]}>
-              {user.completedDayHours.toFixed(1)} / {user.goalDayHours} hours
-            </Text>
-          </View>
+          {/* Goal Categories */}
+          {categoryProgress.map(category => {
+            const progress = category.hours > 0 ? (category.completedHours / category.hours) * 100 : 100;
+            return (
+              <View key={category.id} style={[styles.progressCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+                <View style={styles.progressHeader}>
+                  <Text style={[styles.progressTitle, { color: theme.colors.text.primary }]}>{category.icon} {category.label}</Text>
+                  <Text style={[styles.progressPercent, { color: theme.colors.text.primary }]}>{Math.round(progress)}%</Text>
+                </View>
+                <View style={[styles.progressBarContainer, { backgroundColor: theme.colors.border.light }]}>
+                  <View style={[styles.progressBar, { width: `${Math.min(progress, 100)}%`, backgroundColor: categoryColors[category.id] || theme.colors.success }]} />
+                </View>
+                <Text style={[styles.progressText, { color: theme.colors.text.secondary }]}>
+                  {category.completedHours.toFixed(1)} / {category.hours} hours
+                </Text>
+              </View>
+            );
+          })}
 
-          {/* Night Hours */}
-          {user.goalNightHours > 0 && (
+          {/* Road Test Eligibility */}
+          {eligibility && (
             <View style={[styles.progressCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
               <View style={styles.progressHeader}>
-                <Text style={[styles.progressTitle, { color: theme.colors.text.primary }]}>🌙 Night Driving</Text>
-                <Text style={[styles.progressPercent, { color: theme.colors.text.primary }]}>{Math.round(nightProgress)}%</Text>
-              </View>
-              <View style={[styles.progressBarContainer, { backgroundColor: theme.colors.border.light }]}>
-                <View style={[styles.progressBar, { width: `${Math.min(nightProgress, 100)}%`, backgroundColor: theme.colors.secondary || '#6366f1' }]} />
+                <Text style={[styles.progressTitle, { color: theme.colors.text.primary }]}>🎯 Road Test</Text>
+                <Text style={[styles.eligibilityDate, { color: eligibility.eligibleNow ? theme.colors.success : theme.colors.primary }]}>
+                  {eligibility.eligibleNow
+                    ? 'Eligible now'
+                    : eligibility.date ? formatDateForDisplay(eligibility.date) : 'Not yet known'}
+                </Text>
               </View>
-              <Text style={[styles.progressText, { color: theme.colors.text.secondary }]}>
-                {user.completedNightHours.toFixed(1)} / {user.goalNightHours} hours
-              </Text>
+              {eligibility.blocking && (
+                <View style={[styles.blockingFactor, { backgroundColor: theme.colors.warning + '20', borderColor: theme.colors.warning }]}>
+                  <Text style={[styles.blockingFactorText, { color: theme.colors.text.primary }]}>
+                    ⏳ {describeBlockingFactor(eligibility.blocking)}
+                  </Text>
+                </View>
+              )}
+              {eligibility.factors.map(factor => (
+                <View key={factor.id} style={styles.eligibilityRow}>
+                  <Text style={[styles.eligibilityLabel, { color: theme.colors.text.secondary }]}>
+                    {factor.met ? '✅' : '•'} {factor.label}
+                  </Text>
+                  <Text style={[
+                    styles.eligibilityValue,
+                    { color: factor === eligibility.blocking ? theme.colors.warning : theme.colors.text.primary },
+                  ]}>
+                    {describeFactorStatus(factor)}
+                  </Text>
+                </View>
+              ))}
+              {eligibility.personalGoal && (
+                <View style={[styles.eligibilityRow, styles.personalGoalRow, { borderTopColor: theme.colors.border.light }]}>
+                  <Text style={[styles.eligibilityLabel, { color: theme.colors.text.secondary }]}>
+                    {eligibility.personalGoal.met ? '✅' : '🏁'} {eligibility.personalGoal.label}
+                  </Text>
+                  <Text style={[styles.eligibilityValue, { color: theme.colors.text.primary }]}>
+                    {describeFactorStatus(eligibility.personalGoal)}
+                  </Text>
+                </View>
+              )}
+              {eligibilityHint && (
+                <Text style={[styles.eligibilityHint, { color: theme.colors.text.secondary }]}>{eligibilityHint}</Text>
+              )}
+              {eligibility.eligibleNow && (
+                <TouchableOpacity
+                  style={[styles.licenseButton, { backgroundColor: theme.colors.success }]}
+                  onPress={() => navigation.navigate('LicenseProgress')}
+                >
+                  <Text style={[styles.licenseButtonText, { color: theme.colors.text.inverse }]}>🎉 I Got My License</Text>
+                </TouchableOpacity>
+              )}
             </View>
           )}
         </View>
@@ -185,11 +382,13 @@ export default function DashboardScreen({ navigation }) {
             </View>
             
             <View style={[styles.streakCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
-              <Text style={[styles.streakNumber, { color: theme.colors.primary }]}>{10 - streaks.freezeDaysThisMonth}</Text>
+              <Text style={[styles.streakNumber, { color: theme.colors.primary }]}>{freezeDaysLeft}</Text>
               <Text style={[styles.streakLabel, { color: theme.colors.text.primary }]}>Freeze Days</Text>
               <Text style={[styles.streakSubtext, { color: theme.colors.text.secondary }]}>🧊 remaining</Text>
             </View>
           </View>
+
+          <StreakCalendar drives={streakDrives} frozenDates={frozenDates} />
         </View>
 
         {/* Recent Drives */}
@@ -220,11 +419,18 @@ export default function DashboardScreen({ navigation }) {
                 {drive.skills && (
                   <Text style={[styles.driveSkills, { color: theme.colors.text.secondary }]}>Skills: {drive.skills}</Text>
                 )}
+                {drive.approval && (
+                  <Text style={[styles.driveSkills, { color: approvalColors[getApprovalStatus(drive)] }]}>
+                    {APPROVAL_LABELS[getApprovalStatus(drive)]}
+                  </Text>
+                )}
               </View>
             ))
           )}
         </View>
       </ScrollView>
+
+      <ProfileSwitcherModal visible={showProfiles} onClose={() => setShowProfiles(false)} />
     </SafeAreaView>
   );
 }
@@ -254,9 +460,27 @@ const styles = StyleSheet.create({
     paddingBottom: 120,
   },
   header: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
     marginBottom: 32,
     paddingTop: 8,
   },
+  headerText: {
+    flex: 1,
+  },
+  profileChip: {
+    maxWidth: 140,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 20,
+    borderWidth: 1,
+    marginLeft: 12,
+    marginTop: 4,
+  },
+  profileChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   greeting: {
     fontSize: 28,
     fontWeight: '700',
@@ -277,6 +501,12 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 3,
   },
+  approvalPrompt: {
+    padding: 20,
+    borderRadius: 16,
+    marginBottom: 28,
+    borderWidth: 1,
+  },
   freezeTitle: {
     fontSize: 18,
     fontWeight: '600',
@@ -406,6 +636,52 @@ const styles = StyleSheet.create({
     fontSize: 15,
     fontWeight: '500',
   },
+  eligibilityDate: {
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  blockingFactor: {
+    borderWidth: 1,
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 12,
+  },
+  blockingFactorText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  eligibilityRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  personalGoalRow: {
+    borderTopWidth: 1,
+    marginTop: 6,
+    paddingTop: 8,
+  },
+  eligibilityLabel: {
+    fontSize: 14,
+  },
+  eligibilityValue: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  eligibilityHint: {
+    fontSize: 13,
+    marginTop: 8,
+    lineHeight: 18,
+  },
+  licenseButton: {
+    paddingVertical: 12,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  licenseButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
   streakSection: {
     marginBottom: 32,
   },
@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SafeAreaView,
+  ScrollView,
+} from 'react-native';
+import { useDriving } from '../contexts/DrivingContext';
+import { useTheme } from '../contexts/ThemeContext';
+import RouteMap from '../components/RouteMap';
+import SignatureView from '../components/SignatureView';
+import SignatureModal from '../components/SignatureModal';
+import {
+  formatDateForDisplay,
+  formatTimeForDisplay,
+  formatDuration,
+} from '../utils/time';
+import { getDriveMinutes, formatPassengers } from '../utils/drives';
+import { formatDistance, formatSpeed } from '../utils/route';
+import { hasSignature, needsSignature } from '../utils/signature';
+import { APPROVAL_STATUSES, APPROVAL_LABELS, getApprovalStatus } from '../utils/approval';
+import { LICENSE_STAGE_LABELS } from '../utils/license';
+import { RESTRICTION_LABELS, hasRestrictionViolations } from '../utils/restrictions';
+import { logUserAction } from '../utils/logger';
+
+export default function DriveDetailScreen({ navigation, route }) {
+  const { drives, archives, settings, updateDrive } = useDriving();
+  const { theme } = useTheme();
+  const [showSignaturePad, setShowSignaturePad] = useState(false);
+
+  // Drives from an earlier license stage are looked up in their archive and shown read-only
+  const archive = route.params?.archiveId
+    ? archives.find(a => a.id === route.params.archiveId)
+    : null;
+  const drive = (archive ? archive.drives : drives).find(d => d.id === route.params?.driveId);
+
+  if (!drive) {
+    return (
+      <SafeAreaView style={[styles.container, styles.missingContainer, { backgroundColor: theme.colors.background }]}>
+        <Text style={[styles.missingText, { color: theme.colors.text.secondary }]}>This drive no longer exists.</Text>
+        <TouchableOpacity
+          style={[styles.backButton, { backgroundColor: theme.colors.primary }]}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={[styles.backButtonText, { color: theme.colors.text.inverse }]}>Go Back</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+  const units = settings.temperatureUnit;
+
+  const renderRow = (label, value) => (
+    <View style={styles.row} key={label}>
+      <Text style={[styles.rowLabel, { color: theme.colors.text.secondary }]}>{label}</Text>
+      <Text style={[styles.rowValue, { color: theme.colors.text.primary }]}>{value}</Text>
+    </View>
+  );
+
+  // Drives logged without a signature can still be signed afterwards
+  const handleSaveSignature = (signature) => {
+    updateDrive({ ...drive, signature });
+    setShowSignaturePad(false);
+    logUserAction('sign_drive_later', 'DRIVE_HISTORY', { driveId: drive.id });
+  };
+
+  const approvalColors = {
+    pending: theme.colors.warning,
+    approved: theme.colors.success,
+    rejected: theme.colors.error,
+  };
+
+  const sectionStyle = [styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }];
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <View style={[styles.header, { backgroundColor: theme.colors.surface }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={[styles.headerButton, { color: theme.colors.text.secondary }]}>Back</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, { color: theme.colors.text.primary }]}>Drive Details</Text>
+        {archive ? (
+          <View style={styles.headerSpacer} />
+        ) : (
+          <TouchableOpacity onPress={() => navigation.navigate('EditDrive', { driveId: drive.id })}>
+            <Text style={[styles.headerButton, { color: theme.colors.primary, fontWeight: '600' }]}>Edit</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {archive && (
+          <Text style={[styles.archivedNote, { color: theme.colors.text.secondary }]}>
+            🗄️ Archived with your {LICENSE_STAGE_LABELS[archive.stage]} log (read only)
+          </Text>
+        )}
+
+        {/* Route */}
+        <View style={sectionStyle}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>🗺️ Route</Text>
+          <RouteMap route={drive.route} height={220} />
+          {drive.route && (
+            <View style={styles.legend}>
+              <View style={[styles.legendDot, { backgroundColor: theme.colors.success }]} />
+              <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>Start</Text>
+              <View style={[styles.legendDot, { backgroundColor: theme.colors.error }]} />
+              <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>End</Text>
+            </View>
+          )}
+        </View>
+
+        {/* Date and time */}
+        <View style={sectionStyle}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+            📅 {formatDateForDisplay(drive.date)}
+            {drive.isNightDrive && ' 🌙'}
+          </Text>
+          {renderRow('Time', `${formatTimeForDisplay(drive.startTime)} - ${formatTimeForDisplay(drive.endTime)}`)}
+          {renderRow('Duration', formatDuration(drive.duration))}
+          {renderRow('Day', formatDuration(dayMinutes))}
+          {renderRow('Night', formatDuration(nightMinutes))}
+          {drive.isManualEntry && (
+            <Text style={[styles.noteText, { color: theme.colors.warning }]}>✍️ Manually entered</Text>
+          )}
+        </View>
+
+        {/* Distance and speed */}
+        {drive.stats && (
+          <View style={sectionStyle}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>📏 Distance & Speed</Text>
+            {renderRow('Distance', formatDistance(drive.stats.distance, units))}
+            {renderRow('Average Speed', formatSpeed(drive.stats.averageSpeed, units))}
+            {renderRow('Top Speed', formatSpeed(drive.stats.maxSpeed, units))}
+            {renderRow('Moving', formatDuration(drive.stats.movingMinutes))}
+            {renderRow('Stopped', formatDuration(drive.stats.stationaryMinutes))}
+            {drive.stats.highwayMinutes > 0 && renderRow('Highway', formatDuration(drive.stats.highwayMinutes))}
+          </View>
+        )}
+
+        {/* Details */}
+        {(drive.weather || drive.skills || drive.supervisorName || formatPassengers(drive) || drive.destination) && (
+          <View style={sectionStyle}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>📝 Details</Text>
+            {drive.weather && renderRow('Weather', drive.weather)}
+            {drive.skills && renderRow('Skills', drive.skills)}
+            {drive.supervisorName && renderRow(
+              'Supervisor',
+              drive.supervisorAge ? `${drive.supervisorName} (${drive.supervisorAge})` : drive.supervisorName
+            )}
+            {formatPassengers(drive) && renderRow('Passengers', formatPassengers(drive))}
+            {drive.destination && renderRow('Destination', drive.destination)}
+          </View>
+        )}
+
+        {/* Restricted license rules */}
+        {Array.isArray(drive.restrictionViolations) && (
+          <View style={sectionStyle}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>🚦 Restricted License Rules</Text>
+            {hasRestrictionViolations(drive) ? (
+              drive.restrictionViolations.map(violation => (
+                <View key={violation.type} style={styles.violation}>
+                  <Text style={[styles.unsignedText, { color: theme.colors.error }]}>🚫 {RESTRICTION_LABELS[violation.type]}</Text>
+                  <Text style={[styles.noteText, { color: theme.colors.text.secondary }]}>{violation.message}</Text>
+                </View>
+              ))
+            ) : (
+              <Text style={[styles.unsignedText, { color: theme.colors.success }]}>✅ All rules followed</Text>
+            )}
+          </View>
+        )}
+
+        {/* Parent approval */}
+        {drive.approval && (
+          <View style={sectionStyle}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>👪 Parent Approval</Text>
+            <Text style={[styles.unsignedText, { color: approvalColors[getApprovalStatus(drive)] }]}>
+              {APPROVAL_LABELS[getApprovalStatus(drive)]}
+            </Text>
+            {drive.approval.reviewedAt && renderRow('Reviewed', formatDateForDisplay(drive.approval.reviewedAt.split('T')[0]))}
+            {drive.approval.comment && (
+              <Text style={[styles.noteText, { color: theme.colors.text.secondary }]}>💬 {drive.approval.comment}</Text>
+            )}
+            {getApprovalStatus(drive) !== APPROVAL_STATUSES.APPROVED && (
+              <Text style={[styles.noteText, { color: theme.colors.text.secondary }]}>
+                This drive doesn't count toward your hours until a parent approves it.
+              </Text>
+            )}
+          </View>
+        )}
+
+        {/* Supervisor signature */}
+        {needsSignature(drive) && (
+          <View style={sectionStyle}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>✍️ Supervisor Signature</Text>
+            {hasSignature(drive) ? (
+              <>
+                <SignatureView signature={drive.signature} height={90} />
+                <Text style={[styles.noteText, { color: theme.colors.text.secondary }]}>
+                  Signed by {drive.supervisorName}
+                </Text>
+              </>
+            ) : (
+              <>
+                <Text style={[styles.unsignedText, { color: theme.colors.error }]}>⚠️ Unsigned</Text>
+                <Text style={[styles.noteText, { color: theme.colors.text.secondary }]}>
+                  This drive is marked as unsigned in reports until {drive.supervisorName} signs it.
+                </Text>
+                {!archive && (
+                  <TouchableOpacity
+                    style={[styles.signButton, { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '15' }]}
+                    onPress={() => setShowSignaturePad(true)}
+                  >
+                    <Text style={[styles.signButtonText, { color: theme.colors.primary }]}>Add Signature</Text>
+                  </TouchableOpacity>
+                )}
+              </>
+            )}
+          </View>
+        )}
+      </ScrollView>
+
+      <SignatureModal
+        visible={showSignaturePad}
+        supervisorName={drive.supervisorName}
+        onSave={handleSaveSignature}
+        onClose={() => setShowSignaturePad(false)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  missingContainer: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 48,
+  },
+  missingText: {
+    fontSize: 17,
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  backButton: {
+    paddingVertical: 18,
+    paddingHorizontal: 28,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  backButtonText: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 24,
+    paddingBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    letterSpacing: -0.3,
+  },
+  headerButton: {
+    fontSize: 16,
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  violation: {
+    marginBottom: 8,
+  },
+  archivedNote: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  scrollContent: {
+    padding: 24,
+    paddingBottom: 120,
+  },
+  section: {
+    padding: 20,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 13,
+    marginRight: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  rowLabel: {
+    fontSize: 15,
+  },
+  rowValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    flexShrink: 1,
+    textAlign: 'right',
+    marginLeft: 16,
+  },
+  noteText: {
+    fontSize: 14,
+    marginTop: 8,
+  },
+  unsignedText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  signButton: {
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  signButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -15,18 +15,49 @@ import {
   formatDateForDisplay, 
   formatTimeForDisplay 
 } from '../utils/time';
+import { getDriveMinutes, getDriveType, formatPassengers } from '../utils/drives';
+import { formatDistance, formatSpeed } from '../utils/route';
+import { hasSignature, needsSignature } from '../utils/signature';
+import { APPROVAL_LABELS, getApprovalStatus } from '../utils/approval';
+import { LICENSE_STAGE_LABELS, getArchivedDrives } from '../utils/license';
+import { RESTRICTION_LABELS, hasRestrictionViolations } from '../utils/restrictions';
+
+// Sort order when sorting by type
+const DRIVE_TYPE_ORDER = { night: 0, mixed: 1, day: 2 };
 
 export default function DriveHistoryScreen({ navigation }) {
-  const { drives, deleteDrive } = useDriving();
+  const { user, drives, archives, streaks, settings, deleteDrive } = useDriving();
   const { theme } = useTheme();
   const [sortBy, setSortBy] = useState('date'); // 'date', 'duration', 'type'
-  const [filterBy, setFilterBy] = useState('all'); // 'all', 'day', 'night'
+  const [filterBy, setFilterBy] = useState('all'); // 'all', 'day', 'night', 'violations', or an approval status
+  const [stageFilter, setStageFilter] = useState('current'); // 'current', 'all', or an archive id
+
+  // Drives for the selected license stage; archived drives carry their archiveId
+  const archivedDrives = getArchivedDrives(archives);
+  const stageDrives = stageFilter === 'current'
+    ? drives
+    : stageFilter === 'all'
+      ? [...archivedDrives, ...drives]
+      : archivedDrives.filter(drive => drive.archiveId === stageFilter);
+
+  // Approval filters only matter once drives have gone through parent approval
+  const hasApprovals = stageDrives.some(drive => drive.approval);
+  const hasViolations = stageDrives.some(hasRestrictionViolations);
+  const checkedDrives = stageDrives.filter(drive => Array.isArray(drive.restrictionViolations));
+  const compliantCount = checkedDrives.filter(drive => !hasRestrictionViolations(drive)).length;
+  const approvalColors = {
+    pending: theme.colors.warning,
+    approved: theme.colors.success,
+    rejected: theme.colors.error,
+  };
 
   // Sort and filter drives
-  const processedDrives = drives
+  const processedDrives = stageDrives
     .filter(drive => {
-      if (filterBy === 'day') return !drive.isNightDrive;
-      if (filterBy === 'night') return drive.isNightDrive;
+      if (filterBy === 'day') return getDriveMinutes(drive).dayMinutes > 0;
+      if (filterBy === 'night') return getDriveMinutes(drive).nightMinutes > 0;
+      if (filterBy === 'violations') return hasRestrictionViolations(drive);
+      if (filterBy !== 'all') return getApprovalStatus(drive) === filterBy;
       return true;
     })
     .sort((a, b) => {
@@ -36,15 +67,23 @@ export default function DriveHistoryScreen({ navigation }) {
         case 'duration':
           return b.duration - a.duration;
         case 'type':
-          if (a.isNightDrive === b.isNightDrive) {
+          if (getDriveType(a) === getDriveType(b)) {
             return new Date(b.date + ' ' + b.startTime) - new Date(a.date + ' ' + a.startTime);
           }
-          return a.isNightDrive ? -1 : 1;
+          return DRIVE_TYPE_ORDER[getDriveType(a)] - DRIVE_TYPE_ORDER[getDriveType(b)];
         default:
           return 0;
       }
     });
 
+  // Freeze days sit between the drives when the full log is listed by date
+  const listItems = sortBy === 'date' && filterBy === 'all'
+    ? [
+        ...processedDrives,
+        ...(streaks.frozenDates || []).map(date => ({ id: `freeze-${date}`, date, isFreezeDay: true })),
+      ].sort((a, b) => `${b.date} ${b.startTime || ''}`.localeCompare(`${a.date} ${a.startTime || ''}`))
+    : processedDrives;
+
   const handleDeleteDrive = (drive) => {
     Alert.alert(
       'Delete Drive',
@@ -63,8 +102,20 @@ export default function DriveHistoryScreen({ navigation }) {
     );
   };
 
+  const handleEditDrive = (drive) => {
+    navigation.navigate('EditDrive', { driveId: drive.id });
+  };
+
+  const handleViewDrive = (drive) => {
+    navigation.navigate('DriveDetail', { driveId: drive.id, archiveId: drive.archiveId });
+  };
+
   const renderDriveItem = ({ item: drive }) => (
-    <View style={[styles.driveCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+    <TouchableOpacity
+      style={[styles.driveCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}
+      onPress={() => handleViewDrive(drive)}
+      activeOpacity={0.8}
+    >
       <View style={styles.driveHeader}>
         <View style={styles.driveInfo}>
           <Text style={[styles.driveDate, { color: theme.colors.text.primary }]}>
@@ -78,13 +129,45 @@ export default function DriveHistoryScreen({ navigation }) {
         <View style={styles.driveDuration}>
           <Text style={[styles.durationText, { color: theme.colors.primary }]}>{formatDuration(drive.duration)}</Text>
           <Text style={[styles.durationLabel, { color: theme.colors.text.secondary }]}>
-            {drive.isNightDrive ? 'Night' : 'Day'}
+            {getDriveType(drive) === 'mixed'
+              ? `${formatDuration(getDriveMinutes(drive).nightMinutes)} night`
+              : getDriveType(drive) === 'night' ? 'Night' : 'Day'}
           </Text>
         </View>
       </View>
 
-      {(drive.weather || drive.skills) && (
+      {(drive.archiveId || hasRestrictionViolations(drive) || drive.weather || drive.skills || drive.isManualEntry || drive.stats || drive.supervisorName || drive.passengers > 0 || drive.approval) && (
         <View style={styles.driveDetails}>
+          {drive.archiveId && (
+            <Text style={[styles.detailText, { color: theme.colors.text.secondary }]}>
+              🗄️ {LICENSE_STAGE_LABELS[drive.stage]} (archived)
+            </Text>
+          )}
+          {drive.approval && (
+            <Text style={[styles.detailText, styles.approvalText, { color: approvalColors[getApprovalStatus(drive)] }]}>
+              {APPROVAL_LABELS[getApprovalStatus(drive)]}
+              {drive.approval.comment && ` - "${drive.approval.comment}"`}
+            </Text>
+          )}
+          {hasRestrictionViolations(drive) && drive.restrictionViolations.map(violation => (
+            <Text key={violation.type} style={[styles.detailText, { color: theme.colors.error }]}>
+              🚫 {RESTRICTION_LABELS[violation.type]}: {violation.message}
+            </Text>
+          ))}
+          {drive.isManualEntry && (
+            <Text style={[styles.detailText, { color: theme.colors.warning }]}>✍️ Manually entered</Text>
+          )}
+          {drive.stats && (
+            <>
+              <Text style={[styles.detailText, { color: theme.colors.text.secondary }]}>
+                📏 {formatDistance(drive.stats.distance, settings.temperatureUnit)} • avg {formatSpeed(drive.stats.averageSpeed, settings.temperatureUnit)} • max {formatSpeed(drive.stats.maxSpeed, settings.temperatureUnit)}
+              </Text>
+              <Text style={[styles.detailText, { color: theme.colors.text.secondary }]}>
+                🚦 Moving {formatDuration(drive.stats.movingMinutes)} • stopped {formatDuration(drive.stats.stationaryMinutes)}
+                {drive.stats.highwayMinutes > 0 && ` • highway ${formatDuration(drive.stats.highwayMinutes)}`}
+              </Text>
+            </>
+          )}
           {drive.weather && (
             <Text style={[styles.detailText, { color: theme.colors.text.secondary }]}>Weather: {drive.weather}</Text>
           )}
@@ -97,44 +180,116 @@ export default function DriveHistoryScreen({ navigation }) {
               {drive.supervisorAge && ` (${drive.supervisorAge})`}
             </Text>
           )}
+          {drive.passengers > 0 && (
+            <Text style={[styles.detailText, { color: theme.colors.text.secondary }]}>
+              🧑‍🤝‍🧑 {formatPassengers(drive)}
+            </Text>
+          )}
+          {needsSignature(drive) && (
+            hasSignature(drive) ? (
+              <Text style={[styles.detailText, { color: theme.colors.success }]}>✍️ Signed</Text>
+            ) : (
+              <Text style={[styles.detailText, { color: theme.colors.error }]}>⚠️ Unsigned</Text>
+            )
+          )}
         </View>
       )}
 
-      <View style={styles.driveActions}>
-        <TouchableOpacity
-          style={[styles.deleteButton, { backgroundColor: theme.colors.error + '20', borderColor: theme.colors.error }]}
-          onPress={() => handleDeleteDrive(drive)}
-        >
-          <Text style={[styles.deleteButtonText, { color: theme.colors.error }]}>Delete</Text>
-        </TouchableOpacity>
-      </View>
+      {!drive.archiveId && (
+        <View style={styles.driveActions}>
+          <TouchableOpacity
+            style={[styles.editButton, { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary }]}
+            onPress={() => handleEditDrive(drive)}
+          >
+            <Text style={[styles.editButtonText, { color: theme.colors.primary }]}>Edit</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.deleteButton, { backgroundColor: theme.colors.error + '20', borderColor: theme.colors.error }]}
+            onPress={() => handleDeleteDrive(drive)}
+          >
+            <Text style={[styles.deleteButtonText, { color: theme.colors.error }]}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderFreezeDayItem = (item) => (
+    <View style={[styles.freezeDayCard, { backgroundColor: theme.colors.info + '15', borderColor: theme.colors.info }]}>
+      <Text style={[styles.freezeDayText, { color: theme.colors.text.primary }]}>
+        🧊 {formatDateForDisplay(item.date)}
+      </Text>
+      <Text style={[styles.freezeDayLabel, { color: theme.colors.text.secondary }]}>Freeze day - streak preserved</Text>
     </View>
   );
 
+  const renderListItem = ({ item }) => (
+    item.isFreezeDay ? renderFreezeDayItem(item) : renderDriveItem({ item })
+  );
+
   const renderHeader = () => (
     <View>
       {/* Statistics */}
       <View style={styles.statsContainer}>
         <View style={[styles.statCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
-          <Text style={[styles.statNumber, { color: theme.colors.primary }]}>{drives.length}</Text>
+          <Text style={[styles.statNumber, { color: theme.colors.primary }]}>{stageDrives.length}</Text>
           <Text style={[styles.statLabel, { color: theme.colors.text.secondary }]}>Total Drives</Text>
         </View>
         <View style={[styles.statCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
           <Text style={[styles.statNumber, { color: theme.colors.primary }]}>
-            {formatDuration(drives.reduce((sum, drive) => sum + drive.duration, 0))}
+            {formatDuration(stageDrives.reduce((sum, drive) => sum + drive.duration, 0))}
           </Text>
           <Text style={[styles.statLabel, { color: theme.colors.text.secondary }]}>Total Time</Text>
         </View>
         <View style={[styles.statCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
           <Text style={[styles.statNumber, { color: theme.colors.primary }]}>
-            {drives.filter(drive => drive.isNightDrive).length}
+            {formatDuration(stageDrives.reduce((sum, drive) => sum + getDriveMinutes(drive).nightMinutes, 0))}
           </Text>
-          <Text style={[styles.statLabel, { color: theme.colors.text.secondary }]}>Night Drives</Text>
+          <Text style={[styles.statLabel, { color: theme.colors.text.secondary }]}>Night Time</Text>
         </View>
       </View>
 
+      {/* Restricted license compliance */}
+      {checkedDrives.length > 0 && (
+        <Text style={[styles.complianceText, { color: hasViolations ? theme.colors.error : theme.colors.success }]}>
+          🚦 {compliantCount} of {checkedDrives.length} drive{checkedDrives.length !== 1 ? 's' : ''} followed your restricted license rules
+        </Text>
+      )}
+
       {/* Filters and Sort */}
       <View style={[styles.controlsContainer, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+        {/* License stage, once an earlier stage has been archived */}
+        {archives.length > 0 && (
+          <View style={styles.filterContainer}>
+            <Text style={[styles.controlLabel, { color: theme.colors.text.primary }]}>Stage:</Text>
+            <View style={styles.filterButtons}>
+              {[
+                { key: 'current', label: LICENSE_STAGE_LABELS[user.licenseType] },
+                ...archives.map(archive => ({ key: archive.id, label: `${LICENSE_STAGE_LABELS[archive.stage]} 🗄️` })),
+                { key: 'all', label: 'All Stages' },
+              ].map((stage) => (
+                <TouchableOpacity
+                  key={stage.key}
+                  style={[
+                    styles.filterButton,
+                    { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                    stageFilter === stage.key && { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary },
+                  ]}
+                  onPress={() => setStageFilter(stage.key)}
+                >
+                  <Text style={[
+                    styles.filterButtonText,
+                    { color: theme.colors.text.primary },
+                    stageFilter === stage.key && { color: theme.colors.text.inverse, fontWeight: '600' },
+                  ]}>
+                    {stage.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* Filter */}
         <View style={styles.filterContainer}>
           <Text style={[styles.controlLabel, { color: theme.colors.text.primary }]}>Filter:</Text>
@@ -143,6 +298,12 @@ export default function DriveHistoryScreen({ navigation }) {
               { key: 'all', label: 'All' },
               { key: 'day', label: 'Day' },
               { key: 'night', label: 'Night' },
+              ...(hasViolations ? [{ key: 'violations', label: 'Rule Breaks' }] : []),
+              ...(hasApprovals ? [
+                { key: 'pending', label: 'Pending' },
+                { key: 'approved', label: 'Approved' },
+                { key: 'rejected', label: 'Rejected' },
+              ] : []),
             ].map((filter) => (
               <TouchableOpacity
                 key={filter.key}
@@ -218,7 +379,7 @@ export default function DriveHistoryScreen({ navigation }) {
       </TouchableOpacity>
     </View>
   );
-  if (processedDrives.length === 0) {
+  if (drives.length === 0 && archives.length === 0) {
     return renderEmptyState();
   }
 
@@ -235,8 +396,8 @@ export default function DriveHistoryScreen({ navigation }) {
       </View>
 
       <FlatList
-        data={processedDrives}
-        renderItem={renderDriveItem}
+        data={listItems}
+        renderItem={renderListItem}
         keyExtractor={(item) => item.id}
         ListHeaderComponent={renderHeader}
         contentContainerStyle={styles.listContent}
@@ -284,6 +445,13 @@ const styles = StyleSheet.create({
     padding: 24,
     paddingTop: 16,
   },
+  complianceText: {
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: -8,
+    marginBottom: 16,
+  },
   statsContainer: {
     flexDirection: 'row',
     gap: 16,
@@ -338,6 +506,7 @@ const styles = StyleSheet.create({
   },
   filterButtons: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     gap: 8,
   },
   sortButtons: {
@@ -385,6 +554,24 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     marginBottom: 16,
   },
+  freezeDayCard: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  freezeDayText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  freezeDayLabel: {
+    fontSize: 13,
+  },
   driveCard: {
     backgroundColor: 'white',
     padding: 20,
@@ -437,8 +624,23 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#6b7280',
   },
+  approvalText: {
+    fontWeight: '600',
+  },
   driveActions: {
     flexDirection: 'row',
+    gap: 12,
+  },
+  editButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+  },
+  editButtonText: {
+    fontSize: 14,
+    fontWeight: '500',
   },
   deleteButton: {
     flex: 1,
@@ -0,0 +1,552 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SafeAreaView,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { useDriving } from '../contexts/DrivingContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { logUserAction } from '../utils/logger';
+import {
+  isValidDate,
+  isValidTime,
+  calculateDuration,
+  formatDuration,
+} from '../utils/time';
+import {
+  WEATHER_OPTIONS,
+  COMMON_SKILLS,
+  validateDriveDetails,
+  splitDriveMinutes,
+  getDriveMinutes,
+  getLatestDriveLocation,
+} from '../utils/drives';
+import { getNightWindow } from '../utils/solar';
+import { SUPERVISOR_RULE_MODES } from '../utils/supervisors';
+import { APPROVAL_STATUSES } from '../utils/approval';
+import { getDriveSkills } from '../utils/categories';
+import { TRIP_PURPOSES, OTHER_PURPOSE, getRestrictionViolations } from '../utils/restrictions';
+
+export default function EditDriveScreen({ navigation, route }) {
+  const { drives, updateDrive, settings, user } = useDriving();
+  const { theme } = useTheme();
+
+  const drive = drives.find(d => d.id === route.params?.driveId);
+
+  const [date, setDate] = useState(drive?.date || '');
+  const [startTime, setStartTime] = useState(drive?.startTime || '');
+  const [endTime, setEndTime] = useState(drive?.endTime || '');
+  const [duration, setDuration] = useState(drive ? String(drive.duration) : '');
+  const [nightMinutes, setNightMinutes] = useState(
+    drive ? String(getDriveMinutes(drive).nightMinutes) : ''
+  );
+  const [weather, setWeather] = useState(drive?.weather || '');
+  const [skills, setSkills] = useState(
+    drive?.skills ? drive.skills.split(',').map(s => s.trim()).filter(Boolean) : []
+  );
+  const [supervisorName, setSupervisorName] = useState(drive?.supervisorName || '');
+  const [supervisorAge, setSupervisorAge] = useState(
+    drive?.supervisorAge ? String(drive.supervisorAge) : ''
+  );
+  const [destination, setDestination] = useState(drive?.destination || '');
+  // Left blank for drives logged before passengers were recorded
+  const [passengers, setPassengers] = useState(
+    Number.isFinite(drive?.passengers) ? String(drive.passengers) : ''
+  );
+  const [minorPassengers, setMinorPassengers] = useState(
+    Number.isFinite(drive?.minorPassengers) ? String(drive.minorPassengers) : ''
+  );
+
+  if (!drive) {
+    return (
+      <SafeAreaView style={[styles.container, styles.missingContainer, { backgroundColor: theme.colors.background }]}>
+        <Text style={[styles.missingText, { color: theme.colors.text.secondary }]}>This drive no longer exists.</Text>
+        <TouchableOpacity
+          style={[styles.saveButton, { backgroundColor: theme.colors.primary }]}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={[styles.saveButtonText, { color: theme.colors.text.inverse }]}>Go Back</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  // Recompute night minutes from the night hours setting whenever the date, times or duration change
+  const updateNightMinutes = (newStart, newEnd, newDuration, newDate = date) => {
+    if (isValidTime(newStart) && isValidTime(newEnd) && Number(newDuration) > 0) {
+      const { nightStart, nightEnd } = getNightWindow(
+        settings,
+        isValidDate(newDate) ? newDate : drive.date,
+        drive.location || getLatestDriveLocation(drives)
+      );
+      const split = splitDriveMinutes(
+        { startTime: newStart, endTime: newEnd, duration: Number(newDuration) },
+        nightStart,
+        nightEnd
+      );
+      setNightMinutes(String(split.nightMinutes));
+    }
+  };
+
+  // Keep the duration in step with the times, minus any time the drive was paused
+  const updateTimes = (newStart, newEnd) => {
+    setStartTime(newStart);
+    setEndTime(newEnd);
+
+    if (isValidTime(newStart) && isValidTime(newEnd)) {
+      const span = calculateDuration(newStart, newEnd);
+      const newDuration = String(Math.max(1, span - (drive.pausedTime || 0)));
+      setDuration(newDuration);
+      updateNightMinutes(newStart, newEnd, newDuration);
+    }
+  };
+
+  const updateDate = (newDate) => {
+    setDate(newDate);
+    if (isValidDate(newDate)) {
+      updateNightMinutes(startTime, endTime, duration, newDate);
+    }
+  };
+
+  const updateDuration = (text) => {
+    const newDuration = text.replace(/[^0-9]/g, '');
+    setDuration(newDuration);
+    updateNightMinutes(startTime, endTime, newDuration);
+  };
+
+  const toggleSkill = (skill) => {
+    if (skill === 'N/A') {
+      setSkills(skills.includes('N/A') ? [] : ['N/A']);
+      return;
+    }
+    setSkills(skills.includes(skill)
+      ? skills.filter(s => s !== skill)
+      : [...skills.filter(s => s !== 'N/A'), skill]);
+  };
+
+  const handleSave = () => {
+    const durationMinutes = Number(duration);
+    const nightMinutesValue = Number(nightMinutes);
+    const passengersRecorded = passengers !== '' || minorPassengers !== '';
+    const errors = validateDriveDetails({
+      date: date.trim(),
+      startTime: startTime.trim(),
+      endTime: endTime.trim(),
+      duration: durationMinutes,
+      supervisorName,
+      supervisorAge,
+      passengers: Number(passengers),
+      minorPassengers: Number(minorPassengers),
+      requireSupervisor: user.licenseType === 'learners',
+      // Only a blocking rule stops the edit; warnings were given when the drive was logged
+      minSupervisorAge: settings.supervisorRuleMode === SUPERVISOR_RULE_MODES.BLOCK ? settings.supervisorMinAge : 0,
+    });
+
+    if (nightMinutes === '' || nightMinutesValue > durationMinutes) {
+      errors.push('Night minutes must be between 0 and the drive duration.');
+    }
+
+    if (errors.length > 0) {
+      Alert.alert('Check Drive Details', errors.join('\n'));
+      return;
+    }
+
+    const updatedDrive = {
+      ...drive,
+      date: date.trim(),
+      startTime: startTime.trim(),
+      endTime: endTime.trim(),
+      duration: durationMinutes,
+      dayMinutes: durationMinutes - nightMinutesValue,
+      nightMinutes: nightMinutesValue,
+      isNightDrive: nightMinutesValue > 0,
+      weather: weather || null,
+      skills: skills.length > 0 ? skills.join(', ') : null,
+      supervisorName: supervisorName.trim() ? supervisorName.trim() : null,
+      supervisorAge: supervisorAge.trim() ? parseInt(supervisorAge.trim(), 10) : null,
+      // A different name is no longer the saved supervisor the drive was logged with,
+      // and their signature doesn't cover someone else
+      supervisorId: supervisorName.trim() === drive.supervisorName ? drive.supervisorId || null : null,
+      signature: supervisorName.trim() === drive.supervisorName ? drive.signature || null : null,
+      destination: destination || null,
+      passengers: passengersRecorded ? Number(passengers) : null,
+      minorPassengers: passengersRecorded ? Number(minorPassengers) : null,
+    };
+    // Restricted license rules are checked again against the edited details
+    updatedDrive.restrictionViolations = getRestrictionViolations(updatedDrive, user, settings)
+      ?? drive.restrictionViolations ?? null;
+
+    // In parent mode, changing anything that decides which hours the drive counts
+    // toward (its times, or the weather, skills and supervisor that requirement
+    // categories match on) sends it back for approval
+    const sameSkills = getDriveSkills(updatedDrive).join(', ') === getDriveSkills(drive).join(', ');
+    const countingChanged = updatedDrive.date !== drive.date
+      || updatedDrive.startTime !== drive.startTime
+      || updatedDrive.endTime !== drive.endTime
+      || durationMinutes !== drive.duration
+      || nightMinutesValue !== getDriveMinutes(drive).nightMinutes
+      || updatedDrive.weather !== (drive.weather || null)
+      || !sameSkills
+      || updatedDrive.supervisorName !== (drive.supervisorName || null)
+      || updatedDrive.supervisorId !== (drive.supervisorId || null)
+      || updatedDrive.supervisorAge !== (drive.supervisorAge ?? null);
+    if (settings.parentApproval && countingChanged) {
+      updatedDrive.approval = { status: APPROVAL_STATUSES.PENDING };
+    }
+
+    updateDrive(updatedDrive);
+
+    logUserAction('edit_drive', 'DRIVE_HISTORY', {
+      driveId: drive.id,
+      durationChanged: durationMinutes !== drive.duration,
+      nightChanged: nightMinutesValue !== getDriveMinutes(drive).nightMinutes,
+      sentForApproval: settings.parentApproval && countingChanged,
+    });
+
+    if (settings.parentApproval && countingChanged) {
+      Alert.alert('Sent for Approval', 'The drive\'s times or the details its hours count toward changed, so it needs a parent\'s approval again before it counts.');
+    }
+    navigation.goBack();
+  };
+
+  const renderChip = (label, selected, onPress, key = label) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+        selected && { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary },
+      ]}
+      onPress={onPress}
+    >
+      <Text style={[
+        styles.chipText,
+        { color: theme.colors.text.primary },
+        selected && { color: theme.colors.text.inverse, fontWeight: '600' },
+      ]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const inputStyle = [
+    styles.textInput,
+    { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light, color: theme.colors.text.primary },
+  ];
+
+  // Keep values from older or custom entries selectable alongside the presets
+  const weatherOptions = weather && !WEATHER_OPTIONS.includes(weather)
+    ? [...WEATHER_OPTIONS, weather]
+    : WEATHER_OPTIONS;
+  const skillOptions = [...COMMON_SKILLS, ...skills.filter(s => s !== 'N/A' && !COMMON_SKILLS.includes(s))];
+  const destinationOptions = [...TRIP_PURPOSES, OTHER_PURPOSE];
+  if (destination && !destinationOptions.includes(destination)) {
+    destinationOptions.push(destination);
+  }
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <View style={[styles.header, { backgroundColor: theme.colors.surface }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={[styles.headerButton, { color: theme.colors.text.secondary }]}>Cancel</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, { color: theme.colors.text.primary }]}>Edit Drive</Text>
+        <TouchableOpacity onPress={handleSave}>
+          <Text style={[styles.headerButton, { color: theme.colors.primary, fontWeight: '600' }]}>Save</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {/* Date and time */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>📅 Date & Time</Text>
+
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Date</Text>
+          <TextInput
+            style={inputStyle}
+            value={date}
+            onChangeText={updateDate}
+            placeholder="YYYY-MM-DD"
+            placeholderTextColor={theme.colors.text.light}
+            autoCorrect={false}
+            maxLength={10}
+          />
+
+          <View style={styles.row}>
+            <View style={styles.rowItem}>
+              <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Start Time</Text>
+              <TextInput
+                style={inputStyle}
+                value={startTime}
+                onChangeText={(text) => updateTimes(text, endTime)}
+                placeholder="HH:MM"
+                placeholderTextColor={theme.colors.text.light}
+                autoCorrect={false}
+                maxLength={5}
+              />
+            </View>
+            <View style={styles.rowItem}>
+              <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>End Time</Text>
+              <TextInput
+                style={inputStyle}
+                value={endTime}
+                onChangeText={(text) => updateTimes(startTime, text)}
+                placeholder="HH:MM"
+                placeholderTextColor={theme.colors.text.light}
+                autoCorrect={false}
+                maxLength={5}
+              />
+            </View>
+          </View>
+
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Duration (minutes)</Text>
+          <TextInput
+            style={inputStyle}
+            value={duration}
+            onChangeText={updateDuration}
+            placeholder="Minutes"
+            placeholderTextColor={theme.colors.text.light}
+            keyboardType="numeric"
+            maxLength={4}
+          />
+          <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+            {Number(duration) > 0 ? formatDuration(Number(duration)) : 'Enter driving time'}
+            {drive.pausedTime > 0 && ` • ${drive.pausedTime}m paused`}
+          </Text>
+
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>🌙 Night Minutes</Text>
+          <TextInput
+            style={inputStyle}
+            value={nightMinutes}
+            onChangeText={(text) => setNightMinutes(text.replace(/[^0-9]/g, ''))}
+            placeholder="Minutes"
+            placeholderTextColor={theme.colors.text.light}
+            keyboardType="numeric"
+            maxLength={4}
+          />
+          <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+            {Number(duration) > 0 && nightMinutes !== '' && Number(nightMinutes) <= Number(duration)
+              ? `☀️ Day ${formatDuration(Number(duration) - Number(nightMinutes))} • 🌙 Night ${formatDuration(Number(nightMinutes))}`
+              : 'Calculated from your night hours when the times change'}
+          </Text>
+        </View>
+
+        {/* Supervisor */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>👥 Supervisor</Text>
+
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>
+            Name{user.licenseType === 'learners' ? ' *' : ''}
+          </Text>
+          <TextInput
+            style={inputStyle}
+            value={supervisorName}
+            onChangeText={(text) => setSupervisorName(text.replace(/\s+/g, ' '))}
+            placeholder="Enter supervisor's name"
+            placeholderTextColor={theme.colors.text.light}
+            autoCapitalize="words"
+            autoCorrect={false}
+          />
+
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>
+            Age{user.licenseType === 'learners' ? ' *' : ''}
+          </Text>
+          <TextInput
+            style={[inputStyle, styles.ageInput]}
+            value={supervisorAge}
+            onChangeText={(text) => setSupervisorAge(text.replace(/[^0-9]/g, ''))}
+            placeholder="Age"
+            placeholderTextColor={theme.colors.text.light}
+            keyboardType="numeric"
+            maxLength={2}
+          />
+        </View>
+
+        {/* Passengers */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>🧑‍🤝‍🧑 Passengers</Text>
+          <View style={styles.row}>
+            <View style={styles.rowItem}>
+              <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Passengers</Text>
+              <TextInput
+                style={inputStyle}
+                value={passengers}
+                onChangeText={(text) => setPassengers(text.replace(/[^0-9]/g, ''))}
+                placeholder="0"
+                placeholderTextColor={theme.colors.text.light}
+                keyboardType="numeric"
+                maxLength={1}
+              />
+            </View>
+            <View style={styles.rowItem}>
+              <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Under 21</Text>
+              <TextInput
+                style={inputStyle}
+                value={minorPassengers}
+                onChangeText={(text) => setMinorPassengers(text.replace(/[^0-9]/g, ''))}
+                placeholder="0"
+                placeholderTextColor={theme.colors.text.light}
+                keyboardType="numeric"
+                maxLength={1}
+              />
+            </View>
+          </View>
+          <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+            Not counting the supervisor
+          </Text>
+        </View>
+
+        {/* Destination */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>📍 Destination</Text>
+          <View style={styles.chipContainer}>
+            {destinationOptions.map(option =>
+              renderChip(option, destination === option, () => setDestination(destination === option ? '' : option))
+            )}
+          </View>
+        </View>
+
+        {/* Weather */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>🌤️ Weather</Text>
+          <View style={styles.chipContainer}>
+            {weatherOptions.map(option =>
+              renderChip(option, weather === option, () => setWeather(weather === option ? '' : option))
+            )}
+          </View>
+        </View>
+
+        {/* Skills */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>🎯 Skills Practiced</Text>
+          <View style={styles.chipContainer}>
+            {skillOptions.map(skill =>
+              renderChip(skills.includes(skill) ? `✓ ${skill}` : `+ ${skill}`, skills.includes(skill), () => toggleSkill(skill), skill)
+            )}
+            {renderChip(
+              skills.includes('N/A') ? '✓ N/A - Just drove' : 'N/A - Just drove',
+              skills.includes('N/A'),
+              () => toggleSkill('N/A'),
+              'N/A'
+            )}
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.saveButton, { backgroundColor: theme.colors.success || '#10b981' }]}
+          onPress={handleSave}
+        >
+          <Text style={[styles.saveButtonText, { color: theme.colors.text.inverse }]}>Save Changes 💾</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  missingContainer: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 48,
+  },
+  missingText: {
+    fontSize: 17,
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 24,
+    paddingBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    letterSpacing: -0.3,
+  },
+  headerButton: {
+    fontSize: 16,
+  },
+  scrollContent: {
+    padding: 24,
+    paddingBottom: 120,
+  },
+  section: {
+    padding: 20,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  inputLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 8,
+    marginTop: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 14,
+    fontSize: 16,
+  },
+  ageInput: {
+    width: 100,
+  },
+  helpText: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  saveButton: {
+    paddingVertical: 18,
+    paddingHorizontal: 28,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  saveButtonText: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+});
@@ -13,25 +13,41 @@ import {
 } from 'react-native';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
-import * as DocumentPicker from 'expo-document-picker';
 import { Platform } from 'react-native';
 import { useDriving } from '../contexts/DrivingContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { exportDataAsJSON, exportDrivesAsCSV } from '../utils/storage';
 import { generatePDFReport } from '../utils/pdf';
+import { pickBackupFile } from '../utils/backup';
+import RestoreBackupModal from '../components/RestoreBackupModal';
 import { formatDateForDisplay } from '../utils/time';
+import { isDriveApproved } from '../utils/approval';
+import { getGoalCategories, calculateCategoryProgress } from '../utils/categories';
+import { LICENSE_STAGE_LABELS, getArchiveUser } from '../utils/license';
 
 export default function ExportScreen({ navigation }) {
-  const { drives, user, streaks } = useDriving();
+  const { drives, user, supervisors, archives, streaks, settings, profiles } = useDriving();
   const { theme } = useTheme();
   const [exporting, setExporting] = useState(false);
   const [isOfficialPDF, setIsOfficialPDF] = useState(false);
+  const [showRouteMaps, setShowRouteMaps] = useState(false);
+  const [includeUnapproved, setIncludeUnapproved] = useState(false);
+  const [backupAllProfiles, setBackupAllProfiles] = useState(false);
   const [showModeSelector, setShowModeSelector] = useState(true);
   const [exportMode, setExportMode] = useState(null); // 'share' or 'save'
+  const [pendingBackup, setPendingBackup] = useState(null);
 
   // Create styles using current theme
   const styles = createStyles(theme);
 
+  // Pending and rejected drives stay out of CSV and PDF exports unless asked for
+  const unapprovedCount = drives.filter(drive => !isDriveApproved(drive)).length;
+  const archivedUnapprovedCount = archives.reduce(
+    (count, archive) => count + archive.drives.filter(drive => !isDriveApproved(drive)).length,
+    0
+  );
+  const filterExported = (list) => (includeUnapproved ? list : list.filter(isDriveApproved));
+
   // Show mode selector when screen is entered
   useEffect(() => {
     setShowModeSelector(true);
@@ -170,12 +186,13 @@ export default function ExportScreen({ navigation }) {
     try {
       setExporting(true);
       
-      const jsonData = await exportDataAsJSON();
+      const allProfiles = backupAllProfiles && profiles.length > 1;
+      const jsonData = await exportDataAsJSON({ allProfiles });
       if (!jsonData) {
         throw new Error('Failed to generate JSON data');
       }
 
-      const fileName = `drively_backup_${new Date().toISOString().split('T')[0]}.json`;
+      const fileName = `drively_backup_${allProfiles ? 'all_' : ''}${new Date().toISOString().split('T')[0]}.json`;
 
       if (exportMode === 'share') {
         const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
@@ -201,16 +218,17 @@ export default function ExportScreen({ navigation }) {
     }
   };
 
-  const handleExportCSV = async () => {
+  // Exports the current log, or an archived license stage when one is given
+  const handleExportCSV = async (archive = null) => {
     try {
       setExporting(true);
       
-      const csvData = await exportDrivesAsCSV();
+      const csvData = await exportDrivesAsCSV({ includeUnapproved, archiveId: archive?.id });
       if (!csvData) {
         throw new Error('Failed to generate CSV data');
       }
 
-      const fileName = `drively_drives_${new Date().toISOString().split('T')[0]}.csv`;
+      const fileName = `drively_${archive ? `${archive.stage}_` : ''}drives_${new Date().toISOString().split('T')[0]}.csv`;
 
       if (exportMode === 'share') {
         const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
@@ -236,12 +254,14 @@ export default function ExportScreen({ navigation }) {
     }
   };
 
-  const handleExportPDF = async () => {
+  const handleExportPDF = async (archive = null) => {
     try {
       setExporting(true);
       
-      const data = { drives, user, streaks };
-      const pdfUri = await generatePDFReport(data, null, isOfficialPDF);
+      const data = archive
+        ? { drives: filterExported(archive.drives), user: getArchiveUser(user, archive), supervisors, streaks, settings }
+        : { drives: filterExported(drives), user, supervisors, streaks, settings };
+      const pdfUri = await generatePDFReport(data, null, isOfficialPDF, { showRouteMaps });
       
       if (exportMode === 'share') {
         if (await Sharing.isAvailableAsync()) {
@@ -254,7 +274,7 @@ export default function ExportScreen({ navigation }) {
         }
       } else {
         // For save mode, we need to handle PDF specially
-        const fileName = `drively_report_${new Date().toISOString().split('T')[0]}.pdf`;
+        const fileName = `drively_${archive ? `${archive.stage}_` : ''}report_${new Date().toISOString().split('T')[0]}.pdf`;
         
         if (Platform.OS === 'android') {
           try {
@@ -331,10 +351,13 @@ export default function ExportScreen({ navigation }) {
       const goalHours = user.goalDayHours + user.goalNightHours;
       const progressPercent = Math.round((totalHours / goalHours) * 100);
       
+      const categoryLines = calculateCategoryProgress(drives, getGoalCategories(user), supervisors)
+        .map(category => `${category.icon} ${category.label}: ${category.completedHours.toFixed(1)} / ${category.hours} hours\n`)
+        .join('');
+      
       const message = `🛣️ My Driving Progress with Drively:\n\n` +
         `✅ ${totalHours.toFixed(1)} / ${goalHours} hours completed (${progressPercent}%)\n` +
-        `☀️ Day driving: ${user.completedDayHours.toFixed(1)} / ${user.goalDayHours} hours\n` +
-        `🌙 Night driving: ${user.completedNightHours.toFixed(1)} / ${user.goalNightHours} hours\n\n` +
+        `${categoryLines}\n` +
         `🔥 Current streak: ${streaks.current} days\n` +
         `🏆 Longest streak: ${streaks.longest} days\n\n` +
         `#DrivingProgress #Drively`;
@@ -350,6 +373,18 @@ export default function ExportScreen({ navigation }) {
     }
   };
 
+  const handleRestoreBackup = async () => {
+    try {
+      const backup = await pickBackupFile();
+      if (backup) {
+        setPendingBackup(backup);
+      }
+    } catch (error) {
+      console.error('Restore backup error:', error);
+      Alert.alert('Invalid Backup', error.message || 'Unable to read the selected backup file.');
+    }
+  };
+
   const exportOptions = [
     {
       id: 'json',
@@ -369,7 +404,7 @@ export default function ExportScreen({ navigation }) {
         : 'Choose location to save spreadsheet-friendly drive data',
       icon: '📊',
       color: '#10b981',
-      onPress: handleExportCSV,
+      onPress: () => handleExportCSV(),
     },
     {
       id: 'pdf',
@@ -379,7 +414,7 @@ export default function ExportScreen({ navigation }) {
         : 'Choose location to save professional PDF report',
       icon: '📄',
       color: '#f59e0b',
-      onPress: handleExportPDF,
+      onPress: () => handleExportPDF(),
     },
     ...(exportMode === 'share' ? [{
       id: 'share',
@@ -504,6 +539,13 @@ export default function ExportScreen({ navigation }) {
             <Text style={styles.statLabel}>Total Drives:</Text>
             <Text style={styles.statValue}>{drives.length}</Text>
           </View>
+
+          {unapprovedCount > 0 && (
+            <View style={styles.statRow}>
+              <Text style={styles.statLabel}>Not Approved:</Text>
+              <Text style={styles.statValue}>{unapprovedCount}</Text>
+            </View>
+          )}
           
           <View style={styles.statRow}>
             <Text style={styles.statLabel}>Total Hours:</Text>
@@ -529,6 +571,31 @@ export default function ExportScreen({ navigation }) {
         {/* Export Options */}
         <View style={styles.optionsContainer}>
           <Text style={styles.optionsTitle}>Export Options</Text>
+
+          {(unapprovedCount > 0 || archivedUnapprovedCount > 0) && (
+            <View style={styles.approvalOptionsContainer}>
+              <View style={styles.checkboxRow}>
+                <Switch
+                  value={includeUnapproved}
+                  onValueChange={setIncludeUnapproved}
+                  trackColor={{ 
+                    false: theme.colors.border.medium, 
+                    true: theme.colors.secondary 
+                  }}
+                  thumbColor={includeUnapproved ? theme.colors.white : theme.colors.surface}
+                />
+                <View style={styles.checkboxLabel}>
+                  <Text style={styles.checkboxTitle}>Include Unapproved Drives</Text>
+                  <Text style={styles.checkboxDescription}>
+                    {includeUnapproved
+                      ? 'CSV and PDF include pending and rejected drives, marked with their status'
+                      : 'CSV and PDF only include drives a parent has approved'
+                    }
+                  </Text>
+                </View>
+              </View>
+            </View>
+          )}
           
           {exportOptions.map((option) => (
             <View key={option.id}>
@@ -553,6 +620,32 @@ export default function ExportScreen({ navigation }) {
                 </View>
               </TouchableOpacity>
               
+              {/* JSON backup of every learner profile */}
+              {option.id === 'json' && profiles.length > 1 && (
+                <View style={styles.pdfOptionsContainer}>
+                  <View style={styles.checkboxRow}>
+                    <Switch
+                      value={backupAllProfiles}
+                      onValueChange={setBackupAllProfiles}
+                      trackColor={{ 
+                        false: theme.colors.border.medium, 
+                        true: theme.colors.secondary 
+                      }}
+                      thumbColor={backupAllProfiles ? theme.colors.white : theme.colors.surface}
+                    />
+                    <View style={styles.checkboxLabel}>
+                      <Text style={styles.checkboxTitle}>Back Up All Learners</Text>
+                      <Text style={styles.checkboxDescription}>
+                        {backupAllProfiles
+                          ? `One file with all ${profiles.length} learners on this device, restorable together`
+                          : 'Only the current learner\'s data'
+                        }
+                      </Text>
+                    </View>
+                  </View>
+                </View>
+              )}
+
               {/* PDF Options Checkbox */}
               {option.id === 'pdf' && (
                 <View style={styles.pdfOptionsContainer}>
@@ -576,12 +669,93 @@ export default function ExportScreen({ navigation }) {
                       </Text>
                     </View>
                   </View>
+                  <View style={[styles.checkboxRow, styles.checkboxRowSpaced]}>
+                    <Switch
+                      value={showRouteMaps}
+                      onValueChange={setShowRouteMaps}
+                      trackColor={{ 
+                        false: theme.colors.border.medium, 
+                        true: theme.colors.secondary 
+                      }}
+                      thumbColor={showRouteMaps ? theme.colors.white : theme.colors.surface}
+                    />
+                    <View style={styles.checkboxLabel}>
+                      <Text style={styles.checkboxTitle}>Include Route Maps</Text>
+                      <Text style={styles.checkboxDescription}>
+                        Adds a small map of each recorded drive route to the drive log
+                      </Text>
+                    </View>
+                  </View>
                 </View>
               )}
             </View>
           ))}
         </View>
 
+        {/* Archived license stages */}
+        {archives.length > 0 && (
+          <View style={styles.optionsContainer}>
+            <Text style={styles.optionsTitle}>Archived Logs</Text>
+
+            {archives.map(archive => (
+              <View key={archive.id} style={[styles.optionCard, { borderLeftColor: '#64748b' }]}>
+                <View style={styles.optionIcon}>
+                  <Text style={styles.optionIconText}>🗄️</Text>
+                </View>
+
+                <View style={styles.optionContent}>
+                  <Text style={styles.optionTitle}>{LICENSE_STAGE_LABELS[archive.stage]}</Text>
+                  <Text style={styles.optionDescription}>
+                    {archive.startDate ? formatDateForDisplay(archive.startDate) : 'Start not recorded'} - {formatDateForDisplay(archive.endDate)} • {archive.drives.length} drive{archive.drives.length !== 1 ? 's' : ''}
+                  </Text>
+                  <View style={styles.archiveButtons}>
+                    <TouchableOpacity
+                      style={[styles.archiveButton, { borderColor: '#10b981' }]}
+                      onPress={() => handleExportCSV(archive)}
+                      disabled={exporting}
+                    >
+                      <Text style={[styles.archiveButtonText, { color: '#10b981' }]}>CSV</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.archiveButton, { borderColor: '#f59e0b' }]}
+                      onPress={() => handleExportPDF(archive)}
+                      disabled={exporting}
+                    >
+                      <Text style={[styles.archiveButtonText, { color: '#f59e0b' }]}>PDF</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Restore */}
+        <View style={styles.optionsContainer}>
+          <Text style={styles.optionsTitle}>Restore</Text>
+
+          <TouchableOpacity
+            style={[styles.optionCard, { borderLeftColor: '#ef4444' }]}
+            onPress={handleRestoreBackup}
+            disabled={exporting}
+          >
+            <View style={styles.optionIcon}>
+              <Text style={styles.optionIconText}>📥</Text>
+            </View>
+
+            <View style={styles.optionContent}>
+              <Text style={styles.optionTitle}>Restore from Backup (JSON)</Text>
+              <Text style={styles.optionDescription}>
+                Pick a drively_backup file to preview, then replace or merge with your current log
+              </Text>
+            </View>
+
+            <View style={styles.optionAction}>
+              <Text style={[styles.actionText, { color: '#ef4444' }]}>→</Text>
+            </View>
+          </TouchableOpacity>
+        </View>
+
         {/* Backup Reminder */}
         <View style={styles.reminderContainer}>
           <Text style={styles.reminderTitle}>
@@ -612,6 +786,11 @@ export default function ExportScreen({ navigation }) {
           </Text>
         </View>
       </ScrollView>
+
+      <RestoreBackupModal
+        backup={pendingBackup}
+        onClose={() => setPendingBackup(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -863,6 +1042,21 @@ const createStyles = (theme) => StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  archiveButtons: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  archiveButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  archiveButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   pdfOptionsContainer: {
     backgroundColor: theme.colors.surfaceSecondary,
     marginLeft: 16,
@@ -875,11 +1069,22 @@ const createStyles = (theme) => StyleSheet.create({
     borderColor: theme.colors.border.light,
     borderTopWidth: 0,
   },
+  approvalOptionsContainer: {
+    backgroundColor: theme.colors.surfaceSecondary,
+    marginBottom: 12,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+  },
   checkboxRow: {
     flexDirection: 'row',
     alignItems: 'center',
     gap: 12,
   },
+  checkboxRowSpaced: {
+    marginTop: 12,
+  },
   checkboxLabel: {
     flex: 1,
   },
@@ -0,0 +1,299 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SafeAreaView,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { useDriving } from '../contexts/DrivingContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { formatDateForDisplay, getCurrentDate } from '../utils/time';
+import { calculateCompletedHours } from '../utils/drives';
+import { getApprovalStatus, APPROVAL_STATUSES } from '../utils/approval';
+import { LICENSE_STAGE_LABELS, getNextStage, validateProgression, countPendingDrives } from '../utils/license';
+import { logUserAction } from '../utils/logger';
+
+const STAGE_ICONS = { learners: '📖', restricted: '🚗', unrestricted: '🏆' };
+
+export default function LicenseProgressScreen({ navigation }) {
+  const { user, drives, archives, advanceLicense } = useDriving();
+  const { theme } = useTheme();
+  const nextStage = getNextStage(user.licenseType);
+  const [licenseDate, setLicenseDate] = useState(getCurrentDate());
+  const [dayHours, setDayHours] = useState(user.goalDayHours.toString());
+  const [nightHours, setNightHours] = useState(user.goalNightHours.toString());
+
+  const currentHours = calculateCompletedHours(drives);
+  const pendingCount = countPendingDrives(drives);
+  const rejectedCount = drives.filter(drive => getApprovalStatus(drive) === APPROVAL_STATUSES.REJECTED).length;
+
+  const handleAdvance = () => {
+    const date = licenseDate.trim();
+    const goals = {
+      goalDayHours: parseFloat(dayHours) || 0,
+      goalNightHours: parseFloat(nightHours) || 0,
+    };
+
+    // Pending drives are reviewed first, or their hours would be archived uncounted
+    if (pendingCount > 0) {
+      Alert.alert(
+        'Drives Awaiting Approval',
+        `${pendingCount} drive${pendingCount !== 1 ? 's are' : ' is'} still waiting for a parent to approve or reject ${pendingCount !== 1 ? 'them' : 'it'}. Archived drives can't be reviewed, so do this before moving on.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Review Drives', onPress: () => navigation.navigate('Approval') },
+        ]
+      );
+      return;
+    }
+
+    const errors = validateProgression(user, date, goals, drives);
+    if (errors.length > 0) {
+      Alert.alert('Check Details', errors.join('\n'));
+      return;
+    }
+
+    Alert.alert(
+      `Move to ${LICENSE_STAGE_LABELS[nextStage]}?`,
+      `Your ${LICENSE_STAGE_LABELS[user.licenseType]} log (${drives.length} drive${drives.length !== 1 ? 's' : ''}) will be archived. Archived drives can be viewed and exported but not edited.${rejectedCount > 0 ? `\n\n${rejectedCount} rejected drive${rejectedCount !== 1 ? 's' : ''} will be archived without counting.` : ''}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Continue',
+          onPress: () => {
+            advanceLicense(date, goals);
+            logUserAction('advance_license', 'LICENSE_PROGRESS', {
+              from: user.licenseType,
+              to: nextStage,
+              archivedDrives: drives.length,
+            });
+            navigation.goBack();
+            Alert.alert('Congratulations! 🎉', `Enjoy your ${LICENSE_STAGE_LABELS[nextStage].toLowerCase()}. Your new drives start a fresh log.`);
+          },
+        },
+      ]
+    );
+  };
+
+  const sectionStyle = [styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }];
+  const inputStyle = [styles.input, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light, color: theme.colors.text.primary }];
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <View style={[styles.header, { backgroundColor: theme.colors.surface }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={[styles.headerButton, { color: theme.colors.text.secondary }]}>Done</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, { color: theme.colors.text.primary }]}>License Progress</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        {/* Stage timeline */}
+        <View style={sectionStyle}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>🛣️ Your Stages</Text>
+          {archives.map(archive => (
+            <View key={archive.id} style={[styles.stageRow, { borderColor: theme.colors.border.light }]}>
+              <Text style={[styles.stageName, { color: theme.colors.text.primary }]}>
+                {STAGE_ICONS[archive.stage]} {LICENSE_STAGE_LABELS[archive.stage]}
+              </Text>
+              <Text style={[styles.stageDetail, { color: theme.colors.text.secondary }]}>
+                {archive.startDate ? formatDateForDisplay(archive.startDate) : 'Start not recorded'} → {formatDateForDisplay(archive.endDate)}
+              </Text>
+              <Text style={[styles.stageDetail, { color: theme.colors.text.secondary }]}>
+                🗄️ Archived • {archive.drives.length} drive{archive.drives.length !== 1 ? 's' : ''} • {(archive.completedDayHours + archive.completedNightHours).toFixed(1)} hours
+              </Text>
+            </View>
+          ))}
+          <View style={[styles.stageRow, { borderColor: theme.colors.primary }]}>
+            <Text style={[styles.stageName, { color: theme.colors.primary }]}>
+              {STAGE_ICONS[user.licenseType]} {LICENSE_STAGE_LABELS[user.licenseType]} (current)
+            </Text>
+            <Text style={[styles.stageDetail, { color: theme.colors.text.secondary }]}>
+              Since {user.licenseDate ? formatDateForDisplay(user.licenseDate) : 'date not recorded'}
+            </Text>
+            <Text style={[styles.stageDetail, { color: theme.colors.text.secondary }]}>
+              {drives.length} drive{drives.length !== 1 ? 's' : ''} • {(currentHours.dayHours + currentHours.nightHours).toFixed(1)} hours
+            </Text>
+          </View>
+          {archives.length > 0 && (
+            <Text style={[styles.noteText, { color: theme.colors.text.secondary }]}>
+              View archived drives in History and export them from Export & Share.
+            </Text>
+          )}
+        </View>
+
+        {/* Next stage */}
+        {nextStage ? (
+          <View style={sectionStyle}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+              🎉 Got Your {LICENSE_STAGE_LABELS[nextStage]}?
+            </Text>
+
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Date issued</Text>
+            <TextInput
+              style={[inputStyle, styles.dateInput]}
+              value={licenseDate}
+              onChangeText={setLicenseDate}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor={theme.colors.text.light}
+              maxLength={10}
+            />
+
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Practice goals for this stage</Text>
+            <View style={styles.goalRow}>
+              <View style={styles.goalItem}>
+                <Text style={[styles.goalLabel, { color: theme.colors.text.secondary }]}>☀️ Day hours</Text>
+                <TextInput
+                  style={inputStyle}
+                  value={dayHours}
+                  onChangeText={setDayHours}
+                  keyboardType="numeric"
+                  maxLength={4}
+                />
+              </View>
+              <View style={styles.goalItem}>
+                <Text style={[styles.goalLabel, { color: theme.colors.text.secondary }]}>🌙 Night hours</Text>
+                <TextInput
+                  style={inputStyle}
+                  value={nightHours}
+                  onChangeText={setNightHours}
+                  keyboardType="numeric"
+                  maxLength={4}
+                />
+              </View>
+            </View>
+
+            <Text style={[styles.noteText, { color: theme.colors.text.secondary }]}>
+              Your current log is archived read-only and the new stage starts at 0 hours. Your streak carries over.
+            </Text>
+            {pendingCount > 0 && (
+              <Text style={[styles.noteText, { color: theme.colors.warning }]}>
+                ⏳ {pendingCount} drive{pendingCount !== 1 ? 's are' : ' is'} still awaiting parent approval and must be reviewed before you move on.
+              </Text>
+            )}
+
+            <TouchableOpacity
+              style={[styles.advanceButton, { backgroundColor: theme.colors.primary }]}
+              onPress={handleAdvance}
+            >
+              <Text style={[styles.advanceButtonText, { color: theme.colors.text.inverse }]}>
+                I Got My {LICENSE_STAGE_LABELS[nextStage]}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={sectionStyle}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>🏆 Fully Licensed</Text>
+            <Text style={[styles.noteText, { color: theme.colors.text.secondary }]}>
+              You've reached the last stage. Keep logging drives to track your practice.
+            </Text>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 24,
+    paddingBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    letterSpacing: -0.3,
+  },
+  headerButton: {
+    fontSize: 16,
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  scrollContent: {
+    padding: 24,
+    paddingBottom: 120,
+  },
+  section: {
+    padding: 20,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  stageRow: {
+    borderLeftWidth: 3,
+    paddingLeft: 12,
+    paddingVertical: 4,
+    marginBottom: 12,
+  },
+  stageName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  stageDetail: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  noteText: {
+    fontSize: 13,
+    marginTop: 8,
+    lineHeight: 18,
+  },
+  inputLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 16,
+  },
+  dateInput: {
+    width: 160,
+  },
+  goalRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  goalItem: {
+    flex: 1,
+  },
+  goalLabel: {
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  advanceButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  advanceButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
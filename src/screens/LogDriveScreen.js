@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,7 +8,6 @@ import {
   ScrollView,
   TextInput,
   Alert,
-  Switch,
   ActivityIndicator,
 } from 'react-native';
 import * as Location from 'expo-location';
@@ -17,59 +16,51 @@ import { useTheme } from '../contexts/ThemeContext';
 import { logUserAction, logPerformance, logError } from '../utils/logger';
 import { 
   getCurrentTime, 
-  getCurrentDate, 
-  isNightTime, 
+  getLocalDate, 
   calculateDuration,
+  formatDuration,
   formatTimeForDisplay,
-  formatDateForDisplay 
+  formatDateForDisplay,
+  isValidTime,
+  isValidDate
 } from '../utils/time';
 import { fetchWeatherData, autoSelectWeatherOption } from '../utils/weather';
+import {
+  WEATHER_OPTIONS,
+  COMMON_SKILLS,
+  validateDriveDetails,
+  splitDriveMinutes,
+  getLatestDriveLocation,
+  getLatestPassengers,
+  calculateElapsedTime,
+  calculatePausedTime,
+} from '../utils/drives';
+import { getNightWindow } from '../utils/solar';
+import { calculateRouteDistance, calculateDriveStats, summarizeRoute, formatDistance } from '../utils/route';
+import { createRouteRecorder } from '../utils/routeRecorder';
+import { createDeviceLocationSource, isBackgroundRecording } from '../utils/locationSource';
+import { saveActiveDrive, loadActiveDrive, clearActiveDrive } from '../utils/storage';
+import SignatureModal from '../components/SignatureModal';
+import SignatureView from '../components/SignatureView';
+import {
+  SUPERVISOR_RULE_MODES,
+  getSupervisorAge,
+  checkSupervisorEligibility,
+} from '../utils/supervisors';
+import {
+  TRIP_PURPOSES,
+  OTHER_PURPOSE,
+  RESTRICTION_LABELS,
+  isPurposeAllowed,
+  checkDriveRestrictions,
+  getRestrictionViolations,
+} from '../utils/restrictions';
 
-const WEATHER_OPTIONS = [
-  '☀️ Clear',
-  '🌙 Clear Night', 
-  '⛅ Partly Cloudy',
-  '☁️ Cloudy', 
-  '🌧️ Rain',
-  '🌨️ Snow',
-  '🌫️ Fog',
-  '💨 Windy',
-];
-
-const COMMON_SKILLS = [
-  'Parallel Parking',
-  'Highway Driving',
-  'Night Driving',
-  'City Driving',
-  'Parking',
-  'Lane Changes',
-  'Merging',
-  'Intersections',
-  'Backing Up',
-  'Three-Point Turn',
-];
-
-// Restricted license destinations
-const DESTINATIONS = {
-  allowed: [
-    'School',
-    'Work',
-    'Medical Appointment',
-    'Religious Activity',
-    'Family Emergency',
-    'Driver Education',
-  ],
-  forbidden: [
-    'Friend\'s House',
-    'Shopping/Mall',
-    'Restaurant',
-    'Movies/Entertainment',
-    'Sports Event',
-    'Party/Social Event',
-    'Beach/Park (Recreation)',
-    'Other Recreation',
-  ]
-};
+// The route is written to the saved session every this many GPS samples
+const ROUTE_SAVE_INTERVAL_SAMPLES = 6;
+
+// Most passengers the steppers go up to
+const MAX_PASSENGERS = 9;
 
 // Scene types for the multi-step flow
 const SCENES = {
@@ -77,26 +68,40 @@ const SCENES = {
   DESTINATION: 'destination',
   WEATHER: 'weather',
   TIMER: 'timer',
+  MANUAL_TIME: 'manualTime',
   SKILLS: 'skills'
 };
 
-export default function LogDriveScreen({ navigation }) {
-  const { addDrive, settings, user } = useDriving();
+// Scene order for live (timed) drives and backdated manual entries
+const LIVE_SCENES = [SCENES.SUPERVISOR, SCENES.DESTINATION, SCENES.WEATHER, SCENES.TIMER, SCENES.SKILLS];
+const MANUAL_SCENES = [SCENES.SUPERVISOR, SCENES.DESTINATION, SCENES.WEATHER, SCENES.MANUAL_TIME, SCENES.SKILLS];
+
+export default function LogDriveScreen({ navigation, route }) {
+  const { addDrive, drives, supervisors, settings, user } = useDriving();
   const { theme } = useTheme();
   
   // Scene flow state
   const [currentScene, setCurrentScene] = useState(SCENES.SUPERVISOR);
+  const [isManualEntry, setIsManualEntry] = useState(false);
+  const sceneOrder = isManualEntry ? MANUAL_SCENES : LIVE_SCENES;
   
   // Drive tracking state
   const [isActive, setIsActive] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [startTime, setStartTime] = useState(null);
   const [realStartTime, setRealStartTime] = useState(null); // Actual timestamp for calculations
-  const [pausedTime, setPausedTime] = useState(0);
+  const [pauseIntervals, setPauseIntervals] = useState([]); // Completed pauses as { start, end } timestamps
+  const [pausedAt, setPausedAt] = useState(null); // Timestamp of the current pause
   const [elapsedTime, setElapsedTime] = useState(0);
+  const [sessionRestored, setSessionRestored] = useState(false);
+  
+  // Route recording
+  const routeRecorderRef = useRef(null);
+  const [routeProgress, setRouteProgress] = useState({ distance: 0, sampleCount: 0 });
+  const routeSaveTick = Math.floor(routeProgress.sampleCount / ROUTE_SAVE_INTERVAL_SAMPLES);
   
   // Drive details
-  const [date, setDate] = useState(getCurrentDate());
+  const [date, setDate] = useState(getLocalDate());
   const [endTime, setEndTime] = useState('');
   const [weather, setWeather] = useState('');
   const [weatherData, setWeatherData] = useState(null);
@@ -104,9 +109,13 @@ export default function LogDriveScreen({ navigation }) {
   const [skills, setSkills] = useState([]);
   const [supervisorName, setSupervisorName] = useState('');
   const [supervisorAge, setSupervisorAge] = useState('');
+  const [supervisorId, setSupervisorId] = useState(null); // Saved supervisor picked from the roster
+  const [signature, setSignature] = useState(null);
+  const [showSignaturePad, setShowSignaturePad] = useState(false);
   const [destination, setDestination] = useState('');
-  const [destinationType, setDestinationType] = useState('');
-  const [requiresSupervisor, setRequiresSupervisor] = useState(false);
+  // Passengers besides the supervisor, starting from whoever rode along last time
+  const [passengers, setPassengers] = useState(() => getLatestPassengers(drives).passengers);
+  const [minorPassengers, setMinorPassengers] = useState(() => getLatestPassengers(drives).minorPassengers);
   
   // Loading states
   const [loadingWeather, setLoadingWeather] = useState(false);
@@ -117,19 +126,144 @@ export default function LogDriveScreen({ navigation }) {
     let interval;
     if (isActive && !isPaused && realStartTime) {
       interval = setInterval(() => {
-        const now = Date.now();
-        const elapsed = now - realStartTime - pausedTime;
-        setElapsedTime(Math.max(0, elapsed));
+        setElapsedTime(calculateElapsedTime(realStartTime, pauseIntervals, null));
       }, 100); // Update more frequently for smoother display
     }
     return () => clearInterval(interval);
-  }, [isActive, isPaused, realStartTime, pausedTime]);
+  }, [isActive, isPaused, realStartTime, pauseIntervals]);
 
-  // Get user location and weather when component mounts
+  // Resume a drive left in progress by a previous app run, otherwise get
+  // the user's location and weather for a new drive
   useEffect(() => {
-    requestLocationAndWeather();
+    const restoreOrStart = async () => {
+      const session = await loadActiveDrive();
+      if (session) {
+        restoreSession(session);
+      } else {
+        requestLocationAndWeather();
+      }
+      setSessionRestored(true);
+    };
+    
+    restoreOrStart();
+    
+    // Let go of the recorder when leaving the screen; background recording
+    // keeps saving the route into the session, which is restored on return
+    return () => {
+      if (routeRecorderRef.current) {
+        routeRecorderRef.current.release();
+      }
+    };
   }, []);
 
+  // Write the live drive to disk whenever it changes so it survives the app being killed
+  useEffect(() => {
+    if (!sessionRestored || !realStartTime) {
+      return;
+    }
+    
+    saveActiveDrive({
+      scene: currentScene,
+      date,
+      startTime,
+      endTime,
+      realStartTime,
+      pauseIntervals,
+      pausedAt,
+      // Only stored once the drive is stopped; a running drive is timed from the timestamps
+      stoppedElapsedTime: isActive ? null : elapsedTime,
+      supervisorName,
+      supervisorAge,
+      supervisorId,
+      signature,
+      destination,
+      passengers,
+      minorPassengers,
+      weather,
+      weatherData,
+      location,
+      skills,
+      routeSegments: routeRecorderRef.current ? routeRecorderRef.current.getSegments() : [],
+    });
+  }, [sessionRestored, currentScene, isActive, realStartTime, pauseIntervals, pausedAt, endTime, supervisorName, supervisorAge, supervisorId, signature, destination, passengers, minorPassengers, weather, skills, routeSaveTick]);
+
+  // Handle "Finish" chosen from the resume prompt on the dashboard
+  useEffect(() => {
+    if (sessionRestored && route?.params?.activeDriveAction === 'finish') {
+      navigation.setParams({ activeDriveAction: undefined });
+      if (isActive) {
+        handleStopDrive();
+      }
+    }
+  }, [sessionRestored, route?.params?.activeDriveAction]);
+
+  const restoreSession = (session) => {
+    const stopped = session.stoppedElapsedTime !== null && session.stoppedElapsedTime !== undefined;
+    
+    logUserAction('restore_active_drive', 'LOG_DRIVE', {
+      scene: session.scene,
+      stopped,
+      startedMinutesAgo: Math.round((Date.now() - session.realStartTime) / 60000),
+    });
+    
+    setIsManualEntry(false);
+    setDate(session.date);
+    setStartTime(session.startTime);
+    setEndTime(session.endTime || '');
+    setRealStartTime(session.realStartTime);
+    setPauseIntervals(session.pauseIntervals || []);
+    setPausedAt(stopped ? null : session.pausedAt || null);
+    setIsActive(!stopped);
+    setIsPaused(!stopped && !!session.pausedAt);
+    setElapsedTime(stopped
+      ? session.stoppedElapsedTime
+      : calculateElapsedTime(session.realStartTime, session.pauseIntervals, session.pausedAt));
+    setSupervisorName(session.supervisorName || '');
+    setSupervisorAge(session.supervisorAge || '');
+    setSupervisorId(session.supervisorId || null);
+    setSignature(session.signature || null);
+    setDestination(session.destination || '');
+    if (Number.isFinite(session.passengers)) {
+      setPassengers(session.passengers);
+      setMinorPassengers(session.minorPassengers || 0);
+    }
+    setWeather(session.weather || '');
+    setWeatherData(session.weatherData || null);
+    setLocation(session.location || null);
+    setSkills(session.skills || []);
+    setCurrentScene(stopped ? SCENES.SKILLS : SCENES.TIMER);
+    
+    // Carry on recording the route where the previous run left off. If it was
+    // recorded in the background meanwhile, the track has no gap to split at.
+    const recorder = createRecorder(session.routeSegments || []);
+    updateRouteProgress(recorder.getSegments());
+    if (!stopped && !session.pausedAt) {
+      recordRoute(isBackgroundRecording().then(continueSegment => recorder.start({ continueSegment })));
+    }
+  };
+
+  // Record the drive's route from the device GPS, split into segments at each pause
+  const createRecorder = (initialSegments = []) => {
+    const recorder = createRouteRecorder(createDeviceLocationSource(), {
+      initialSegments,
+      onUpdate: updateRouteProgress,
+    });
+    routeRecorderRef.current = recorder;
+    return recorder;
+  };
+
+  const updateRouteProgress = (segments) => {
+    setRouteProgress({
+      distance: calculateRouteDistance(segments),
+      sampleCount: segments.reduce((count, segment) => count + segment.length, 0),
+    });
+  };
+
+  // The drive is still timed if the route can't be recorded (e.g. no location permission)
+  const recordRoute = (recording) => {
+    recording.catch(error => logError(error, 'LOG_DRIVE', 'Failed to record route'));
+  };
+
   const requestLocationAndWeather = async () => {
     try {
       setLoadingLocation(true);
@@ -218,25 +352,81 @@ export default function LogDriveScreen({ navigation }) {
     }
   };
 
+  const selectedSupervisor = supervisors.find(s => s.id === supervisorId) || null;
+  const isRestricted = user.licenseType === 'restricted';
+  const supervisorRequired = user.licenseType === 'learners' || (isRestricted && settings.requireSupervisor);
+
+  // Rule problems for the current supervisor; one typed in is checked on the age entered
+  const getSupervisorProblems = () => {
+    if (!supervisorName?.trim()) {
+      return { violations: [], missing: [] };
+    }
+    const candidate = selectedSupervisor || {
+      age: supervisorAge ? parseInt(supervisorAge, 10) : null,
+      licenseYears: null,
+    };
+    return checkSupervisorEligibility(candidate, settings, date);
+  };
+
+  const handleSelectSupervisor = (supervisor) => {
+    if (supervisor.id === supervisorId) {
+      setSupervisorId(null);
+      setSupervisorName('');
+      setSupervisorAge('');
+      return;
+    }
+
+    const age = getSupervisorAge(supervisor, date);
+    setSupervisorId(supervisor.id);
+    setSupervisorName(supervisor.name);
+    setSupervisorAge(age !== null ? String(age) : '');
+    logUserAction('select_saved_supervisor', 'LOG_DRIVE');
+  };
+
   const handleSupervisorNext = () => {
     // Validate supervisor information if required
-    if ((user.licenseType === 'learners' || requiresSupervisor) && (!supervisorName?.trim() || !supervisorAge?.trim())) {
+    if (supervisorRequired && (!supervisorName?.trim() || !supervisorAge?.trim())) {
       Alert.alert('Missing Information', 'Please enter supervisor name and age.');
       return;
     }
     
-    if (supervisorAge && parseInt(supervisorAge.trim()) < 21) {
-      Alert.alert('Invalid Age', 'Supervising adult must be at least 21 years old.');
-      return;
-    }
-    
     // Validate supervisor name format
     if (supervisorName && supervisorName.trim().length < 2) {
       Alert.alert('Invalid Name', 'Please enter a valid supervisor name.');
       return;
     }
+
+    const { violations, missing } = getSupervisorProblems();
+    const goToDestination = () => setCurrentScene(SCENES.DESTINATION);
+
+    if (violations.length > 0 && settings.supervisorRuleMode === SUPERVISOR_RULE_MODES.BLOCK) {
+      logUserAction('supervisor_blocked', 'LOG_DRIVE', { violations: violations.length });
+      Alert.alert('Supervisor Not Eligible', `${supervisorName.trim()} can't supervise this drive:\n\n${violations.join('\n')}`);
+      return;
+    }
+
+    if (violations.length > 0 || missing.length > 0) {
+      Alert.alert(
+        violations.length > 0 ? 'Supervisor May Not Be Eligible' : 'Supervisor Details Missing',
+        [...violations, ...missing].join('\n'),
+        [
+          { text: 'Go Back', style: 'cancel' },
+          {
+            text: 'Continue Anyway',
+            onPress: () => {
+              logUserAction('supervisor_warning_accepted', 'LOG_DRIVE', {
+                violations: violations.length,
+                missing: missing.length,
+              });
+              goToDestination();
+            },
+          },
+        ]
+      );
+      return;
+    }
     
-    setCurrentScene(SCENES.DESTINATION);
+    goToDestination();
   };
 
   const handleDestinationNext = () => {
@@ -249,10 +439,70 @@ export default function LogDriveScreen({ navigation }) {
   };
 
   const handleWeatherNext = () => {
-    setCurrentScene(SCENES.TIMER);
+    setCurrentScene(isManualEntry ? SCENES.MANUAL_TIME : SCENES.TIMER);
+  };
+
+  const handleToggleManualEntry = () => {
+    const manual = !isManualEntry;
+    logUserAction(manual ? 'start_manual_entry' : 'cancel_manual_entry', 'LOG_DRIVE');
+    
+    setIsManualEntry(manual);
+    setStartTime(manual ? '' : null);
+    setEndTime('');
+    setDate(getLocalDate());
+    
+    // Detected weather describes right now, not a past drive
+    if (manual) {
+      setWeather('');
+    } else if (weatherData) {
+      setWeather(autoSelectWeatherOption(weatherData.description, weatherData.isNight));
+    }
   };
 
-  const handleStartDrive = () => {
+  const handleManualTimeNext = () => {
+    const duration = isValidTime(startTime) && isValidTime(endTime)
+      ? calculateDuration(startTime, endTime)
+      : 0;
+    const errors = validateDriveDetails({ date, startTime, endTime, duration });
+    
+    if (errors.length > 0) {
+      Alert.alert('Check Drive Details', errors.join('\n'));
+      return;
+    }
+    
+    setCurrentScene(SCENES.SKILLS);
+  };
+
+  // Restricted license rules are checked before the drive starts; depending on
+  // the rule mode a broken rule warns or stops the drive
+  const handleStartDrive = (ignoreRestrictions = false) => {
+    if (isRestricted && !ignoreRestrictions) {
+      const violations = checkDriveRestrictions({ startTime: getCurrentTime(), destination, supervisorName, minorPassengers }, settings);
+      if (violations.length > 0) {
+        const messages = violations.map(violation => `${RESTRICTION_LABELS[violation.type]}: ${violation.message}`).join('\n');
+        if (settings.restrictionRuleMode === SUPERVISOR_RULE_MODES.BLOCK) {
+          logUserAction('restricted_drive_blocked', 'LOG_DRIVE', { violations: violations.map(v => v.type) });
+          Alert.alert('Drive Not Allowed', `Your restricted license rules don't allow this drive:\n\n${messages}`);
+        } else {
+          Alert.alert(
+            'Restricted License Rules',
+            `This drive breaks your restricted license rules:\n\n${messages}\n\nIt will be recorded on the drive.`,
+            [
+              { text: 'Go Back', style: 'cancel' },
+              {
+                text: 'Start Anyway',
+                onPress: () => {
+                  logUserAction('restricted_drive_warning_accepted', 'LOG_DRIVE', { violations: violations.map(v => v.type) });
+                  handleStartDrive(true);
+                },
+              },
+            ]
+          );
+        }
+        return;
+      }
+    }
+
     const currentTime = getCurrentTime();
     const now = Date.now();
     
@@ -263,21 +513,34 @@ export default function LogDriveScreen({ navigation }) {
     setRealStartTime(now);
     setIsActive(true);
     setElapsedTime(0);
-    setPausedTime(0);
+    setPauseIntervals([]);
+    setPausedAt(null);
+    
+    setRouteProgress({ distance: 0, sampleCount: 0 });
+    recordRoute(createRecorder().start());
   };
 
   const handlePause = () => {
+    const now = Date.now();
     logUserAction('pause_drive', 'LOG_DRIVE');
+    if (routeRecorderRef.current) {
+      routeRecorderRef.current.pause();
+    }
+    setElapsedTime(calculateElapsedTime(realStartTime, pauseIntervals, null, now));
+    setPausedAt(now);
     setIsPaused(true);
   };
 
   const handleResume = () => {
     if (isPaused && realStartTime) {
       logUserAction('resume_drive', 'LOG_DRIVE');
-      // Add the pause duration to total paused time
-      const pauseDuration = Date.now() - (realStartTime + elapsedTime + pausedTime);
-      setPausedTime(prev => prev + pauseDuration);
+      // Close the current pause so its duration is excluded from driving time
+      setPauseIntervals(prev => [...prev, { start: pausedAt, end: Date.now() }]);
+      setPausedAt(null);
       setIsPaused(false);
+      if (routeRecorderRef.current) {
+        recordRoute(routeRecorderRef.current.resume());
+      }
     }
   };
 
@@ -285,6 +548,16 @@ export default function LogDriveScreen({ navigation }) {
     if (!isActive) return;
 
     logUserAction('stop_drive', 'LOG_DRIVE');
+    if (routeRecorderRef.current) {
+      routeRecorderRef.current.stop();
+    }
+    
+    // A pause still open when the drive is stopped doesn't count as driving
+    const now = Date.now();
+    const intervals = pausedAt ? [...pauseIntervals, { start: pausedAt, end: now }] : pauseIntervals;
+    setPauseIntervals(intervals);
+    setPausedAt(null);
+    setElapsedTime(calculateElapsedTime(realStartTime, intervals, null, now));
     
     setIsActive(false);
     setIsPaused(false);
@@ -294,14 +567,58 @@ export default function LogDriveScreen({ navigation }) {
     setCurrentScene(SCENES.SKILLS);
   };
 
-  const handleSkillsSubmit = () => {
-    // Calculate actual driving duration in minutes
+  // Where to work out sunset and sunrise for this drive: the live GPS fix,
+  // or for past drives the last place a drive was recorded
+  const getSunLocation = () => {
+    if (!isManualEntry && location) {
+      return { latitude: location.coords.latitude, longitude: location.coords.longitude };
+    }
+    return getLatestDriveLocation(drives);
+  };
+
+  const handleSaveSignature = (newSignature) => {
+    setSignature(newSignature);
+    setShowSignaturePad(false);
+    logUserAction('sign_drive', 'LOG_DRIVE', { strokes: newSignature.strokes.length });
+  };
+
+  const handleSkillsSubmit = (saveUnsigned = false) => {
+    if (supervisorName?.trim() && !signature && !saveUnsigned) {
+      Alert.alert(
+        'Save Without Signature?',
+        `${supervisorName.trim()} hasn't signed this drive. It will be marked as unsigned in your reports.`,
+        [
+          { text: 'Sign Now', onPress: () => setShowSignaturePad(true) },
+          { text: 'Save Unsigned', style: 'destructive', onPress: () => handleSkillsSubmit(true) },
+        ]
+      );
+      return;
+    }
+
+    // Calculate actual driving duration in minutes; manual entries span start to end
     const actualDurationMs = elapsedTime;
-    const actualDurationMinutes = Math.max(1, Math.floor(actualDurationMs / 60000));
+    const actualDurationMinutes = isManualEntry
+      ? calculateDuration(startTime, endTime)
+      : Math.max(1, Math.floor(actualDurationMs / 60000));
     
-    // Determine if it's a night drive
-    const isNight = isNightTime(startTime, settings.nightTimeStart, settings.nightTimeEnd) ||
-      isNightTime(endTime, settings.nightTimeStart, settings.nightTimeEnd);
+    // Split the driving time between day and night, leaving out where the drive was paused
+    const pauses = isManualEntry ? [] : pauseIntervals.map(pause => ({
+      startOffset: Math.round((pause.start - realStartTime) / 60000),
+      endOffset: Math.round((pause.end - realStartTime) / 60000),
+    }));
+    const { nightStart, nightEnd } = getNightWindow(settings, date, getSunLocation());
+    const { dayMinutes, nightMinutes } = splitDriveMinutes(
+      { startTime, endTime, duration: actualDurationMinutes },
+      nightStart,
+      nightEnd,
+      pauses
+    );
+    const isNight = nightMinutes > 0;
+    const routeSegments = !isManualEntry && routeRecorderRef.current
+      ? routeRecorderRef.current.getSegments()
+      : [];
+    const route = summarizeRoute(routeSegments);
+    const stats = calculateDriveStats(routeSegments, actualDurationMinutes);
 
     // Create drive object with sanitized data
     const driveData = {
@@ -310,31 +627,49 @@ export default function LogDriveScreen({ navigation }) {
       startTime,
       endTime,
       duration: actualDurationMinutes,
+      dayMinutes,
+      nightMinutes,
       isNightDrive: isNight,
       weather: weather || null,
-      weatherData: weatherData || null,
-      location: location ? {
+      weatherData: !isManualEntry && weatherData ? weatherData : null,
+      location: !isManualEntry && location ? {
         latitude: location.coords.latitude,
         longitude: location.coords.longitude,
-      } : null,
+      } : route ? route.startPoint : null,
+      route,
+      stats,
       skills: skills.length > 0 ? skills.join(', ') : null,
       supervisorName: supervisorName && supervisorName.trim() ? supervisorName.trim() : null,
       supervisorAge: supervisorAge && supervisorAge.trim() ? parseInt(supervisorAge.trim()) : null,
+      supervisorId,
+      signature: supervisorName && supervisorName.trim() ? signature : null,
       destination: destination || null,
-      destinationType: destinationType || null,
-      pausedTime: Math.floor(pausedTime / 60000), // Store paused time in minutes
+      passengers,
+      minorPassengers,
+      pausedTime: Math.floor(calculatePausedTime(pauseIntervals, null) / 60000), // Store paused time in minutes
+      isManualEntry,
     };
+    // Checked again now the end time is known, and kept with the drive
+    driveData.restrictionViolations = getRestrictionViolations(driveData, user, settings);
 
-    // Save the drive
+    // Save the drive and drop the in-progress session
     addDrive(driveData);
+    clearActiveDrive();
+    resetForm();
 
     logUserAction('save_drive', 'LOG_DRIVE', {
       durationMinutes: actualDurationMinutes,
-      isNightDrive: isNight,
+      dayMinutes,
+      nightMinutes,
       hasLocation: !!location,
+      routeSamples: route ? route.sampleCount : 0,
       hasWeather: !!weather,
       skillsCount: skills.length,
-      hasSupervisor: !!(supervisorName && supervisorName.trim())
+      hasSupervisor: !!(supervisorName && supervisorName.trim()),
+      passengers,
+      signed: !!signature,
+      isManualEntry,
+      restrictionViolations: driveData.restrictionViolations?.length || 0,
     });
 
     // Show success message
@@ -346,15 +681,14 @@ export default function LogDriveScreen({ navigation }) {
     
     Alert.alert(
       'Drive Saved! 🎉',
-      `Great job! You drove for ${durationText}${isNight ? ' at night' : ''}.`,
+      `Great job! You drove for ${durationText}${isNight ? `, including ${formatDuration(nightMinutes)} at night` : ''}.${settings.parentApproval ? '\n\nIt will count toward your hours once a parent approves it.' : ''}${driveData.restrictionViolations?.length > 0 ? `\n\n⚠️ This drive broke ${driveData.restrictionViolations.length} restricted license rule${driveData.restrictionViolations.length !== 1 ? 's' : ''}. See the drive in History for details.` : ''}`,
       [
         { 
           text: 'View Dashboard', 
           onPress: () => navigation.navigate('Dashboard') 
         },
         { 
-          text: 'Log Another', 
-          onPress: resetForm 
+          text: 'Log Another'
         }
       ]
     );
@@ -362,23 +696,30 @@ export default function LogDriveScreen({ navigation }) {
 
   const resetForm = () => {
     setCurrentScene(SCENES.SUPERVISOR);
+    setIsManualEntry(false);
     setIsActive(false);
     setIsPaused(false);
     setStartTime(null);
     setRealStartTime(null);
     setEndTime('');
     setElapsedTime(0);
-    setPausedTime(0);
-    setDate(getCurrentDate());
+    setPauseIntervals([]);
+    setPausedAt(null);
+    setDate(getLocalDate());
     setWeather('');
     setSkills([]);
     setSupervisorName('');
     setSupervisorAge('');
+    setSupervisorId(null);
+    setSignature(null);
     setDestination('');
-    setDestinationType('');
-    setRequiresSupervisor(false);
     setWeatherData(null);
     setLoadingWeather(false);
+    if (routeRecorderRef.current) {
+      routeRecorderRef.current.stop();
+      routeRecorderRef.current = null;
+    }
+    setRouteProgress({ distance: 0, sampleCount: 0 });
   };
 
   const formatElapsedTime = (ms) => {
@@ -406,32 +747,60 @@ export default function LogDriveScreen({ navigation }) {
       <Text style={[styles.sceneSubtitle, { color: theme.colors.text.secondary }]}>
         {user.licenseType === 'learners' 
           ? 'A licensed adult must supervise all drives with a learner\'s permit.'
-          : 'Required for restricted license holders in certain situations.'
+          : settings.requireSupervisor
+            ? 'Your restricted license rules require a supervisor on every drive.'
+            : 'Optional. A supervisor lifts your curfew, passenger and trip purpose limits.'
         }
       </Text>
 
-      {user.licenseType === 'restricted' && (
-        <View style={styles.inputContainer}>
-          <View style={[styles.switchContainer, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}>
-            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Driving with supervision required?</Text>
-            <Switch
-              value={requiresSupervisor}
-              onValueChange={setRequiresSupervisor}
-              trackColor={{ false: theme.colors.border.light, true: theme.colors.primary + '50' }}
-              thumbColor={requiresSupervisor ? theme.colors.primary : theme.colors.gray[300]}
-            />
-          </View>
-        </View>
-      )}
-
-      {(user.licenseType === 'learners' || requiresSupervisor) && (
+      {(user.licenseType === 'learners' || isRestricted) && (
         <>
+          {supervisors.length > 0 && (
+            <View style={styles.inputContainer}>
+              <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Saved Supervisors</Text>
+              {supervisors.map(supervisor => {
+                const selected = supervisor.id === supervisorId;
+                const age = getSupervisorAge(supervisor, date);
+                const { violations } = checkSupervisorEligibility(supervisor, settings, date);
+                return (
+                  <TouchableOpacity
+                    key={supervisor.id}
+                    style={[
+                      styles.destinationOption,
+                      { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                      selected && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
+                    ]}
+                    onPress={() => handleSelectSupervisor(supervisor)}
+                  >
+                    <Text style={[
+                      styles.destinationText,
+                      { color: theme.colors.text.primary },
+                      selected && { color: theme.colors.primary, fontWeight: '600' },
+                    ]}>
+                      {supervisor.name}
+                    </Text>
+                    <Text style={[styles.supervisorDetails, { color: theme.colors.text.secondary }]}>
+                      {[supervisor.relationship, age !== null && `${age} years old`].filter(Boolean).join(' • ')}
+                    </Text>
+                    {violations.length > 0 && (
+                      <Text style={[styles.supervisorDetails, { color: theme.colors.error }]}>⚠️ {violations.join(' ')}</Text>
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          )}
+
           <View style={styles.inputContainer}>
-            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Supervisor Name *</Text>
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Supervisor Name{supervisorRequired ? ' *' : ''}</Text>
             <TextInput
               style={[styles.textInput, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light, color: theme.colors.text.primary }]}
               value={supervisorName}
-              onChangeText={(text) => setSupervisorName(text.replace(/\s+/g, ' ').trim())}
+              onChangeText={(text) => {
+                // Typing a different name means someone not on the roster
+                setSupervisorId(null);
+                setSupervisorName(text.replace(/\s+/g, ' ').trim());
+              }}
               placeholder="Enter supervisor's name"
               placeholderTextColor={theme.colors.text.light}
               autoCapitalize="words"
@@ -440,17 +809,24 @@ export default function LogDriveScreen({ navigation }) {
           </View>
 
           <View style={styles.inputContainer}>
-            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Supervisor Age *</Text>
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Supervisor Age{supervisorRequired ? ' *' : ''}</Text>
             <TextInput
               style={[styles.textInput, styles.ageInput, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light, color: theme.colors.text.primary }]}
               value={supervisorAge}
-              onChangeText={(text) => setSupervisorAge(text.replace(/[^0-9]/g, ''))}
+              onChangeText={(text) => {
+                setSupervisorId(null);
+                setSupervisorAge(text.replace(/[^0-9]/g, ''));
+              }}
               placeholder="Age"
               placeholderTextColor={theme.colors.text.light}
               keyboardType="numeric"
               maxLength={2}
             />
-            <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>Must be at least 21 years old</Text>
+            {settings.supervisorMinAge > 0 && (
+              <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+                Must be at least {settings.supervisorMinAge} years old
+              </Text>
+            )}
           </View>
         </>
       )}
@@ -464,94 +840,113 @@ export default function LogDriveScreen({ navigation }) {
     </View>
   );
 
+  const renderDestinationOption = (dest, restricted = false) => (
+    <TouchableOpacity
+      key={dest}
+      style={[
+        styles.destinationOption,
+        restricted && styles.restrictedDestination,
+        { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+        destination === dest && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
+      ]}
+      onPress={() => setDestination(dest)}
+    >
+      <Text style={[
+        styles.destinationText,
+        { color: theme.colors.text.primary },
+        destination === dest && { color: theme.colors.primary, fontWeight: '600' },
+      ]}>
+        {dest}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  // Restricted drivers see which purposes their rules allow without a supervisor
+  const purposeOptions = [...TRIP_PURPOSES, OTHER_PURPOSE];
+  const allowedPurposes = purposeOptions.filter(purpose => isPurposeAllowed(purpose, settings));
+  const supervisedPurposes = purposeOptions.filter(purpose => !isPurposeAllowed(purpose, settings));
+
+  const handlePassengersChange = (change) => {
+    const next = Math.min(MAX_PASSENGERS, Math.max(0, passengers + change));
+    setPassengers(next);
+    setMinorPassengers(Math.min(minorPassengers, next));
+  };
+
+  const handleMinorPassengersChange = (change) => {
+    setMinorPassengers(Math.min(passengers, Math.max(0, minorPassengers + change)));
+  };
+
+  const renderStepper = (label, value, onChange, max) => (
+    <View style={styles.stepperRow}>
+      <Text style={[styles.stepperLabel, { color: theme.colors.text.primary }]}>{label}</Text>
+      <View style={styles.stepperControls}>
+        <TouchableOpacity
+          style={[styles.stepperButton, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+          onPress={() => onChange(-1)}
+          disabled={value <= 0}
+        >
+          <Text style={[styles.stepperButtonText, { color: value <= 0 ? theme.colors.text.light : theme.colors.primary }]}>−</Text>
+        </TouchableOpacity>
+        <Text style={[styles.stepperValue, { color: theme.colors.text.primary }]}>{value}</Text>
+        <TouchableOpacity
+          style={[styles.stepperButton, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+          onPress={() => onChange(1)}
+          disabled={value >= max}
+        >
+          <Text style={[styles.stepperButtonText, { color: value >= max ? theme.colors.text.light : theme.colors.primary }]}>+</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const passengerLimitExceeded = isRestricted && !supervisorName?.trim()
+    && Number.isFinite(settings.maxMinorPassengers) && minorPassengers > settings.maxMinorPassengers;
+
   const renderDestinationScene = () => (
     <View style={[styles.sceneContainer, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
       <Text style={[styles.sceneTitle, { color: theme.colors.text.primary }]}>Where are you going?</Text>
       <Text style={[styles.sceneSubtitle, { color: theme.colors.text.secondary }]}>
-        {user.licenseType === 'restricted' 
-          ? 'Some destinations may require supervision with a restricted license.'
-          : 'Let us know your destination for logging purposes.'
+        {!isRestricted
+          ? 'Let us know your destination for logging purposes.'
+          : supervisorName?.trim()
+            ? 'You have a supervisor, so any destination is within your restricted license rules.'
+            : 'Some destinations need a supervisor with your restricted license.'
         }
       </Text>
 
       <View style={styles.destinationContainer}>
-        <Text style={[styles.destinationSectionTitle, { color: theme.colors.text.primary }]}>✅ Allowed Destinations</Text>
-        {DESTINATIONS.allowed.map((dest) => (
-          <TouchableOpacity
-            key={dest}
-            style={[
-              styles.destinationOption,
-              { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
-              destination === dest && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
-            ]}
-            onPress={() => {
-              setDestination(dest);
-              setDestinationType('allowed');
-              setRequiresSupervisor(false);
-            }}
-          >
-            <Text style={[
-              styles.destinationText,
-              { color: theme.colors.text.primary },
-              destination === dest && { color: theme.colors.primary, fontWeight: '600' },
-            ]}>
-              {dest}
-            </Text>
-          </TouchableOpacity>
-        ))}
-
-        {user.licenseType === 'restricted' && (
+        {isRestricted ? (
           <>
-            <Text style={[styles.destinationSectionTitle, { color: theme.colors.text.primary }]}>⚠️ Restricted Destinations</Text>
-            <Text style={[styles.restrictionNote, { color: theme.colors.text.secondary }]}>
-              These destinations require adult supervision with a restricted license
-            </Text>
-            {DESTINATIONS.forbidden.map((dest) => (
-              <TouchableOpacity
-                key={dest}
-                style={[
-                  styles.destinationOption,
-                  styles.restrictedDestination,
-                  { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
-                  destination === dest && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
-                ]}
-                onPress={() => {
-                  setDestination(dest);
-                  setDestinationType('forbidden');
-                  setRequiresSupervisor(true);
-                }}
-              >
-                <Text style={[
-                  styles.destinationText,
-                  { color: theme.colors.text.primary },
-                  destination === dest && { color: theme.colors.primary, fontWeight: '600' },
-                ]}>
-                  {dest}
+            <Text style={[styles.destinationSectionTitle, { color: theme.colors.text.primary }]}>✅ Allowed Destinations</Text>
+            {allowedPurposes.map(dest => renderDestinationOption(dest))}
+
+            {supervisedPurposes.length > 0 && (
+              <>
+                <Text style={[styles.destinationSectionTitle, { color: theme.colors.text.primary }]}>⚠️ Restricted Destinations</Text>
+                <Text style={[styles.restrictionNote, { color: theme.colors.text.secondary }]}>
+                  These destinations need adult supervision with your restricted license
                 </Text>
-              </TouchableOpacity>
-            ))}
+                {supervisedPurposes.map(dest => renderDestinationOption(dest, !supervisorName?.trim()))}
+              </>
+            )}
           </>
+        ) : (
+          purposeOptions.map(dest => renderDestinationOption(dest))
         )}
+      </View>
 
-        <TouchableOpacity
-          style={[
-            styles.destinationOption,
-            { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
-            destination === 'Other' && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
-          ]}
-          onPress={() => {
-            setDestination('Other');
-            setDestinationType('other');
-          }}
-        >
-          <Text style={[
-            styles.destinationText,
-            { color: theme.colors.text.primary },
-            destination === 'Other' && { color: theme.colors.primary, fontWeight: '600' },
-          ]}>
-            Other
+      <View style={styles.passengerContainer}>
+        <Text style={[styles.destinationSectionTitle, { color: theme.colors.text.primary }]}>👥 Passengers</Text>
+        <Text style={[styles.restrictionNote, { color: theme.colors.text.secondary }]}>
+          Not counting your supervisor. Filled in from your last drive.
+        </Text>
+        {renderStepper('Passengers', passengers, handlePassengersChange, MAX_PASSENGERS)}
+        {renderStepper('Under 21', minorPassengers, handleMinorPassengersChange, passengers)}
+        {passengerLimitExceeded && (
+          <Text style={[styles.restrictionNote, { color: theme.colors.warning }]}>
+            ⚠️ Your restricted license allows {settings.maxMinorPassengers} passenger{settings.maxMinorPassengers !== 1 ? 's' : ''} under 21 without a supervisor
           </Text>
-        </TouchableOpacity>
+        )}
       </View>
 
       <TouchableOpacity
@@ -569,9 +964,14 @@ export default function LogDriveScreen({ navigation }) {
 
   const renderWeatherScene = () => (
     <View style={[styles.sceneContainer, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
-      <Text style={[styles.sceneTitle, { color: theme.colors.text.primary }]}>Current Weather Conditions</Text>
+      <Text style={[styles.sceneTitle, { color: theme.colors.text.primary }]}>
+        {isManualEntry ? 'Weather Conditions' : 'Current Weather Conditions'}
+      </Text>
       <Text style={[styles.sceneSubtitle, { color: theme.colors.text.secondary }]}>
-        We've detected the weather at your location. You can adjust if needed.
+        {isManualEntry
+          ? 'What was the weather like during this drive?'
+          : 'We\'ve detected the weather at your location. You can adjust if needed.'
+        }
       </Text>
 
       {loadingWeather ? (
@@ -581,7 +981,7 @@ export default function LogDriveScreen({ navigation }) {
         </View>
       ) : (
         <>
-          {weatherData && (
+          {weatherData && !isManualEntry && (
             <View style={[styles.weatherDataContainer, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}>
               <Text style={[styles.weatherDataText, { color: theme.colors.primary }]}>
                 📍 {weatherData.location}
@@ -638,10 +1038,13 @@ export default function LogDriveScreen({ navigation }) {
         style={[styles.nextButton, { backgroundColor: theme.colors.primary }]}
         onPress={handleWeatherNext}
       >
-        <Text style={[styles.nextButtonText, { color: theme.colors.text.inverse }]}>Start Drive →</Text>
+        <Text style={[styles.nextButtonText, { color: theme.colors.text.inverse }]}>
+          {isManualEntry ? 'Next →' : 'Start Drive →'}
+        </Text>
       </TouchableOpacity>
 
       {/* Refresh weather button */}
+      {!isManualEntry && (
       <TouchableOpacity
         style={[styles.refreshButton, { backgroundColor: theme.colors.gray[500] }]}
         onPress={() => {
@@ -657,6 +1060,7 @@ export default function LogDriveScreen({ navigation }) {
           {loadingWeather ? '🔄 Updating...' : '🔄 Refresh Weather'}
         </Text>
       </TouchableOpacity>
+      )}
     </View>
   );
 
@@ -679,6 +1083,11 @@ export default function LogDriveScreen({ navigation }) {
               Started at {formatTimeForDisplay(startTime)}
               {isPaused && ' (Paused)'}
             </Text>
+            {routeProgress.sampleCount > 0 && (
+              <Text style={[styles.statusText, { color: theme.colors.text.secondary }]}>
+                📍 {formatDistance(routeProgress.distance, settings.temperatureUnit)} recorded
+              </Text>
+            )}
           </View>
         )}
       </View>
@@ -688,7 +1097,7 @@ export default function LogDriveScreen({ navigation }) {
         {!isActive ? (
           <TouchableOpacity 
             style={[styles.startButton, { backgroundColor: theme.colors.primary }]}
-            onPress={handleStartDrive}
+            onPress={() => handleStartDrive()}
           >
             <Text style={[styles.startButtonText, { color: theme.colors.text.inverse }]}>🚗 Start Drive</Text>
           </TouchableOpacity>
@@ -731,6 +1140,92 @@ export default function LogDriveScreen({ navigation }) {
     </View>
   );
 
+  const renderManualTimeScene = () => {
+    const timesValid = isValidTime(startTime) && isValidTime(endTime);
+    const manualDuration = timesValid ? calculateDuration(startTime, endTime) : 0;
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const crossesMidnight = timesValid && toMinutes(endTime) < toMinutes(startTime);
+    const nightWindow = getNightWindow(settings, isValidDate(date) ? date : null, getSunLocation());
+    const manualSplit = timesValid
+      ? splitDriveMinutes({ startTime, endTime, duration: manualDuration }, nightWindow.nightStart, nightWindow.nightEnd)
+      : null;
+    const inputStyle = [styles.textInput, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light, color: theme.colors.text.primary }];
+
+    return (
+      <View style={[styles.sceneContainer, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+        <Text style={[styles.sceneTitle, { color: theme.colors.text.primary }]}>When did you drive?</Text>
+        <Text style={[styles.sceneSubtitle, { color: theme.colors.text.secondary }]}>
+          Enter the date and times of your past drive. It will be marked as a manual entry in your log.
+        </Text>
+
+        <View style={styles.inputContainer}>
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Date *</Text>
+          <TextInput
+            style={inputStyle}
+            value={date}
+            onChangeText={setDate}
+            placeholder="YYYY-MM-DD"
+            placeholderTextColor={theme.colors.text.light}
+            autoCorrect={false}
+            maxLength={10}
+          />
+        </View>
+
+        <View style={styles.manualTimeRow}>
+          <View style={[styles.inputContainer, styles.manualTimeInput]}>
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Start Time *</Text>
+            <TextInput
+              style={inputStyle}
+              value={startTime || ''}
+              onChangeText={setStartTime}
+              placeholder="HH:MM"
+              placeholderTextColor={theme.colors.text.light}
+              autoCorrect={false}
+              maxLength={5}
+            />
+          </View>
+          <View style={[styles.inputContainer, styles.manualTimeInput]}>
+            <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>End Time *</Text>
+            <TextInput
+              style={inputStyle}
+              value={endTime}
+              onChangeText={setEndTime}
+              placeholder="HH:MM"
+              placeholderTextColor={theme.colors.text.light}
+              autoCorrect={false}
+              maxLength={5}
+            />
+          </View>
+        </View>
+        <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+          {timesValid
+            ? `Duration: ${formatDuration(manualDuration)}${crossesMidnight ? ' (ends the next day)' : ''}`
+            : 'Use 24-hour time, e.g. 18:30'}
+        </Text>
+
+        {manualSplit && manualDuration > 0 && (
+          <View style={[styles.driveSummaryContainer, styles.manualSplit, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}>
+            <Text style={[styles.summaryText, { color: theme.colors.text.secondary }]}>☀️ Day: {formatDuration(manualSplit.dayMinutes)}</Text>
+            <Text style={[styles.summaryText, { color: theme.colors.text.secondary }]}>🌙 Night: {formatDuration(manualSplit.nightMinutes)}</Text>
+            <Text style={[styles.summaryText, { color: theme.colors.text.light }]}>
+              Night hours: {formatTimeForDisplay(nightWindow.nightStart)} - {formatTimeForDisplay(nightWindow.nightEnd)}
+            </Text>
+          </View>
+        )}
+
+        <TouchableOpacity
+          style={[styles.nextButton, { backgroundColor: theme.colors.primary }]}
+          onPress={handleManualTimeNext}
+        >
+          <Text style={[styles.nextButtonText, { color: theme.colors.text.inverse }]}>Next →</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   const renderSkillsScene = () => (
     <View style={[styles.sceneContainer, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
       <Text style={[styles.sceneTitle, { color: theme.colors.text.primary }]}>What did you practice?</Text>
@@ -777,10 +1272,43 @@ export default function LogDriveScreen({ navigation }) {
         </TouchableOpacity>
       </View>
 
+      {supervisorName?.trim() ? (
+        <View style={styles.inputContainer}>
+          <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>✍️ Supervisor Signature</Text>
+          {signature ? (
+            <>
+              <SignatureView signature={signature} height={80} />
+              <View style={styles.signatureActions}>
+                <TouchableOpacity onPress={() => setShowSignaturePad(true)}>
+                  <Text style={[styles.signatureActionText, { color: theme.colors.primary }]}>Sign Again</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => setSignature(null)}>
+                  <Text style={[styles.signatureActionText, { color: theme.colors.error }]}>Remove</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <>
+              <TouchableOpacity
+                style={[styles.destinationOption, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.primary }]}
+                onPress={() => setShowSignaturePad(true)}
+              >
+                <Text style={[styles.destinationText, { color: theme.colors.primary, textAlign: 'center' }]}>
+                  Sign as {supervisorName.trim()}
+                </Text>
+              </TouchableOpacity>
+              <Text style={[styles.helpText, { color: theme.colors.text.secondary }]}>
+                Drives without a signature are marked as unsigned in reports
+              </Text>
+            </>
+          )}
+        </View>
+      ) : null}
+
       <View style={styles.finalButtonsContainer}>
         <TouchableOpacity
           style={[styles.saveButton, { backgroundColor: theme.colors.success || '#10b981' }]}
-          onPress={handleSkillsSubmit}
+          onPress={() => handleSkillsSubmit()}
         >
           <Text style={[styles.saveButtonText, { color: theme.colors.text.inverse }]}>Save Drive 💾</Text>
         </TouchableOpacity>
@@ -798,22 +1326,35 @@ export default function LogDriveScreen({ navigation }) {
               style={[
                 styles.progressFill, 
                 { 
-                  width: `${((Object.values(SCENES).indexOf(currentScene) + 1) / Object.values(SCENES).length) * 100}%`,
+                  width: `${((sceneOrder.indexOf(currentScene) + 1) / sceneOrder.length) * 100}%`,
                   backgroundColor: theme.colors.primary
                 }
               ]} 
             />
           </View>
           <Text style={[styles.progressText, { color: theme.colors.text.secondary }]}>
-            Step {Object.values(SCENES).indexOf(currentScene) + 1} of {Object.values(SCENES).length}
+            Step {sceneOrder.indexOf(currentScene) + 1} of {sceneOrder.length}
           </Text>
         </View>
 
+        {/* Switch between the live timer and logging a past drive */}
+        {currentScene === SCENES.SUPERVISOR && !isActive && (
+          <TouchableOpacity
+            style={[styles.modeToggle, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}
+            onPress={handleToggleManualEntry}
+          >
+            <Text style={[styles.modeToggleText, { color: theme.colors.primary }]}>
+              {isManualEntry ? '⏱️ Record a live drive instead' : '🕘 Log a past drive instead'}
+            </Text>
+          </TouchableOpacity>
+        )}
+
         {/* Render current scene */}
         {currentScene === SCENES.SUPERVISOR && renderSupervisorScene()}
         {currentScene === SCENES.DESTINATION && renderDestinationScene()}
         {currentScene === SCENES.WEATHER && renderWeatherScene()}
         {currentScene === SCENES.TIMER && renderTimerScene()}
+        {currentScene === SCENES.MANUAL_TIME && renderManualTimeScene()}
         {currentScene === SCENES.SKILLS && renderSkillsScene()}
 
         {/* Back button for all scenes except first and timer */}
@@ -821,10 +1362,9 @@ export default function LogDriveScreen({ navigation }) {
           <TouchableOpacity
             style={[styles.backButton, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}
             onPress={() => {
-              const scenes = Object.values(SCENES);
-              const currentIndex = scenes.indexOf(currentScene);
+              const currentIndex = sceneOrder.indexOf(currentScene);
               if (currentIndex > 0) {
-                setCurrentScene(scenes[currentIndex - 1]);
+                setCurrentScene(sceneOrder[currentIndex - 1]);
               }
             }}
           >
@@ -832,6 +1372,13 @@ export default function LogDriveScreen({ navigation }) {
           </TouchableOpacity>
         )}
       </ScrollView>
+
+      <SignatureModal
+        visible={showSignaturePad}
+        supervisorName={supervisorName}
+        onSave={handleSaveSignature}
+        onClose={() => setShowSignaturePad(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -866,6 +1413,18 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontWeight: '500',
   },
+  modeToggle: {
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    alignItems: 'center',
+    marginTop: -16,
+    marginBottom: 16,
+  },
+  modeToggleText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
   // Scene container styles
   sceneContainer: {
     backgroundColor: 'white',
@@ -925,15 +1484,18 @@ const styles = StyleSheet.create({
     marginTop: 4,
     fontStyle: 'italic',
   },
-  switchContainer: {
+  // Manual entry styles
+  manualTimeRow: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    backgroundColor: '#f8fafc',
-    padding: 16,
-    borderRadius: 12,
-    borderWidth: 1,
-    borderColor: '#e2e8f0',
+    gap: 12,
+  },
+  manualTimeInput: {
+    flex: 1,
+    marginBottom: 4,
+  },
+  manualSplit: {
+    marginTop: 16,
+    marginBottom: 20,
   },
   // Destination styles
   destinationContainer: {
@@ -952,6 +1514,40 @@ const styles = StyleSheet.create({
     marginBottom: 12,
     fontStyle: 'italic',
   },
+  passengerContainer: {
+    marginBottom: 20,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  stepperLabel: {
+    fontSize: 16,
+  },
+  stepperControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperButtonText: {
+    fontSize: 22,
+    fontWeight: '600',
+  },
+  stepperValue: {
+    fontSize: 18,
+    fontWeight: '600',
+    minWidth: 40,
+    textAlign: 'center',
+  },
   destinationOption: {
     padding: 16,
     borderRadius: 12,
@@ -960,6 +1556,10 @@ const styles = StyleSheet.create({
     backgroundColor: 'white',
     marginBottom: 8,
   },
+  supervisorDetails: {
+    fontSize: 14,
+    marginTop: 4,
+  },
   restrictedDestination: {
     backgroundColor: '#fef3c7',
     borderColor: '#f59e0b',
@@ -1187,6 +1787,16 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  signatureActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 20,
+    marginTop: 8,
+  },
+  signatureActionText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
   finalButtonsContainer: {
     marginTop: 8,
   },
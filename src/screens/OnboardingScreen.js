@@ -11,6 +11,18 @@ import {
 import * as Location from 'expo-location';
 import { useDriving } from '../contexts/DrivingContext';
 import { useTheme } from '../contexts/ThemeContext';
+import JurisdictionPickerModal from '../components/JurisdictionPickerModal';
+import ProfileSwitcherModal from '../components/ProfileSwitcherModal';
+import { categoriesFromJurisdiction } from '../utils/categories';
+import {
+  getJurisdiction,
+  getJurisdictionGoals,
+  getJurisdictionNightSettings,
+  requiresHours,
+  describeJurisdictionHours,
+  describeJurisdictionTimeline,
+  RECOMMENDED_PRACTICE,
+} from '../utils/jurisdictions';
 
 const LICENSE_TYPES = [
   {
@@ -33,43 +45,20 @@ const LICENSE_TYPES = [
   },
 ];
 
-const GOAL_PRESETS = [
-  {
-    id: 'basic',
-    title: '25 Hours',
-    subtitle: 'No night hours required',
-    dayHours: 25,
-    nightHours: 0,
-    description: 'Basic requirement for some states',
-  },
-  {
-    id: 'standard',
-    title: '50 Hours',
-    subtitle: '10 hours at night',
-    dayHours: 40,
-    nightHours: 10,
-    description: 'Most common requirement',
-  },
-  {
-    id: 'comprehensive',
-    title: '60 Hours',
-    subtitle: '10 hours at night',
-    dayHours: 50,
-    nightHours: 10,
-    description: 'Comprehensive training',
-  },
-];
-
 export default function OnboardingScreen({ navigation }) {
-  const { setUserInfo, completeOnboarding, updateSettings } = useDriving();
+  const { setUserInfo, completeOnboarding, updateSettings, profiles, activeProfileId } = useDriving();
   const { theme } = useTheme();
   const [step, setStep] = useState(1);
   const [licenseType, setLicenseType] = useState(null);
+  const [jurisdictionId, setJurisdictionId] = useState(null);
+  const [showJurisdictionPicker, setShowJurisdictionPicker] = useState(false);
   const [customGoal, setCustomGoal] = useState(false);
   const [dayHours, setDayHours] = useState(40);
   const [nightHours, setNightHours] = useState(10);
   const [temperatureUnit, setTemperatureUnit] = useState('metric');
   const [hasAgreed, setHasAgreed] = useState(false);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const profileName = profiles.find(profile => profile.id === activeProfileId)?.name;
 
   const handleLicenseSelection = (type) => {
     setLicenseType(type);
@@ -82,14 +71,21 @@ export default function OnboardingScreen({ navigation }) {
     }
   };
 
-  const handleGoalSelection = (preset) => {
-    if (preset.id === 'custom') {
-      setCustomGoal(true);
-    } else {
-      setCustomGoal(false);
-      setDayHours(preset.dayHours);
-      setNightHours(preset.nightHours);
-    }
+  const jurisdiction = getJurisdiction(jurisdictionId);
+
+  // Goals come from the chosen state or province's rule pack
+  const handleJurisdictionSelection = (pack) => {
+    const goals = getJurisdictionGoals(pack);
+    setJurisdictionId(pack.id);
+    setCustomGoal(false);
+    setDayHours(goals.goalDayHours);
+    setNightHours(goals.goalNightHours);
+    setShowJurisdictionPicker(false);
+  };
+
+  const handleCustomGoal = () => {
+    setJurisdictionId(null);
+    setCustomGoal(true);
   };
 
   const handleComplete = async () => {
@@ -115,16 +111,21 @@ export default function OnboardingScreen({ navigation }) {
     const userInfo = {
       licenseType,
       licenseDate: new Date().toISOString().split('T')[0],
+      jurisdiction: jurisdictionId,
       goalDayHours: dayHours,
       goalNightHours: nightHours,
+      goalCategories: categoriesFromJurisdiction(jurisdiction),
       completedDayHours: 0,
       completedNightHours: 0,
     };
 
     setUserInfo(userInfo);
     
-    // Set temperature unit preference
-    updateSettings({ temperatureUnit });
+    // Set temperature unit preference, and night hours as the jurisdiction defines them
+    updateSettings({
+      temperatureUnit,
+      ...(jurisdiction ? getJurisdictionNightSettings(jurisdiction) : {}),
+    });
     
     completeOnboarding();
     // Navigation will happen automatically when onboardingComplete becomes true
@@ -176,28 +177,44 @@ export default function OnboardingScreen({ navigation }) {
     <View style={styles.stepContainer}>
       <Text style={[styles.stepTitle, { color: theme.colors.text.primary }]}>Set your driving goals</Text>
       <Text style={[styles.stepSubtitle, { color: theme.colors.text.secondary }]}>
-        Choose a preset based on your state's requirements, or set a custom goal.
+        Pick your state or province to use its requirements, or set a custom goal.
       </Text>
 
       <View style={styles.optionsContainer}>
-        {GOAL_PRESETS.map((preset) => (
-          <TouchableOpacity
-            key={preset.id}
-            style={[
-              styles.goalCard,
-              { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light },
-              !customGoal && dayHours === preset.dayHours && nightHours === preset.nightHours && [
-                styles.selectedOption, 
-                { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' }
-              ],
-            ]}
-            onPress={() => handleGoalSelection(preset)}
-          >
-            <Text style={[styles.goalTitle, { color: theme.colors.text.primary }]}>{preset.title}</Text>
-            <Text style={[styles.goalSubtitle, { color: theme.colors.primary }]}>{preset.subtitle}</Text>
-            <Text style={[styles.goalDescription, { color: theme.colors.text.secondary }]}>{preset.description}</Text>
-          </TouchableOpacity>
-        ))}
+        <TouchableOpacity
+          style={[
+            styles.goalCard,
+            { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light },
+            jurisdiction && !customGoal && [
+              styles.selectedOption, 
+              { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' }
+            ],
+          ]}
+          onPress={() => setShowJurisdictionPicker(true)}
+        >
+          <Text style={[styles.goalTitle, { color: theme.colors.text.primary }]}>
+            📍 {jurisdiction ? jurisdiction.name : 'Choose State or Province'}
+          </Text>
+          {jurisdiction ? (
+            <>
+              <Text style={[styles.goalSubtitle, { color: theme.colors.primary }]}>{describeJurisdictionHours(jurisdiction)}</Text>
+              <Text style={[styles.goalDescription, { color: theme.colors.text.secondary }]}>{describeJurisdictionTimeline(jurisdiction)}</Text>
+              {!requiresHours(jurisdiction) && (
+                <Text style={[styles.goalDescription, { color: theme.colors.text.secondary }]}>
+                  We'll aim for {RECOMMENDED_PRACTICE.totalHours} hours ({RECOMMENDED_PRACTICE.nightHours} at night) of practice
+                </Text>
+              )}
+              {jurisdiction.notes && (
+                <Text style={[styles.goalDescription, { color: theme.colors.text.secondary }]}>{jurisdiction.notes}</Text>
+              )}
+              <Text style={[styles.goalDescription, { color: theme.colors.primary }]}>Tap to change</Text>
+            </>
+          ) : (
+            <Text style={[styles.goalDescription, { color: theme.colors.text.secondary }]}>
+              US states and Canadian provinces, with required hours, permit period and minimum age
+            </Text>
+          )}
+        </TouchableOpacity>
 
         <TouchableOpacity
           style={[
@@ -208,11 +225,11 @@ export default function OnboardingScreen({ navigation }) {
               backgroundColor: theme.colors.primary + '10' 
             }]
           ]}
-          onPress={() => setCustomGoal(true)}
+          onPress={handleCustomGoal}
         >
           <Text style={[styles.goalTitle, { color: theme.colors.text.primary }]}>Custom Goal</Text>
           <Text style={[styles.goalSubtitle, { color: theme.colors.primary }]}>Set your own hours</Text>
-          <Text style={[styles.goalDescription, { color: theme.colors.text.secondary }]}>Perfect for specific requirements</Text>
+          <Text style={[styles.goalDescription, { color: theme.colors.text.secondary }]}>Starts at {dayHours + nightHours} hours ({nightHours} at night); change it any time in Settings</Text>
         </TouchableOpacity>
       </View>
 
@@ -225,8 +242,13 @@ export default function OnboardingScreen({ navigation }) {
         </TouchableOpacity>
 
         <TouchableOpacity
-          style={[styles.continueButton, { backgroundColor: theme.colors.primary }]}
+          style={[
+            styles.continueButton,
+            { backgroundColor: theme.colors.primary },
+            !jurisdiction && !customGoal && [styles.disabledButton, { backgroundColor: theme.colors.gray[400] }]
+          ]}
           onPress={() => setStep(3)}
+          disabled={!jurisdiction && !customGoal}
         >
           <Text style={[styles.continueButtonText, { color: theme.colors.text.inverse }]}>Continue</Text>
         </TouchableOpacity>
@@ -372,6 +394,14 @@ export default function OnboardingScreen({ navigation }) {
         <View style={styles.header}>
           <Text style={[styles.logo, { color: theme.colors.primary }]}>🛣️ Drively</Text>
           <Text style={[styles.subtitle, { color: theme.colors.text.secondary }]}>Your driving companion</Text>
+          {/* A learner added from another profile can go back without finishing setup */}
+          {profiles.length > 1 && (
+            <TouchableOpacity onPress={() => setShowProfiles(true)} style={styles.profileLink}>
+              <Text style={[styles.profileLinkText, { color: theme.colors.primary }]}>
+                Setting up {profileName} • Switch learner
+              </Text>
+            </TouchableOpacity>
+          )}
           
           <View style={styles.progressContainer}>
             {[1, 2, 3, 4].map((num) => (
@@ -392,6 +422,15 @@ export default function OnboardingScreen({ navigation }) {
         {step === 3 && renderStep3()}
         {step === 4 && renderStep4()}
       </ScrollView>
+
+      <JurisdictionPickerModal
+        visible={showJurisdictionPicker}
+        selectedId={jurisdictionId}
+        onSelect={handleJurisdictionSelection}
+        onClose={() => setShowJurisdictionPicker(false)}
+      />
+
+      <ProfileSwitcherModal visible={showProfiles} onClose={() => setShowProfiles(false)} />
     </SafeAreaView>
   );
 }
@@ -420,6 +459,15 @@ const styles = StyleSheet.create({
     marginBottom: 40,
     fontWeight: '500',
   },
+  profileLink: {
+    marginTop: -28,
+    marginBottom: 24,
+    padding: 4,
+  },
+  profileLinkText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   progressContainer: {
     flexDirection: 'row',
     gap: 12,
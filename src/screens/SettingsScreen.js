@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import {
   View,
   Text,
@@ -14,7 +14,43 @@ import {
 import { useDriving } from '../contexts/DrivingContext';
 import { useTheme, THEME_MODES } from '../contexts/ThemeContext';
 import { clearAllData } from '../utils/storage';
+import { pickBackupFile } from '../utils/backup';
+import RestoreBackupModal from '../components/RestoreBackupModal';
+import SnapshotPickerModal, { formatSnapshotTime } from '../components/SnapshotPickerModal';
+import TimePickerModal from '../components/TimePickerModal';
+import SupervisorFormModal from '../components/SupervisorFormModal';
+import PinModal from '../components/PinModal';
+import JurisdictionPickerModal from '../components/JurisdictionPickerModal';
+import CategoryFormModal from '../components/CategoryFormModal';
+import ProfileSwitcherModal from '../components/ProfileSwitcherModal';
 import { getAppVersion } from '../utils/appInfo';
+import { NIGHT_DEFINITIONS, isSunNightDefinition } from '../utils/solar';
+import { reclassifyDrives, summarizeReclassification } from '../utils/drives';
+import { formatTimeForDisplay, formatDateForDisplay, getCurrentDate, isValidDate } from '../utils/time';
+import { APPROVAL_STATUSES, getApprovalStatus, countApprovalStatuses } from '../utils/approval';
+import {
+  getJurisdiction,
+  getJurisdictionGoals,
+  getJurisdictionNightSettings,
+  requiresHours,
+  describeJurisdictionHours,
+  describeJurisdictionTimeline,
+  checkGoalsAgainstJurisdiction,
+} from '../utils/jurisdictions';
+import { categoriesFromJurisdiction, describeCategoryRule } from '../utils/categories';
+import { LICENSE_STAGE_LABELS } from '../utils/license';
+import { getActiveProfile, validateProfileName, MAX_PROFILE_NAME_LENGTH } from '../utils/profiles';
+import {
+  TRIP_PURPOSES,
+  OTHER_PURPOSE,
+  DEFAULT_ALLOWED_PURPOSES,
+  describeRestrictions,
+} from '../utils/restrictions';
+import {
+  SUPERVISOR_RULE_MODES,
+  getSupervisorAge,
+  checkSupervisorEligibility,
+} from '../utils/supervisors';
 import { 
   getLogStats, 
   clearLogs, 
@@ -24,13 +60,48 @@ import {
   logUserAction 
 } from '../utils/logger';
 
+const FREEZE_DAY_LIMIT_OPTIONS = [0, 3, 5, 7, 10, 15];
+
+// Supervisor eligibility rule choices; 0 turns a rule off
+const SUPERVISOR_MIN_AGE_OPTIONS = [0, 18, 21, 25];
+const SUPERVISOR_LICENSE_YEARS_OPTIONS = [0, 1, 2, 3, 5];
+
+// Restricted license rule choices; null turns a rule off
+const CURFEW_START_OPTIONS = [null, '21:00', '22:00', '23:00', '00:00'];
+const CURFEW_END_OPTIONS = ['04:00', '05:00', '06:00'];
+const MAX_MINOR_PASSENGER_OPTIONS = [null, 0, 1, 2, 3];
+const formatHourOption = (time) => {
+  const hour = parseInt(time, 10);
+  return `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+};
+
+const NIGHT_DEFINITION_OPTIONS = [
+  { value: NIGHT_DEFINITIONS.FIXED, label: '🕕 Fixed hours' },
+  { value: NIGHT_DEFINITIONS.SUNSET, label: '🌇 Sunset to sunrise' },
+  { value: NIGHT_DEFINITIONS.CIVIL, label: '🌆 Civil dusk to dawn' },
+];
+
+// Minutes after sunset (or civil dusk) / before sunrise (or civil dawn) that night driving starts and ends
+const NIGHT_OFFSET_OPTIONS = [-30, -15, 0, 15, 30, 60];
+
 export default function SettingsScreen({ navigation }) {
   const { 
     user, 
     settings, 
+    drives,
+    supervisors,
     updateSettings, 
+    recomputeNightMinutes,
+    addSupervisor,
+    updateSupervisor,
+    deleteSupervisor,
+    reviewDrives,
     setUserInfo, 
-    resetData 
+    resetData,
+    profiles,
+    activeProfileId,
+    renameProfile,
+    deleteProfile,
   } = useDriving();
 
   const { theme, themeMode, setThemeMode } = useTheme();
@@ -38,11 +109,50 @@ export default function SettingsScreen({ navigation }) {
   const [editingGoals, setEditingGoals] = useState(false);
   const [tempDayHours, setTempDayHours] = useState(user.goalDayHours.toString());
   const [tempNightHours, setTempNightHours] = useState(user.goalNightHours.toString());
+  const [showJurisdictionPicker, setShowJurisdictionPicker] = useState(false);
+  const jurisdiction = getJurisdiction(user.jurisdiction);
+  const [editingDates, setEditingDates] = useState(false);
+  const [tempLicenseDate, setTempLicenseDate] = useState(user.licenseDate || '');
+  const [tempBirthDate, setTempBirthDate] = useState(user.birthDate || '');
   
   // Debug logging state
   const [logStats, setLogStats] = useState(null);
   const [showDebugDetails, setShowDebugDetails] = useState(false);
 
+  // Learner profiles: switcher modal, and the profile being renamed ({ id, name })
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [editingProfile, setEditingProfile] = useState(null);
+  const activeProfile = getActiveProfile(profiles, activeProfileId);
+
+  // Backup restore state
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+
+  // Supervisor being added or edited: { supervisor } (null supervisor for a new one)
+  const [supervisorForm, setSupervisorForm] = useState(null);
+
+  // Requirement category being added or edited: { category } (null category for a new one)
+  const [categoryForm, setCategoryForm] = useState(null);
+  const goalCategories = user.goalCategories || [];
+
+  // Parent PIN step in progress: 'enable', 'disable', 'verifyForChange' or 'setNew'
+  const [pinStep, setPinStep] = useState(null);
+  const approvalCounts = countApprovalStatuses(drives);
+
+  // Night hours edits are previewed against existing drives before saving
+  const [pendingNightSettings, setPendingNightSettings] = useState(null);
+  const [editingNightTime, setEditingNightTime] = useState(null);
+  const nightSettingsChanges = Object.fromEntries(
+    Object.entries(pendingNightSettings || {}).filter(([key, value]) => settings[key] !== value)
+  );
+  const hasPendingNightSettings = Object.keys(nightSettingsChanges).length > 0;
+  const nightSettings = { ...settings, ...nightSettingsChanges };
+
+  const reclassification = useMemo(
+    () => summarizeReclassification(drives, reclassifyDrives(drives, nightSettings)),
+    [drives, settings, pendingNightSettings]
+  );
+
   const handleSaveGoals = () => {
     const dayHours = parseFloat(tempDayHours) || 0;
     const nightHours = parseFloat(tempNightHours) || 0;
@@ -57,20 +167,446 @@ export default function SettingsScreen({ navigation }) {
       return;
     }
 
+    const save = () => {
+      setUserInfo({
+        goalDayHours: dayHours,
+        goalNightHours: nightHours,
+      });
+      
+      setEditingGoals(false);
+      logUserAction('update_goals', 'SETTINGS', { dayHours, nightHours });
+      Alert.alert('Goals Updated', 'Your driving goals have been updated.');
+    };
+
+    const warnings = checkGoalsAgainstJurisdiction({ goalDayHours: dayHours, goalNightHours: nightHours, goalCategories }, jurisdiction);
+    if (warnings.length === 0) {
+      save();
+      return;
+    }
+
+    Alert.alert(
+      'Below Requirement',
+      `${warnings.join('\n')}\n\nSave these goals anyway?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Save Anyway', onPress: save },
+      ]
+    );
+  };
+
+  const handleSelectJurisdiction = (pack) => {
+    setShowJurisdictionPicker(false);
+
+    const goals = getJurisdictionGoals(pack);
+    // Night changes go through the Night Driving preview so past drives can be reviewed
+    const nightChanges = Object.fromEntries(
+      Object.entries(getJurisdictionNightSettings(pack)).filter(([key, value]) => settings[key] !== value)
+    );
+    const hasNightChanges = Object.keys(nightChanges).length > 0;
+    // The pack's categories replace those from any earlier pack; ones the user added are kept
+    const packCategories = categoriesFromJurisdiction(pack);
+    const nextCategories = [
+      ...packCategories,
+      ...goalCategories.filter(category => category.id.startsWith('custom-')),
+    ];
+
+    Alert.alert(
+      `Use ${pack.name} Rules?`,
+      `Your goals will be set to ${requiresHours(pack) ? describeJurisdictionHours(pack) : `${goals.goalDayHours + goals.goalNightHours} hours (${goals.goalNightHours} at night), a recommended amount of practice since no hours are required`}.${hasNightChanges ? '\n\nThe night driving definition also changes; review and save it under Night Driving.' : ''}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Apply',
+          onPress: () => {
+            setUserInfo({ jurisdiction: pack.id, ...goals, goalCategories: nextCategories });
+            setTempDayHours(goals.goalDayHours.toString());
+            setTempNightHours(goals.goalNightHours.toString());
+            if (hasNightChanges) {
+              setPendingNightSettings(nightChanges);
+            }
+            logUserAction('change_jurisdiction', 'SETTINGS', { jurisdiction: pack.id });
+          },
+        },
+      ]
+    );
+  };
+
+  const handleClearJurisdiction = () => {
+    setShowJurisdictionPicker(false);
+    setUserInfo({ jurisdiction: null });
+    logUserAction('change_jurisdiction', 'SETTINGS', { jurisdiction: null });
+  };
+
+  const handleSaveDates = () => {
+    const licenseDate = tempLicenseDate.trim();
+    const birthDate = tempBirthDate.trim();
+    const today = getCurrentDate();
+
+    if ((licenseDate && !isValidDate(licenseDate)) || (birthDate && !isValidDate(birthDate))) {
+      Alert.alert('Invalid Date', 'Enter dates as YYYY-MM-DD.');
+      return;
+    }
+
+    if (licenseDate > today || birthDate > today) {
+      Alert.alert('Invalid Date', 'Dates cannot be in the future.');
+      return;
+    }
+
+    if (licenseDate && birthDate && birthDate >= licenseDate) {
+      Alert.alert('Invalid Date', 'The birthdate must be before the license date.');
+      return;
+    }
+
+    setUserInfo({ licenseDate: licenseDate || null, birthDate: birthDate || null });
+    setEditingDates(false);
+    logUserAction('update_license_dates', 'SETTINGS', { hasLicenseDate: !!licenseDate, hasBirthDate: !!birthDate });
+  };
+
+  const handleFreezeDayLimitChange = (maxFreezeDaysPerMonth) => {
+    updateSettings({ maxFreezeDaysPerMonth });
+    logUserAction('change_freeze_day_limit', 'SETTINGS', { maxFreezeDaysPerMonth });
+  };
+
+  const handleSaveSupervisor = (supervisor) => {
+    const exists = supervisors.some(s => s.id === supervisor.id);
+    if (exists) {
+      updateSupervisor(supervisor);
+    } else {
+      addSupervisor(supervisor);
+    }
+    setSupervisorForm(null);
+    logUserAction(exists ? 'edit_supervisor' : 'add_supervisor', 'SETTINGS', {
+      relationship: supervisor.relationship,
+      hasBirthDate: !!supervisor.birthDate,
+    });
+  };
+
+  const handleSaveCategory = (category) => {
+    const exists = goalCategories.some(c => c.id === category.id);
     setUserInfo({
-      goalDayHours: dayHours,
-      goalNightHours: nightHours,
+      goalCategories: exists
+        ? goalCategories.map(c => (c.id === category.id ? category : c))
+        : [...goalCategories, category],
     });
-    
-    setEditingGoals(false);
-    logUserAction('update_goals', 'SETTINGS', { dayHours, nightHours });
-    Alert.alert('Goals Updated', 'Your driving goals have been updated.');
+    setCategoryForm(null);
+    logUserAction(exists ? 'edit_goal_category' : 'add_goal_category', 'SETTINGS', { id: category.id, hours: category.hours });
+  };
+
+  const handleDeleteCategory = (category) => {
+    const required = jurisdiction?.categories.some(c => c.id === category.id);
+    Alert.alert(
+      'Remove Category',
+      `Stop tracking ${category.label}?${required ? ` ${jurisdiction.name} requires it.` : ''} Your drives aren't changed.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            setUserInfo({ goalCategories: goalCategories.filter(c => c.id !== category.id) });
+            logUserAction('delete_goal_category', 'SETTINGS', { id: category.id });
+          },
+        },
+      ]
+    );
+  };
+
+  const handleDeleteSupervisor = (supervisor) => {
+    Alert.alert(
+      'Remove Supervisor',
+      `Remove ${supervisor.name} from your saved supervisors? Drives they supervised keep their name.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            deleteSupervisor(supervisor.id);
+            logUserAction('delete_supervisor', 'SETTINGS');
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRenameProfile = async () => {
+    const errors = validateProfileName(editingProfile.name, profiles, editingProfile.id);
+    if (errors.length > 0) {
+      Alert.alert('Check Name', errors.join('\n'));
+      return;
+    }
+    await renameProfile(editingProfile.id, editingProfile.name);
+    logUserAction('rename_profile', 'SETTINGS');
+    setEditingProfile(null);
+  };
+
+  const handleDeleteProfile = (profile) => {
+    Alert.alert(
+      `Delete ${profile.name}?`,
+      `This permanently deletes ${profile.name}'s drives, goals, streaks and settings from this device. Back up all learners from Export & Share first if you might need them.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteProfile(profile.id);
+              logUserAction('delete_profile', 'SETTINGS', { profileCount: profiles.length - 1 });
+            } catch (error) {
+              Alert.alert('Error', 'Failed to delete this learner. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleSupervisorRuleChange = (changes) => {
+    updateSettings(changes);
+    logUserAction('change_supervisor_rules', 'SETTINGS', changes);
+  };
+
+  const handleRestrictionChange = (changes) => {
+    updateSettings(changes);
+    logUserAction('change_restriction_rules', 'SETTINGS', changes);
+  };
+
+  const handleTogglePurpose = (purpose) => {
+    const allowed = settings.allowedPurposes || DEFAULT_ALLOWED_PURPOSES;
+    handleRestrictionChange({
+      allowedPurposes: allowed.includes(purpose)
+        ? allowed.filter(item => item !== purpose)
+        : [...allowed, purpose],
+    });
+  };
+
+  const handleParentApprovalToggle = (enabled) => {
+    // A PIN saved before is reused when parent mode is turned back on
+    setPinStep(enabled ? 'enable' : 'disable');
+  };
+
+  const turnOffParentApproval = () => {
+    const pendingIds = drives
+      .filter(drive => getApprovalStatus(drive) === APPROVAL_STATUSES.PENDING)
+      .map(drive => drive.id);
+    if (pendingIds.length > 0) {
+      reviewDrives(pendingIds, APPROVAL_STATUSES.APPROVED);
+    }
+    updateSettings({ parentApproval: false });
+    logUserAction('disable_parent_approval', 'SETTINGS', { approvedPending: pendingIds.length });
+  };
+
+  const handlePinSuccess = (newPinHash) => {
+    const step = pinStep;
+    setPinStep(null);
+
+    if (step === 'enable') {
+      updateSettings({ parentApproval: true, ...(newPinHash ? { parentPinHash: newPinHash } : {}) });
+      logUserAction('enable_parent_approval', 'SETTINGS', { newPin: !!newPinHash });
+      Alert.alert('Parent Approval On', 'New drives will wait for a parent to approve them before they count toward the required hours.');
+    } else if (step === 'disable') {
+      if (approvalCounts.pending === 0) {
+        turnOffParentApproval();
+        return;
+      }
+      Alert.alert(
+        'Turn Off Parent Approval',
+        `${approvalCounts.pending} drive${approvalCounts.pending !== 1 ? 's are' : ' is'} still awaiting approval and will be approved. Rejected drives stay rejected.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Turn Off', style: 'destructive', onPress: turnOffParentApproval },
+        ]
+      );
+    } else if (step === 'verifyForChange') {
+      setPinStep('setNew');
+    } else if (step === 'setNew') {
+      updateSettings({ parentPinHash: newPinHash });
+      logUserAction('change_parent_pin', 'SETTINGS');
+      Alert.alert('PIN Changed', 'Use the new PIN to review drives.');
+    }
+  };
+
+  const pinModalText = {
+    enable: { title: 'Parent Approval', message: settings.parentPinHash ? 'Enter the parent PIN to turn approval back on.' : 'Choose a PIN the learner doesn\'t know. It\'s needed to approve drives and to turn approval off.' },
+    disable: { title: 'Turn Off Parent Approval', message: 'Enter the parent PIN.' },
+    verifyForChange: { title: 'Change PIN', message: 'Enter the current parent PIN.' },
+    setNew: { title: 'Change PIN', message: 'Choose the new parent PIN.' },
+  }[pinStep] || {};
+
+  const renderRuleOptions = (options, value, settingKey, formatLabel, onChange = handleSupervisorRuleChange) => (
+    <View style={styles.themeOptions}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={String(option)}
+          style={[
+            styles.themeOption,
+            styles.offsetOption,
+            { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+            value === option && { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' }
+          ]}
+          onPress={() => onChange({ [settingKey]: option })}
+        >
+          <Text style={[
+            styles.themeOptionText,
+            { color: theme.colors.text.secondary },
+            value === option && { color: theme.colors.primary }
+          ]}>
+            {formatLabel(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderSupervisorRow = (supervisor) => {
+    const age = getSupervisorAge(supervisor);
+    const { violations, missing } = checkSupervisorEligibility(supervisor, settings);
+    const details = [
+      supervisor.relationship,
+      age !== null && `${age} years old`,
+      Number.isFinite(supervisor.licenseYears) && `licensed ${supervisor.licenseYears} yr${supervisor.licenseYears !== 1 ? 's' : ''}`,
+    ].filter(Boolean).join(' • ');
+
+    return (
+      <TouchableOpacity
+        key={supervisor.id}
+        style={[styles.supervisorRow, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+        onPress={() => setSupervisorForm({ supervisor })}
+      >
+        <View style={styles.supervisorInfo}>
+          <Text style={[styles.supervisorName, { color: theme.colors.text.primary }]}>{supervisor.name}</Text>
+          {details ? (
+            <Text style={[styles.supervisorDetails, { color: theme.colors.text.secondary }]}>{details}</Text>
+          ) : null}
+          {[...violations, ...missing].map(problem => (
+            <Text
+              key={problem}
+              style={[styles.supervisorDetails, { color: violations.includes(problem) ? theme.colors.error : theme.colors.warning }]}
+            >
+              ⚠️ {problem}
+            </Text>
+          ))}
+        </View>
+        <TouchableOpacity onPress={() => handleDeleteSupervisor(supervisor)}>
+          <Text style={[styles.supervisorRemove, { color: theme.colors.error }]}>Remove</Text>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderProfileRow = (profile) => {
+    const active = profile.id === activeProfileId;
+
+    if (editingProfile?.id === profile.id) {
+      return (
+        <View
+          key={profile.id}
+          style={[styles.supervisorRow, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.primary }]}
+        >
+          <TextInput
+            style={[styles.profileNameInput, { borderColor: theme.colors.border.medium, color: theme.colors.text.primary }]}
+            value={editingProfile.name}
+            onChangeText={(name) => setEditingProfile({ ...editingProfile, name })}
+            autoCapitalize="words"
+            autoFocus
+            maxLength={MAX_PROFILE_NAME_LENGTH}
+          />
+          <TouchableOpacity onPress={handleRenameProfile}>
+            <Text style={[styles.editButtonText, { color: theme.colors.primary }]}>Save</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setEditingProfile(null)}>
+            <Text style={[styles.supervisorRemove, { color: theme.colors.text.secondary }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        key={profile.id}
+        style={[styles.supervisorRow, { backgroundColor: theme.colors.surfaceSecondary, borderColor: active ? theme.colors.primary : theme.colors.border.light }]}
+        onPress={() => setEditingProfile({ id: profile.id, name: profile.name })}
+      >
+        <View style={styles.supervisorInfo}>
+          <Text style={[styles.supervisorName, { color: theme.colors.text.primary }]}>{profile.name}</Text>
+          <Text style={[styles.supervisorDetails, { color: active ? theme.colors.primary : theme.colors.text.secondary }]}>
+            {active ? 'Active • tap to rename' : 'Tap to rename'}
+          </Text>
+        </View>
+        {!active && (
+          <TouchableOpacity onPress={() => handleDeleteProfile(profile)}>
+            <Text style={[styles.supervisorRemove, { color: theme.colors.error }]}>Delete</Text>
+          </TouchableOpacity>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderCategoryRow = (category) => (
+    <TouchableOpacity
+      key={category.id}
+      style={[styles.supervisorRow, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+      onPress={() => setCategoryForm({ category })}
+    >
+      <View style={styles.supervisorInfo}>
+        <Text style={[styles.supervisorName, { color: theme.colors.text.primary }]}>
+          {category.label} • {category.hours} hours
+        </Text>
+        <Text style={[styles.supervisorDetails, { color: theme.colors.text.secondary }]}>
+          {describeCategoryRule(category.rule)}
+        </Text>
+      </View>
+      <TouchableOpacity onPress={() => handleDeleteCategory(category)}>
+        <Text style={[styles.supervisorRemove, { color: theme.colors.error }]}>Remove</Text>
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  const editNightSettings = (changes) => {
+    setPendingNightSettings(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleSaveNightTime = (time) => {
+    editNightSettings({ [editingNightTime]: time });
+    setEditingNightTime(null);
+  };
+
+  const handleSaveNightSettings = (updateDrives) => {
+    const save = () => {
+      if (hasPendingNightSettings) {
+        updateSettings(pendingNightSettings);
+      }
+      if (updateDrives) {
+        recomputeNightMinutes();
+      }
+      logUserAction('update_night_hours', 'SETTINGS', {
+        ...nightSettingsChanges,
+        updateDrives,
+        changedCount: updateDrives ? reclassification.changedCount : 0,
+      });
+      setPendingNightSettings(null);
+    };
+
+    if (!updateDrives) {
+      save();
+      return;
+    }
+
+    Alert.alert(
+      'Update Past Drives?',
+      `${reclassification.changedCount} drive${reclassification.changedCount !== 1 ? 's' : ''} will have their day and night minutes recalculated, replacing any night minutes you entered by hand. Your night hours will go from ${reclassification.nightHoursBefore.toFixed(1)} to ${reclassification.nightHoursAfter.toFixed(1)}.${settings.parentApproval ? ' Approved drives that change will need parent approval again before they count.' : ''}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Update', onPress: save },
+      ]
+    );
   };
 
   const handleResetData = () => {
     Alert.alert(
       'Reset All Data',
-      'This will permanently delete all your drives, progress, and settings. This action cannot be undone.',
+      `This will permanently delete ${profiles.length > 1 && activeProfile ? `${activeProfile.name}'s` : 'all your'} drives, progress, and settings. This action cannot be undone.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -94,6 +630,26 @@ export default function SettingsScreen({ navigation }) {
     );
   };
 
+  const handleRestoreBackup = async () => {
+    try {
+      const backup = await pickBackupFile();
+      if (backup) {
+        setPendingBackup(backup);
+      }
+    } catch (error) {
+      Alert.alert('Invalid Backup', error.message || 'Unable to read the selected backup file.');
+    }
+  };
+
+  const handleSelectSnapshot = (snapshot) => {
+    setShowSnapshots(false);
+    setPendingBackup({
+      fileName: `Snapshot from ${formatSnapshotTime(snapshot.timestamp)}`,
+      data: snapshot.data,
+      summary: snapshot.summary,
+    });
+  };
+
   // Debug logging functions
   const handleLoadLogStats = async () => {
     try {
@@ -177,6 +733,31 @@ export default function SettingsScreen({ navigation }) {
   };
 
   const settingSections = [
+    {
+      title: 'Learners',
+      items: [
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Learner Profiles</Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                Each learner on this device has their own drives, goals, streaks and settings
+              </Text>
+              {profiles.map(renderProfileRow)}
+              <TouchableOpacity
+                style={[styles.debugButton, { backgroundColor: theme.colors.primary + '15', borderColor: theme.colors.primary }]}
+                onPress={() => setShowProfiles(true)}
+              >
+                <Text style={[styles.debugButtonText, { color: theme.colors.primary }]}>
+                  {profiles.length > 1 ? 'Switch or Add Learner' : '+ Add Learner'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ),
+        },
+      ],
+    },
     {
       title: 'Goals & Progress',
       items: [
@@ -229,13 +810,276 @@ export default function SettingsScreen({ navigation }) {
             </View>
           ),
         },
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Requirement Categories</Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                Hours that must come from certain drives, like bad weather or an instructor. They count within your total goal.
+              </Text>
+              {goalCategories.map(renderCategoryRow)}
+              <TouchableOpacity
+                style={[styles.debugButton, { backgroundColor: theme.colors.primary + '15', borderColor: theme.colors.primary }]}
+                onPress={() => setCategoryForm({ category: null })}
+              >
+                <Text style={[styles.debugButtonText, { color: theme.colors.primary }]}>+ Add Category</Text>
+              </TouchableOpacity>
+            </View>
+          ),
+        },
+        {
+          type: 'custom',
+          component: (
+            <TouchableOpacity style={styles.temperatureContainer} onPress={() => setShowJurisdictionPicker(true)}>
+              <View style={styles.settingHeader}>
+                <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>State / Province</Text>
+                <Text style={[styles.editButtonText, { color: theme.colors.primary }]}>Change</Text>
+              </View>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                {jurisdiction
+                  ? `${jurisdiction.name}: ${describeJurisdictionHours(jurisdiction)} • ${describeJurisdictionTimeline(jurisdiction)}`
+                  : 'None selected - using custom goals'}
+              </Text>
+              {jurisdiction?.notes && (
+                <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>{jurisdiction.notes}</Text>
+              )}
+            </TouchableOpacity>
+          ),
+        },
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <View style={styles.settingHeader}>
+                <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>License & Birthdate</Text>
+                <TouchableOpacity onPress={() => editingDates ? handleSaveDates() : setEditingDates(true)}>
+                  <Text style={[styles.editButtonText, { color: theme.colors.primary }]}>
+                    {editingDates ? 'Save' : 'Edit'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+              {editingDates ? (
+                <View style={styles.editGoalsContainer}>
+                  <View style={styles.goalInput}>
+                    <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>
+                      {user.licenseType === 'learners' ? 'Permit issued:' : 'License issued:'}
+                    </Text>
+                    <TextInput
+                      style={[styles.dateInput, { borderColor: theme.colors.border.medium, color: theme.colors.text.primary }]}
+                      value={tempLicenseDate}
+                      onChangeText={setTempLicenseDate}
+                      placeholder="YYYY-MM-DD"
+                      placeholderTextColor={theme.colors.text.light}
+                      maxLength={10}
+                    />
+                  </View>
+                  <View style={styles.goalInput}>
+                    <Text style={[styles.inputLabel, { color: theme.colors.text.primary }]}>Birthdate:</Text>
+                    <TextInput
+                      style={[styles.dateInput, { borderColor: theme.colors.border.medium, color: theme.colors.text.primary }]}
+                      value={tempBirthDate}
+                      onChangeText={setTempBirthDate}
+                      placeholder="YYYY-MM-DD"
+                      placeholderTextColor={theme.colors.text.light}
+                      maxLength={10}
+                    />
+                  </View>
+                  <TouchableOpacity
+                    onPress={() => {
+                      setTempLicenseDate(user.licenseDate || '');
+                      setTempBirthDate(user.birthDate || '');
+                      setEditingDates(false);
+                    }}
+                    style={styles.cancelButton}
+                  >
+                    <Text style={styles.cancelButtonText}>Cancel</Text>
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                <>
+                  <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                    {user.licenseType === 'learners' ? 'Permit' : 'License'} issued {user.licenseDate ? formatDateForDisplay(user.licenseDate) : 'not set'} • Birthdate {user.birthDate ? formatDateForDisplay(user.birthDate) : 'not set'}
+                  </Text>
+                  {user.licenseType === 'learners' && (
+                    <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                      Used to work out your earliest road test date
+                    </Text>
+                  )}
+                </>
+              )}
+            </View>
+          ),
+        },
         {
           title: 'License Type',
-          value: user.licenseType || 'Not set',
-          onPress: () => Alert.alert('License Type', 'To change your license type, you\'ll need to reset the app and go through onboarding again.'),
+          value: LICENSE_STAGE_LABELS[user.licenseType] || 'Not set',
+          onPress: () => navigation.navigate('LicenseProgress'),
         },
       ],
     },
+    ...(user.licenseType === 'restricted' ? [{
+      title: 'Restricted License Rules',
+      items: [
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                {describeRestrictions(settings)}. Drives are checked before they start and when they end; a supervisor on board lifts the curfew, passenger and destination limits.
+              </Text>
+
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Curfew Starts</Text>
+              {renderRuleOptions(CURFEW_START_OPTIONS, settings.curfewStart, 'curfewStart', time => time ? formatHourOption(time) : 'Off', handleRestrictionChange)}
+
+              {settings.curfewStart && (
+                <>
+                  <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Curfew Ends</Text>
+                  {renderRuleOptions(CURFEW_END_OPTIONS, settings.curfewEnd, 'curfewEnd', formatHourOption, handleRestrictionChange)}
+                </>
+              )}
+
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Passengers Under 21</Text>
+              {renderRuleOptions(MAX_MINOR_PASSENGER_OPTIONS, settings.maxMinorPassengers, 'maxMinorPassengers', count => count === null ? 'No limit' : `${count}`, handleRestrictionChange)}
+
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Allowed Without a Supervisor</Text>
+              <View style={styles.purposeChips}>
+                {[...TRIP_PURPOSES, OTHER_PURPOSE].map(purpose => {
+                  const allowed = (settings.allowedPurposes || DEFAULT_ALLOWED_PURPOSES).includes(purpose);
+                  return (
+                    <TouchableOpacity
+                      key={purpose}
+                      style={[
+                        styles.purposeChip,
+                        { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                        allowed && { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' },
+                      ]}
+                      onPress={() => handleTogglePurpose(purpose)}
+                    >
+                      <Text style={[
+                        styles.themeOptionText,
+                        { color: theme.colors.text.secondary },
+                        allowed && { color: theme.colors.primary },
+                      ]}>
+                        {allowed ? '✓ ' : ''}{purpose}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Supervisor Required</Text>
+              {renderRuleOptions([false, true], !!settings.requireSupervisor, 'requireSupervisor', always => always ? 'Every drive' : 'Only to lift limits', handleRestrictionChange)}
+
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>When a Drive Breaks a Rule</Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                {settings.restrictionRuleMode === SUPERVISOR_RULE_MODES.BLOCK
+                  ? 'The drive can\'t start (past drives entered by hand are only flagged)'
+                  : 'You\'re warned but can still start the drive; it is flagged in History'}
+              </Text>
+              {renderRuleOptions(
+                [SUPERVISOR_RULE_MODES.WARN, SUPERVISOR_RULE_MODES.BLOCK],
+                settings.restrictionRuleMode,
+                'restrictionRuleMode',
+                mode => mode === SUPERVISOR_RULE_MODES.BLOCK ? '⛔ Block' : '⚠️ Warn',
+                handleRestrictionChange
+              )}
+            </View>
+          ),
+        },
+      ],
+    }] : []),
+    {
+      title: 'Supervisors',
+      items: [
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Saved Supervisors</Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                Pick a saved supervisor with one tap when logging a drive
+              </Text>
+              {supervisors.map(renderSupervisorRow)}
+              <TouchableOpacity
+                style={[styles.debugButton, { backgroundColor: theme.colors.primary + '15', borderColor: theme.colors.primary }]}
+                onPress={() => setSupervisorForm({ supervisor: null })}
+              >
+                <Text style={[styles.debugButtonText, { color: theme.colors.primary }]}>+ Add Supervisor</Text>
+              </TouchableOpacity>
+            </View>
+          ),
+        },
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Minimum Supervisor Age</Text>
+              {renderRuleOptions(SUPERVISOR_MIN_AGE_OPTIONS, settings.supervisorMinAge, 'supervisorMinAge', age => age === 0 ? 'Off' : `${age}`)}
+
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Minimum Years Licensed</Text>
+              {renderRuleOptions(SUPERVISOR_LICENSE_YEARS_OPTIONS, settings.supervisorMinLicenseYears, 'supervisorMinLicenseYears', years => years === 0 ? 'Off' : `${years}+`)}
+
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>When a Supervisor Doesn't Qualify</Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                {settings.supervisorRuleMode === SUPERVISOR_RULE_MODES.BLOCK
+                  ? 'The drive can\'t start (details that weren\'t recorded only warn)'
+                  : 'You\'re warned but can still start the drive'}
+              </Text>
+              <View style={styles.temperatureOptions}>
+                {[
+                  { key: SUPERVISOR_RULE_MODES.WARN, label: '⚠️ Warn' },
+                  { key: SUPERVISOR_RULE_MODES.BLOCK, label: '⛔ Block' },
+                ].map(option => (
+                  <TouchableOpacity
+                    key={option.key}
+                    style={[
+                      styles.temperatureOption,
+                      { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                      settings.supervisorRuleMode === option.key && { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' }
+                    ]}
+                    onPress={() => handleSupervisorRuleChange({ supervisorRuleMode: option.key })}
+                  >
+                    <Text style={[
+                      styles.temperatureOptionText,
+                      { color: theme.colors.text.secondary },
+                      settings.supervisorRuleMode === option.key && { color: theme.colors.primary }
+                    ]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          ),
+        },
+      ],
+    },
+    {
+      title: 'Parent Approval',
+      items: [
+        {
+          title: 'Require Parent Approval',
+          subtitle: 'New drives only count once a parent approves them with a PIN',
+          type: 'switch',
+          value: settings.parentApproval,
+          onValueChange: handleParentApprovalToggle,
+        },
+        ...(settings.parentPinHash ? [
+          {
+            title: 'Review Drives',
+            subtitle: approvalCounts.pending > 0 || approvalCounts.rejected > 0
+              ? `${approvalCounts.pending} pending • ${approvalCounts.rejected} rejected`
+              : 'No drives awaiting approval',
+            onPress: () => navigation.navigate('Approval'),
+          },
+          {
+            title: 'Change Parent PIN',
+            onPress: () => setPinStep('verifyForChange'),
+          },
+        ] : []),
+      ],
+    },
     {
       title: 'Appearance & Units',
       items: [
@@ -274,8 +1118,8 @@ export default function SettingsScreen({ navigation }) {
           type: 'custom',
           component: (
             <View style={styles.temperatureContainer}>
-              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Temperature Unit</Text>
-              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>Choose how to display temperature in weather data</Text>
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Units</Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>Choose how to display temperature, distance and speed</Text>
               <View style={styles.temperatureOptions}>
                 <TouchableOpacity
                   style={[
@@ -290,7 +1134,7 @@ export default function SettingsScreen({ navigation }) {
                     { color: theme.colors.text.secondary },
                     settings.temperatureUnit === 'metric' && { color: theme.colors.primary }
                   ]}>
-                    🌡️ Celsius (20°C)
+                    🌡️ Metric (20°C, km)
                   </Text>
                 </TouchableOpacity>
                 <TouchableOpacity
@@ -306,7 +1150,7 @@ export default function SettingsScreen({ navigation }) {
                     { color: theme.colors.text.secondary },
                     settings.temperatureUnit === 'imperial' && { color: theme.colors.primary }
                   ]}>
-                    🌡️ Fahrenheit (68°F)
+                    🌡️ Imperial (68°F, miles)
                   </Text>
                 </TouchableOpacity>
               </View>
@@ -315,6 +1159,196 @@ export default function SettingsScreen({ navigation }) {
         },
       ],
     },
+    {
+      title: 'Streaks',
+      items: [
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Freeze Days per Month</Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                Each freeze day covers one missed day so your streak isn't broken
+              </Text>
+              <View style={styles.themeOptions}>
+                {FREEZE_DAY_LIMIT_OPTIONS.map(limit => (
+                  <TouchableOpacity
+                    key={limit}
+                    style={[
+                      styles.themeOption,
+                      styles.offsetOption,
+                      { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                      settings.maxFreezeDaysPerMonth === limit && { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' }
+                    ]}
+                    onPress={() => handleFreezeDayLimitChange(limit)}
+                  >
+                    <Text style={[
+                      styles.themeOptionText,
+                      { color: theme.colors.text.secondary },
+                      settings.maxFreezeDaysPerMonth === limit && { color: theme.colors.primary }
+                    ]}>
+                      {limit}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          ),
+        },
+      ],
+    },
+    {
+      title: 'Night Driving',
+      items: [
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>Night Definition</Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>Choose which minutes of a drive count as night driving</Text>
+              <View style={styles.temperatureOptions}>
+                {NIGHT_DEFINITION_OPTIONS.map(option => {
+                  const selected = (isSunNightDefinition(nightSettings.nightDefinition) ? nightSettings.nightDefinition : NIGHT_DEFINITIONS.FIXED) === option.value;
+                  return (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[
+                        styles.temperatureOption,
+                        { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                        selected && { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' }
+                      ]}
+                      onPress={() => editNightSettings({ nightDefinition: option.value })}
+                    >
+                      <Text style={[
+                        styles.temperatureOptionText,
+                        { color: theme.colors.text.secondary },
+                        selected && { color: theme.colors.primary }
+                      ]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              {isSunNightDefinition(nightSettings.nightDefinition) && (
+                <>
+                  <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                    {nightSettings.nightDefinition === NIGHT_DEFINITIONS.CIVIL
+                      ? 'Civil dusk and dawn are when the sun is 6° below the horizon, usually 20-40 minutes after sunset and before sunrise. Offset: night starts this long after civil dusk and ends this long before civil dawn.'
+                      : 'Offset: night starts this long after sunset and ends this long before sunrise.'}
+                    {' '}Worked out offline from where each drive was recorded.
+                  </Text>
+                  <View style={styles.themeOptions}>
+                    {NIGHT_OFFSET_OPTIONS.map(offset => (
+                      <TouchableOpacity
+                        key={offset}
+                        style={[
+                          styles.themeOption,
+                          styles.offsetOption,
+                          { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light },
+                          (nightSettings.nightOffsetMinutes || 0) === offset && { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '10' }
+                        ]}
+                        onPress={() => editNightSettings({ nightOffsetMinutes: offset })}
+                      >
+                        <Text style={[
+                          styles.themeOptionText,
+                          { color: theme.colors.text.secondary },
+                          (nightSettings.nightOffsetMinutes || 0) === offset && { color: theme.colors.primary }
+                        ]}>
+                          {offset > 0 ? `+${offset}` : offset}m
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </>
+              )}
+            </View>
+          ),
+        },
+        {
+          type: 'custom',
+          component: (
+            <View style={styles.temperatureContainer}>
+              <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>
+                {isSunNightDefinition(nightSettings.nightDefinition) ? 'Fallback Night Hours' : 'Night Hours'}
+              </Text>
+              <Text style={[styles.settingSubtitle, { color: theme.colors.text.secondary }]}>
+                {isSunNightDefinition(nightSettings.nightDefinition)
+                  ? 'Used for drives without a recorded location'
+                  : 'Driving between these times counts as night driving'}
+              </Text>
+              <View style={styles.themeOptions}>
+                {[
+                  { key: 'nightTimeStart', label: 'Starts' },
+                  { key: 'nightTimeEnd', label: 'Ends' },
+                ].map(({ key, label }) => (
+                  <TouchableOpacity
+                    key={key}
+                    style={[styles.themeOption, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+                    onPress={() => setEditingNightTime(key)}
+                  >
+                    <Text style={[styles.nightTimeLabel, { color: theme.colors.text.secondary }]}>{label}</Text>
+                    <Text style={[styles.nightTimeValue, { color: theme.colors.text.primary }]}>
+                      {formatTimeForDisplay(nightSettings[key])}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {(hasPendingNightSettings || reclassification.changedCount > 0) && (
+                <View style={[styles.logStatsContainer, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}>
+                  <Text style={[styles.settingTitle, { color: theme.colors.text.primary }]}>
+                    {hasPendingNightSettings ? 'Preview' : 'Past Drives'}
+                  </Text>
+                  <Text style={[styles.logStatsText, { color: theme.colors.text.secondary }]}>
+                    {reclassification.changedCount === 0
+                      ? 'None of your drives would be reclassified.'
+                      : `${reclassification.changedCount} of ${drives.length} drive${drives.length !== 1 ? 's' : ''} ${hasPendingNightSettings ? 'would be' : 'are not'} classified ${hasPendingNightSettings ? 'differently' : 'with these hours'}.`}
+                  </Text>
+                  {reclassification.changedCount > 0 && (
+                    <Text style={[styles.logStatsText, { color: theme.colors.text.secondary }]}>
+                      Night hours: {reclassification.nightHoursBefore.toFixed(1)} → {reclassification.nightHoursAfter.toFixed(1)}
+                    </Text>
+                  )}
+                </View>
+              )}
+
+              {(hasPendingNightSettings || reclassification.changedCount > 0) && (
+                <View style={styles.debugActionsContainer}>
+                  {hasPendingNightSettings && (
+                    <>
+                      <TouchableOpacity
+                        style={[styles.debugButton, { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light }]}
+                        onPress={() => setPendingNightSettings(null)}
+                      >
+                        <Text style={[styles.debugButtonText, { color: theme.colors.text.secondary }]}>Cancel</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.debugButton, { backgroundColor: theme.colors.primary + '15', borderColor: theme.colors.primary }]}
+                        onPress={() => handleSaveNightSettings(false)}
+                      >
+                        <Text style={[styles.debugButtonText, { color: theme.colors.primary }]}>Save for New Drives</Text>
+                      </TouchableOpacity>
+                    </>
+                  )}
+                  {reclassification.changedCount > 0 && (
+                    <TouchableOpacity
+                      style={[styles.debugButton, { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary }]}
+                      onPress={() => handleSaveNightSettings(true)}
+                    >
+                      <Text style={[styles.debugButtonText, { color: theme.colors.text.inverse }]}>
+                        {hasPendingNightSettings ? 'Save & Update Past Drives' : 'Update Past Drives'}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+            </View>
+          ),
+        },
+      ],
+    },
     {
       title: 'Backup & Data',
       items: [
@@ -329,6 +1363,16 @@ export default function SettingsScreen({ navigation }) {
           subtitle: 'Back up your driving log',
           onPress: () => navigation.navigate('Export'),
         },
+        {
+          title: 'Restore from Backup',
+          subtitle: 'Load a JSON backup file',
+          onPress: handleRestoreBackup,
+        },
+        {
+          title: 'Restore from Snapshot',
+          subtitle: 'Roll back to an automatic hourly or daily snapshot',
+          onPress: () => setShowSnapshots(true),
+        },
         {
           type: 'custom',
           component: (
@@ -340,7 +1384,11 @@ export default function SettingsScreen({ navigation }) {
                 <Text style={[styles.resetButtonIcon, { color: theme.colors.error }]}>⚠️</Text>
                 <View style={styles.resetButtonText}>
                   <Text style={[styles.resetButtonTitle, { color: theme.colors.error }]}>Reset All Data</Text>
-                  <Text style={[styles.resetButtonSubtitle, { color: theme.colors.text.secondary }]}>Permanently delete all data</Text>
+                  <Text style={[styles.resetButtonSubtitle, { color: theme.colors.text.secondary }]}>
+                    {profiles.length > 1 && activeProfile
+                      ? `Permanently delete ${activeProfile.name}'s data`
+                      : 'Permanently delete all data'}
+                  </Text>
                 </View>
               </View>
             </TouchableOpacity>
@@ -526,6 +1574,58 @@ export default function SettingsScreen({ navigation }) {
           </Text>
         </View>
       </ScrollView>
+
+      <TimePickerModal
+        visible={!!editingNightTime}
+        title={editingNightTime === 'nightTimeEnd' ? 'Night Ends' : 'Night Starts'}
+        value={editingNightTime ? nightSettings[editingNightTime] : null}
+        onConfirm={handleSaveNightTime}
+        onClose={() => setEditingNightTime(null)}
+      />
+
+      <SupervisorFormModal
+        visible={!!supervisorForm}
+        supervisor={supervisorForm?.supervisor || null}
+        onSave={handleSaveSupervisor}
+        onClose={() => setSupervisorForm(null)}
+      />
+
+      <CategoryFormModal
+        visible={!!categoryForm}
+        category={categoryForm?.category || null}
+        onSave={handleSaveCategory}
+        onClose={() => setCategoryForm(null)}
+      />
+
+      <JurisdictionPickerModal
+        visible={showJurisdictionPicker}
+        selectedId={user.jurisdiction}
+        onSelect={handleSelectJurisdiction}
+        onClear={handleClearJurisdiction}
+        onClose={() => setShowJurisdictionPicker(false)}
+      />
+
+      <PinModal
+        visible={!!pinStep}
+        title={pinModalText.title}
+        message={pinModalText.message}
+        pinHash={pinStep === 'setNew' ? null : settings.parentPinHash}
+        onSuccess={handlePinSuccess}
+        onClose={() => setPinStep(null)}
+      />
+
+      <ProfileSwitcherModal visible={showProfiles} onClose={() => setShowProfiles(false)} />
+
+      <SnapshotPickerModal
+        visible={showSnapshots}
+        onSelect={handleSelectSnapshot}
+        onClose={() => setShowSnapshots(false)}
+      />
+
+      <RestoreBackupModal
+        backup={pendingBackup}
+        onClose={() => setPendingBackup(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -657,6 +1757,13 @@ const styles = StyleSheet.create({
     width: 80,
     textAlign: 'center',
   },
+  dateInput: {
+    borderWidth: 1,
+    borderRadius: 6,
+    padding: 8,
+    width: 120,
+    textAlign: 'center',
+  },
   cancelButton: {
     backgroundColor: '#f3f4f6',
     paddingVertical: 8,
@@ -719,6 +1826,58 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  nightTimeLabel: {
+    fontSize: 12,
+    marginBottom: 2,
+  },
+  nightTimeValue: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  offsetOption: {
+    paddingHorizontal: 4,
+  },
+  purposeChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  purposeChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+  },
+  supervisorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    gap: 12,
+  },
+  supervisorInfo: {
+    flex: 1,
+  },
+  supervisorName: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  supervisorDetails: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  supervisorRemove: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  profileNameInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 6,
+    padding: 8,
+    fontSize: 15,
+  },
   settingSubtitle: {
     fontSize: 13,
     marginTop: -4,
@@ -0,0 +1,478 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SafeAreaView,
+  ScrollView,
+} from 'react-native';
+import { useDriving } from '../contexts/DrivingContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { formatDuration, minutesToHours, formatDateForDisplay, getCurrentDate } from '../utils/time';
+import { isDriveApproved } from '../utils/approval';
+import { getArchivedDrives } from '../utils/license';
+import {
+  STAT_PERIODS,
+  calculatePeriodTotals,
+  buildDrivingHeatmap,
+  calculateWeatherBreakdown,
+  calculateSkillBreakdown,
+  calculateSupervisorBreakdown,
+  summarizeDrives,
+} from '../utils/statistics';
+import { StatsGrid, ProgressRing } from '../components/AnimatedComponents';
+import { logUserAction } from '../utils/logger';
+
+const PERIOD_COUNTS = { week: 8, month: 6 };
+const HEATMAP_WEEKS = 17;
+const BREAKDOWN_LIMIT = 6;
+const CHART_HEIGHT = 140;
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+// Color strength for each heatmap level, as a hex alpha suffix
+const HEATMAP_ALPHAS = ['', '40', '70', 'A0', ''];
+
+export default function StatisticsScreen() {
+  const { drives, archives, streaks } = useDriving();
+  const { theme } = useTheme();
+  const [period, setPeriod] = useState(STAT_PERIODS.WEEK);
+
+  // Archived stages are included so the charts cover the whole learning history
+  const allDrives = [...getArchivedDrives(archives), ...drives];
+  const countedDrives = allDrives.filter(isDriveApproved);
+  const frozenDates = streaks.frozenDates || [];
+
+  const summary = summarizeDrives(countedDrives);
+  const periods = calculatePeriodTotals(countedDrives, period, PERIOD_COUNTS[period]);
+  const heatmap = buildDrivingHeatmap(allDrives, frozenDates, HEATMAP_WEEKS);
+  const nightShare = summary.totalMinutes > 0 ? (summary.nightMinutes / summary.totalMinutes) * 100 : 0;
+
+  const maxPeriodMinutes = Math.max(0, ...periods.map(entry => entry.dayMinutes + entry.nightMinutes));
+  const maxAverageMinutes = Math.max(0, ...periods.map(entry => entry.averageMinutes || 0));
+  const periodName = period === STAT_PERIODS.WEEK ? 'Week' : 'Month';
+
+  const handlePeriodChange = (value) => {
+    setPeriod(value);
+    logUserAction('change_stats_period', 'STATISTICS', { period: value });
+  };
+
+  const getHeatmapCellStyle = (cell) => {
+    if (cell.future) return { backgroundColor: 'transparent', borderColor: 'transparent' };
+    if (cell.level > 0) {
+      return {
+        backgroundColor: theme.colors.success + HEATMAP_ALPHAS[cell.level],
+        borderColor: cell.frozen ? theme.colors.info : 'transparent',
+      };
+    }
+    if (cell.frozen) return { backgroundColor: theme.colors.info + '30', borderColor: theme.colors.info };
+    return { backgroundColor: theme.colors.surfaceSecondary, borderColor: theme.colors.border.light };
+  };
+
+  const renderPeriodChart = () => (
+    <View style={styles.chart}>
+      {periods.map(entry => {
+        const total = entry.dayMinutes + entry.nightMinutes;
+        const barHeight = maxPeriodMinutes > 0 ? (total / maxPeriodMinutes) * CHART_HEIGHT : 0;
+        return (
+          <View key={entry.start} style={styles.chartColumn}>
+            <Text style={[styles.barValue, { color: theme.colors.text.secondary }]}>
+              {total > 0 ? minutesToHours(total) : ''}
+            </Text>
+            <View style={[styles.bar, { height: barHeight }]}>
+              {entry.nightMinutes > 0 && (
+                <View style={{ flex: entry.nightMinutes, backgroundColor: theme.colors.primary }} />
+              )}
+              {entry.dayMinutes > 0 && (
+                <View style={{ flex: entry.dayMinutes, backgroundColor: theme.colors.warning }} />
+              )}
+            </View>
+            <Text style={[styles.barLabel, { color: theme.colors.text.light }]} numberOfLines={1}>{entry.label}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+
+  const renderAverageChart = () => (
+    <View style={styles.chart}>
+      {periods.map(entry => {
+        const stemHeight = maxAverageMinutes > 0 && entry.averageMinutes
+          ? (entry.averageMinutes / maxAverageMinutes) * (CHART_HEIGHT - 12)
+          : 0;
+        return (
+          <View key={entry.start} style={styles.chartColumn}>
+            <Text style={[styles.barValue, { color: theme.colors.text.secondary }]}>
+              {entry.averageMinutes ? formatDuration(entry.averageMinutes) : '–'}
+            </Text>
+            {entry.averageMinutes ? (
+              <View style={styles.trendPoint}>
+                <View style={[styles.trendDot, { backgroundColor: theme.colors.primary }]} />
+                <View style={[styles.trendStem, { height: stemHeight, backgroundColor: theme.colors.primary + '40' }]} />
+              </View>
+            ) : null}
+            <Text style={[styles.barLabel, { color: theme.colors.text.light }]} numberOfLines={1}>{entry.label}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+
+  const renderBreakdown = (title, entries, note = null) => {
+    const maxMinutes = Math.max(0, ...entries.map(entry => entry.minutes));
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>{title}</Text>
+        {note && <Text style={[styles.sectionNote, { color: theme.colors.text.secondary }]}>{note}</Text>}
+        {entries.length === 0 ? (
+          <Text style={[styles.sectionNote, { color: theme.colors.text.secondary }]}>Nothing recorded yet</Text>
+        ) : (
+          entries.slice(0, BREAKDOWN_LIMIT).map(entry => (
+            <View key={entry.label} style={styles.breakdownRow}>
+              <View style={styles.breakdownHeader}>
+                <Text style={[styles.breakdownLabel, { color: theme.colors.text.primary }]} numberOfLines={1}>{entry.label}</Text>
+                <Text style={[styles.breakdownValue, { color: theme.colors.text.secondary }]}>
+                  {formatDuration(entry.minutes)} • {entry.driveCount} drive{entry.driveCount !== 1 ? 's' : ''}
+                </Text>
+              </View>
+              <View style={[styles.breakdownTrack, { backgroundColor: theme.colors.border.light }]}>
+                <View style={[styles.breakdownFill, { width: `${maxMinutes > 0 ? (entry.minutes / maxMinutes) * 100 : 0}%`, backgroundColor: theme.colors.primary }]} />
+              </View>
+            </View>
+          ))
+        )}
+        {entries.length > BREAKDOWN_LIMIT && (
+          <Text style={[styles.sectionNote, { color: theme.colors.text.secondary }]}>
+            +{entries.length - BREAKDOWN_LIMIT} more
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  if (allDrives.length === 0) {
+    return (
+      <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateIcon}>📊</Text>
+          <Text style={[styles.emptyStateTitle, { color: theme.colors.text.primary }]}>No statistics yet</Text>
+          <Text style={[styles.emptyStateText, { color: theme.colors.text.secondary }]}>
+            Log a few drives to see your hours, driving days and trends here
+          </Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>Statistics</Text>
+          <Text style={[styles.subtitle, { color: theme.colors.text.secondary }]}>
+            Hours count approved drives from every license stage
+          </Text>
+        </View>
+
+        {/* Totals */}
+        <StatsGrid
+          stats={[
+            { label: 'Hours', value: minutesToHours(summary.totalMinutes) },
+            { label: 'Drives', value: summary.driveCount },
+            { label: 'Driving Days', value: summary.drivingDays },
+            { label: 'Average Drive', value: formatDuration(summary.averageMinutes) },
+          ]}
+          cardStyle={{ backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light, borderWidth: 1 }}
+          valueStyle={{ color: theme.colors.primary }}
+          labelStyle={{ color: theme.colors.text.secondary }}
+        />
+
+        {/* Day vs Night */}
+        <View style={[styles.section, styles.splitSection, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <ProgressRing
+            progress={nightShare}
+            size={96}
+            strokeWidth={10}
+            color={theme.colors.primary}
+            backgroundColor={theme.colors.warning + '60'}
+            textStyle={{ color: theme.colors.text.primary, fontSize: 20 }}
+          >
+            <Text style={[styles.ringLabel, { color: theme.colors.text.secondary }]}>night</Text>
+          </ProgressRing>
+          <View style={styles.splitText}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Day vs Night</Text>
+            <Text style={[styles.splitLine, { color: theme.colors.text.secondary }]}>☀️ Day: {formatDuration(summary.dayMinutes)}</Text>
+            <Text style={[styles.splitLine, { color: theme.colors.text.secondary }]}>🌙 Night: {formatDuration(summary.nightMinutes)}</Text>
+          </View>
+        </View>
+
+        {/* Period toggle */}
+        <View style={styles.periodToggle}>
+          {[STAT_PERIODS.WEEK, STAT_PERIODS.MONTH].map(value => (
+            <TouchableOpacity
+              key={value}
+              style={[
+                styles.periodButton,
+                { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light },
+                period === value && { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary },
+              ]}
+              onPress={() => handlePeriodChange(value)}
+            >
+              <Text style={[styles.periodButtonText, { color: period === value ? theme.colors.text.inverse : theme.colors.text.primary }]}>
+                {value === STAT_PERIODS.WEEK ? 'Weekly' : 'Monthly'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Hours per period */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Hours per {periodName}</Text>
+          {renderPeriodChart()}
+          <View style={styles.legend}>
+            <View style={[styles.legendSwatch, { backgroundColor: theme.colors.warning }]} />
+            <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>Day</Text>
+            <View style={[styles.legendSwatch, { backgroundColor: theme.colors.primary }]} />
+            <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>Night</Text>
+          </View>
+        </View>
+
+        {/* Average drive length */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Average Drive Length</Text>
+          <Text style={[styles.sectionNote, { color: theme.colors.text.secondary }]}>
+            Per {periodName.toLowerCase()} • {formatDuration(summary.averageMinutes)} overall
+          </Text>
+          {renderAverageChart()}
+        </View>
+
+        {/* Driving days heatmap */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface, borderColor: theme.colors.border.light }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Driving Days</Text>
+          <Text style={[styles.sectionNote, { color: theme.colors.text.secondary }]}>
+            {formatDateForDisplay(heatmap.weeks[0][0].date)} - {formatDateForDisplay(getCurrentDate())}
+          </Text>
+          <View style={styles.heatmap}>
+            <View style={styles.heatmapColumn}>
+              {WEEKDAY_LABELS.map((label, index) => (
+                <View key={index} style={styles.heatmapLabelCell}>
+                  <Text style={[styles.heatmapLabel, { color: theme.colors.text.light }]}>{index % 2 === 1 ? label : ''}</Text>
+                </View>
+              ))}
+            </View>
+            {heatmap.weeks.map(week => (
+              <View key={week[0].date} style={styles.heatmapColumn}>
+                {week.map(cell => (
+                  <View key={cell.date} style={[styles.heatmapCell, getHeatmapCellStyle(cell)]} />
+                ))}
+              </View>
+            ))}
+          </View>
+          <View style={styles.legend}>
+            <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>Less</Text>
+            {[0, 1, 2, 3, 4].map(level => (
+              <View key={level} style={[styles.legendSwatch, getHeatmapCellStyle({ level, frozen: false, future: false })]} />
+            ))}
+            <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>More</Text>
+            <View style={[styles.legendSwatch, { backgroundColor: theme.colors.info + '30', borderColor: theme.colors.info, borderWidth: 1 }]} />
+            <Text style={[styles.legendText, { color: theme.colors.text.secondary }]}>Freeze day</Text>
+          </View>
+        </View>
+
+        {/* Breakdowns */}
+        {renderBreakdown('🌦️ By Weather', calculateWeatherBreakdown(countedDrives))}
+        {renderBreakdown('🎯 By Skill', calculateSkillBreakdown(countedDrives), 'A drive counts toward every skill practiced on it')}
+        {renderBreakdown('👨‍👩‍👧 By Supervisor', calculateSupervisorBreakdown(countedDrives))}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 20,
+    paddingBottom: 100,
+  },
+  header: {
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    letterSpacing: -0.5,
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 15,
+  },
+  section: {
+    padding: 20,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  sectionNote: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  splitSection: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  splitText: {
+    flex: 1,
+    marginLeft: 20,
+  },
+  splitLine: {
+    fontSize: 15,
+    marginBottom: 4,
+  },
+  ringLabel: {
+    fontSize: 12,
+  },
+  periodToggle: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 20,
+  },
+  periodButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  periodButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: CHART_HEIGHT + 40,
+    marginTop: 8,
+  },
+  chartColumn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  bar: {
+    width: '60%',
+    borderTopLeftRadius: 4,
+    borderTopRightRadius: 4,
+    overflow: 'hidden',
+  },
+  barValue: {
+    fontSize: 10,
+    marginBottom: 2,
+  },
+  barLabel: {
+    fontSize: 10,
+    marginTop: 4,
+  },
+  trendPoint: {
+    alignItems: 'center',
+  },
+  trendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  trendStem: {
+    width: 2,
+  },
+  heatmap: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  heatmapColumn: {
+    flex: 1,
+  },
+  heatmapLabelCell: {
+    aspectRatio: 1,
+    margin: 1.5,
+    justifyContent: 'center',
+  },
+  heatmapLabel: {
+    fontSize: 9,
+  },
+  heatmapCell: {
+    aspectRatio: 1,
+    margin: 1.5,
+    borderRadius: 3,
+    borderWidth: 1,
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    marginTop: 12,
+    gap: 6,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+  },
+  legendText: {
+    fontSize: 12,
+    marginRight: 4,
+  },
+  breakdownRow: {
+    marginTop: 10,
+  },
+  breakdownHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  breakdownLabel: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    marginRight: 8,
+  },
+  breakdownValue: {
+    fontSize: 13,
+  },
+  breakdownTrack: {
+    height: 8,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  breakdownFill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 48,
+  },
+  emptyStateIcon: {
+    fontSize: 72,
+    marginBottom: 20,
+  },
+  emptyStateTitle: {
+    fontSize: 22,
+    fontWeight: '700',
+    marginBottom: 12,
+    letterSpacing: -0.3,
+  },
+  emptyStateText: {
+    fontSize: 17,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
@@ -0,0 +1,68 @@
+import { applyParentApproval, mergeBackupData } from '../backup';
+import { APPROVAL_STATUSES, getApprovalStatus } from '../approval';
+
+const drive = (id, date, approval) => ({
+  id,
+  date,
+  startTime: '10:00',
+  endTime: '11:00',
+  duration: 60,
+  dayMinutes: 60,
+  nightMinutes: 0,
+  ...(approval ? { approval: { status: approval } } : {}),
+});
+
+const makeData = (drives, settings = {}) => ({
+  version: '1.2.0',
+  user: { goalDayHours: 40, goalNightHours: 10, completedDayHours: 0, completedNightHours: 0 },
+  drives,
+  streaks: { current: 0, longest: 0, lastDriveDate: null, frozenDates: [] },
+  settings,
+});
+
+const current = makeData(
+  [drive('1', '2024-05-01', APPROVAL_STATUSES.APPROVED), drive('2', '2024-05-02', APPROVAL_STATUSES.REJECTED)],
+  { parentApproval: true, parentPinHash: 'abcd1234' }
+);
+
+describe('applyParentApproval', () => {
+  it('leaves data alone when parent approval is off', () => {
+    const backup = makeData([drive('3', '2024-05-03', APPROVAL_STATUSES.APPROVED)]);
+    expect(applyParentApproval(backup, { ...current, settings: {} })).toBe(backup);
+  });
+
+  it('marks restored drives pending and keeps approval on', () => {
+    const backup = makeData(
+      [drive('3', '2024-05-03', APPROVAL_STATUSES.APPROVED), drive('4', '2024-05-04')],
+      { parentApproval: false }
+    );
+    const data = applyParentApproval(backup, current);
+
+    expect(data.drives.map(getApprovalStatus)).toEqual([APPROVAL_STATUSES.PENDING, APPROVAL_STATUSES.PENDING]);
+    expect(data.user.completedDayHours).toBe(0);
+    expect(data.settings).toMatchObject({ parentApproval: true, parentPinHash: 'abcd1234' });
+  });
+
+  it('keeps the review of drives that are already in the log unchanged', () => {
+    const edited = { ...drive('2', '2024-05-02', APPROVAL_STATUSES.APPROVED), dayMinutes: 90, duration: 90 };
+    const backup = makeData([drive('1', '2024-05-01'), edited]);
+    const data = applyParentApproval(backup, current);
+
+    expect(data.drives.map(getApprovalStatus)).toEqual([APPROVAL_STATUSES.APPROVED, APPROVAL_STATUSES.PENDING]);
+    expect(data.user.completedDayHours).toBe(1);
+  });
+
+  it('marks merged drives pending', () => {
+    const backup = makeData([drive('1', '2024-05-01'), drive('5', '2024-05-05', APPROVAL_STATUSES.APPROVED)]);
+    const { data, addedCount } = mergeBackupData(current, backup);
+    const saved = applyParentApproval(data, current);
+
+    expect(addedCount).toBe(1);
+    expect(saved.drives.map(getApprovalStatus)).toEqual([
+      APPROVAL_STATUSES.APPROVED,
+      APPROVAL_STATUSES.REJECTED,
+      APPROVAL_STATUSES.PENDING,
+    ]);
+    expect(saved.user.completedDayHours).toBe(1);
+  });
+});
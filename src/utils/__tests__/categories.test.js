@@ -0,0 +1,118 @@
+import {
+  CATEGORY_RULE_PRESETS,
+  getGoalCategories,
+  getDriveSkills,
+  getCategoryMinutes,
+  calculateCategoryProgress,
+  getDriveCategoryLabels,
+} from '../categories';
+import { APPROVAL_STATUSES } from '../approval';
+
+// 40 day and 20 night minutes
+const drive = (fields = {}) => ({
+  id: '1',
+  date: '2024-05-01',
+  startTime: '19:30',
+  endTime: '20:30',
+  duration: 60,
+  dayMinutes: 40,
+  nightMinutes: 20,
+  weather: '☀️ Sunny',
+  skills: 'Parking',
+  supervisorName: 'Pat Lee',
+  ...fields,
+});
+
+const supervisors = [
+  { id: 's1', name: 'Pat Lee', relationship: 'Parent' },
+  { id: 's2', name: 'Jo Smith', relationship: 'Instructor' },
+];
+
+const category = (rule) => ({ id: 'custom', label: 'Custom', hours: 10, rule });
+
+describe('getDriveSkills', () => {
+  it('splits the stored skill list', () => {
+    expect(getDriveSkills(drive({ skills: 'Highway Driving, Merging ,, Parking' })))
+      .toEqual(['Highway Driving', 'Merging', 'Parking']);
+    expect(getDriveSkills(drive({ skills: ['Merging'] }))).toEqual(['Merging']);
+    expect(getDriveSkills(drive({ skills: '' }))).toEqual([]);
+    expect(getDriveSkills(drive({ skills: undefined }))).toEqual([]);
+  });
+});
+
+describe('getCategoryMinutes', () => {
+  it('counts day or night minutes for the built-in categories', () => {
+    const [day, night] = getGoalCategories({ goalDayHours: 40, goalNightHours: 10 });
+
+    expect(getCategoryMinutes(drive(), day)).toBe(40);
+    expect(getCategoryMinutes(drive(), night)).toBe(20);
+  });
+
+  it('counts the whole drive when the weather matches', () => {
+    const badWeather = category(CATEGORY_RULE_PRESETS.badWeather);
+
+    expect(getCategoryMinutes(drive({ weather: '🌨️ Snow' }), badWeather)).toBe(60);
+    expect(getCategoryMinutes(drive(), badWeather)).toBe(0);
+  });
+
+  it('counts the whole drive when any of the skills was practiced', () => {
+    const heavyTraffic = category(CATEGORY_RULE_PRESETS.heavyTraffic);
+
+    expect(getCategoryMinutes(drive({ skills: 'Parking, City Driving' }), heavyTraffic)).toBe(60);
+    expect(getCategoryMinutes(drive({ skills: 'City Driving Practice' }), heavyTraffic)).toBe(0);
+  });
+
+  it('matches the saved supervisor by id, or else by name', () => {
+    const instructor = category(CATEGORY_RULE_PRESETS.instructor);
+
+    expect(getCategoryMinutes(drive({ supervisorId: 's2' }), instructor, supervisors)).toBe(60);
+    expect(getCategoryMinutes(drive({ supervisorName: ' jo smith ' }), instructor, supervisors)).toBe(60);
+    expect(getCategoryMinutes(drive({ supervisorId: 'gone', supervisorName: 'Jo Smith' }), instructor, supervisors))
+      .toBe(60);
+    expect(getCategoryMinutes(drive(), instructor, supervisors)).toBe(0);
+    expect(getCategoryMinutes(drive({ supervisorName: 'Jo Smith' }), instructor)).toBe(0);
+  });
+
+  it('combines conditions with OR and falls back to the time rule', () => {
+    const mixed = category({
+      time: 'night',
+      weather: ['🌫️ Fog'],
+      skills: ['Highway Driving'],
+      supervisorRelationships: ['Instructor'],
+    });
+
+    expect(getCategoryMinutes(drive({ weather: '🌫️ Fog' }), mixed, supervisors)).toBe(60);
+    expect(getCategoryMinutes(drive({ skills: 'Highway Driving' }), mixed, supervisors)).toBe(60);
+    expect(getCategoryMinutes(drive({ supervisorName: 'Jo Smith' }), mixed, supervisors)).toBe(60);
+    expect(getCategoryMinutes(drive(), mixed, supervisors)).toBe(20);
+    expect(getCategoryMinutes(drive(), category({ time: 'day' }), supervisors)).toBe(40);
+  });
+
+  it('counts nothing without a rule', () => {
+    expect(getCategoryMinutes(drive(), category({}))).toBe(0);
+  });
+});
+
+describe('category progress', () => {
+  const highway = { id: 'highway', label: 'Highway', hours: 5, rule: CATEGORY_RULE_PRESETS.highway };
+  const categories = getGoalCategories({ goalDayHours: 40, goalNightHours: 0, goalCategories: [highway] });
+
+  it('leaves night out when its goal is 0', () => {
+    expect(categories.map(c => c.id)).toEqual(['day', 'highway']);
+  });
+
+  it('adds up approved drives only', () => {
+    const drives = [
+      drive({ id: '1', skills: 'Highway Driving' }),
+      drive({ id: '2', skills: 'Highway Driving', approval: { status: APPROVAL_STATUSES.PENDING } }),
+      drive({ id: '3' }),
+    ];
+
+    expect(calculateCategoryProgress(drives, categories).map(c => c.completedHours)).toEqual([80 / 60, 1]);
+  });
+
+  it('labels drives with the extra categories they count toward', () => {
+    expect(getDriveCategoryLabels(drive({ skills: 'Highway Driving' }), categories)).toEqual(['Highway']);
+    expect(getDriveCategoryLabels(drive(), categories)).toEqual([]);
+  });
+});
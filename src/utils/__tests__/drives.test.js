@@ -0,0 +1,30 @@
+import { validateDriveDetails } from '../drives';
+import { getLocalDate } from '../time';
+
+const FUTURE_ERROR = 'The drive date cannot be in the future.';
+
+const details = (date) => ({ date, startTime: '21:00', endTime: '22:00', duration: 60 });
+
+describe('validateDriveDetails', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // Late evening on the device, when the UTC date is often a day ahead or behind
+    jest.setSystemTime(new Date(2024, 4, 10, 23, 30));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('compares the drive date with the local date', () => {
+    expect(getLocalDate()).toBe('2024-05-10');
+    expect(validateDriveDetails(details('2024-05-10'))).toEqual([]);
+    expect(validateDriveDetails(details('2024-05-11'))).toEqual([FUTURE_ERROR]);
+  });
+
+  it('accepts a drive from the early hours of the local day', () => {
+    jest.setSystemTime(new Date(2024, 4, 11, 0, 30));
+    expect(validateDriveDetails({ ...details('2024-05-11'), startTime: '00:05', endTime: '00:25', duration: 20 }))
+      .toEqual([]);
+  });
+});
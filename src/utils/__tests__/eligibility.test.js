@@ -0,0 +1,88 @@
+import { calculateRoadTestEligibility, ELIGIBILITY_FACTORS } from '../eligibility';
+import { getJurisdiction } from '../jurisdictions';
+
+const TODAY = '2025-06-30';
+
+// One hour a day, half of it at night, through June
+const drives = Array.from({ length: 30 }, (_, index) => ({
+  id: `${index}`,
+  date: `2025-06-${String(index + 1).padStart(2, '0')}`,
+  duration: 60,
+  dayMinutes: 30,
+  nightMinutes: 30,
+}));
+
+const user = {
+  licenseDate: '2024-01-01',
+  birthDate: '2008-01-01',
+  goalDayHours: 60,
+  goalNightHours: 20,
+};
+
+const factorIds = (eligibility) => eligibility.factors.map(factor => factor.id);
+
+describe('calculateRoadTestEligibility', () => {
+  it('counts the hours the jurisdiction requires, not the personal goal', () => {
+    const eligibility = calculateRoadTestEligibility({
+      user,
+      drives,
+      jurisdiction: getJurisdiction('US-TX'),
+      completedHours: { dayHours: 20, nightHours: 12 },
+      today: TODAY,
+    });
+
+    expect(eligibility.eligibleNow).toBe(true);
+    expect(eligibility.factors.find(factor => factor.id === ELIGIBILITY_FACTORS.TOTAL_HOURS).remainingHours).toBe(0);
+    expect(eligibility.personalGoal).toMatchObject({ met: false, remainingHours: 48, date: '2025-08-17' });
+  });
+
+  it('has no hour factors when the jurisdiction requires no hours', () => {
+    const eligibility = calculateRoadTestEligibility({
+      user,
+      drives: [],
+      jurisdiction: getJurisdiction('US-NJ'),
+      completedHours: { dayHours: 0, nightHours: 0 },
+      today: TODAY,
+    });
+
+    expect(factorIds(eligibility)).toEqual([ELIGIBILITY_FACTORS.HOLDING_PERIOD, ELIGIBILITY_FACTORS.MINIMUM_AGE]);
+    expect(eligibility.eligibleNow).toBe(true);
+    expect(eligibility.personalGoal.date).toBeNull();
+  });
+
+  it('uses the required category hours and the learner\'s rule for them', () => {
+    const eligibility = calculateRoadTestEligibility({
+      user,
+      drives,
+      jurisdiction: getJurisdiction('US-PA'),
+      completedHours: { dayHours: 40, nightHours: 30 },
+      categoryProgress: [
+        { id: 'badWeather', label: 'Bad weather', hours: 2, rule: {}, completedHours: 1 },
+        { id: 'custom-highway', label: 'Highway', hours: 10, rule: {}, completedHours: 0 },
+      ],
+      today: TODAY,
+    });
+
+    expect(factorIds(eligibility)).toEqual([
+      ELIGIBILITY_FACTORS.HOLDING_PERIOD,
+      ELIGIBILITY_FACTORS.MINIMUM_AGE,
+      ELIGIBILITY_FACTORS.TOTAL_HOURS,
+      ELIGIBILITY_FACTORS.NIGHT_HOURS,
+      `${ELIGIBILITY_FACTORS.CATEGORY}:badWeather`,
+    ]);
+    expect(eligibility.blocking).toMatchObject({ label: 'Bad weather', remainingHours: 4, date: null });
+  });
+
+  it('falls back to the goals without a jurisdiction', () => {
+    const eligibility = calculateRoadTestEligibility({
+      user,
+      drives,
+      jurisdiction: null,
+      completedHours: { dayHours: 20, nightHours: 12 },
+      today: TODAY,
+    });
+
+    expect(eligibility.blocking).toMatchObject({ id: ELIGIBILITY_FACTORS.TOTAL_HOURS, remainingHours: 48 });
+    expect(eligibility.personalGoal).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+import {
+  JURISDICTIONS,
+  getJurisdiction,
+  getJurisdictionNightSettings,
+  describeJurisdictionNight,
+} from '../jurisdictions';
+import { NIGHT_DEFINITIONS } from '../solar';
+
+const NIGHT_SETTING_KEYS = ['nightDefinition', 'nightOffsetMinutes', 'nightTimeStart', 'nightTimeEnd'];
+
+describe('jurisdiction night definitions', () => {
+  it.each(JURISDICTIONS.map(pack => [pack.id, pack]))('%s has a sourced night definition using settings keys', (id, pack) => {
+    const night = getJurisdictionNightSettings(pack);
+
+    expect(Object.keys(night).every(key => NIGHT_SETTING_KEYS.includes(key))).toBe(true);
+    expect(Object.values(NIGHT_DEFINITIONS)).toContain(night.nightDefinition);
+    if (night.nightDefinition === NIGHT_DEFINITIONS.FIXED) {
+      expect(night.nightTimeStart).toMatch(/^\d{2}:\d{2}$/);
+      expect(night.nightTimeEnd).toMatch(/^\d{2}:\d{2}$/);
+    } else {
+      expect(Number.isInteger(night.nightOffsetMinutes)).toBe(true);
+    }
+    expect(pack.nightSource).toEqual(expect.any(String));
+  });
+
+  it('describes offsets from sunset with the source', () => {
+    expect(describeJurisdictionNight(getJurisdiction('US-CA')))
+      .toBe('Night: 30 min after sunset to 30 min before sunrise (Cal. Veh. Code § 280)');
+    expect(describeJurisdictionNight(getJurisdiction('US-PA')))
+      .toBe('Night: sunset to sunrise (75 Pa.C.S. § 4302)');
+    expect(describeJurisdictionNight(getJurisdiction('CA-ON')))
+      .toBe('Night: 30 min before sunset to 30 min after sunrise (Ont. Highway Traffic Act, s. 62(1))');
+  });
+
+  it('returns a copy of the pack settings', () => {
+    const pack = getJurisdiction('US-TX');
+    getJurisdictionNightSettings(pack).nightOffsetMinutes = 0;
+    expect(pack.night.nightOffsetMinutes).toBe(30);
+  });
+});
@@ -0,0 +1,34 @@
+import { validateProgression, countPendingDrives, createStageArchive } from '../license';
+import { APPROVAL_STATUSES } from '../approval';
+
+const user = { licenseType: 'learners', licenseDate: '2024-01-01', goalDayHours: 40, goalNightHours: 10 };
+const goals = { goalDayHours: 20, goalNightHours: 5 };
+const drive = (id, status) => ({
+  id,
+  date: '2024-06-01',
+  duration: 60,
+  dayMinutes: 60,
+  nightMinutes: 0,
+  ...(status ? { approval: { status } } : {}),
+});
+
+describe('license progression', () => {
+  it('counts only pending drives', () => {
+    expect(countPendingDrives([
+      drive('1'),
+      drive('2', APPROVAL_STATUSES.PENDING),
+      drive('3', APPROVAL_STATUSES.REJECTED),
+    ])).toBe(1);
+  });
+
+  it('blocks moving on while drives await approval', () => {
+    const errors = validateProgression(user, '2024-07-01', goals, [drive('1'), drive('2', APPROVAL_STATUSES.PENDING)]);
+    expect(errors).toEqual(['1 drive is still awaiting parent approval. Approve or reject it before archiving this log.']);
+  });
+
+  it('allows moving on once every drive is reviewed', () => {
+    const drives = [drive('1', APPROVAL_STATUSES.APPROVED), drive('2', APPROVAL_STATUSES.REJECTED)];
+    expect(validateProgression(user, '2024-07-01', goals, drives)).toEqual([]);
+    expect(createStageArchive(user, drives, '2024-07-01')).toMatchObject({ completedDayHours: 1, completedNightHours: 0 });
+  });
+});
@@ -0,0 +1,137 @@
+import {
+  DATA_VERSION,
+  DATA_VERSION_TOO_NEW,
+  MIGRATIONS,
+  compareVersions,
+  addMissingSections,
+  normalizeDriveRecords,
+  splitDayNightDrives,
+  migrateData,
+} from '../migrations';
+import unversioned from './fixtures/data-unversioned.json';
+import version110 from './fixtures/data-1.1.0.json';
+import version111 from './fixtures/data-1.1.1.json';
+import tooNew from './fixtures/data-too-new.json';
+
+describe('compareVersions', () => {
+  it('orders dotted versions numerically', () => {
+    expect(compareVersions('1.1.0', '1.2.0')).toBeLessThan(0);
+    expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('1.2', '1.2.0')).toBe(0);
+  });
+
+  it('treats a missing version as 0.0.0', () => {
+    expect(compareVersions(undefined, '0.0.1')).toBeLessThan(0);
+  });
+});
+
+describe('MIGRATIONS', () => {
+  it('are in order and end at DATA_VERSION', () => {
+    const versions = MIGRATIONS.map(migration => migration.version);
+    const sorted = [...versions].sort(compareVersions);
+    expect(versions).toEqual(sorted);
+    expect(versions[versions.length - 1]).toBe(DATA_VERSION);
+  });
+});
+
+describe('addMissingSections (1.1.0)', () => {
+  it('fills in missing fields without overwriting saved ones', () => {
+    const data = addMissingSections(unversioned);
+
+    expect(data.user.goalDayHours).toBe(40);
+    expect(data.user.completedDayHours).toBe(0);
+    expect(data.streaks.current).toBe(1);
+    expect(data.streaks.freezeDaysThisMonth).toBe(0);
+    expect(data.streaks.lastFreezeReset).toBeNull();
+    expect(data.settings.nightTimeStart).toBe('18:00');
+    expect(data.settings.backupReminder).toBe(true);
+    expect(data.settings.temperatureUnit).toBe('metric');
+  });
+
+  it('keeps a saved temperature unit', () => {
+    expect(addMissingSections(version110).settings.temperatureUnit).toBe('imperial');
+  });
+
+  it('creates an empty drive list when there is none', () => {
+    const { drives, ...withoutDrives } = unversioned;
+    expect(drives).toHaveLength(1);
+    expect(addMissingSections(withoutDrives).drives).toEqual([]);
+  });
+});
+
+describe('normalizeDriveRecords (1.1.1)', () => {
+  it('converts old drive fields to the current types', () => {
+    const [first, second] = normalizeDriveRecords(version110).drives;
+
+    expect(first.id).toBe(`${Date.parse('2024-03-02')}0`);
+    expect(first.duration).toBe(120);
+    expect(first.skills).toBe('Parking, Merging');
+    expect(first.supervisorAge).toBe(45);
+    expect(first.weather).toBeNull();
+    expect(first.pausedTime).toBe(0);
+
+    expect(second.id).toBe('1709500000000');
+    expect(second.duration).toBe(60);
+    expect(second.skills).toBeNull();
+    expect(second.supervisorName).toBeNull();
+    expect(second.pausedTime).toBe(5);
+  });
+});
+
+describe('splitDayNightDrives (1.2.0)', () => {
+  it('splits drives between day and night and rebuilds the totals', () => {
+    const data = splitDayNightDrives(version111);
+    const [evening, night] = data.drives;
+
+    expect(evening).toMatchObject({ dayMinutes: 60, nightMinutes: 60, isNightDrive: true });
+    expect(night).toMatchObject({ dayMinutes: 0, nightMinutes: 60, isNightDrive: true });
+    expect(data.user.completedDayHours).toBeCloseTo(80 / 60);
+    expect(data.user.completedNightHours).toBeCloseTo(130 / 60);
+  });
+
+  it('keeps a split that was already recorded', () => {
+    const recorded = splitDayNightDrives(version111).drives[2];
+    expect(recorded).toMatchObject({ dayMinutes: 20, nightMinutes: 10, isNightDrive: true });
+  });
+});
+
+describe('migrateData', () => {
+  it('runs every migration on a file with no version', () => {
+    const { data, applied } = migrateData(unversioned);
+
+    expect(applied).toEqual(['1.1.0', '1.1.1', '1.2.0']);
+    expect(data.version).toBe(DATA_VERSION);
+    expect(data.drives[0]).toMatchObject({ duration: 120, dayMinutes: 60, nightMinutes: 60 });
+  });
+
+  it('only runs the migrations newer than the file', () => {
+    expect(migrateData(version110).applied).toEqual(['1.1.1', '1.2.0']);
+    expect(migrateData(version111).applied).toEqual(['1.2.0']);
+  });
+
+  it('leaves current data unchanged', () => {
+    const current = migrateData(unversioned).data;
+    const { data, applied } = migrateData(current);
+
+    expect(applied).toEqual([]);
+    expect(data).toEqual(current);
+  });
+
+  it('stops at the target version', () => {
+    const { data, applied } = migrateData(unversioned, '1.1.0');
+
+    expect(applied).toEqual(['1.1.0']);
+    expect(data.version).toBe('1.1.0');
+    expect(data.drives[0].duration).toBe('120');
+  });
+
+  it('refuses data from a newer app', () => {
+    expect(() => migrateData(tooNew)).toThrow(expect.objectContaining({ code: DATA_VERSION_TOO_NEW }));
+  });
+
+  it('does not change the fixture it was given', () => {
+    const before = JSON.stringify(version110);
+    migrateData(version110);
+    expect(JSON.stringify(version110)).toBe(before);
+  });
+});
@@ -0,0 +1,108 @@
+// In-memory stand-in for the document directory, kept across module reloads
+const mockFiles = new Map();
+
+jest.mock('expo-file-system', () => {
+  const files = mockFiles;
+  const isInside = (uri, dir) => uri.startsWith(dir.endsWith('/') ? dir : `${dir}/`);
+  return {
+    documentDirectory: 'file:///documents/',
+    getInfoAsync: jest.fn(async uri => ({
+      exists: files.has(uri) || [...files.keys()].some(file => isInside(file, uri)),
+    })),
+    makeDirectoryAsync: jest.fn(async () => {}),
+    readAsStringAsync: jest.fn(async uri => {
+      if (!files.has(uri)) throw new Error(`No such file: ${uri}`);
+      return files.get(uri);
+    }),
+    writeAsStringAsync: jest.fn(async (uri, contents) => {
+      files.set(uri, contents);
+    }),
+    copyAsync: jest.fn(async ({ from, to }) => {
+      files.set(to, files.get(from));
+    }),
+    moveAsync: jest.fn(async ({ from, to }) => {
+      files.set(to, files.get(from));
+      files.delete(from);
+    }),
+    deleteAsync: jest.fn(async uri => {
+      [...files.keys()].filter(file => file === uri || isInside(file, uri)).forEach(file => files.delete(file));
+    }),
+    readDirectoryAsync: jest.fn(async dir => [...new Set(
+      [...files.keys()].filter(file => isInside(file, dir)).map(file => file.slice(dir.length).split('/')[0])
+    )]),
+  };
+});
+
+const DATA_DIR = 'file:///documents/drively/';
+const PROFILES = `${DATA_DIR}profiles.json`;
+const PROFILES_BACKUP = `${DATA_DIR}profiles.backup.json`;
+
+let FileSystem;
+let storage;
+
+beforeEach(() => {
+  jest.resetModules();
+  mockFiles.clear();
+  FileSystem = require('expo-file-system');
+  storage = require('../storage');
+});
+
+// A fresh start of the app: nothing cached, files as they were left
+const reloadStorage = () => {
+  jest.resetModules();
+  FileSystem = require('expo-file-system');
+  storage = require('../storage');
+};
+
+describe('profile list storage', () => {
+  it('starts with the default profile and writes nothing on first run', async () => {
+    const registry = await storage.loadProfiles();
+
+    expect(registry.profiles.map(profile => profile.id)).toEqual(['default']);
+    expect(mockFiles.has(PROFILES)).toBe(false);
+  });
+
+  it('keeps the previous list as a backup when saving', async () => {
+    const first = await storage.addProfile('Sam', 'profile-1');
+    await storage.addProfile('Alex', 'profile-2');
+
+    expect(first.id).toBe('profile-1');
+    expect(JSON.parse(mockFiles.get(PROFILES)).profiles).toHaveLength(3);
+    expect(JSON.parse(mockFiles.get(PROFILES_BACKUP)).profiles).toHaveLength(2);
+    expect(mockFiles.has(`${PROFILES}.tmp`)).toBe(false);
+  });
+
+  it('recovers a corrupt list from the backup', async () => {
+    await storage.addProfile('Sam', 'profile-1');
+    await storage.setActiveProfile('profile-1');
+    mockFiles.set(PROFILES, '{"activeProfileId": "profile-1", "profi');
+
+    reloadStorage();
+    const registry = await storage.loadProfiles();
+
+    expect(registry.profiles.map(profile => profile.name)).toEqual(['Learner 1', 'Sam']);
+    expect(JSON.parse(mockFiles.get(PROFILES)).profiles).toHaveLength(2);
+  });
+
+  it('rebuilds the list from profile folders when no copy can be read', async () => {
+    mockFiles.set(PROFILES, 'not json');
+    mockFiles.set(`${DATA_DIR}profiles/profile-7/data.json`, '{}');
+
+    const registry = await storage.loadProfiles();
+
+    expect(registry.activeProfileId).toBe('default');
+    expect(registry.profiles.map(profile => [profile.id, profile.name])).toEqual([
+      ['default', 'Learner 1'],
+      ['profile-7', 'Learner 2'],
+    ]);
+  });
+
+  it('leaves the saved list unchanged when a write fails', async () => {
+    await storage.addProfile('Sam', 'profile-1');
+    FileSystem.writeAsStringAsync.mockRejectedValueOnce(new Error('Disk full'));
+
+    await expect(storage.setActiveProfile('profile-1')).rejects.toThrow('Disk full');
+    expect((await storage.loadProfiles()).activeProfileId).toBe('default');
+    expect(JSON.parse(mockFiles.get(PROFILES)).activeProfileId).toBe('default');
+  });
+});
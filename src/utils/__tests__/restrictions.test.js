@@ -0,0 +1,109 @@
+import {
+  RESTRICTION_TYPES,
+  DEFAULT_ALLOWED_PURPOSES,
+  checkDriveRestrictions,
+  getRestrictionViolations,
+} from '../restrictions';
+
+const settings = {
+  curfewStart: '23:00',
+  curfewEnd: '05:00',
+  maxMinorPassengers: 1,
+  allowedPurposes: DEFAULT_ALLOWED_PURPOSES,
+  requireSupervisor: false,
+};
+
+const drive = (fields = {}) => ({
+  startTime: '15:00',
+  endTime: '16:00',
+  destination: 'School',
+  supervisorName: '',
+  minorPassengers: 0,
+  ...fields,
+});
+
+const types = (violations) => violations.map(violation => violation.type);
+
+describe('checkDriveRestrictions', () => {
+  it('finds nothing wrong with a daytime drive that follows the rules', () => {
+    expect(checkDriveRestrictions(drive(), settings)).toEqual([]);
+  });
+
+  it('flags time driven during a curfew that crosses midnight', () => {
+    const [violation] = checkDriveRestrictions(drive({ startTime: '22:30', endTime: '00:30' }), settings);
+
+    expect(violation.type).toBe(RESTRICTION_TYPES.CURFEW);
+    expect(violation.message).toContain('for 1h 30m');
+    expect(types(checkDriveRestrictions(drive({ startTime: '04:00', endTime: '04:45' }), settings)))
+      .toEqual([RESTRICTION_TYPES.CURFEW]);
+    expect(checkDriveRestrictions(drive({ startTime: '05:00', endTime: '06:00' }), settings)).toEqual([]);
+  });
+
+  it('checks a curfew within one day', () => {
+    const evening = { ...settings, curfewStart: '21:00', curfewEnd: '23:30' };
+
+    expect(types(checkDriveRestrictions(drive({ startTime: '20:30', endTime: '21:15' }), evening)))
+      .toEqual([RESTRICTION_TYPES.CURFEW]);
+    expect(checkDriveRestrictions(drive({ startTime: '23:30', endTime: '23:59' }), evening)).toEqual([]);
+  });
+
+  it('checks only the start time before the drive has ended', () => {
+    expect(types(checkDriveRestrictions(drive({ startTime: '23:15', endTime: null }), settings)))
+      .toEqual([RESTRICTION_TYPES.CURFEW]);
+    expect(checkDriveRestrictions(drive({ startTime: '22:45', endTime: null }), settings)).toEqual([]);
+  });
+
+  it('skips the curfew when none is set', () => {
+    const noCurfew = { ...settings, curfewStart: null };
+    expect(checkDriveRestrictions(drive({ startTime: '23:30', endTime: '00:30' }), noCurfew)).toEqual([]);
+  });
+
+  it('enforces the passenger limit', () => {
+    expect(checkDriveRestrictions(drive({ minorPassengers: 1 }), settings)).toEqual([]);
+    expect(checkDriveRestrictions(drive({ minorPassengers: 2 }), settings)).toEqual([{
+      type: RESTRICTION_TYPES.PASSENGERS,
+      message: '2 passengers under 21 (limit 1) without a supervisor.',
+    }]);
+    expect(checkDriveRestrictions(drive({ minorPassengers: 4 }), { ...settings, maxMinorPassengers: null }))
+      .toEqual([]);
+  });
+
+  it('allows only the chosen trip purposes', () => {
+    expect(checkDriveRestrictions(drive({ destination: 'Work' }), settings)).toEqual([]);
+    expect(checkDriveRestrictions(drive({ destination: 'Movies/Entertainment' }), settings)).toEqual([{
+      type: RESTRICTION_TYPES.PURPOSE,
+      message: 'Movies/Entertainment isn\'t an allowed trip purpose without a supervisor.',
+    }]);
+    expect(checkDriveRestrictions(drive({ destination: 'Work' }), { ...settings, allowedPurposes: ['School'] }))
+      .toHaveLength(1);
+    expect(checkDriveRestrictions(drive({ destination: '' }), settings)).toEqual([]);
+  });
+
+  it('lifts the curfew, passenger and purpose limits with a supervisor on board', () => {
+    const lateNightOut = { startTime: '23:30', endTime: '01:00', destination: 'Party/Social Event', minorPassengers: 3 };
+
+    expect(types(checkDriveRestrictions(drive(lateNightOut), settings))).toEqual([
+      RESTRICTION_TYPES.CURFEW,
+      RESTRICTION_TYPES.PASSENGERS,
+      RESTRICTION_TYPES.PURPOSE,
+    ]);
+    expect(checkDriveRestrictions(drive({ ...lateNightOut, supervisorName: 'Alex' }), settings)).toEqual([]);
+  });
+
+  it('does not count a blank supervisor name', () => {
+    expect(types(checkDriveRestrictions(drive({ supervisorName: '  ' }), { ...settings, requireSupervisor: true })))
+      .toEqual([RESTRICTION_TYPES.SUPERVISOR]);
+    expect(checkDriveRestrictions(drive({ supervisorName: 'Alex' }), { ...settings, requireSupervisor: true }))
+      .toEqual([]);
+  });
+});
+
+describe('getRestrictionViolations', () => {
+  it('records violations only for restricted license holders', () => {
+    const crowded = drive({ minorPassengers: 2 });
+
+    expect(types(getRestrictionViolations(crowded, { licenseType: 'restricted' }, settings)))
+      .toEqual([RESTRICTION_TYPES.PASSENGERS]);
+    expect(getRestrictionViolations(crowded, { licenseType: 'learners' }, settings)).toBeNull();
+  });
+});
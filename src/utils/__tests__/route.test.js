@@ -0,0 +1,121 @@
+import {
+  encodePolyline,
+  decodePolyline,
+  haversineDistance,
+  calculateRouteDistance,
+  calculateDriveStats,
+  summarizeRoute,
+} from '../route';
+
+// One thousandth of a degree of latitude, in meters
+const MILLIDEGREE_METERS = 111.19;
+
+const sample = (latitude, seconds, speed) => ({
+  latitude,
+  longitude: -75,
+  timestamp: Date.UTC(2024, 4, 1, 10) + seconds * 1000,
+  ...(speed !== undefined ? { speed } : {}),
+});
+
+describe('polylines', () => {
+  it('encodes the reference example', () => {
+    const points = [
+      { latitude: 38.5, longitude: -120.2 },
+      { latitude: 40.7, longitude: -120.95 },
+      { latitude: 43.252, longitude: -126.453 },
+    ];
+
+    expect(encodePolyline(points)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual(points);
+  });
+
+  it('decodes back to the same points to five decimal places', () => {
+    const points = [
+      { latitude: 40.712776, longitude: -74.005974 },
+      { latitude: 40.71301, longitude: -74.00601 },
+      { latitude: -33.86882, longitude: 151.20929 },
+    ];
+
+    decodePolyline(encodePolyline(points)).forEach((point, index) => {
+      expect(point.latitude).toBeCloseTo(points[index].latitude, 5);
+      expect(point.longitude).toBeCloseTo(points[index].longitude, 5);
+    });
+    expect(decodePolyline(encodePolyline([]))).toEqual([]);
+  });
+});
+
+describe('distance', () => {
+  it('measures great-circle distance', () => {
+    expect(haversineDistance(sample(40, 0), sample(40.001, 0))).toBeCloseTo(MILLIDEGREE_METERS, 1);
+    // New York to Los Angeles is about 3,936 km
+    const distance = haversineDistance(
+      { latitude: 40.7128, longitude: -74.006 },
+      { latitude: 34.0522, longitude: -118.2437 }
+    );
+    expect(distance / 1000).toBeCloseTo(3936, -1);
+  });
+
+  it('leaves the gap between paused segments out', () => {
+    const segments = [[sample(40, 0), sample(40.001, 5)], [sample(40.01, 60), sample(40.012, 70)]];
+    expect(calculateRouteDistance(segments)).toBeCloseTo(3 * MILLIDEGREE_METERS, 0);
+  });
+});
+
+describe('calculateDriveStats', () => {
+  it('counts time at 24.6 m/s and above as highway driving', () => {
+    const segment = [
+      sample(40, 0),
+      sample(40.01, 60, 25),
+      sample(40.02, 120, 24.5),
+      sample(40.03, 180, 24.6),
+      sample(40.03, 240, 0.5),
+    ];
+    const stats = calculateDriveStats([segment], 5);
+
+    expect(stats.movingMinutes).toBe(3);
+    expect(stats.highwayMinutes).toBe(2);
+    expect(stats.stationaryMinutes).toBe(2);
+    expect(stats.maxSpeed).toBe(25);
+    expect(stats.distance).toBe(Math.round(haversineDistance(sample(40, 0), sample(40.03, 0))));
+  });
+
+  it('works out the speed from distance over time when the GPS gives none', () => {
+    // 1.1 km a minute is about 18.5 m/s
+    const stats = calculateDriveStats([[sample(40, 0), sample(40.01, 60)]], 1);
+
+    expect(stats.averageSpeed).toBeCloseTo(18.53, 1);
+    expect(stats.highwayMinutes).toBe(0);
+  });
+
+  it('skips long gaps in the track for timing', () => {
+    const stats = calculateDriveStats([[sample(40, 0), sample(40.001, 10, 11), sample(40.05, 600, 30)]], 10);
+
+    expect(stats.movingMinutes).toBe(0);
+    expect(stats.maxSpeed).toBe(11);
+    expect(stats.distance).toBeGreaterThan(50 * MILLIDEGREE_METERS);
+  });
+
+  it('returns null without a usable track', () => {
+    expect(calculateDriveStats([[sample(40, 0)]], 5)).toBeNull();
+    expect(calculateDriveStats(null, 5)).toBeNull();
+  });
+});
+
+describe('summarizeRoute', () => {
+  it('stores one polyline per segment with the total distance and end points', () => {
+    const segments = [[sample(40, 0), sample(40.001, 5)], [], [sample(40.002, 60), sample(40.004, 70)]];
+    const route = summarizeRoute(segments);
+
+    expect(route.polylines).toHaveLength(2);
+    expect(decodePolyline(route.polylines[1]).map(point => point.latitude)).toEqual([40.002, 40.004]);
+    expect(route.distance).toBe(Math.round(3 * MILLIDEGREE_METERS));
+    expect(route.startPoint).toEqual({ latitude: 40, longitude: -75 });
+    expect(route.endPoint).toEqual({ latitude: 40.004, longitude: -75 });
+    expect(route.sampleCount).toBe(4);
+  });
+
+  it('returns null without samples', () => {
+    expect(summarizeRoute([[], []])).toBeNull();
+    expect(summarizeRoute(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+import {
+  createRouteRecorder,
+  createReplayLocationSource,
+  appendLocationsToSession,
+  isSessionRecording,
+  toRouteSample,
+} from '../routeRecorder';
+import { summarizeRoute } from '../route';
+import track from './fixtures/recorded-track.json';
+
+// The fixture has a fix every 5 seconds; the fourth is too inaccurate to keep
+const SAMPLE_INTERVAL_MS = 5000;
+const latitudes = (segment) => segment.map(sample => sample.latitude);
+
+describe('route recording from a replayed track', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('records the whole track with its original timing', async () => {
+    const onUpdate = jest.fn();
+    const recorder = createRouteRecorder(createReplayLocationSource(track), { onUpdate });
+
+    await recorder.start();
+    jest.advanceTimersByTime(0);
+    expect(recorder.getSegments()[0]).toHaveLength(1);
+
+    jest.advanceTimersByTime(SAMPLE_INTERVAL_MS);
+    expect(recorder.getSegments()[0]).toHaveLength(2);
+
+    jest.runAllTimers();
+    const segments = recorder.stop();
+    expect(segments).toHaveLength(1);
+    expect(latitudes(segments[0])).toEqual([40, 40.001, 40.002, 40.004, 40.005, 40.006]);
+    expect(onUpdate).toHaveBeenCalledTimes(6);
+  });
+
+  it('replays faster with a speed multiplier', async () => {
+    const recorder = createRouteRecorder(createReplayLocationSource(track, { speedMultiplier: 5 }));
+
+    await recorder.start();
+    jest.advanceTimersByTime(SAMPLE_INTERVAL_MS / 5);
+    expect(recorder.getSegments()[0]).toHaveLength(2);
+  });
+
+  it('leaves paused stretches out and starts a new segment on resume', async () => {
+    const recorder = createRouteRecorder(createReplayLocationSource(track));
+
+    await recorder.start();
+    jest.advanceTimersByTime(SAMPLE_INTERVAL_MS);
+    recorder.pause();
+    jest.advanceTimersByTime(SAMPLE_INTERVAL_MS * 10);
+    expect(recorder.isRecording()).toBe(false);
+
+    await recorder.resume();
+    jest.runAllTimers();
+    const segments = recorder.stop();
+
+    expect(segments.map(latitudes)).toEqual([[40, 40.001], [40.002, 40.004, 40.005, 40.006]]);
+  });
+
+  it('stores the polyline, distance and end points of the recorded route', async () => {
+    const recorder = createRouteRecorder(createReplayLocationSource(track));
+
+    await recorder.start();
+    jest.runAllTimers();
+    const route = summarizeRoute(recorder.stop());
+
+    expect(route.polylines).toHaveLength(1);
+    expect(route.sampleCount).toBe(6);
+    expect(route.distance).toBeGreaterThan(660);
+    expect(route.distance).toBeLessThan(675);
+    expect(route.startPoint).toEqual({ latitude: 40, longitude: -75 });
+    expect(route.endPoint).toEqual({ latitude: 40.006, longitude: -75 });
+  });
+
+  it('carries on the last segment when asked to', async () => {
+    const [first, ...rest] = track;
+    const recorder = createRouteRecorder(createReplayLocationSource(rest), {
+      initialSegments: [[toRouteSample(first)]],
+    });
+
+    await recorder.start({ continueSegment: true });
+    jest.runAllTimers();
+
+    expect(recorder.stop()).toHaveLength(1);
+  });
+
+  it('stops handling locations once released', async () => {
+    const recorder = createRouteRecorder(createReplayLocationSource(track));
+
+    await recorder.start();
+    jest.advanceTimersByTime(0);
+    recorder.release();
+    jest.runAllTimers();
+
+    expect(recorder.getSegments()[0]).toHaveLength(1);
+    expect(recorder.isRecording()).toBe(false);
+  });
+});
+
+describe('appendLocationsToSession', () => {
+  const runningSession = {
+    realStartTime: track[0].timestamp,
+    pausedAt: null,
+    stoppedElapsedTime: null,
+    routeSegments: [[toRouteSample(track[0])], [toRouteSample(track[1])]],
+  };
+
+  it('adds background locations to the last segment', () => {
+    const session = appendLocationsToSession(runningSession, track.slice(2));
+
+    expect(session.routeSegments.map(latitudes)).toEqual([[40], [40.001, 40.002, 40.004, 40.005, 40.006]]);
+    expect(runningSession.routeSegments[1]).toHaveLength(1);
+  });
+
+  it('skips locations older than the track', () => {
+    expect(appendLocationsToSession(runningSession, track.slice(0, 2))).toBeNull();
+  });
+
+  it('ignores sessions that are paused, stopped or missing', () => {
+    expect(isSessionRecording(runningSession)).toBe(true);
+    expect(appendLocationsToSession({ ...runningSession, pausedAt: Date.now() }, track)).toBeNull();
+    expect(appendLocationsToSession({ ...runningSession, stoppedElapsedTime: 60000 }, track)).toBeNull();
+    expect(appendLocationsToSession(null, track)).toBeNull();
+  });
+});
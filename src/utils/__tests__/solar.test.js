@@ -0,0 +1,76 @@
+import { NIGHT_DEFINITIONS, calculateSunTimes, getNightWindow } from '../solar';
+
+const NEW_YORK = { latitude: 40.7128, longitude: -74.006 };
+const TROMSO = { latitude: 69.6492, longitude: 18.9553 };
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Times come back in device-local time, so compare against a UTC instant in the same zone
+const localMinutes = (utcIso) => {
+  const date = new Date(utcIso);
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+// Minutes from one HH:MM time to a later one, across midnight if needed
+const minutesBetween = (from, to) => (toMinutes(to) - toMinutes(from) + 24 * 60) % (24 * 60);
+
+const minutesApart = (time, utcIso) => {
+  const diff = Math.abs(toMinutes(time) - localMinutes(utcIso));
+  return Math.min(diff, 24 * 60 - diff);
+};
+
+describe('calculateSunTimes', () => {
+  it('matches the almanac for New York on the June solstice', () => {
+    // Sunrise 5:25, sunset 20:31, civil dawn 4:53 and civil dusk 21:04 EDT
+    const official = calculateSunTimes('2024-06-21', NEW_YORK.latitude, NEW_YORK.longitude, NIGHT_DEFINITIONS.SUNSET);
+    const civil = calculateSunTimes('2024-06-21', NEW_YORK.latitude, NEW_YORK.longitude, NIGHT_DEFINITIONS.CIVIL);
+
+    expect(minutesApart(official.sunrise, '2024-06-21T09:25:00Z')).toBeLessThanOrEqual(2);
+    expect(minutesApart(official.sunset, '2024-06-22T00:31:00Z')).toBeLessThanOrEqual(2);
+    expect(minutesApart(civil.sunrise, '2024-06-21T08:53:00Z')).toBeLessThanOrEqual(2);
+    expect(minutesApart(civil.sunset, '2024-06-22T01:04:00Z')).toBeLessThanOrEqual(2);
+  });
+
+  it('returns null when the sun does not set or rise', () => {
+    expect(calculateSunTimes('2024-06-21', TROMSO.latitude, TROMSO.longitude)).toBeNull();
+    expect(calculateSunTimes('2024-12-21', TROMSO.latitude, TROMSO.longitude)).toBeNull();
+    expect(calculateSunTimes('2024-03-21', TROMSO.latitude, TROMSO.longitude)).not.toBeNull();
+  });
+});
+
+describe('getNightWindow', () => {
+  const settings = {
+    nightDefinition: NIGHT_DEFINITIONS.SUNSET,
+    nightOffsetMinutes: 30,
+    nightTimeStart: '21:00',
+    nightTimeEnd: '05:00',
+  };
+
+  it('shifts sunset later and sunrise earlier by the offset', () => {
+    const { sunrise, sunset } = calculateSunTimes('2024-06-21', NEW_YORK.latitude, NEW_YORK.longitude);
+    const { nightStart, nightEnd } = getNightWindow(settings, '2024-06-21', NEW_YORK);
+
+    expect(minutesBetween(sunset, nightStart)).toBe(30);
+    expect(minutesBetween(nightEnd, sunrise)).toBe(30);
+  });
+
+  it('follows civil dusk and dawn without an offset', () => {
+    const civil = { ...settings, nightDefinition: NIGHT_DEFINITIONS.CIVIL, nightOffsetMinutes: 0 };
+    const { sunrise, sunset } = calculateSunTimes('2024-06-21', NEW_YORK.latitude, NEW_YORK.longitude, NIGHT_DEFINITIONS.CIVIL);
+
+    expect(getNightWindow(civil, '2024-06-21', NEW_YORK)).toEqual({ nightStart: sunset, nightEnd: sunrise });
+  });
+
+  it('falls back to the fixed hours when the sun does not set', () => {
+    expect(getNightWindow(settings, '2024-06-21', TROMSO)).toEqual({ nightStart: '21:00', nightEnd: '05:00' });
+  });
+
+  it('uses the fixed hours without a location or with the fixed definition', () => {
+    expect(getNightWindow(settings, '2024-06-21', null)).toEqual({ nightStart: '21:00', nightEnd: '05:00' });
+    expect(getNightWindow({ ...settings, nightDefinition: NIGHT_DEFINITIONS.FIXED }, '2024-06-21', NEW_YORK))
+      .toEqual({ nightStart: '21:00', nightEnd: '05:00' });
+  });
+});
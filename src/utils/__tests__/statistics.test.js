@@ -0,0 +1,139 @@
+import {
+  STAT_PERIODS,
+  HEATMAP_LEVELS,
+  calculatePeriodTotals,
+  buildDrivingHeatmap,
+  summarizeDrives,
+} from '../statistics';
+import { APPROVAL_STATUSES, isDriveApproved } from '../approval';
+
+// A Wednesday; its week starts on Sunday 2024-06-02
+const TODAY = '2024-06-05';
+
+const drive = (id, date, dayMinutes, nightMinutes = 0, approval) => ({
+  id,
+  date,
+  startTime: '10:00',
+  endTime: '11:00',
+  duration: dayMinutes + nightMinutes,
+  dayMinutes,
+  nightMinutes,
+  ...(approval ? { approval: { status: approval } } : {}),
+});
+
+describe('calculatePeriodTotals', () => {
+  it('groups drives into weeks starting on Sunday', () => {
+    const drives = [
+      drive('1', '2024-06-01', 30),
+      drive('2', '2024-06-02', 40, 20),
+      drive('3', '2024-06-05', 20),
+      drive('4', '2024-05-18', 60),
+    ];
+    const weeks = calculatePeriodTotals(drives, STAT_PERIODS.WEEK, 3, TODAY);
+
+    expect(weeks.map(week => [week.start, week.label])).toEqual([
+      ['2024-05-19', 'May 19'],
+      ['2024-05-26', 'May 26'],
+      ['2024-06-02', 'Jun 2'],
+    ]);
+    expect(weeks.map(week => [week.dayMinutes, week.nightMinutes, week.driveCount])).toEqual([
+      [0, 0, 0],
+      [30, 0, 1],
+      [60, 20, 2],
+    ]);
+    expect(weeks.map(week => week.averageMinutes)).toEqual([null, 30, 40]);
+  });
+
+  it('starts the week on the same day when today is Sunday', () => {
+    const [week] = calculatePeriodTotals([drive('1', '2024-06-02', 30)], STAT_PERIODS.WEEK, 1, '2024-06-02');
+    expect(week.start).toBe('2024-06-02');
+    expect(week.driveCount).toBe(1);
+  });
+
+  it('groups drives by calendar month across the year boundary', () => {
+    const drives = [
+      drive('1', '2023-11-30', 45),
+      drive('2', '2023-12-01', 30),
+      drive('3', '2023-12-31', 0, 60),
+      drive('4', '2024-01-01', 15),
+      drive('5', '2024-02-29', 30),
+    ];
+    const months = calculatePeriodTotals(drives, STAT_PERIODS.MONTH, 3, '2024-02-29');
+
+    expect(months.map(month => [month.start, month.label])).toEqual([
+      ['2023-12-01', 'Dec'],
+      ['2024-01-01', 'Jan'],
+      ['2024-02-01', 'Feb'],
+    ]);
+    expect(months.map(month => [month.dayMinutes, month.nightMinutes, month.driveCount])).toEqual([
+      [30, 60, 2],
+      [15, 0, 1],
+      [30, 0, 1],
+    ]);
+  });
+});
+
+describe('buildDrivingHeatmap', () => {
+  it('lays out whole weeks from Sunday, marking future and frozen days', () => {
+    const { weeks } = buildDrivingHeatmap([drive('1', '2024-06-07', 30)], ['2024-06-03'], 2, TODAY);
+
+    expect(weeks).toHaveLength(2);
+    expect(weeks[0][0].date).toBe('2024-05-26');
+    expect(weeks[1].map(cell => cell.date)).toEqual([
+      '2024-06-02', '2024-06-03', '2024-06-04', '2024-06-05', '2024-06-06', '2024-06-07', '2024-06-08',
+    ]);
+    expect(weeks[1].map(cell => cell.future)).toEqual([false, false, false, false, true, true, true]);
+    expect(weeks[1][1].frozen).toBe(true);
+    expect(weeks[1][5].minutes).toBe(0);
+  });
+
+  it('scales levels to the busiest day', () => {
+    const drives = [
+      drive('1', '2024-06-02', 120),
+      drive('2', '2024-06-03', 60),
+      drive('3', '2024-06-03', 30),
+      drive('4', '2024-06-04', 30),
+      drive('5', '2024-06-05', 1),
+    ];
+    const { weeks, maxMinutes } = buildDrivingHeatmap(drives, [], 1, TODAY);
+
+    expect(maxMinutes).toBe(120);
+    expect(weeks[0].map(cell => cell.level)).toEqual([HEATMAP_LEVELS, 3, 1, 1, 0, 0, 0]);
+  });
+
+  it('has no levels without drives', () => {
+    const { weeks, maxMinutes } = buildDrivingHeatmap([], [], 1, TODAY);
+
+    expect(maxMinutes).toBe(0);
+    expect(weeks[0].every(cell => cell.level === 0)).toBe(true);
+  });
+});
+
+describe('pending drives', () => {
+  const drives = [
+    drive('1', '2024-06-03', 60, 0, APPROVAL_STATUSES.APPROVED),
+    drive('2', '2024-06-04', 30, 30, APPROVAL_STATUSES.PENDING),
+    drive('3', '2024-06-05', 45, 0, APPROVAL_STATUSES.REJECTED),
+    drive('4', '2024-06-05', 15),
+  ];
+  // The Statistics tab totals approved drives and shows every drive on the heatmap
+  const counted = drives.filter(isDriveApproved);
+
+  it('are left out of the hour totals', () => {
+    expect(summarizeDrives(counted)).toEqual({
+      dayMinutes: 75,
+      nightMinutes: 0,
+      totalMinutes: 75,
+      driveCount: 2,
+      drivingDays: 2,
+      averageMinutes: 38,
+    });
+    const [week] = calculatePeriodTotals(counted, STAT_PERIODS.WEEK, 1, TODAY);
+    expect(week.dayMinutes + week.nightMinutes).toBe(75);
+  });
+
+  it('still show as days driven on the heatmap', () => {
+    const { weeks } = buildDrivingHeatmap(drives, [], 1, TODAY);
+    expect(weeks[0].slice(1, 4).map(cell => cell.minutes)).toEqual([60, 60, 60]);
+  });
+});
@@ -0,0 +1,244 @@
+// In-memory stand-in for the document directory, kept across module reloads
+const mockFiles = new Map();
+
+jest.mock('expo-file-system', () => {
+  const files = mockFiles;
+  const isInside = (uri, dir) => uri.startsWith(dir.endsWith('/') ? dir : `${dir}/`);
+  return {
+    documentDirectory: 'file:///documents/',
+    getInfoAsync: jest.fn(async uri => ({
+      exists: files.has(uri) || [...files.keys()].some(file => isInside(file, uri)),
+      size: files.has(uri) ? files.get(uri).length : 0,
+    })),
+    makeDirectoryAsync: jest.fn(async () => {}),
+    readAsStringAsync: jest.fn(async uri => {
+      if (!files.has(uri)) throw new Error(`No such file: ${uri}`);
+      return files.get(uri);
+    }),
+    writeAsStringAsync: jest.fn(async (uri, contents) => {
+      files.set(uri, contents);
+    }),
+    copyAsync: jest.fn(async ({ from, to }) => {
+      files.set(to, files.get(from));
+    }),
+    moveAsync: jest.fn(async ({ from, to }) => {
+      files.set(to, files.get(from));
+      files.delete(from);
+    }),
+    deleteAsync: jest.fn(async uri => {
+      [...files.keys()].filter(file => file === uri || isInside(file, uri)).forEach(file => files.delete(file));
+    }),
+    readDirectoryAsync: jest.fn(async dir => [...new Set(
+      [...files.keys()].filter(file => isInside(file, dir)).map(file => file.slice(dir.length).split('/')[0])
+    )]),
+  };
+});
+
+let storage;
+
+beforeEach(() => {
+  jest.resetModules();
+  mockFiles.clear();
+  storage = require('../storage');
+});
+
+const drive = (id, fields = {}) => ({
+  id,
+  date: '2024-05-01',
+  startTime: '10:00',
+  endTime: '11:00',
+  duration: 60,
+  dayMinutes: 60,
+  nightMinutes: 0,
+  ...fields,
+});
+
+// Saves a log with the given drives over the first-run defaults
+const saveDrives = async (drives) => {
+  const data = await storage.loadData();
+  await storage.saveData({ ...data, drives });
+};
+
+const DATA_DIR = 'file:///documents/drively/';
+const MAIN = `${DATA_DIR}data.json`;
+const BACKUP = `${DATA_DIR}backup.json`;
+const TEMP = `${DATA_DIR}data.json.tmp`;
+
+const driveIds = (data) => data.drives.map(d => d.id);
+const readFile = (uri) => JSON.parse(mockFiles.get(uri));
+
+describe('atomic saves', () => {
+  it('writes through a temp file and keeps the previous version as backup', async () => {
+    await saveDrives([drive('1')]);
+    await saveDrives([drive('1'), drive('2')]);
+
+    expect(driveIds(readFile(MAIN))).toEqual(['1', '2']);
+    expect(readFile(MAIN).checksum).toMatch(/^[0-9a-f]{8}$/);
+    expect(driveIds(readFile(BACKUP))).toEqual(['1']);
+    expect(mockFiles.has(TEMP)).toBe(false);
+  });
+
+  it('leaves the main file alone when the temp file does not verify', async () => {
+    await saveDrives([drive('1')]);
+    const saved = mockFiles.get(MAIN);
+    const data = await storage.loadData();
+    require('expo-file-system').writeAsStringAsync.mockImplementationOnce(async (uri, contents) => {
+      mockFiles.set(uri, contents.slice(0, 100));
+    });
+
+    expect(await storage.saveData({ ...data, drives: [drive('1'), drive('2')] })).toBe(false);
+    expect(mockFiles.get(MAIN)).toBe(saved);
+  });
+
+  it('never rotates a corrupt main file into the backup', async () => {
+    await saveDrives([drive('1')]);
+    await saveDrives([drive('1'), drive('2')]);
+    mockFiles.set(MAIN, mockFiles.get(MAIN).slice(0, 200));
+    const { copyAsync } = require('expo-file-system');
+    copyAsync.mockClear();
+
+    // Recovery saves the backup's data over the corrupt file
+    expect(driveIds(await storage.loadData())).toEqual(['1']);
+    expect(driveIds(readFile(BACKUP))).toEqual(['1']);
+    expect(copyAsync).not.toHaveBeenCalledWith({ from: MAIN, to: BACKUP });
+  });
+});
+
+describe('loadData recovery', () => {
+  beforeEach(async () => {
+    await saveDrives([drive('1')]);
+    await saveDrives([drive('1'), drive('2')]);
+  });
+
+  it('recovers from the backup when the main file is corrupt', async () => {
+    mockFiles.set(MAIN, mockFiles.get(MAIN).slice(0, 200));
+
+    expect(driveIds(await storage.loadData())).toEqual(['1']);
+    expect(driveIds(readFile(MAIN))).toEqual(['1']);
+  });
+
+  it('recovers from the backup when the checksum does not match', async () => {
+    const tampered = readFile(MAIN);
+    tampered.drives[1].nightMinutes = 600;
+    mockFiles.set(MAIN, JSON.stringify(tampered, null, 2));
+
+    expect(driveIds(await storage.loadData())).toEqual(['1']);
+  });
+
+  it('prefers a leftover temp file from an interrupted save', async () => {
+    // The save stopped after deleting data.json but before renaming the temp file
+    const { checksum: _ignored, ...newer } = readFile(MAIN);
+    mockFiles.set(TEMP, JSON.stringify({ ...newer, drives: [...newer.drives, drive('3')] }, null, 2));
+    mockFiles.delete(MAIN);
+
+    expect(driveIds(await storage.loadData())).toEqual(['1', '2', '3']);
+    expect(driveIds(readFile(MAIN))).toEqual(['1', '2', '3']);
+    expect(mockFiles.has(TEMP)).toBe(false);
+  });
+
+  it('skips a corrupt temp file and uses the backup', async () => {
+    mockFiles.set(TEMP, '{"user": ');
+    mockFiles.set(MAIN, 'not json');
+
+    expect(driveIds(await storage.loadData())).toEqual(['1']);
+  });
+
+  it('starts over with default data when nothing can be read', async () => {
+    mockFiles.set(MAIN, 'not json');
+    mockFiles.set(BACKUP, 'not json either');
+
+    const data = await storage.loadData();
+    expect(data.drives).toEqual([]);
+    expect(data.user.onboardingComplete).toBe(false);
+  });
+});
+
+describe('exportDrivesAsCSV', () => {
+  it('escapes quotes inside fields', async () => {
+    await saveDrives([drive('1', {
+      skills: 'Merging',
+      approval: { status: 'approved', comment: 'Said "too fast" twice, otherwise fine' },
+    })]);
+
+    const [header, row] = (await storage.exportDrivesAsCSV()).split('\n');
+
+    expect(header.endsWith('"Approval","Approval Comment"')).toBe(true);
+    expect(row.startsWith('"2024-05-01","10:00","11:00","60","60","0","","Merging",')).toBe(true);
+    expect(row.endsWith(',"approved","Said ""too fast"" twice, otherwise fine"')).toBe(true);
+  });
+});
+
+describe('snapshot retention', () => {
+  const HOUR = 60 * 60 * 1000;
+  const MB = 1024 * 1024;
+  // Noon local time, so day buckets don't depend on the time zone
+  const now = new Date(2024, 4, 31, 12, 0).getTime();
+  const snapshot = (timestamp, size = 1000) => ({ uri: `snapshot-${timestamp}.json`, timestamp, size });
+  const kept = (snapshots) => [...storage.selectSnapshotsToKeep(snapshots, now)].sort();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the newest snapshot of each clock hour for the last day', () => {
+    const snapshots = [
+      snapshot(now - 10 * 60 * 1000),
+      snapshot(now - 50 * 60 * 1000),
+      snapshot(now - 3 * HOUR + 20 * 60 * 1000),
+      snapshot(now - 3 * HOUR),
+      snapshot(now - 23 * HOUR),
+    ];
+
+    expect(kept(snapshots)).toEqual([
+      snapshots[0].uri,
+      snapshots[2].uri,
+      snapshots[4].uri,
+    ].sort());
+  });
+
+  it('keeps the newest snapshot of each day for the last month and drops older ones', () => {
+    const day = (daysAgo, hour) => new Date(2024, 4, 31 - daysAgo, hour).getTime();
+    const snapshots = [
+      snapshot(now - HOUR),
+      snapshot(day(2, 18)),
+      snapshot(day(2, 9)),
+      snapshot(day(10, 8)),
+      snapshot(day(29, 14)),
+      snapshot(day(31, 14)),
+      snapshot(day(90, 14)),
+    ];
+
+    expect(kept(snapshots)).toEqual([0, 1, 3, 4].map(index => snapshots[index].uri).sort());
+  });
+
+  it('always keeps the newest snapshot, however old', () => {
+    const old = snapshot(now - 60 * 24 * HOUR);
+    expect(kept([old, snapshot(old.timestamp - HOUR)])).toEqual([old.uri]);
+  });
+
+  it('drops the oldest snapshots once they pass the size limit', () => {
+    const snapshots = [0, 1, 2, 3].map(hoursAgo => snapshot(now - hoursAgo * HOUR, 3 * MB));
+    expect(kept(snapshots)).toEqual(snapshots.slice(0, 3).map(s => s.uri).sort());
+
+    const huge = snapshot(now, 12 * MB);
+    expect(kept([huge, snapshot(now - HOUR)])).toEqual([huge.uri]);
+  });
+
+  it('takes an hourly snapshot on save and prunes the rest', async () => {
+    const SNAPSHOTS = 'file:///documents/drively/snapshots/';
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await saveDrives([drive('1')]);
+    mockFiles.set(`${SNAPSHOTS}snapshot-${now - 2 * HOUR}.json`, '{}');
+    mockFiles.set(`${SNAPSHOTS}snapshot-${now - 40 * 24 * HOUR}.json`, '{}');
+
+    // A save within the hour takes no new snapshot
+    Date.now.mockReturnValue(now + 30 * 60 * 1000);
+    await saveDrives([drive('1'), drive('2')]);
+    expect(await storage.listSnapshotFiles()).toHaveLength(3);
+
+    Date.now.mockReturnValue(now + 2 * HOUR);
+    await saveDrives([drive('1'), drive('2'), drive('3')]);
+    const timestamps = (await storage.listSnapshotFiles()).map(s => s.timestamp);
+    expect(timestamps).toEqual([now + 2 * HOUR, now, now - 2 * HOUR]);
+  });
+});
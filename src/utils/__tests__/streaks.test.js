@@ -0,0 +1,77 @@
+import {
+  calculateCurrentStreak,
+  calculateLongestStreak,
+  getMissedStreakDates,
+  canUseFreezeDay,
+  shouldSuggestFreezeDay,
+  shouldResetMonthlyFreezeCounter,
+} from '../streaks';
+
+const drivesOn = (...dates) => dates.map((date, index) => ({ id: String(index), date }));
+
+describe('streaks with freeze days', () => {
+  const drives = drivesOn('2024-05-01', '2024-05-02', '2024-05-04', '2024-05-05');
+
+  it('breaks the streak on a missed day', () => {
+    expect(calculateCurrentStreak(drives, [], '2024-05-05')).toBe(2);
+    expect(calculateLongestStreak(drives)).toBe(2);
+  });
+
+  it('bridges two driving days with a frozen day without counting it', () => {
+    expect(calculateCurrentStreak(drives, ['2024-05-03'], '2024-05-05')).toBe(4);
+    expect(calculateLongestStreak(drives, ['2024-05-03'])).toBe(4);
+  });
+
+  it('keeps the streak alive until today is over', () => {
+    expect(calculateCurrentStreak(drives, ['2024-05-03'], '2024-05-06')).toBe(4);
+    expect(calculateCurrentStreak(drives, ['2024-05-03'], '2024-05-07')).toBe(0);
+    expect(calculateCurrentStreak(drives, ['2024-05-03', '2024-05-06'], '2024-05-07')).toBe(4);
+  });
+});
+
+describe('getMissedStreakDates', () => {
+  it('lists the days since the last drive, leaving out today', () => {
+    expect(getMissedStreakDates(drivesOn('2024-05-01', '2024-05-28'), [], '2024-06-01'))
+      .toEqual(['2024-05-29', '2024-05-30', '2024-05-31']);
+  });
+
+  it('counts from the last frozen day', () => {
+    expect(getMissedStreakDates(drivesOn('2024-05-01'), ['2024-05-02'], '2024-05-05'))
+      .toEqual(['2024-05-03', '2024-05-04']);
+  });
+
+  it('lists nothing after driving yesterday or with no drives', () => {
+    expect(getMissedStreakDates(drivesOn('2024-05-04'), [], '2024-05-05')).toEqual([]);
+    expect(getMissedStreakDates([], [], '2024-05-05')).toEqual([]);
+  });
+});
+
+describe('monthly freeze day limit', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2024, 4, 12, 12));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('allows freeze days only while some are left this month', () => {
+    expect(canUseFreezeDay(9, 10)).toBe(true);
+    expect(canUseFreezeDay(10, 10)).toBe(false);
+    expect(canUseFreezeDay(3, 3)).toBe(false);
+  });
+
+  it('stops suggesting a freeze day once the limit is used up', () => {
+    expect(shouldSuggestFreezeDay('2024-05-08', 2, 3)).toBe(true);
+    expect(shouldSuggestFreezeDay('2024-05-08', 3, 3)).toBe(false);
+    expect(shouldSuggestFreezeDay('2024-05-12', 0, 3)).toBe(false);
+  });
+
+  it('resets the count in a new month', () => {
+    expect(shouldResetMonthlyFreezeCounter('2024-05-02')).toBe(false);
+    expect(shouldResetMonthlyFreezeCounter('2024-04-15')).toBe(true);
+    expect(shouldResetMonthlyFreezeCounter('2023-05-15')).toBe(true);
+    expect(shouldResetMonthlyFreezeCounter(null)).toBe(true);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Parent Approval Utilities for Drively
+ *
+ * With parent approval turned on, new drives are logged as pending and only
+ * count toward completed hours once a parent approves them behind a PIN.
+ * Drives logged before approval was turned on have no approval record and
+ * count as approved.
+ */
+
+export const APPROVAL_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+export const PIN_LENGTH = 4;
+
+export const APPROVAL_LABELS = {
+  pending: '⏳ Awaiting approval',
+  approved: '✅ Approved',
+  rejected: '❌ Rejected',
+};
+
+/**
+ * Approval status of a drive
+ * @param {Object} drive - Drive record
+ * @returns {string} One of APPROVAL_STATUSES
+ */
+export function getApprovalStatus(drive) {
+  return drive?.approval?.status || APPROVAL_STATUSES.APPROVED;
+}
+
+/**
+ * Whether a drive counts toward completed hours and goes into exports
+ * @param {Object} drive - Drive record
+ * @returns {boolean} True once approved (or logged without approval)
+ */
+export function isDriveApproved(drive) {
+  return getApprovalStatus(drive) === APPROVAL_STATUSES.APPROVED;
+}
+
+/**
+ * Check a PIN is the right length and only digits
+ * @param {string} pin - PIN as entered
+ * @returns {boolean} Whether the PIN can be used
+ */
+export function isValidPin(pin) {
+  return new RegExp(`^\\d{${PIN_LENGTH}}$`).test(pin || '');
+}
+
+/**
+ * Hash a PIN so it isn't stored as entered (32-bit FNV-1a, hex encoded)
+ * This only keeps the PIN out of plain sight in the data file.
+ * @param {string} pin - PIN as entered
+ * @returns {string} 8 character hex hash
+ */
+export function hashPin(pin) {
+  const input = `drively-pin:${pin}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Check an entered PIN against the stored hash
+ * @param {string} pin - PIN as entered
+ * @param {string} pinHash - Hash saved in settings
+ * @returns {boolean} Whether the PIN matches
+ */
+export function verifyPin(pin, pinHash) {
+  return !!pinHash && hashPin(pin) === pinHash;
+}
+
+/**
+ * Count drives by approval status
+ * @param {Array} drives - Array of drive objects
+ * @returns {Object} { pending, approved, rejected }
+ */
+export function countApprovalStatuses(drives) {
+  return drives.reduce((counts, drive) => {
+    counts[getApprovalStatus(drive)]++;
+    return counts;
+  }, { pending: 0, approved: 0, rejected: 0 });
+}
@@ -0,0 +1,410 @@
+/**
+ * Backup Restore Utilities for Drively
+ *
+ * This module reads JSON backups produced by exportDataAsJSON and the rolling
+ * snapshots kept by storage.js, validates them and writes them back through
+ * saveData, either replacing or merging with the current driving log. A
+ * backup of all profiles restores each one into the profile with the same id,
+ * adding any that are missing. When the profile restored into has parent
+ * approval on, drives from the backup wait for a parent to approve them.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import {
+  loadData,
+  saveData,
+  createSnapshot,
+  listSnapshotFiles,
+  readSnapshot,
+  loadProfiles,
+  addProfile,
+} from './storage';
+import { isValidDate } from './time';
+import { migrateData } from './migrations';
+import { calculateCurrentStreak, calculateLongestStreak } from './streaks';
+import { calculateCompletedHours } from './drives';
+import { getArchivedDrives } from './license';
+import { isAllProfilesBackup } from './profiles';
+import { APPROVAL_STATUSES } from './approval';
+import { logger, logError } from './logger';
+
+/**
+ * Validate a parsed backup object and return a list of problems
+ * @param {Object} data - Parsed backup contents
+ * @returns {Array<string>} Validation errors (empty when the backup is valid)
+ */
+export function validateBackupData(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['File does not contain a Drively backup.'];
+  }
+
+  if (!data.user || typeof data.user !== 'object') {
+    errors.push('Missing user information.');
+  }
+  if (!Array.isArray(data.drives)) {
+    errors.push('Missing drive list.');
+  }
+  if (!data.streaks || typeof data.streaks !== 'object') {
+    errors.push('Missing streak information.');
+  }
+  if (!data.settings || typeof data.settings !== 'object') {
+    errors.push('Missing settings.');
+  }
+
+  if (Array.isArray(data.drives)) {
+    const badDrives = data.drives.filter(drive =>
+      !drive ||
+      !drive.id ||
+      !isValidDate(drive.date) ||
+      typeof drive.duration !== 'number' ||
+      drive.duration < 0
+    );
+    if (badDrives.length > 0) {
+      errors.push(`${badDrives.length} drive record${badDrives.length !== 1 ? 's are' : ' is'} invalid.`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse, migrate and validate the contents of a backup file
+ * @param {string} jsonString - Raw file contents
+ * @returns {Object} Validated backup data upgraded to the current version
+ * @throws {Error} When the file is not a valid Drively backup or is from a newer app
+ */
+export function parseBackupJSON(jsonString) {
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonString);
+  } catch (error) {
+    throw new Error('The selected file is not valid JSON.');
+  }
+
+  return parseBackupData(parsed);
+}
+
+/**
+ * Migrate and validate one profile's parsed backup data
+ * @param {Object} parsed - Parsed backup contents
+ * @returns {Object} Validated backup data upgraded to the current version
+ * @throws {Error} When it is not a valid Drively backup or is from a newer app
+ */
+function parseBackupData(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('File does not contain a Drively backup.');
+  }
+
+  const { data } = migrateData(parsed);
+  const errors = validateBackupData(data);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return data;
+}
+
+/**
+ * Parse and validate every profile in an all-profiles backup
+ * @param {Object} parsed - Parsed backup contents (see isAllProfilesBackup)
+ * @returns {Array} Profiles as { id, name, data, summary }
+ * @throws {Error} Naming the first profile that is not valid
+ */
+export function parseAllProfilesBackup(parsed) {
+  if (parsed.profiles.length === 0) {
+    throw new Error('The backup has no learner profiles.');
+  }
+
+  return parsed.profiles.map((profile, index) => {
+    const name = typeof profile?.name === 'string' && profile.name.trim() ? profile.name.trim() : `Learner ${index + 1}`;
+    try {
+      const data = parseBackupData(profile?.data);
+      return { id: profile.id, name, data, summary: summarizeBackup(data) };
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Summarize a backup for the restore preview
+ * @param {Object} data - Validated backup data
+ * @returns {Object} Drive count, hour totals and date range
+ */
+export function summarizeBackup(data) {
+  const { dayHours, nightHours } = calculateCompletedHours(data.drives);
+  const dates = data.drives.map(drive => drive.date).sort();
+
+  return {
+    driveCount: data.drives.length,
+    dayHours,
+    nightHours,
+    totalHours: dayHours + nightHours,
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+    licenseType: data.user.licenseType || null,
+  };
+}
+
+/**
+ * Merge backup data into the current data
+ * Drives already present (same id, or same date and start time, including
+ * archived drives) are skipped, as are saved supervisors and archived license
+ * stages already present. Goals and settings are kept from the current data.
+ * @param {Object} current - Current app data
+ * @param {Object} backup - Validated backup data
+ * @returns {Object} Merged data and the number of drives added
+ */
+export function mergeBackupData(current, backup) {
+  const knownDrives = [...getArchivedDrives(current.archives), ...current.drives];
+  const existingIds = new Set(knownDrives.map(drive => drive.id));
+  const existingSlots = new Set(knownDrives.map(drive => `${drive.date} ${drive.startTime}`));
+
+  const newDrives = backup.drives.filter(drive =>
+    !existingIds.has(drive.id) &&
+    !existingSlots.has(`${drive.date} ${drive.startTime}`)
+  );
+
+  const drives = [...current.drives, ...newDrives];
+  const { dayHours, nightHours } = calculateCompletedHours(drives);
+  const lastDriveDate = drives
+    .map(drive => drive.date)
+    .sort()
+    .pop() || null;
+  const frozenDates = [...new Set([
+    ...(current.streaks.frozenDates || []),
+    ...(backup.streaks.frozenDates || []),
+  ])].sort();
+  const currentArchives = current.archives || [];
+  const archiveIds = new Set(currentArchives.map(archive => archive.id));
+  const archives = [
+    ...currentArchives,
+    ...(backup.archives || []).filter(archive => !archiveIds.has(archive.id)),
+  ];
+  const streakDrives = [...getArchivedDrives(archives), ...drives];
+  const currentSupervisors = current.supervisors || [];
+  const supervisorIds = new Set(currentSupervisors.map(supervisor => supervisor.id));
+  const supervisors = [
+    ...currentSupervisors,
+    ...(backup.supervisors || []).filter(supervisor => !supervisorIds.has(supervisor.id)),
+  ];
+
+  return {
+    addedCount: newDrives.length,
+    data: {
+      ...current,
+      drives,
+      supervisors,
+      archives,
+      user: {
+        ...current.user,
+        completedDayHours: dayHours,
+        completedNightHours: nightHours,
+      },
+      streaks: {
+        ...current.streaks,
+        current: calculateCurrentStreak(streakDrives, frozenDates),
+        longest: Math.max(
+          current.streaks.longest || 0,
+          backup.streaks.longest || 0,
+          calculateLongestStreak(streakDrives, frozenDates)
+        ),
+        lastDriveDate,
+        frozenDates,
+      },
+    },
+  };
+}
+
+/**
+ * Keep parent approval in force when restoring into data that has it on
+ * Restored drives are marked pending instead of keeping the approval saved in
+ * the backup, except drives already in the log unchanged, which keep the
+ * approval given here. The approval setting and PIN are kept from the
+ * current data so a restore can't turn approval off.
+ * @param {Object} data - Data about to be saved (a backup, or a merge result)
+ * @param {Object} current - Current app data
+ * @returns {Object} Data to save
+ */
+export function applyParentApproval(data, current) {
+  if (!current?.settings?.parentApproval) {
+    return data;
+  }
+
+  const withoutApproval = ({ approval, ...drive }) => JSON.stringify(drive);
+  const reviewed = new Map(current.drives.map(drive => [drive.id, drive]));
+  const drives = data.drives.map(drive => {
+    const existing = reviewed.get(drive.id);
+    if (existing && withoutApproval(existing) === withoutApproval(drive)) {
+      return existing;
+    }
+    return { ...drive, approval: { status: APPROVAL_STATUSES.PENDING } };
+  });
+  const { dayHours, nightHours } = calculateCompletedHours(drives);
+
+  return {
+    ...data,
+    drives,
+    user: {
+      ...data.user,
+      completedDayHours: dayHours,
+      completedNightHours: nightHours,
+    },
+    settings: {
+      ...data.settings,
+      parentApproval: true,
+      parentPinHash: current.settings.parentPinHash,
+    },
+  };
+}
+
+/**
+ * Let the user pick a backup file and read it
+ * @returns {Promise<Object|null>} Backup data, summary and file name, or null if cancelled.
+ *   An all-profiles backup has `profiles` (see parseAllProfilesBackup) instead of data and summary.
+ * @throws {Error} When the file cannot be read or is not a valid backup
+ */
+export async function pickBackupFile() {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/plain', '*/*'],
+    copyToCacheDirectory: true,
+    multiple: false,
+  });
+
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+
+  const asset = result.assets[0];
+  const jsonString = await FileSystem.readAsStringAsync(asset.uri);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonString);
+  } catch (error) {
+    throw new Error('The selected file is not valid JSON.');
+  }
+
+  if (isAllProfilesBackup(parsed)) {
+    const profiles = parseAllProfilesBackup(parsed);
+    logger.info('All-profiles backup file selected', 'BACKUP', {
+      fileName: asset.name,
+      profilesCount: profiles.length,
+    });
+    return { fileName: asset.name, profiles };
+  }
+
+  const data = parseBackupData(parsed);
+
+  logger.info('Backup file selected', 'BACKUP', {
+    fileName: asset.name,
+    drivesCount: data.drives.length,
+  });
+
+  return {
+    fileName: asset.name,
+    data,
+    summary: summarizeBackup(data),
+  };
+}
+
+/**
+ * List the rolling snapshots with a summary of each, newest first
+ * Snapshots that fail verification are skipped.
+ * @returns {Promise<Array>} Snapshots ({ uri, timestamp, size, data, summary })
+ */
+export async function listSnapshots() {
+  const files = await listSnapshotFiles();
+  const snapshots = [];
+
+  for (const file of files) {
+    try {
+      const data = await readSnapshot(file.uri);
+      if (validateBackupData(data).length > 0) {
+        continue;
+      }
+      snapshots.push({
+        ...file,
+        data,
+        summary: summarizeBackup(data),
+      });
+    } catch (error) {
+      logger.warn('Skipping unreadable snapshot', 'BACKUP', {
+        uri: file.uri,
+        error: error.message,
+      });
+    }
+  }
+
+  return snapshots;
+}
+
+/**
+ * Write backup data to storage
+ * @param {Object} backup - Validated backup data
+ * @param {string} mode - 'replace' to overwrite current data, 'merge' to add missing drives
+ * @param {string} profileId - Profile to restore into, the active one by default
+ * @returns {Promise<Object>} Restore result with the number of drives restored
+ */
+export async function restoreBackup(backup, mode = 'replace', profileId = null) {
+  try {
+    let dataToSave;
+    let restoredCount;
+
+    // Keep the data being replaced so the restore itself can be undone
+    await createSnapshot(profileId);
+
+    const current = await loadData(profileId);
+    if (mode === 'merge') {
+      const merged = mergeBackupData(current, backup);
+      dataToSave = merged.data;
+      restoredCount = merged.addedCount;
+    } else {
+      dataToSave = backup;
+      restoredCount = backup.drives.length;
+    }
+
+    const saved = await saveData(applyParentApproval(dataToSave, current), profileId);
+    if (!saved) {
+      throw new Error('Failed to save restored data');
+    }
+
+    logger.info('Backup restored', 'BACKUP', { mode, restoredCount });
+
+    return { restoredCount };
+  } catch (error) {
+    logError(error, 'BACKUP', `Failed to restore backup (${mode})`);
+    throw error;
+  }
+}
+
+/**
+ * Restore every profile in an all-profiles backup
+ * Each goes into the profile with the same id; profiles not on this device
+ * are added with their name from the backup.
+ * @param {Array} profiles - Profiles from parseAllProfilesBackup
+ * @param {string} mode - 'replace' or 'merge', applied to each profile
+ * @returns {Promise<Object>} { restoredCount, addedProfiles } totals
+ */
+export async function restoreAllProfiles(profiles, mode = 'replace') {
+  const registry = await loadProfiles();
+  let restoredCount = 0;
+  let addedProfiles = 0;
+
+  for (const profile of profiles) {
+    let profileId = profile.id;
+    if (!registry.profiles.some(existing => existing.id === profileId)) {
+      profileId = (await addProfile(profile.name, profile.id)).id;
+      addedProfiles += 1;
+    }
+    const result = await restoreBackup(profile.data, mode, profileId);
+    restoredCount += result.restoredCount;
+  }
+
+  logger.info('All-profiles backup restored', 'BACKUP', { mode, restoredCount, addedProfiles });
+
+  return { restoredCount, addedProfiles };
+}
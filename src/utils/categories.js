@@ -0,0 +1,188 @@
+/**
+ * Requirement Category Utilities for Drively
+ *
+ * Goals are a list of categories, each with a target in hours and a rule for
+ * which drive minutes count toward it. Day and night driving are built in and
+ * keep their targets in user.goalDayHours / goalNightHours; any others (bad
+ * weather, highway, instructor hours...) live in user.goalCategories as
+ * { id, label, hours, rule }.
+ *
+ * A rule counts a whole drive when any of its conditions match:
+ * - weather: drive weather is one of these options
+ * - skills: any of these skills were practiced
+ * - supervisorRelationships: the drive's saved supervisor has one of these relationships
+ * and otherwise counts the drive's day or night minutes when `time` is set.
+ */
+
+import { getDriveMinutes } from './drives';
+import { isDriveApproved } from './approval';
+
+export const BAD_WEATHER = ['🌧️ Rain', '🌨️ Snow', '🌫️ Fog'];
+
+// Rules for the categories jurisdiction packs require, keyed by category id
+export const CATEGORY_RULE_PRESETS = {
+  badWeather: { weather: BAD_WEATHER },
+  difficultConditions: { time: 'night', weather: BAD_WEATHER },
+  heavyTraffic: { skills: ['Heavy Traffic', 'City Driving'] },
+  highway: { skills: ['Highway Driving'] },
+  instructor: { supervisorRelationships: ['Instructor'] },
+};
+
+/**
+ * All goal categories for a user, built-in day and night first
+ * Night is left out when its goal is 0.
+ * @param {Object} user - User info with goal hours and goalCategories
+ * @returns {Array} Categories as { id, label, icon, hours, rule, builtIn }
+ */
+export function getGoalCategories(user) {
+  const builtIn = [
+    { id: 'day', label: 'Day Driving', icon: '☀️', hours: user.goalDayHours, rule: { time: 'day' }, builtIn: true },
+    ...(user.goalNightHours > 0
+      ? [{ id: 'night', label: 'Night Driving', icon: '🌙', hours: user.goalNightHours, rule: { time: 'night' }, builtIn: true }]
+      : []),
+  ];
+  return [...builtIn, ...(user.goalCategories || []).map(category => ({ icon: '📋', ...category }))];
+}
+
+/**
+ * Skills practiced on a drive as a list (stored comma separated)
+ * @param {Object} drive - Drive record
+ * @returns {Array<string>} Skill names
+ */
+export function getDriveSkills(drive) {
+  if (Array.isArray(drive.skills)) return drive.skills;
+  return drive.skills ? drive.skills.split(',').map(skill => skill.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Find the saved supervisor on a drive, by id or else by name
+ * @param {Object} drive - Drive record
+ * @param {Array} supervisors - Saved supervisor roster
+ * @returns {Object|null} Supervisor or null
+ */
+function findDriveSupervisor(drive, supervisors) {
+  if (drive.supervisorId) {
+    const byId = supervisors.find(supervisor => supervisor.id === drive.supervisorId);
+    if (byId) return byId;
+  }
+  const name = drive.supervisorName?.trim().toLowerCase();
+  return name ? supervisors.find(supervisor => supervisor.name.trim().toLowerCase() === name) || null : null;
+}
+
+/**
+ * Minutes of a drive that count toward a category
+ * @param {Object} drive - Drive record
+ * @param {Object} category - Category with a rule
+ * @param {Array} supervisors - Saved supervisor roster
+ * @returns {number} Minutes counted
+ */
+export function getCategoryMinutes(drive, category, supervisors = []) {
+  const rule = category.rule || {};
+  const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+
+  const weatherMatch = (rule.weather || []).includes(drive.weather);
+  const skills = getDriveSkills(drive);
+  const skillMatch = (rule.skills || []).some(skill => skills.includes(skill));
+  const relationship = (rule.supervisorRelationships || []).length > 0
+    ? findDriveSupervisor(drive, supervisors)?.relationship
+    : null;
+  const supervisorMatch = !!relationship && rule.supervisorRelationships.includes(relationship);
+
+  if (weatherMatch || skillMatch || supervisorMatch) {
+    return dayMinutes + nightMinutes;
+  }
+  if (rule.time === 'day') return dayMinutes;
+  if (rule.time === 'night') return nightMinutes;
+  return 0;
+}
+
+/**
+ * Completed hours for each category, from approved drives only
+ * @param {Array} drives - Array of drive objects
+ * @param {Array} categories - Categories from getGoalCategories
+ * @param {Array} supervisors - Saved supervisor roster
+ * @returns {Array} Categories with completedHours added
+ */
+export function calculateCategoryProgress(drives, categories, supervisors = []) {
+  const approved = drives.filter(isDriveApproved);
+  return categories.map(category => ({
+    ...category,
+    completedHours: approved.reduce((sum, drive) => sum + getCategoryMinutes(drive, category, supervisors), 0) / 60,
+  }));
+}
+
+/**
+ * Labels of the extra (not day/night) categories a drive counts toward
+ * @param {Object} drive - Drive record
+ * @param {Array} categories - Categories from getGoalCategories
+ * @param {Array} supervisors - Saved supervisor roster
+ * @returns {Array<string>} Category labels
+ */
+export function getDriveCategoryLabels(drive, categories, supervisors = []) {
+  return categories
+    .filter(category => !category.builtIn && getCategoryMinutes(drive, category, supervisors) > 0)
+    .map(category => category.label);
+}
+
+/**
+ * Goal categories for a jurisdiction's extra requirements
+ * Categories without a preset rule start with no conditions, to be set in Settings.
+ * @param {Object} pack - Rule pack
+ * @returns {Array} Categories as { id, label, hours, rule }
+ */
+export function categoriesFromJurisdiction(pack) {
+  return (pack?.categories || []).map(({ id, label, hours }) => ({
+    id,
+    label,
+    hours,
+    rule: CATEGORY_RULE_PRESETS[id] || {},
+  }));
+}
+
+/**
+ * Describe which drives count toward a category
+ * @param {Object} rule - Category rule
+ * @returns {string} e.g. "Rain, Snow or Fog weather • night minutes"
+ */
+export function describeCategoryRule(rule = {}) {
+  const list = (items) => (items.length > 1
+    ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`
+    : items[0]);
+  const parts = [];
+
+  if (rule.weather?.length) {
+    parts.push(`${list(rule.weather.map(option => option.replace(/^\S+\s/, '')))} weather`);
+  }
+  if (rule.skills?.length) {
+    parts.push(`${list(rule.skills)} practice`);
+  }
+  if (rule.supervisorRelationships?.length) {
+    parts.push(`${list(rule.supervisorRelationships)} supervisor`);
+  }
+  if (rule.time) {
+    parts.push(`${rule.time} minutes`);
+  }
+  return parts.length > 0 ? parts.join(' • ') : 'No drives count yet - edit to add a rule';
+}
+
+/**
+ * Validate a category entered in Settings
+ * @param {Object} fields - { label, hours, rule }
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateCategory(fields) {
+  const errors = [];
+  const hours = parseFloat(fields.hours);
+  const rule = fields.rule || {};
+
+  if (!fields.label || !fields.label.trim()) {
+    errors.push('Please enter a name.');
+  }
+  if (!Number.isFinite(hours) || hours <= 0) {
+    errors.push('Hours must be greater than 0.');
+  }
+  if (!rule.time && !rule.weather?.length && !rule.skills?.length && !rule.supervisorRelationships?.length) {
+    errors.push('Pick at least one weather, skill, supervisor or time rule.');
+  }
+  return errors;
+}
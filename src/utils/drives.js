@@ -0,0 +1,337 @@
+/**
+ * Drive record helpers shared by the log and edit screens
+ */
+
+import {
+  isValidDate,
+  isValidTime,
+  isNightTime,
+  calculateDuration,
+  splitDayNightMinutes,
+  getLocalDate,
+} from './time';
+import { getNightWindow } from './solar';
+import { isDriveApproved } from './approval';
+
+export const WEATHER_OPTIONS = [
+  '☀️ Clear',
+  '🌙 Clear Night',
+  '⛅ Partly Cloudy',
+  '☁️ Cloudy',
+  '🌧️ Rain',
+  '🌨️ Snow',
+  '🌫️ Fog',
+  '💨 Windy',
+];
+
+export const COMMON_SKILLS = [
+  'Parallel Parking',
+  'Highway Driving',
+  'Night Driving',
+  'City Driving',
+  'Heavy Traffic',
+  'Parking',
+  'Lane Changes',
+  'Merging',
+  'Intersections',
+  'Backing Up',
+  'Three-Point Turn',
+];
+
+/**
+ * Split a drive's duration into day and night minutes
+ * The clock-time split is scaled to the recorded duration, so pauses whose
+ * position isn't known are spread evenly across the drive.
+ * @param {Object} drive - Drive with startTime, endTime and duration
+ * @param {string} nightStart - Night start time in HH:MM format
+ * @param {string} nightEnd - Night end time in HH:MM format
+ * @param {Array} pauses - Known pauses as { startOffset, endOffset } minutes from the start time
+ * @returns {Object} Day and night minutes adding up to the drive duration
+ */
+export function splitDriveMinutes(drive, nightStart, nightEnd, pauses = []) {
+  const duration = drive.duration || 0;
+
+  if (!isValidTime(drive.startTime) || !isValidTime(drive.endTime)) {
+    return drive.isNightDrive
+      ? { dayMinutes: 0, nightMinutes: duration }
+      : { dayMinutes: duration, nightMinutes: 0 };
+  }
+
+  const { dayMinutes, nightMinutes } = splitDayNightMinutes(
+    drive.startTime,
+    drive.endTime,
+    nightStart,
+    nightEnd,
+    pauses
+  );
+  const clockMinutes = dayMinutes + nightMinutes;
+
+  // Drives shorter than a clock minute take the type of their start time
+  if (clockMinutes === 0) {
+    return isNightTime(drive.startTime, nightStart, nightEnd)
+      ? { dayMinutes: 0, nightMinutes: duration }
+      : { dayMinutes: duration, nightMinutes: 0 };
+  }
+
+  const scaledNightMinutes = Math.round((nightMinutes / clockMinutes) * duration);
+  return {
+    dayMinutes: duration - scaledNightMinutes,
+    nightMinutes: scaledNightMinutes,
+  };
+}
+
+/**
+ * Most recent location recorded on a drive, used to place drives that
+ * were logged without GPS (e.g. manual entries)
+ * @param {Array} drives - Array of drive objects
+ * @returns {Object|null} { latitude, longitude } or null if no drive has a location
+ */
+export function getLatestDriveLocation(drives) {
+  const located = drives
+    .filter(drive => drive.location && Number.isFinite(drive.location.latitude) && Number.isFinite(drive.location.longitude))
+    .sort((a, b) => `${b.date} ${b.startTime}`.localeCompare(`${a.date} ${a.startTime}`));
+
+  return located.length > 0 ? located[0].location : null;
+}
+
+/**
+ * Passenger counts from the most recent drive, used as the default for the next one
+ * @param {Array} drives - Array of drive objects
+ * @returns {Object} { passengers, minorPassengers } (0 when no drive recorded them)
+ */
+export function getLatestPassengers(drives) {
+  const recorded = drives
+    .filter(drive => Number.isFinite(drive.passengers))
+    .sort((a, b) => `${b.date} ${b.startTime}`.localeCompare(`${a.date} ${a.startTime}`));
+
+  return recorded.length > 0
+    ? { passengers: recorded[0].passengers, minorPassengers: recorded[0].minorPassengers || 0 }
+    : { passengers: 0, minorPassengers: 0 };
+}
+
+/**
+ * Describe who rode along on a drive
+ * Passengers don't include the supervisor.
+ * @param {Object} drive - Drive record
+ * @returns {string|null} e.g. "2 passengers (1 under 21)", or null when not recorded
+ */
+export function formatPassengers(drive) {
+  if (!Number.isFinite(drive.passengers)) return null;
+  if (drive.passengers === 0) return 'No passengers';
+  const minors = drive.minorPassengers > 0 ? ` (${drive.minorPassengers} under 21)` : '';
+  return `${drive.passengers} passenger${drive.passengers !== 1 ? 's' : ''}${minors}`;
+}
+
+/**
+ * Passenger totals across drives that recorded them
+ * @param {Array} drives - Array of drive objects
+ * @returns {Object} { recorded, withPassengers, withMinors, average, most }
+ */
+export function summarizePassengers(drives) {
+  const recorded = drives.filter(drive => Number.isFinite(drive.passengers));
+  const total = recorded.reduce((sum, drive) => sum + drive.passengers, 0);
+  return {
+    recorded: recorded.length,
+    withPassengers: recorded.filter(drive => drive.passengers > 0).length,
+    withMinors: recorded.filter(drive => drive.minorPassengers > 0).length,
+    average: recorded.length > 0 ? total / recorded.length : 0,
+    most: recorded.reduce((most, drive) => Math.max(most, drive.passengers), 0),
+  };
+}
+
+/**
+ * Get the day and night minutes recorded for a drive
+ * @param {Object} drive - Drive record
+ * @returns {Object} Day and night minutes
+ */
+export function getDriveMinutes(drive) {
+  if (Number.isFinite(drive.dayMinutes) && Number.isFinite(drive.nightMinutes)) {
+    return { dayMinutes: drive.dayMinutes, nightMinutes: drive.nightMinutes };
+  }
+
+  return drive.isNightDrive
+    ? { dayMinutes: 0, nightMinutes: drive.duration }
+    : { dayMinutes: drive.duration, nightMinutes: 0 };
+}
+
+/**
+ * Describe when a drive happened
+ * @param {Object} drive - Drive record
+ * @returns {string} 'day', 'night' or 'mixed'
+ */
+export function getDriveType(drive) {
+  const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+  if (nightMinutes === 0) return 'day';
+  if (dayMinutes === 0) return 'night';
+  return 'mixed';
+}
+
+/**
+ * Total completed day and night hours for a list of drives
+ * Drives still waiting for parent approval, or rejected, don't count.
+ * @param {Array} drives - Array of drive objects
+ * @returns {Object} Day and night hours
+ */
+export function calculateCompletedHours(drives) {
+  return drives.filter(isDriveApproved).reduce((totals, drive) => {
+    const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+    return {
+      dayHours: totals.dayHours + dayMinutes / 60,
+      nightHours: totals.nightHours + nightMinutes / 60,
+    };
+  }, { dayHours: 0, nightHours: 0 });
+}
+
+/**
+ * Recompute the day/night split of every drive under the given night settings
+ * Pause positions aren't stored, so paused time is spread evenly as in
+ * splitDriveMinutes. Drives without valid times are left unchanged.
+ * @param {Array} drives - Array of drive objects
+ * @param {Object} settings - Settings holding the night definition and hours
+ * @returns {Array} Drives with updated dayMinutes, nightMinutes and isNightDrive
+ */
+export function reclassifyDrives(drives, settings) {
+  const fallbackLocation = getLatestDriveLocation(drives);
+
+  return drives.map(drive => {
+    if (!isValidTime(drive.startTime) || !isValidTime(drive.endTime)) {
+      return drive;
+    }
+
+    const { nightStart, nightEnd } = getNightWindow(settings, drive.date, drive.location || fallbackLocation);
+    const { dayMinutes, nightMinutes } = splitDriveMinutes(drive, nightStart, nightEnd);
+    return {
+      ...drive,
+      dayMinutes,
+      nightMinutes,
+      isNightDrive: nightMinutes > 0,
+    };
+  });
+}
+
+/**
+ * Compare drives before and after reclassification
+ * @param {Array} drives - Drives as currently stored
+ * @param {Array} reclassified - Result of reclassifyDrives for the same drives
+ * @returns {Object} Changed drive count and night hours before and after
+ */
+export function summarizeReclassification(drives, reclassified) {
+  const changedCount = reclassified.filter((drive, index) =>
+    drive.nightMinutes !== getDriveMinutes(drives[index]).nightMinutes
+  ).length;
+
+  return {
+    changedCount,
+    nightHoursBefore: calculateCompletedHours(drives).nightHours,
+    nightHoursAfter: calculateCompletedHours(reclassified).nightHours,
+  };
+}
+
+/**
+ * Validate manually entered drive details
+ * @param {Object} details - Drive fields as entered
+ * @param {string} details.date - Date in YYYY-MM-DD format
+ * @param {string} details.startTime - Start time in HH:MM format
+ * @param {string} details.endTime - End time in HH:MM format
+ * @param {number} details.duration - Driving time in minutes
+ * @param {string} details.supervisorName - Supervisor name (optional)
+ * @param {string|number} details.supervisorAge - Supervisor age (optional)
+ * @param {boolean} details.requireSupervisor - Whether supervisor details are mandatory
+ * @param {number} details.minSupervisorAge - Youngest allowed supervisor (0 for no limit, 21 by default)
+ * @param {string|number} details.passengers - Passenger count (optional)
+ * @param {string|number} details.minorPassengers - Passengers under 21 (optional)
+ * @returns {Array<string>} Validation errors (empty when the details are valid)
+ */
+export function validateDriveDetails(details) {
+  const errors = [];
+  const {
+    date,
+    startTime,
+    endTime,
+    duration,
+    supervisorName,
+    supervisorAge,
+    requireSupervisor,
+    minSupervisorAge = 21,
+    passengers = 0,
+    minorPassengers = 0,
+  } = details;
+
+  if (!isValidDate(date)) {
+    errors.push('Enter the date as YYYY-MM-DD.');
+  } else if (date > getLocalDate()) {
+    errors.push('The drive date cannot be in the future.');
+  }
+
+  const timesValid = isValidTime(startTime) && isValidTime(endTime);
+  if (!isValidTime(startTime)) {
+    errors.push('Enter the start time as HH:MM (24-hour).');
+  }
+  if (!isValidTime(endTime)) {
+    errors.push('Enter the end time as HH:MM (24-hour).');
+  }
+
+  if (!Number.isInteger(duration) || duration <= 0) {
+    errors.push('Duration must be a whole number of minutes greater than 0.');
+  } else if (timesValid) {
+    const span = calculateDuration(startTime, endTime);
+    if (span === 0) {
+      errors.push('End time must be different from start time.');
+    } else if (duration > span) {
+      errors.push(`Duration cannot be longer than the ${span} minutes between start and end time.`);
+    }
+  }
+
+  const name = supervisorName ? supervisorName.trim() : '';
+  const age = supervisorAge !== null && supervisorAge !== undefined && String(supervisorAge).trim() !== ''
+    ? parseInt(supervisorAge, 10)
+    : null;
+
+  if (requireSupervisor && (!name || age === null)) {
+    errors.push('Please enter supervisor name and age.');
+  }
+  if (name && name.length < 2) {
+    errors.push('Please enter a valid supervisor name.');
+  }
+  if (age !== null && isNaN(age)) {
+    errors.push('Please enter a valid supervisor age.');
+  } else if (age !== null && age < minSupervisorAge) {
+    errors.push(`Supervising adult must be at least ${minSupervisorAge} years old.`);
+  }
+
+  const passengerCount = Number(passengers);
+  const minorCount = Number(minorPassengers);
+  if (!Number.isInteger(passengerCount) || passengerCount < 0 || !Number.isInteger(minorCount) || minorCount < 0) {
+    errors.push('Passenger counts must be whole numbers.');
+  } else if (minorCount > passengerCount) {
+    errors.push('Passengers under 21 cannot be more than the total passengers.');
+  }
+
+  return errors;
+}
+
+/**
+ * Total time spent paused during a drive
+ * @param {Array} pauseIntervals - Completed pauses ({ start, end } timestamps in ms)
+ * @param {number|null} pausedAt - Start of the current pause, or null if driving
+ * @param {number} now - Current time in ms
+ * @returns {number} Paused time in milliseconds
+ */
+export function calculatePausedTime(pauseIntervals, pausedAt, now = Date.now()) {
+  const completed = (pauseIntervals || []).reduce((sum, pause) => sum + (pause.end - pause.start), 0);
+  return completed + (pausedAt ? now - pausedAt : 0);
+}
+
+/**
+ * Driving time of a live drive, computed from wall-clock timestamps so it
+ * stays correct after the app was suspended or restarted
+ * @param {number} realStartTime - Drive start timestamp in ms
+ * @param {Array} pauseIntervals - Completed pauses ({ start, end } timestamps in ms)
+ * @param {number|null} pausedAt - Start of the current pause, or null if driving
+ * @param {number} now - Current time in ms
+ * @returns {number} Elapsed driving time in milliseconds
+ */
+export function calculateElapsedTime(realStartTime, pauseIntervals, pausedAt, now = Date.now()) {
+  if (!realStartTime) return 0;
+  return Math.max(0, now - realStartTime - calculatePausedTime(pauseIntervals, pausedAt, now));
+}
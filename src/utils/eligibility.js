@@ -0,0 +1,293 @@
+/**
+ * Road Test Eligibility Utilities for Drively
+ *
+ * The earliest road test date is the latest of: the end of the permit
+ * holding period, the minimum age birthday, and the days needed to finish the
+ * total, night and any extra category hours at the learner's recent pace.
+ * Whichever comes last is the blocking factor. The hours are the ones the
+ * jurisdiction requires; the learner's own goal is tracked alongside but
+ * doesn't hold up the road test.
+ */
+
+import {
+  getCurrentDate,
+  addDaysToDate,
+  addMonthsToDate,
+  daysBetweenDates,
+  isValidDate,
+  formatDateForDisplay,
+} from './time';
+import { getDriveMinutes } from './drives';
+import { isDriveApproved } from './approval';
+import { formatAgeMonths, requiresHours } from './jurisdictions';
+import { getCategoryMinutes, calculateCategoryProgress, categoriesFromJurisdiction } from './categories';
+
+// Pace is measured over the last four weeks of driving
+export const PACE_WINDOW_DAYS = 28;
+
+// A learner who just started is measured over at least a week so one long drive doesn't skew the estimate
+const MIN_PACE_DAYS = 7;
+
+export const ELIGIBILITY_FACTORS = {
+  HOLDING_PERIOD: 'holdingPeriod',
+  MINIMUM_AGE: 'minimumAge',
+  TOTAL_HOURS: 'totalHours',
+  NIGHT_HOURS: 'nightHours',
+  CATEGORY: 'category',
+  PERSONAL_GOAL: 'personalGoal',
+};
+
+export const ELIGIBILITY_LABELS = {
+  holdingPeriod: 'Permit holding period',
+  minimumAge: 'Minimum age',
+  totalHours: 'Total hours',
+  nightHours: 'Night hours',
+};
+
+/**
+ * Approved drives in the recent pace window, and how many days it covers
+ * @param {Array} drives - Array of drive objects
+ * @param {string} today - Date to measure back from (YYYY-MM-DD)
+ * @returns {Object} { drives, days } (days is 0 with no approved drives)
+ */
+function getPaceWindow(drives, today) {
+  const counted = drives.filter(drive => isDriveApproved(drive) && drive.date <= today);
+  if (counted.length === 0) {
+    return { drives: [], days: 0 };
+  }
+
+  const firstDate = counted.reduce((earliest, drive) => (drive.date < earliest ? drive.date : earliest), today);
+  const days = Math.min(PACE_WINDOW_DAYS, Math.max(MIN_PACE_DAYS, daysBetweenDates(firstDate, today) + 1));
+  const windowStart = addDaysToDate(today, -(days - 1));
+  return { drives: counted.filter(drive => drive.date >= windowStart), days };
+}
+
+/**
+ * Average hours driven per day over the recent pace window
+ * Only approved drives count, matching completed hours.
+ * @param {Array} drives - Array of drive objects
+ * @param {string} today - Date to measure back from (YYYY-MM-DD)
+ * @returns {Object} { totalPerDay, nightPerDay, days }
+ */
+export function calculateRecentPace(drives, today = getCurrentDate()) {
+  const paceWindow = getPaceWindow(drives, today);
+  if (paceWindow.days === 0) {
+    return { totalPerDay: 0, nightPerDay: 0, days: 0 };
+  }
+
+  const { days } = paceWindow;
+  const minutes = paceWindow.drives
+    .reduce((totals, drive) => {
+      const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+      return {
+        total: totals.total + dayMinutes + nightMinutes,
+        night: totals.night + nightMinutes,
+      };
+    }, { total: 0, night: 0 });
+
+  return {
+    totalPerDay: minutes.total / 60 / days,
+    nightPerDay: minutes.night / 60 / days,
+    days,
+  };
+}
+
+/**
+ * Estimate when the remaining hours will be done at the current pace
+ * @param {number} remainingHours - Hours still to drive
+ * @param {number} hoursPerDay - Recent pace
+ * @param {string} today - Today's date
+ * @returns {string|null} Estimated date, or null when there is no recent driving to go on
+ */
+function projectHoursDate(remainingHours, hoursPerDay, today) {
+  if (remainingHours <= 0) return today;
+  if (hoursPerDay <= 0) return null;
+  return addDaysToDate(today, Math.ceil(remainingHours / hoursPerDay));
+}
+
+/**
+ * Hours needed before the road test
+ * With a rule pack these are the hours the law requires (none for packs
+ * without an hour requirement), whatever goals the learner set. Without one
+ * the learner's goals are all there is to go on.
+ * @param {Object} params - Same as calculateRoadTestEligibility
+ * @returns {Object} { totalHours, nightHours, categories } (categories with completedHours)
+ */
+function getRequiredHours({ user, drives, jurisdiction, categoryProgress, supervisors }) {
+  if (!jurisdiction) {
+    return {
+      totalHours: (user.goalDayHours || 0) + (user.goalNightHours || 0),
+      nightHours: user.goalNightHours || 0,
+      categories: categoryProgress.filter(category => !category.builtIn),
+    };
+  }
+  if (!requiresHours(jurisdiction)) {
+    return { totalHours: 0, nightHours: 0, categories: [] };
+  }
+
+  // A required category the learner kept in their goals counts with their rule for it
+  const categories = calculateCategoryProgress(drives, categoriesFromJurisdiction(jurisdiction), supervisors)
+    .map(required => {
+      const own = categoryProgress.find(category => category.id === required.id);
+      return { ...(own || required), hours: required.hours };
+    });
+  return { totalHours: jurisdiction.totalHours, nightHours: jurisdiction.nightHours, categories };
+}
+
+/**
+ * Work out the earliest date the learner can take the road test
+ * The holding period, minimum age and required hours come from the
+ * jurisdiction rule pack, so without one only the hour goals are considered.
+ * A missing birthdate leaves the age out and is reported in `missing`.
+ * @param {Object} params
+ * @param {Object} params.user - User info (licenseDate, birthDate and hour goals)
+ * @param {Array} params.drives - Array of drive objects
+ * @param {Object} params.jurisdiction - Rule pack, or null
+ * @param {Object} params.completedHours - { dayHours, nightHours } already counted
+ * @param {Array} params.categoryProgress - Extra categories with completedHours (see calculateCategoryProgress)
+ * @param {Array} params.supervisors - Saved supervisor roster, for category rules
+ * @param {string} params.today - Date to calculate from (YYYY-MM-DD)
+ * @returns {Object} { date, eligibleNow, blocking, factors, missing, pace, personalGoal }
+ *   date is null when the hours can't be projected (no recent driving).
+ *   personalGoal projects the learner's total hour goal when a rule pack sets
+ *   the requirement, and is null otherwise.
+ */
+export function calculateRoadTestEligibility({
+  user,
+  drives,
+  jurisdiction,
+  completedHours,
+  categoryProgress = [],
+  supervisors = [],
+  today = getCurrentDate(),
+}) {
+  const factors = [];
+  const missing = [];
+
+  if (jurisdiction?.permitMonths > 0) {
+    if (user.licenseDate && isValidDate(user.licenseDate)) {
+      factors.push({
+        id: ELIGIBILITY_FACTORS.HOLDING_PERIOD,
+        date: addMonthsToDate(user.licenseDate, jurisdiction.permitMonths),
+      });
+    } else {
+      missing.push('licenseDate');
+    }
+  }
+
+  if (jurisdiction?.minAgeMonths > 0) {
+    if (user.birthDate && isValidDate(user.birthDate)) {
+      factors.push({
+        id: ELIGIBILITY_FACTORS.MINIMUM_AGE,
+        date: addMonthsToDate(user.birthDate, jurisdiction.minAgeMonths),
+        ageMonths: jurisdiction.minAgeMonths,
+      });
+    } else {
+      missing.push('birthDate');
+    }
+  }
+
+  const pace = calculateRecentPace(drives, today);
+  const required = getRequiredHours({ user, drives, jurisdiction, categoryProgress, supervisors });
+  const completedTotal = completedHours.dayHours + completedHours.nightHours;
+
+  if (required.totalHours > 0) {
+    const remainingTotal = Math.max(0, required.totalHours - completedTotal);
+    factors.push({
+      id: ELIGIBILITY_FACTORS.TOTAL_HOURS,
+      date: projectHoursDate(remainingTotal, pace.totalPerDay, today),
+      remainingHours: remainingTotal,
+    });
+  }
+  if (required.nightHours > 0) {
+    const remainingNight = Math.max(0, required.nightHours - completedHours.nightHours);
+    factors.push({
+      id: ELIGIBILITY_FACTORS.NIGHT_HOURS,
+      date: projectHoursDate(remainingNight, pace.nightPerDay, today),
+      remainingHours: remainingNight,
+    });
+  }
+
+  const paceWindow = getPaceWindow(drives, today);
+  required.categories.forEach(category => {
+    const recentMinutes = paceWindow.drives.reduce((sum, drive) => sum + getCategoryMinutes(drive, category, supervisors), 0);
+    const remaining = Math.max(0, category.hours - category.completedHours);
+    factors.push({
+      id: `${ELIGIBILITY_FACTORS.CATEGORY}:${category.id}`,
+      label: category.label,
+      date: projectHoursDate(remaining, paceWindow.days > 0 ? recentMinutes / 60 / paceWindow.days : 0, today),
+      remainingHours: remaining,
+    });
+  });
+
+  factors.forEach(factor => {
+    factor.label = factor.label || ELIGIBILITY_LABELS[factor.id];
+    factor.met = factor.date !== null && factor.date <= today;
+  });
+
+  // An hour goal with no recent driving can't be dated, so it blocks outright
+  const unprojected = factors.find(factor => factor.date === null);
+  const latest = factors.reduce((last, factor) => (
+    factor.date !== null && (!last || factor.date > last.date) ? factor : last
+  ), null);
+
+  const blocking = unprojected || (latest && !latest.met ? latest : null);
+  const date = unprojected ? null : (blocking ? blocking.date : today);
+
+  let personalGoal = null;
+  if (jurisdiction) {
+    const goalHours = (user.goalDayHours || 0) + (user.goalNightHours || 0);
+    const remainingGoal = Math.max(0, goalHours - completedTotal);
+    const goalDate = projectHoursDate(remainingGoal, pace.totalPerDay, today);
+    personalGoal = {
+      id: ELIGIBILITY_FACTORS.PERSONAL_GOAL,
+      label: `Your goal (${goalHours} hours)`,
+      date: goalDate,
+      met: goalDate !== null && goalDate <= today,
+      remainingHours: remainingGoal,
+    };
+  }
+
+  return {
+    date,
+    eligibleNow: !blocking,
+    blocking,
+    factors,
+    missing,
+    pace,
+    personalGoal,
+  };
+}
+
+/**
+ * Describe what a factor is waiting on, for the blocking factor callout
+ * @param {Object} factor - Factor from calculateRoadTestEligibility
+ * @returns {string} e.g. "Waiting on 4.5 night hours" or "Holding period ends May 3, 2027"
+ */
+export function describeBlockingFactor(factor) {
+  switch (factor.id) {
+    case ELIGIBILITY_FACTORS.HOLDING_PERIOD:
+      return `Holding period ends ${formatDateForDisplay(factor.date)}`;
+    case ELIGIBILITY_FACTORS.MINIMUM_AGE:
+      return `Turns ${formatAgeMonths(factor.ageMonths)} on ${formatDateForDisplay(factor.date)}`;
+    default: {
+      const kind = factor.id === ELIGIBILITY_FACTORS.NIGHT_HOURS
+        ? ' night'
+        : factor.id === ELIGIBILITY_FACTORS.TOTAL_HOURS ? '' : ` ${factor.label.toLowerCase()}`;
+      const hours = `${factor.remainingHours.toFixed(1)}${kind} hours`;
+      return factor.date
+        ? `Waiting on ${hours}`
+        : `Waiting on ${hours}, with no driving in the last ${PACE_WINDOW_DAYS / 7} weeks to estimate from`;
+    }
+  }
+}
+
+/**
+ * Short status for a factor in the breakdown list
+ * @param {Object} factor - Factor from calculateRoadTestEligibility
+ * @returns {string} "Done", the date it is met, or "No recent driving"
+ */
+export function describeFactorStatus(factor) {
+  if (factor.met) return 'Done';
+  return factor.date ? formatDateForDisplay(factor.date) : 'No recent driving';
+}
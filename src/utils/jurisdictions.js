@@ -0,0 +1,234 @@
+/**
+ * Jurisdiction Rule Packs for Drively
+ *
+ * Learner requirements for each US state (and DC) and Canadian province.
+ * Each pack holds:
+ * - totalHours / nightHours: supervised hours required, night included in the total
+ * - categories: other required hours ({ id, label, hours }), also part of the total
+ * - permitMonths: minimum time the learner's permit must be held
+ * - minAgeMonths: minimum age for the next license (road test), in months
+ * - night: how the jurisdiction defines night driving (same keys as settings)
+ * - nightSource: the law the night definition comes from. Where the learner
+ *   rules don't define night, this is the headlight law's "sunset to sunrise"
+ *   or "half an hour after sunset" period.
+ * - notes: anything the numbers above don't capture, such as driver-ed reductions
+ *
+ * Packs describe the standard route for a teen driver without driver education.
+ * Rules change; the app always tells users to confirm with their licensing office.
+ */
+
+import { formatTimeForDisplay } from './time';
+
+export const COUNTRIES = {
+  US: 'United States',
+  CA: 'Canada',
+};
+
+// Suggested practice where the law sets no hour requirement
+export const RECOMMENDED_PRACTICE = { totalHours: 50, nightHours: 10 };
+
+// Night definitions, measured from official sunset and sunrise
+const SUNSET_TO_SUNRISE = { nightDefinition: 'sunset', nightOffsetMinutes: 0 };
+const HALF_HOUR_AFTER_SUNSET = { nightDefinition: 'sunset', nightOffsetMinutes: 30 };
+const HOUR_AFTER_SUNSET = { nightDefinition: 'sunset', nightOffsetMinutes: 60 };
+const HALF_HOUR_BEFORE_SUNSET = { nightDefinition: 'sunset', nightOffsetMinutes: -30 };
+
+const years = (count, months = 0) => count * 12 + months;
+
+export const JURISDICTIONS = [
+  // United States
+  { id: 'US-AL', country: 'US', name: 'Alabama', totalHours: 50, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'Ala. Code § 32-5-240', notes: 'Hours are waived with driver education.' },
+  { id: 'US-AK', country: 'US', name: 'Alaska', totalHours: 40, nightHours: 0, categories: [{ id: 'difficultConditions', label: 'Difficult conditions', hours: 10 }], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: '13 AAC 04.010', notes: 'Difficult conditions include night and bad weather.' },
+  { id: 'US-AZ', country: 'US', name: 'Arizona', totalHours: 30, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'A.R.S. § 28-922' },
+  { id: 'US-AR', country: 'US', name: 'Arkansas', totalHours: 0, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'Ark. Code § 27-36-204' },
+  { id: 'US-CA', country: 'US', name: 'California', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'Cal. Veh. Code § 280', notes: 'Supervisors must be 25 or older.' },
+  { id: 'US-CO', country: 'US', name: 'Colorado', totalHours: 50, nightHours: 10, categories: [], permitMonths: 12, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'C.R.S. § 42-4-204' },
+  { id: 'US-CT', country: 'US', name: 'Connecticut', totalHours: 40, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(16, 4), night: SUNSET_TO_SUNRISE, nightSource: 'Conn. Gen. Stat. § 14-96a', notes: 'The permit period drops to 4 months with driver education.' },
+  { id: 'US-DE', country: 'US', name: 'Delaware', totalHours: 50, nightHours: 10, categories: [], permitMonths: 12, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: '21 Del. C. § 4331' },
+  { id: 'US-DC', country: 'US', name: 'District of Columbia', totalHours: 40, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(16, 6), night: SUNSET_TO_SUNRISE, nightSource: '18 DCMR ch. 7' },
+  { id: 'US-FL', country: 'US', name: 'Florida', totalHours: 50, nightHours: 10, categories: [], permitMonths: 12, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'Fla. Stat. § 316.217' },
+  { id: 'US-GA', country: 'US', name: 'Georgia', totalHours: 40, nightHours: 6, categories: [], permitMonths: 12, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'O.C.G.A. § 40-8-20' },
+  { id: 'US-HI', country: 'US', name: 'Hawaii', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'Haw. Rev. Stat. ch. 291' },
+  { id: 'US-ID', country: 'US', name: 'Idaho', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(15), night: SUNSET_TO_SUNRISE, nightSource: 'Idaho Code § 49-903' },
+  { id: 'US-IL', country: 'US', name: 'Illinois', totalHours: 50, nightHours: 10, categories: [], permitMonths: 9, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: '625 ILCS 5/12-201' },
+  { id: 'US-IN', country: 'US', name: 'Indiana', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16, 9), night: SUNSET_TO_SUNRISE, nightSource: 'Ind. Code § 9-19-6-4', notes: 'The minimum age drops to 16 years 3 months with driver education.' },
+  { id: 'US-IA', country: 'US', name: 'Iowa', totalHours: 20, nightHours: 2, categories: [], permitMonths: 12, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'Iowa Code § 321.384' },
+  { id: 'US-KS', country: 'US', name: 'Kansas', totalHours: 50, nightHours: 10, categories: [], permitMonths: 12, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'K.S.A. 8-1703' },
+  { id: 'US-KY', country: 'US', name: 'Kentucky', totalHours: 60, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16, 6), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'KRS 189.030' },
+  { id: 'US-LA', country: 'US', name: 'Louisiana', totalHours: 50, nightHours: 15, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'La. R.S. 32:301' },
+  { id: 'US-ME', country: 'US', name: 'Maine', totalHours: 70, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: '29-A M.R.S. ch. 17' },
+  { id: 'US-MD', country: 'US', name: 'Maryland', totalHours: 60, nightHours: 10, categories: [], permitMonths: 9, minAgeMonths: years(16, 6), night: SUNSET_TO_SUNRISE, nightSource: 'Md. Code, Transp. § 22-201' },
+  { id: 'US-MA', country: 'US', name: 'Massachusetts', totalHours: 40, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(16, 6), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'M.G.L. c. 90, § 7', notes: 'Hours drop to 30 if the parent completes the parent class.' },
+  { id: 'US-MI', country: 'US', name: 'Michigan', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'MCL 257.684' },
+  { id: 'US-MN', country: 'US', name: 'Minnesota', totalHours: 50, nightHours: 15, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'Minn. Stat. § 169.48', notes: 'Hours drop to 40 if the parent completes the parent class.' },
+  { id: 'US-MS', country: 'US', name: 'Mississippi', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'Miss. Code § 63-7-11' },
+  { id: 'US-MO', country: 'US', name: 'Missouri', totalHours: 40, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'RSMo § 307.020' },
+  { id: 'US-MT', country: 'US', name: 'Montana', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(15), night: SUNSET_TO_SUNRISE, nightSource: 'Mont. Code § 61-9-201' },
+  { id: 'US-NE', country: 'US', name: 'Nebraska', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'Neb. Rev. Stat. § 60-6,219', notes: 'Hours are waived with driver education.' },
+  { id: 'US-NV', country: 'US', name: 'Nevada', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'NRS 484D.100' },
+  { id: 'US-NH', country: 'US', name: 'New Hampshire', totalHours: 40, nightHours: 10, categories: [], permitMonths: 0, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'RSA 266:35' },
+  { id: 'US-NJ', country: 'US', name: 'New Jersey', totalHours: 0, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(17), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'N.J.S.A. 39:3-46' },
+  { id: 'US-NM', country: 'US', name: 'New Mexico', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(15, 6), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'NMSA § 66-3-802' },
+  { id: 'US-NY', country: 'US', name: 'New York', totalHours: 50, nightHours: 15, categories: [{ id: 'heavyTraffic', label: 'Moderate to heavy traffic', hours: 10 }], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'N.Y. Veh. & Traf. Law § 375(2)' },
+  { id: 'US-NC', country: 'US', name: 'North Carolina', totalHours: 60, nightHours: 10, categories: [], permitMonths: 12, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'N.C. Gen. Stat. § 20-129' },
+  { id: 'US-ND', country: 'US', name: 'North Dakota', totalHours: 50, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'N.D.C.C. § 39-21-01' },
+  { id: 'US-OH', country: 'US', name: 'Ohio', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'Ohio Rev. Code § 4513.03' },
+  { id: 'US-OK', country: 'US', name: 'Oklahoma', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: '47 O.S. § 12-201' },
+  { id: 'US-OR', country: 'US', name: 'Oregon', totalHours: 100, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'ORS 801.325', notes: 'Hours drop to 50 with driver education.' },
+  { id: 'US-PA', country: 'US', name: 'Pennsylvania', totalHours: 65, nightHours: 10, categories: [{ id: 'badWeather', label: 'Bad weather', hours: 5 }], permitMonths: 6, minAgeMonths: years(16, 6), night: SUNSET_TO_SUNRISE, nightSource: '75 Pa.C.S. § 4302' },
+  { id: 'US-RI', country: 'US', name: 'Rhode Island', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16, 6), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'R.I. Gen. Laws § 31-24-1' },
+  { id: 'US-SC', country: 'US', name: 'South Carolina', totalHours: 40, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(15, 6), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'S.C. Code § 56-5-4450' },
+  { id: 'US-SD', country: 'US', name: 'South Dakota', totalHours: 0, nightHours: 0, categories: [], permitMonths: 6, minAgeMonths: years(14, 6), night: SUNSET_TO_SUNRISE, nightSource: 'SDCL 32-17-4', notes: 'The permit period drops to 3 months with driver education.' },
+  { id: 'US-TN', country: 'US', name: 'Tennessee', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'Tenn. Code § 55-9-406' },
+  { id: 'US-TX', country: 'US', name: 'Texas', totalHours: 30, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'Tex. Transp. Code § 541.401' },
+  { id: 'US-UT', country: 'US', name: 'Utah', totalHours: 40, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'Utah Code § 41-6a-102' },
+  { id: 'US-VT', country: 'US', name: 'Vermont', totalHours: 40, nightHours: 10, categories: [], permitMonths: 12, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: '23 V.S.A. § 1243' },
+  { id: 'US-VA', country: 'US', name: 'Virginia', totalHours: 45, nightHours: 15, categories: [], permitMonths: 9, minAgeMonths: years(16, 3), night: SUNSET_TO_SUNRISE, nightSource: 'Va. Code § 46.2-1030' },
+  { id: 'US-WA', country: 'US', name: 'Washington', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'RCW 46.37.020' },
+  { id: 'US-WV', country: 'US', name: 'West Virginia', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'W. Va. Code ch. 17C, art. 15' },
+  { id: 'US-WI', country: 'US', name: 'Wisconsin', totalHours: 50, nightHours: 10, categories: [], permitMonths: 6, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'Wis. Stat. § 340.01(23)' },
+  { id: 'US-WY', country: 'US', name: 'Wyoming', totalHours: 50, nightHours: 10, categories: [], permitMonths: 0, minAgeMonths: years(16), night: SUNSET_TO_SUNRISE, nightSource: 'Wyo. Stat. § 31-5-913', notes: 'The permit only has to be held for 10 days.' },
+
+  // Canada
+  { id: 'CA-AB', country: 'CA', name: 'Alberta', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(16), night: HOUR_AFTER_SUNSET, nightSource: 'Alta. Reg. 122/2009 (Vehicle Equipment Regulation)' },
+  { id: 'CA-BC', country: 'CA', name: 'British Columbia', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(17), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'B.C. Reg. 26/58, s. 4.01', notes: 'Learners may not drive between midnight and 5 a.m.' },
+  { id: 'CA-MB', country: 'CA', name: 'Manitoba', totalHours: 0, nightHours: 0, categories: [], permitMonths: 9, minAgeMonths: years(16, 3), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'Manitoba Highway Traffic Act, C.C.S.M. c. H60' },
+  { id: 'CA-NB', country: 'CA', name: 'New Brunswick', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(17), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'N.B. Motor Vehicle Act, s. 231', notes: 'The permit period drops to 8 months with driver education.' },
+  { id: 'CA-NL', country: 'CA', name: 'Newfoundland and Labrador', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(17), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'N.L. Highway Traffic Act, RSNL 1990 c. H-3', notes: 'The permit period drops to 8 months with driver education.' },
+  { id: 'CA-NS', country: 'CA', name: 'Nova Scotia', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(17), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'N.S. Motor Vehicle Act, R.S.N.S. 1989, c. 293', notes: 'The permit period drops to 9 months with driver education.' },
+  { id: 'CA-ON', country: 'CA', name: 'Ontario', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(17), night: HALF_HOUR_BEFORE_SUNSET, nightSource: 'Ont. Highway Traffic Act, s. 62(1)', notes: 'G1 drops to 8 months with an approved beginner driver course.' },
+  { id: 'CA-PE', country: 'CA', name: 'Prince Edward Island', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(17), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'P.E.I. Highway Traffic Act', notes: 'The permit period drops to 9 months with driver education.' },
+  { id: 'CA-QC', country: 'CA', name: 'Quebec', totalHours: 0, nightHours: 0, categories: [], permitMonths: 12, minAgeMonths: years(17), night: SUNSET_TO_SUNRISE, nightSource: 'Quebec Highway Safety Code', notes: 'A driving course with on-road lessons is also required.' },
+  { id: 'CA-SK', country: 'CA', name: 'Saskatchewan', totalHours: 0, nightHours: 0, categories: [], permitMonths: 9, minAgeMonths: years(16), night: HALF_HOUR_AFTER_SUNSET, nightSource: 'The Traffic Safety Act (Sask.)' },
+];
+
+/**
+ * Find a rule pack by id
+ * @param {string} id - Pack id such as 'US-CA' or 'CA-ON'
+ * @returns {Object|null} The rule pack, or null for custom goals
+ */
+export function getJurisdiction(id) {
+  return JURISDICTIONS.find(pack => pack.id === id) || null;
+}
+
+/**
+ * Whether a pack sets any hour requirement
+ * @param {Object} pack - Rule pack
+ * @returns {boolean} True when supervised hours are required by law
+ */
+export function requiresHours(pack) {
+  return !!pack && pack.totalHours > 0;
+}
+
+/**
+ * Day and night hour goals for a pack
+ * Categories are part of the total and are driven by day or night, so they
+ * don't change the split. Packs without an hour requirement get the
+ * recommended practice instead.
+ * @param {Object} pack - Rule pack
+ * @returns {Object} { goalDayHours, goalNightHours }
+ */
+export function getJurisdictionGoals(pack) {
+  const { totalHours, nightHours } = requiresHours(pack) ? pack : RECOMMENDED_PRACTICE;
+  return {
+    goalDayHours: totalHours - nightHours,
+    goalNightHours: nightHours,
+  };
+}
+
+/**
+ * Night driving settings for a pack
+ * @param {Object} pack - Rule pack
+ * @returns {Object} Settings keys describing the pack's night definition
+ */
+export function getJurisdictionNightSettings(pack) {
+  return { ...pack.night };
+}
+
+/**
+ * Format an age given in months
+ * @param {number} months - Age in months
+ * @returns {string} Age such as '16' or '16 years 6 months'
+ */
+export function formatAgeMonths(months) {
+  const wholeYears = Math.floor(months / 12);
+  const extraMonths = months % 12;
+  return extraMonths === 0
+    ? `${wholeYears}`
+    : `${wholeYears} years ${extraMonths} month${extraMonths !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Summarize a pack's hour requirement
+ * @param {Object} pack - Rule pack
+ * @returns {string} Summary such as '50 hours (10 at night)'
+ */
+export function describeJurisdictionHours(pack) {
+  if (!requiresHours(pack)) {
+    return 'No supervised hours required';
+  }
+
+  const parts = [
+    ...(pack.nightHours > 0 ? [`${pack.nightHours} at night`] : []),
+    ...pack.categories.map(category => `${category.hours} in ${category.label.toLowerCase()}`),
+  ];
+  return `${pack.totalHours} hours${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+}
+
+/**
+ * Summarize a pack's permit period and age requirement
+ * @param {Object} pack - Rule pack
+ * @returns {string} Summary such as '6-month permit • age 16'
+ */
+export function describeJurisdictionTimeline(pack) {
+  const permit = pack.permitMonths > 0 ? `${pack.permitMonths}-month permit` : 'No minimum permit period';
+  return `${permit} • age ${formatAgeMonths(pack.minAgeMonths)}`;
+}
+
+/**
+ * Summarize a pack's night definition and where it comes from
+ * @param {Object} pack - Rule pack
+ * @returns {string} Summary such as 'Night: 30 min after sunset to 30 min before sunrise (Cal. Veh. Code § 280)'
+ */
+export function describeJurisdictionNight(pack) {
+  const { nightDefinition, nightOffsetMinutes = 0, nightTimeStart, nightTimeEnd } = pack.night;
+  let period;
+  if (nightDefinition === 'fixed') {
+    period = `${formatTimeForDisplay(nightTimeStart)} to ${formatTimeForDisplay(nightTimeEnd)}`;
+  } else if (nightOffsetMinutes === 0) {
+    period = 'sunset to sunrise';
+  } else {
+    const minutes = Math.abs(nightOffsetMinutes);
+    period = nightOffsetMinutes > 0
+      ? `${minutes} min after sunset to ${minutes} min before sunrise`
+      : `${minutes} min before sunset to ${minutes} min after sunrise`;
+  }
+  return `Night: ${period}${pack.nightSource ? ` (${pack.nightSource})` : ''}`;
+}
+
+/**
+ * Check hour goals against a pack's requirement
+ * @param {Object} goals - { goalDayHours, goalNightHours, goalCategories }
+ * @param {Object} pack - Rule pack (nothing is checked without one)
+ * @returns {Array<string>} Warnings for goals below the requirement
+ */
+export function checkGoalsAgainstJurisdiction(goals, pack) {
+  const warnings = [];
+  if (!requiresHours(pack)) {
+    return warnings;
+  }
+
+  if (goals.goalDayHours + goals.goalNightHours < pack.totalHours) {
+    warnings.push(`${pack.name} requires ${pack.totalHours} hours in total.`);
+  }
+  if (goals.goalNightHours < pack.nightHours) {
+    warnings.push(`${pack.name} requires ${pack.nightHours} hours at night.`);
+  }
+  pack.categories.forEach(required => {
+    const goal = (goals.goalCategories || []).find(category => category.id === required.id);
+    if (!goal || goal.hours < required.hours) {
+      warnings.push(`${pack.name} requires ${required.hours} hours in ${required.label.toLowerCase()}.`);
+    }
+  });
+  return warnings;
+}
@@ -0,0 +1,130 @@
+/**
+ * License Progression Utilities for Drively
+ *
+ * A driver moves from a learner's permit to a restricted license to a full
+ * license. When they move on, the finished stage's drive log is archived with
+ * its goals and totals: archived drives are read-only but can still be viewed
+ * and exported, and still count toward the streak. Drives still waiting for
+ * parent approval can't be reviewed once archived, so a stage can't be
+ * finished until they are approved or rejected. Each archive records the
+ * dates the stage started and ended; the current stage started on
+ * user.licenseDate.
+ */
+
+import { isValidDate, getCurrentDate } from './time';
+import { calculateCompletedHours } from './drives';
+import { getApprovalStatus, APPROVAL_STATUSES } from './approval';
+
+export const LICENSE_STAGES = ['learners', 'restricted', 'unrestricted'];
+
+export const LICENSE_STAGE_LABELS = {
+  learners: "Learner's Permit",
+  restricted: 'Restricted License',
+  unrestricted: 'Unrestricted License',
+};
+
+/**
+ * Stage that follows the given one
+ * @param {string} stage - Current license type
+ * @returns {string|null} Next license type, or null at the last stage
+ */
+export function getNextStage(stage) {
+  const index = LICENSE_STAGES.indexOf(stage);
+  return index >= 0 && index < LICENSE_STAGES.length - 1 ? LICENSE_STAGES[index + 1] : null;
+}
+
+/**
+ * Archive the current stage's drive log
+ * @param {Object} user - User info for the stage being finished
+ * @param {Array} drives - The stage's drives
+ * @param {string} endDate - Date the stage ended (YYYY-MM-DD)
+ * @returns {Object} Archive record
+ */
+export function createStageArchive(user, drives, endDate) {
+  const { dayHours, nightHours } = calculateCompletedHours(drives);
+  return {
+    id: `${user.licenseType}-${endDate}-${Date.now()}`,
+    stage: user.licenseType,
+    startDate: user.licenseDate || null,
+    endDate,
+    jurisdiction: user.jurisdiction || null,
+    goalDayHours: user.goalDayHours,
+    goalNightHours: user.goalNightHours,
+    goalCategories: user.goalCategories || [],
+    completedDayHours: dayHours,
+    completedNightHours: nightHours,
+    drives,
+  };
+}
+
+/**
+ * Every archived drive, tagged with the archive it belongs to
+ * @param {Array} archives - Stage archives
+ * @returns {Array} Drives with archiveId and stage added
+ */
+export function getArchivedDrives(archives = []) {
+  return archives.flatMap(archive =>
+    archive.drives.map(drive => ({ ...drive, archiveId: archive.id, stage: archive.stage }))
+  );
+}
+
+/**
+ * User info as it was during an archived stage, for reports
+ * @param {Object} user - Current user info
+ * @param {Object} archive - Stage archive
+ * @returns {Object} User info with the archive's stage, goals and totals, plus stageEndDate
+ */
+export function getArchiveUser(user, archive) {
+  return {
+    ...user,
+    licenseType: archive.stage,
+    licenseDate: archive.startDate,
+    stageEndDate: archive.endDate,
+    jurisdiction: archive.jurisdiction,
+    goalDayHours: archive.goalDayHours,
+    goalNightHours: archive.goalNightHours,
+    goalCategories: archive.goalCategories,
+    completedDayHours: archive.completedDayHours,
+    completedNightHours: archive.completedNightHours,
+  };
+}
+
+/**
+ * Drives of the current stage still waiting for a parent's review
+ * @param {Array} drives - The stage's drives
+ * @returns {number} Number of pending drives
+ */
+export function countPendingDrives(drives) {
+  return drives.filter(drive => getApprovalStatus(drive) === APPROVAL_STATUSES.PENDING).length;
+}
+
+/**
+ * Validate moving on to the next stage
+ * @param {Object} user - Current user info
+ * @param {string} date - Date the new license was issued (YYYY-MM-DD)
+ * @param {Object} goals - { goalDayHours, goalNightHours } for the new stage
+ * @param {Array} drives - The stage's drives, none of which may be pending
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateProgression(user, date, goals, drives = []) {
+  const errors = [];
+  const pendingCount = countPendingDrives(drives);
+
+  if (!getNextStage(user.licenseType)) {
+    errors.push('You already have a full license.');
+  }
+  if (!isValidDate(date)) {
+    errors.push('Enter the license date as YYYY-MM-DD.');
+  } else if (date > getCurrentDate()) {
+    errors.push('The license date cannot be in the future.');
+  } else if (user.licenseDate && date < user.licenseDate) {
+    errors.push(`The license date cannot be before your ${LICENSE_STAGE_LABELS[user.licenseType].toLowerCase()} date.`);
+  }
+  if (!(goals.goalDayHours >= 0) || !(goals.goalNightHours >= 0) || goals.goalDayHours + goals.goalNightHours <= 0) {
+    errors.push('Total goal must be greater than 0.');
+  }
+  if (pendingCount > 0) {
+    errors.push(`${pendingCount} drive${pendingCount !== 1 ? 's are' : ' is'} still awaiting parent approval. Approve or reject ${pendingCount !== 1 ? 'them' : 'it'} before archiving this log.`);
+  }
+  return errors;
+}
@@ -0,0 +1,132 @@
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import { loadProfiles, loadActiveDrive, saveActiveDrive } from './storage';
+import { appendLocationsToSession, isSessionRecording } from './routeRecorder';
+
+// How often the GPS reports while a drive is recorded
+const TRACKING_INTERVAL_MS = 5000;
+const TRACKING_DISTANCE_METERS = 10;
+
+export const ROUTE_TASK_NAME = 'drively-route-recording';
+
+// Recorders on the drive screen waiting for locations from the background task
+const listeners = new Set();
+
+// Starting and stopping updates are chained so a quick pause and resume can't
+// stop the updates the resume just started
+let updatesQueue = Promise.resolve();
+const queueUpdates = (operation) => {
+  updatesQueue = updatesQueue.then(operation, operation);
+  return updatesQueue;
+};
+
+const stopBackgroundUpdates = () => queueUpdates(async () => {
+  if (await Location.hasStartedLocationUpdatesAsync(ROUTE_TASK_NAME)) {
+    await Location.stopLocationUpdatesAsync(ROUTE_TASK_NAME);
+  }
+}).catch(error => console.error('Failed to stop background location updates:', error));
+
+/**
+ * Background location task
+ * Locations go to the recorder on the drive screen while it is listening.
+ * Otherwise - the screen was left, or the OS relaunched the app in the
+ * background - they are written straight into the saved drive session, which
+ * the screen picks up again when it reopens. The task has to be defined when
+ * the bundle loads, so index.js imports this module.
+ */
+TaskManager.defineTask(ROUTE_TASK_NAME, async ({ data, error }) => {
+  if (error) {
+    console.error('Background location error:', error);
+    return;
+  }
+
+  const locations = data?.locations || [];
+  if (listeners.size > 0) {
+    listeners.forEach(listener => locations.forEach(listener));
+    return;
+  }
+
+  try {
+    await loadProfiles();
+    const session = await loadActiveDrive();
+    if (!isSessionRecording(session)) {
+      // The drive was paused, stopped or discarded without updates being stopped
+      await stopBackgroundUpdates();
+      return;
+    }
+
+    const updated = appendLocationsToSession(session, locations);
+    if (updated) {
+      await saveActiveDrive(updated);
+    }
+  } catch (taskError) {
+    console.error('Failed to save background locations:', taskError);
+  }
+});
+
+/**
+ * Whether background route recording is running, e.g. from before the app was closed
+ * @returns {Promise<boolean>} True when the background task is receiving locations
+ */
+export function isBackgroundRecording() {
+  return Location.hasStartedLocationUpdatesAsync(ROUTE_TASK_NAME).catch(() => false);
+}
+
+/**
+ * Location source backed by the device GPS, for use with createRouteRecorder
+ * With background permission the route keeps recording while the phone is
+ * locked or another app is open; without it, only while Drively is open.
+ * @returns {Object} Location source with watch(onLocation)
+ */
+export function createDeviceLocationSource() {
+  return {
+    watch: async (onLocation) => {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        throw new Error('Location permission not granted');
+      }
+
+      const background = await Location.requestBackgroundPermissionsAsync().catch(() => ({ status: 'denied' }));
+      if (background.status !== 'granted') {
+        return Location.watchPositionAsync(
+          {
+            accuracy: Location.Accuracy.High,
+            timeInterval: TRACKING_INTERVAL_MS,
+            distanceInterval: TRACKING_DISTANCE_METERS,
+          },
+          onLocation
+        );
+      }
+
+      listeners.add(onLocation);
+      try {
+        await queueUpdates(() => Location.startLocationUpdatesAsync(ROUTE_TASK_NAME, {
+          accuracy: Location.Accuracy.High,
+          timeInterval: TRACKING_INTERVAL_MS,
+          distanceInterval: TRACKING_DISTANCE_METERS,
+          activityType: Location.ActivityType.AutomotiveNavigation,
+          pausesUpdatesAutomatically: false,
+          showsBackgroundLocationIndicator: true,
+          foregroundService: {
+            notificationTitle: 'Recording your drive',
+            notificationBody: 'Drively is recording your route until you pause or end the drive.',
+          },
+        }));
+      } catch (error) {
+        listeners.delete(onLocation);
+        throw error;
+      }
+
+      return {
+        remove: () => {
+          listeners.delete(onLocation);
+          stopBackgroundUpdates();
+        },
+        // Keep recording, with locations saved into the drive session
+        release: () => {
+          listeners.delete(onLocation);
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Data Migration Utilities for Drively
+ *
+ * data.json is stamped with the version of its shape (DATA_VERSION). When an
+ * older file is loaded, every migration newer than the file's version is
+ * applied in order until the data matches the current shape. Each migration is
+ * a pure function of the parsed file so it can be run against fixture data.
+ *
+ * DATA_VERSION is separate from the app version in app.json: it only changes
+ * when a migration is added, so releasing the app doesn't make older files
+ * look out of date or make files look too new to an older build.
+ */
+
+import { splitDriveMinutes, calculateCompletedHours } from './drives';
+
+export const DATA_VERSION_TOO_NEW = 'DATA_VERSION_TOO_NEW';
+
+// Version of the newest migration below; files are saved with it
+export const DATA_VERSION = '1.2.0';
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version (e.g. "1.1.0")
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a || '0.0.0').split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b || '0.0.0').split('.').map(part => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Fill in top-level sections and settings added after the first release
+ * @param {Object} data - Parsed data file
+ * @returns {Object} Migrated data
+ */
+export function addMissingSections(data) {
+  const user = data.user || {};
+  const streaks = data.streaks || {};
+  const settings = data.settings || {};
+
+  return {
+    ...data,
+    user: {
+      licenseType: null,
+      licenseDate: null,
+      goalDayHours: 50,
+      goalNightHours: 10,
+      completedDayHours: 0,
+      completedNightHours: 0,
+      onboardingComplete: false,
+      ...user,
+    },
+    drives: Array.isArray(data.drives) ? data.drives : [],
+    streaks: {
+      current: 0,
+      longest: 0,
+      lastDriveDate: null,
+      freezeDaysUsed: 0,
+      freezeDaysThisMonth: 0,
+      ...streaks,
+      lastFreezeReset: streaks.lastFreezeReset || null,
+    },
+    settings: {
+      nightTimeStart: '18:00',
+      nightTimeEnd: '06:00',
+      backupReminder: true,
+      lastBackupDate: null,
+      ...settings,
+      temperatureUnit: settings.temperatureUnit || 'metric',
+    },
+  };
+}
+
+/**
+ * Convert old drive records to the current drive shape
+ * Older builds stored skills as an array, ages as strings and could omit ids.
+ * @param {Object} data - Parsed data file
+ * @returns {Object} Migrated data
+ */
+export function normalizeDriveRecords(data) {
+  const drives = data.drives.map((drive, index) => {
+    const duration = Number(drive.duration);
+    const supervisorAge = parseInt(drive.supervisorAge, 10);
+
+    return {
+      ...drive,
+      id: drive.id ? String(drive.id) : `${Date.parse(drive.date) || Date.now()}${index}`,
+      duration: Number.isFinite(duration) ? Math.round(duration) : 0,
+      isNightDrive: !!drive.isNightDrive,
+      skills: Array.isArray(drive.skills)
+        ? (drive.skills.length > 0 ? drive.skills.join(', ') : null)
+        : (drive.skills || null),
+      supervisorName: drive.supervisorName || null,
+      supervisorAge: Number.isFinite(supervisorAge) ? supervisorAge : null,
+      weather: drive.weather || null,
+      pausedTime: Number(drive.pausedTime) || 0,
+    };
+  });
+
+  return {
+    ...data,
+    drives,
+  };
+}
+
+/**
+ * Split each drive into day and night minutes
+ * Drives used to be counted entirely as night if either end fell in night
+ * hours; the split is recomputed from the start and end times, with paused
+ * time spread evenly, and the completed hour totals are rebuilt from it.
+ * @param {Object} data - Parsed data file
+ * @returns {Object} Migrated data
+ */
+export function splitDayNightDrives(data) {
+  const { nightTimeStart, nightTimeEnd } = data.settings;
+
+  const drives = data.drives.map(drive => {
+    const { dayMinutes, nightMinutes } = Number.isFinite(drive.dayMinutes) && Number.isFinite(drive.nightMinutes)
+      ? drive
+      : splitDriveMinutes(drive, nightTimeStart, nightTimeEnd);
+
+    return {
+      ...drive,
+      dayMinutes,
+      nightMinutes,
+      isNightDrive: nightMinutes > 0,
+    };
+  });
+  const { dayHours, nightHours } = calculateCompletedHours(drives);
+
+  return {
+    ...data,
+    drives,
+    user: {
+      ...data.user,
+      completedDayHours: dayHours,
+      completedNightHours: nightHours,
+    },
+  };
+}
+
+/**
+ * Ordered list of migrations. Each one upgrades data with a data version
+ * older than `version` to the shape expected by `version`. Adding one means
+ * raising DATA_VERSION to match.
+ */
+export const MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Add missing sections, temperatureUnit and lastFreezeReset',
+    migrate: addMissingSections,
+  },
+  {
+    version: '1.1.1',
+    description: 'Normalize drive records',
+    migrate: normalizeDriveRecords,
+  },
+  {
+    version: '1.2.0',
+    description: 'Split drive minutes between day and night',
+    migrate: splitDayNightDrives,
+  },
+];
+
+/**
+ * Upgrade a parsed data file to the current data version
+ * @param {Object} data - Parsed data file
+ * @param {string} targetVersion - Data version to migrate to (defaults to DATA_VERSION)
+ * @returns {Object} Migrated data and the list of applied migration versions
+ * @throws {Error} With code DATA_VERSION_TOO_NEW when the file was written by a newer app
+ */
+export function migrateData(data, targetVersion = DATA_VERSION) {
+  const fromVersion = data.version || '0.0.0';
+
+  if (compareVersions(fromVersion, targetVersion) > 0) {
+    const error = new Error(
+      `This data was saved by a newer version of Drively (data version ${fromVersion}, this app reads up to ${targetVersion}). Please update the app.`
+    );
+    error.code = DATA_VERSION_TOO_NEW;
+    throw error;
+  }
+
+  const pending = MIGRATIONS.filter(migration =>
+    compareVersions(migration.version, fromVersion) > 0 &&
+    compareVersions(migration.version, targetVersion) <= 0
+  );
+
+  const migrated = pending.reduce(
+    (current, migration) => ({
+      ...migration.migrate(current),
+      version: migration.version,
+    }),
+    data
+  );
+
+  return {
+    data: { ...migrated, version: targetVersion },
+    applied: pending.map(migration => migration.version),
+  };
+}
@@ -8,18 +8,37 @@
 import * as Print from 'expo-print';
 import * as FileSystem from 'expo-file-system';
 import { formatDateForDisplay } from './time';
+import { getDriveMinutes, getDriveType, formatPassengers, summarizePassengers } from './drives';
+import { calculateTotalDistance, formatDistance, formatSpeed } from './route';
+import { buildRouteSvg } from './routeMap';
+import { hasSignature, needsSignature, buildSignatureSvg } from './signature';
+import { getApprovalStatus, isDriveApproved } from './approval';
+import { getJurisdiction, describeJurisdictionHours } from './jurisdictions';
+import { getGoalCategories, calculateCategoryProgress, getDriveCategoryLabels } from './categories';
+import { LICENSE_STAGE_LABELS } from './license';
+
+const TYPE_LABELS = { day: 'Day', night: 'Night', mixed: 'Day/Night' };
+const TYPE_COLORS = { day: '#f59e0b', night: '#1f2937', mixed: '#6366f1' };
+const APPROVAL_TAG_COLORS = { pending: '#d97706', rejected: '#dc2626' };
 
 /**
  * Generate HTML content for a comprehensive driving report
  * @param {Object} data - The driving data object
  * @param {Array} data.drives - Array of drive records
  * @param {Object} data.user - User data with goals and progress
+ * @param {Array} data.supervisors - Saved supervisor roster, for category rules
  * @param {Object} data.streaks - Streak statistics
+ * @param {Object} data.settings - App settings (units for distance and speed)
  * @param {boolean} isOfficial - Whether this is for official/DMV use
+ * @param {Object} options - Report options
+ * @param {boolean} options.showRouteMaps - Add a column with a map of each drive's recorded route
  * @returns {string} HTML content for PDF generation
  */
-export const generateDrivingReportHTML = (data, isOfficial = false) => {
+export const generateDrivingReportHTML = (data, isOfficial = false, options = {}) => {
+  const { showRouteMaps = false } = options;
   const { drives, user, streaks } = data;
+  const units = data.settings?.temperatureUnit || 'metric';
+  const totalDistance = calculateTotalDistance(drives);
   const totalDayHours = user.completedDayHours;
   const totalNightHours = user.completedNightHours;
   const totalHours = totalDayHours + totalNightHours;
@@ -27,35 +46,72 @@ export const generateDrivingReportHTML = (data, isOfficial = false) => {
   const progressPercent = Math.round((totalHours / goalHours) * 100);
   const currentDate = formatDateForDisplay(new Date().toISOString().split('T')[0]);
   
+  const manualEntryCount = drives.filter(d => d.isManualEntry).length;
+  const unsignedCount = drives.filter(d => needsSignature(d) && !hasSignature(d)).length;
+  const unapprovedCount = drives.filter(d => !isDriveApproved(d)).length;
+  const jurisdiction = getJurisdiction(user.jurisdiction);
+  const supervisors = data.supervisors || [];
+  const categories = getGoalCategories(user);
+  const categoryProgress = calculateCategoryProgress(drives, categories, supervisors);
+  const passengerSummary = summarizePassengers(drives);
+  
   let drivesHTML = '';
   drives.forEach((drive, index) => {
     const duration = `${Math.floor(drive.duration / 60)}h ${drive.duration % 60}m`;
-    const type = drive.isNightDrive ? 'Night' : 'Day';
+    const driveType = getDriveType(drive);
+    const type = TYPE_LABELS[driveType];
+    const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+    const categoryLabels = getDriveCategoryLabels(drive, categories, supervisors);
     const supervisor = drive.supervisorName || '';
-    
-    // Generate initials from supervisor name
-    const initials = supervisor
-      .split(' ')
-      .map(name => name.charAt(0).toUpperCase())
-      .join('');
+    const passengers = formatPassengers(drive);
+    const signature = hasSignature(drive)
+      ? buildSignatureSvg(drive.signature, { width: 110, height: 36 })
+      : needsSignature(drive)
+        ? '<span style="font-size: 11px; font-weight: 700; color: #dc2626; letter-spacing: 0.5px;">UNSIGNED</span>'
+        : '';
+    // Only reached when the export includes drives a parent hasn't approved
+    const approvalStatus = getApprovalStatus(drive);
+    const approvalTag = isDriveApproved(drive)
+      ? ''
+      : `<div style="font-size: 11px; font-weight: 700; color: ${APPROVAL_TAG_COLORS[approvalStatus]}; letter-spacing: 0.5px;">${approvalStatus.toUpperCase()}</div>`;
     
     const rowColor = index % 2 === 0 ? '#f9fafb' : '#ffffff';
     
     drivesHTML += `
       <tr style="background-color: ${rowColor};">
-        <td style="padding: 12px 8px; border-bottom: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb;">${formatDateForDisplay(drive.date)}</td>
+        <td style="padding: 12px 8px; border-bottom: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb;">${formatDateForDisplay(drive.date)}${drive.isManualEntry ? ' *' : ''}${approvalTag}</td>
         <td style="padding: 12px 8px; border-bottom: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb;">${drive.startTime}</td>
-        <td style="padding: 12px 8px; border-bottom: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb;">${duration}</td>
         <td style="padding: 12px 8px; border-bottom: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb;">
-          <span style="padding: 2px 8px; border-radius: 12px; font-size: 12px; color: white; background-color: ${drive.isNightDrive ? '#1f2937' : '#f59e0b'};">
+          ${duration}
+          ${drive.stats ? `
+          <div style="font-size: 11px; color: #6b7280; margin-top: 4px;">${formatDistance(drive.stats.distance, units)} • ${drive.stats.movingMinutes}m moving</div>
+          <div style="font-size: 11px; color: #6b7280;">avg ${formatSpeed(drive.stats.averageSpeed, units)} • max ${formatSpeed(drive.stats.maxSpeed, units)}${drive.stats.highwayMinutes > 0 ? ` • ${drive.stats.highwayMinutes}m highway` : ''}</div>
+          ` : ''}
+        </td>
+        ${showRouteMaps ? `
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb; text-align: center; width: 120px;">
+          ${drive.route ? buildRouteSvg(drive.route, { width: 120, height: 80 }) : '<span style="font-size: 11px; color: #9ca3af;">No route</span>'}
+        </td>
+        ` : ''}
+        <td style="padding: 12px 8px; border-bottom: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb;">
+          <span style="padding: 2px 8px; border-radius: 12px; font-size: 12px; color: white; background-color: ${TYPE_COLORS[driveType]};">
             ${type}
           </span>
+          ${driveType === 'mixed' ? `
+          <div style="font-size: 11px; color: #6b7280; margin-top: 4px;">${dayMinutes}m day / ${nightMinutes}m night</div>
+          ` : ''}
+          ${categoryLabels.length > 0 ? `
+          <div style="font-size: 11px; color: #059669; margin-top: 4px;">${categoryLabels.join(', ')}</div>
+          ` : ''}
         </td>
         <td style="padding: 12px 8px; border-bottom: 1px solid #e5e7eb; border-right: 1px solid #e5e7eb; min-width: 120px;">
           <div style="border-bottom: 1px solid #d1d5db; min-height: 20px; padding-bottom: 2px;">${supervisor}</div>
+          ${passengers ? `
+          <div style="font-size: 11px; color: #6b7280; margin-top: 4px;">${passengers}</div>
+          ` : ''}
         </td>
-        <td style="padding: 12px 8px; border-bottom: 1px solid #e5e7eb; text-align: center; min-width: 80px;">
-          <div style="border-bottom: 1px solid #d1d5db; min-height: 20px; padding-bottom: 2px; font-weight: 600;">${initials}</div>
+        <td style="padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: center; min-width: 110px;">
+          <div style="border-bottom: 1px solid #d1d5db; min-height: 20px; padding-bottom: 2px;">${signature}</div>
         </td>
       </tr>
     `;
@@ -170,6 +226,12 @@ export const generateDrivingReportHTML = (data, isOfficial = false) => {
           .drives-table td:last-child {
             border-right: none;
           }
+          .table-note {
+            margin: -10px 0 20px 0;
+            color: #6b7280;
+            font-size: 12px;
+            font-style: italic;
+          }
           .footer {
             margin-top: 40px;
             padding-top: 20px;
@@ -265,20 +327,54 @@ export const generateDrivingReportHTML = (data, isOfficial = false) => {
             <h3>${isOfficial ? 'Progress Summary' : '📊 Progress Summary'}</h3>
             <div class="stat-row">
               <span class="stat-label">License Type:</span>
-              <span class="stat-value">${user.licenseType}</span>
+              <span class="stat-value">${LICENSE_STAGE_LABELS[user.licenseType] || user.licenseType}</span>
             </div>
+            ${user.stageEndDate ? `
             <div class="stat-row">
-              <span class="stat-label">Day Hours:</span>
-              <span class="stat-value">${totalDayHours.toFixed(1)} hours</span>
+              <span class="stat-label">Stage Period:</span>
+              <span class="stat-value">${user.licenseDate ? formatDateForDisplay(user.licenseDate) : 'Not recorded'} - ${formatDateForDisplay(user.stageEndDate)} (archived)</span>
             </div>
+            ` : ''}
+            ${jurisdiction ? `
             <div class="stat-row">
-              <span class="stat-label">Night Hours:</span>
-              <span class="stat-value">${totalNightHours.toFixed(1)} hours</span>
+              <span class="stat-label">Jurisdiction:</span>
+              <span class="stat-value">${jurisdiction.name}</span>
             </div>
+            <div class="stat-row">
+              <span class="stat-label">Requirement:</span>
+              <span class="stat-value">${describeJurisdictionHours(jurisdiction)}</span>
+            </div>
+            ` : ''}
+            ${categoryProgress.map(category => `
+            <div class="stat-row">
+              <span class="stat-label">${category.label}:</span>
+              <span class="stat-value">${category.completedHours.toFixed(1)}${isOfficial ? '' : ` / ${category.hours}`} hours</span>
+            </div>
+            `).join('')}
             <div class="stat-row">
               <span class="stat-label">Total Hours:</span>
               <span class="stat-value">${totalHours.toFixed(1)} hours</span>
             </div>
+            ${totalDistance > 0 ? `
+            <div class="stat-row">
+              <span class="stat-label">Distance Driven:</span>
+              <span class="stat-value">${formatDistance(totalDistance, units)}</span>
+            </div>
+            ` : ''}
+            ${passengerSummary.recorded > 0 ? `
+            <div class="stat-row">
+              <span class="stat-label">Drives With Passengers:</span>
+              <span class="stat-value">${passengerSummary.withPassengers} of ${passengerSummary.recorded}</span>
+            </div>
+            <div class="stat-row">
+              <span class="stat-label">With Passengers Under 21:</span>
+              <span class="stat-value">${passengerSummary.withMinors} drives</span>
+            </div>
+            <div class="stat-row">
+              <span class="stat-label">Passengers per Drive:</span>
+              <span class="stat-value">${passengerSummary.average.toFixed(1)} avg • ${passengerSummary.most} most</span>
+            </div>
+            ` : ''}
             ${!isOfficial ? `
             <div class="stat-row">
               <span class="stat-label">Goal:</span>
@@ -316,11 +412,11 @@ export const generateDrivingReportHTML = (data, isOfficial = false) => {
             </div>
             <div class="stat-row">
               <span class="stat-label">Day Driving:</span>
-              <span class="stat-value">${drives.filter(d => !d.isNightDrive).length} sessions</span>
+              <span class="stat-value">${drives.filter(d => getDriveMinutes(d).dayMinutes > 0).length} sessions</span>
             </div>
             <div class="stat-row">
               <span class="stat-label">Night Driving:</span>
-              <span class="stat-value">${drives.filter(d => d.isNightDrive).length} sessions</span>
+              <span class="stat-value">${drives.filter(d => getDriveMinutes(d).nightMinutes > 0).length} sessions</span>
             </div>
           </div>
           `}
@@ -333,15 +429,25 @@ export const generateDrivingReportHTML = (data, isOfficial = false) => {
                   <th>Date</th>
                   <th>Time</th>
                   <th>Duration</th>
+                  ${showRouteMaps ? '<th>Route</th>' : ''}
                   <th>Type</th>
                   <th>Supervisor</th>
-                  <th>Initials</th>
+                  <th>Signature</th>
                 </tr>
               </thead>
               <tbody>
                 ${drivesHTML}
               </tbody>
             </table>
+            ${manualEntryCount > 0 ? `
+            <p class="table-note">* Entered manually after the drive (${manualEntryCount} of ${drives.length} drives); not recorded with the live timer.</p>
+            ` : ''}
+            ${unsignedCount > 0 ? `
+            <p class="table-note">UNSIGNED: the supervisor did not sign ${unsignedCount} of ${drives.filter(needsSignature).length} supervised drives.</p>
+            ` : ''}
+            ${unapprovedCount > 0 ? `
+            <p class="table-note">PENDING / REJECTED: ${unapprovedCount} drives have not been approved by a parent and don't count toward the hour totals.</p>
+            ` : ''}
         </div>
 
         ${isOfficial ? `
@@ -375,11 +481,12 @@ export const generateDrivingReportHTML = (data, isOfficial = false) => {
  * @param {Object} data - The driving data object
  * @param {string} filename - Optional custom filename
  * @param {boolean} isOfficial - Whether this is for official/DMV use
+ * @param {Object} options - Report options passed to generateDrivingReportHTML
  * @returns {Promise<string>} - Promise resolving to the file URI
  */
-export const generatePDFReport = async (data, filename, isOfficial = false) => {
+export const generatePDFReport = async (data, filename, isOfficial = false, options = {}) => {
   try {
-    const htmlContent = generateDrivingReportHTML(data, isOfficial);
+    const htmlContent = generateDrivingReportHTML(data, isOfficial, options);
     const suffix = isOfficial ? '_official' : '';
     const defaultFilename = `drively_report${suffix}_${new Date().toISOString().split('T')[0]}.pdf`;
     const finalFilename = filename || defaultFilename;
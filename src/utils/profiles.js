@@ -0,0 +1,90 @@
+/**
+ * Learner Profile Utilities for Drively
+ *
+ * Siblings can share one device: each learner has a profile with its own data
+ * file, so drives, goals, streaks and settings stay separate. storage.js keeps
+ * the list of profiles and which one is active in profiles.json. The first
+ * profile keeps the original data.json location, so a log from before
+ * profiles existed becomes that profile unchanged.
+ */
+
+export const DEFAULT_PROFILE_ID = 'default';
+export const DEFAULT_PROFILE_NAME = 'Learner 1';
+export const MAX_PROFILE_NAME_LENGTH = 30;
+
+// Profile ids name folders on disk, so ones read from backups are checked
+const PROFILE_ID_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Profile list for a device that has never saved one
+ * @returns {Object} { activeProfileId, profiles }
+ */
+export function createDefaultRegistry() {
+  return {
+    activeProfileId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, createdAt: null }],
+  };
+}
+
+/**
+ * Whether a string can be used as a profile id
+ * @param {string} id - Profile id
+ * @returns {boolean} True when valid
+ */
+export function isValidProfileId(id) {
+  return typeof id === 'string' && PROFILE_ID_PATTERN.test(id);
+}
+
+/**
+ * New profile record
+ * @param {string} name - Learner's name
+ * @param {string} id - Id to keep (e.g. from a backup), a new one when not valid
+ * @returns {Object} { id, name, createdAt }
+ */
+export function buildProfile(name, id = null) {
+  return {
+    id: isValidProfileId(id) ? id : `profile-${Date.now()}`,
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Validate a profile name
+ * @param {string} name - Name entered
+ * @param {Array} profiles - Existing profiles
+ * @param {string} profileId - Profile being renamed, so it doesn't clash with itself
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateProfileName(name, profiles, profileId = null) {
+  const errors = [];
+  const trimmed = (name || '').trim();
+
+  if (!trimmed) {
+    errors.push('Please enter a name.');
+  } else if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+    errors.push(`Names can be at most ${MAX_PROFILE_NAME_LENGTH} characters.`);
+  } else if (profiles.some(profile => profile.id !== profileId && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+    errors.push('Another learner already has this name.');
+  }
+  return errors;
+}
+
+/**
+ * Find the active profile
+ * @param {Array} profiles - Profiles
+ * @param {string} activeProfileId - Active profile id
+ * @returns {Object|null} Active profile
+ */
+export function getActiveProfile(profiles, activeProfileId) {
+  return profiles.find(profile => profile.id === activeProfileId) || null;
+}
+
+/**
+ * Whether parsed backup contents hold every profile rather than one log
+ * @param {Object} data - Parsed backup file
+ * @returns {boolean} True for an all-profiles backup
+ */
+export function isAllProfilesBackup(data) {
+  return !!data && Array.isArray(data.profiles) && !data.user;
+}
@@ -0,0 +1,156 @@
+/**
+ * Restricted License Rules for Drively
+ *
+ * A restricted license limits when and why the driver may drive without an
+ * adult. The rules are kept in settings:
+ * - curfewStart / curfewEnd: no driving between these times (no curfew when curfewStart is null)
+ * - maxMinorPassengers: most passengers under 21 allowed (no limit when null)
+ * - allowedPurposes: trip purposes allowed without a supervisor
+ * - requireSupervisor: every drive needs a supervisor
+ * As in most graduated licensing programs, a supervisor on board lifts the
+ * curfew, passenger and purpose limits.
+ *
+ * Drives are checked before they start, which warns or blocks depending on
+ * restrictionRuleMode, and again once they end. The violations found at the
+ * end are saved on the drive as restrictionViolations.
+ */
+
+import { isValidTime, isNightTime, splitDayNightMinutes, formatTimeForDisplay, formatDuration } from './time';
+
+// Trip purposes a restricted driver can usually drive for alone
+export const DEFAULT_ALLOWED_PURPOSES = [
+  'School',
+  'Work',
+  'Medical Appointment',
+  'Religious Activity',
+  'Family Emergency',
+  'Driver Education',
+];
+
+// Every purpose offered when logging a drive, besides "Other"
+export const TRIP_PURPOSES = [
+  ...DEFAULT_ALLOWED_PURPOSES,
+  'Friend\'s House',
+  'Shopping/Mall',
+  'Restaurant',
+  'Movies/Entertainment',
+  'Sports Event',
+  'Party/Social Event',
+  'Beach/Park (Recreation)',
+  'Other Recreation',
+];
+
+export const OTHER_PURPOSE = 'Other';
+
+export const RESTRICTION_TYPES = {
+  CURFEW: 'curfew',
+  PASSENGERS: 'passengers',
+  PURPOSE: 'purpose',
+  SUPERVISOR: 'supervisor',
+};
+
+export const RESTRICTION_LABELS = {
+  curfew: 'Curfew',
+  passengers: 'Passenger limit',
+  purpose: 'Trip purpose',
+  supervisor: 'Supervisor required',
+};
+
+/**
+ * Whether a trip purpose is allowed without a supervisor
+ * @param {string} purpose - Destination picked when logging
+ * @param {Object} settings - App settings with allowedPurposes
+ * @returns {boolean} True when allowed
+ */
+export function isPurposeAllowed(purpose, settings) {
+  return (settings.allowedPurposes || DEFAULT_ALLOWED_PURPOSES).includes(purpose);
+}
+
+/**
+ * Check a drive against the restricted license rules
+ * Before a drive starts there is no end time yet, so only the start time is
+ * checked against the curfew.
+ * @param {Object} drive - { startTime, endTime, destination, supervisorName, minorPassengers }
+ * @param {Object} settings - App settings with the restricted license rules
+ * @returns {Array} Violations as { type, message } (empty when the drive follows the rules)
+ */
+export function checkDriveRestrictions(drive, settings) {
+  const violations = [];
+  const supervised = !!drive.supervisorName?.trim();
+
+  if (settings.requireSupervisor && !supervised) {
+    violations.push({ type: RESTRICTION_TYPES.SUPERVISOR, message: 'Every drive needs a supervisor.' });
+  }
+  if (supervised) {
+    return violations;
+  }
+
+  const { curfewStart, curfewEnd } = settings;
+  if (curfewStart && curfewEnd && isValidTime(drive.startTime)) {
+    const curfewMinutes = isValidTime(drive.endTime)
+      ? splitDayNightMinutes(drive.startTime, drive.endTime, curfewStart, curfewEnd).nightMinutes
+      : 0;
+    if (curfewMinutes > 0 || isNightTime(drive.startTime, curfewStart, curfewEnd)) {
+      violations.push({
+        type: RESTRICTION_TYPES.CURFEW,
+        message: `Driving during curfew (${formatTimeForDisplay(curfewStart)} - ${formatTimeForDisplay(curfewEnd)})${curfewMinutes > 0 ? ` for ${formatDuration(curfewMinutes)}` : ''} without a supervisor.`,
+      });
+    }
+  }
+
+  if (Number.isFinite(settings.maxMinorPassengers) && Number.isFinite(drive.minorPassengers)
+    && drive.minorPassengers > settings.maxMinorPassengers) {
+    violations.push({
+      type: RESTRICTION_TYPES.PASSENGERS,
+      message: `${drive.minorPassengers} passengers under 21 (limit ${settings.maxMinorPassengers}) without a supervisor.`,
+    });
+  }
+
+  if (drive.destination && !isPurposeAllowed(drive.destination, settings)) {
+    violations.push({
+      type: RESTRICTION_TYPES.PURPOSE,
+      message: `${drive.destination} isn't an allowed trip purpose without a supervisor.`,
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Violations to record on a drive
+ * @param {Object} drive - Drive record
+ * @param {Object} user - User info with licenseType
+ * @param {Object} settings - App settings with the restricted license rules
+ * @returns {Array|null} Violations for restricted license holders, null for anyone else
+ */
+export function getRestrictionViolations(drive, user, settings) {
+  return user.licenseType === 'restricted' ? checkDriveRestrictions(drive, settings) : null;
+}
+
+/**
+ * Whether a drive broke any restricted license rule
+ * @param {Object} drive - Drive record
+ * @returns {boolean} True when violations were recorded
+ */
+export function hasRestrictionViolations(drive) {
+  return Array.isArray(drive.restrictionViolations) && drive.restrictionViolations.length > 0;
+}
+
+/**
+ * One-line summary of the rules, for Settings
+ * @param {Object} settings - App settings with the restricted license rules
+ * @returns {string} e.g. "Curfew 11:00 PM - 5:00 AM • Up to 1 passenger under 21"
+ */
+export function describeRestrictions(settings) {
+  const parts = [];
+  if (settings.curfewStart && settings.curfewEnd) {
+    parts.push(`Curfew ${formatTimeForDisplay(settings.curfewStart)} - ${formatTimeForDisplay(settings.curfewEnd)}`);
+  }
+  if (Number.isFinite(settings.maxMinorPassengers)) {
+    parts.push(`Up to ${settings.maxMinorPassengers} passenger${settings.maxMinorPassengers !== 1 ? 's' : ''} under 21`);
+  }
+  if (settings.requireSupervisor) {
+    parts.push('Supervisor on every drive');
+  }
+  return parts.length > 0 ? parts.join(' • ') : 'No curfew or passenger limit';
+}
@@ -0,0 +1,247 @@
+/**
+ * Route Utilities for Drively
+ *
+ * Geometry helpers for recorded drive tracks: distances, polyline
+ * compression and the route summary stored on each drive.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_MILE = 1609.344;
+const POLYLINE_PRECISION = 1e5;
+
+// Slower than walking pace counts as stationary (GPS drift included)
+const MOVING_SPEED_MPS = 1.5;
+// 55 mph
+const HIGHWAY_SPEED_MPS = 24.6;
+// Longer gaps between fixes (e.g. lost signal) aren't used for timing
+const MAX_SAMPLE_GAP_SECONDS = 120;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+export function haversineDistance(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Total distance of a recorded track
+ * Gaps between segments (while the drive was paused) are not counted.
+ * @param {Array<Array>} segments - Lists of { latitude, longitude } samples
+ * @returns {number} Distance in meters
+ */
+export function calculateRouteDistance(segments) {
+  return segments.reduce((total, segment) => {
+    let distance = 0;
+    for (let i = 1; i < segment.length; i++) {
+      distance += haversineDistance(segment[i - 1], segment[i]);
+    }
+    return total + distance;
+  }, 0);
+}
+
+/**
+ * Encode points with the Google encoded polyline algorithm (5 decimal places)
+ * @param {Array} points - List of { latitude, longitude }
+ * @returns {string} Encoded polyline
+ */
+export function encodePolyline(points) {
+  let encoded = '';
+  let previousLatitude = 0;
+  let previousLongitude = 0;
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  for (const point of points) {
+    const latitude = Math.round(point.latitude * POLYLINE_PRECISION);
+    const longitude = Math.round(point.longitude * POLYLINE_PRECISION);
+    encoded += encodeValue(latitude - previousLatitude) + encodeValue(longitude - previousLongitude);
+    previousLatitude = latitude;
+    previousLongitude = longitude;
+  }
+
+  return encoded;
+}
+
+/**
+ * Decode a Google encoded polyline
+ * @param {string} encoded - Encoded polyline
+ * @returns {Array} List of { latitude, longitude }
+ */
+export function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let latitude = 0;
+  let longitude = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    latitude += decodeValue();
+    longitude += decodeValue();
+    points.push({
+      latitude: latitude / POLYLINE_PRECISION,
+      longitude: longitude / POLYLINE_PRECISION,
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Build the route stored on a drive from the recorded track
+ * @param {Array<Array>} segments - Recorded samples, one list per unpaused stretch of driving
+ * @returns {Object|null} { polylines, distance, startPoint, endPoint, sampleCount }, or null without samples
+ */
+export function summarizeRoute(segments) {
+  const recorded = (segments || []).filter(segment => segment.length > 0);
+  if (recorded.length === 0) {
+    return null;
+  }
+
+  const first = recorded[0][0];
+  const lastSegment = recorded[recorded.length - 1];
+  const last = lastSegment[lastSegment.length - 1];
+
+  return {
+    polylines: recorded.map(encodePolyline),
+    distance: Math.round(calculateRouteDistance(recorded)),
+    startPoint: { latitude: first.latitude, longitude: first.longitude },
+    endPoint: { latitude: last.latitude, longitude: last.longitude },
+    sampleCount: recorded.reduce((count, segment) => count + segment.length, 0),
+  };
+}
+
+/**
+ * Distance and speed statistics for a recorded drive
+ * Each pair of consecutive samples is classed as moving or stationary by its
+ * speed (reported by the GPS, or worked out from distance over time). Time
+ * the track doesn't cover, like waiting for a first fix, counts as stationary.
+ * @param {Array<Array>} segments - Recorded samples, one list per unpaused stretch of driving
+ * @param {number} durationMinutes - Driving time of the drive, pauses excluded
+ * @returns {Object|null} Stats in meters, m/s and minutes, or null without a usable track
+ */
+export function calculateDriveStats(segments, durationMinutes) {
+  let distance = 0;
+  let movingDistance = 0;
+  let movingSeconds = 0;
+  let highwaySeconds = 0;
+  let maxSpeed = 0;
+  let intervals = 0;
+
+  for (const segment of segments || []) {
+    for (let i = 1; i < segment.length; i++) {
+      const previous = segment[i - 1];
+      const current = segment[i];
+      const seconds = (current.timestamp - previous.timestamp) / 1000;
+      const meters = haversineDistance(previous, current);
+      distance += meters;
+
+      if (seconds <= 0 || seconds > MAX_SAMPLE_GAP_SECONDS) {
+        continue;
+      }
+
+      const speed = Number.isFinite(current.speed) ? current.speed : meters / seconds;
+      intervals++;
+      maxSpeed = Math.max(maxSpeed, speed);
+
+      if (speed >= MOVING_SPEED_MPS) {
+        movingSeconds += seconds;
+        movingDistance += meters;
+      }
+      if (speed >= HIGHWAY_SPEED_MPS) {
+        highwaySeconds += seconds;
+      }
+    }
+  }
+
+  if (intervals === 0) {
+    return null;
+  }
+
+  const movingMinutes = Math.min(durationMinutes, Math.round(movingSeconds / 60));
+  return {
+    distance: Math.round(distance),
+    averageSpeed: movingSeconds > 0 ? movingDistance / movingSeconds : 0,
+    maxSpeed,
+    movingMinutes,
+    stationaryMinutes: Math.max(0, durationMinutes - movingMinutes),
+    highwayMinutes: Math.min(movingMinutes, Math.round(highwaySeconds / 60)),
+  };
+}
+
+/**
+ * Total distance driven across drives with a recorded route
+ * @param {Array} drives - Array of drive objects
+ * @returns {number} Distance in meters
+ */
+export function calculateTotalDistance(drives) {
+  return drives.reduce((total, drive) => total + (drive.stats?.distance ?? drive.route?.distance ?? 0), 0);
+}
+
+/**
+ * Convert meters to miles or kilometers
+ * @param {number} meters - Distance in meters
+ * @param {string} units - 'imperial' for miles, otherwise kilometers
+ * @returns {number} Distance in the requested unit
+ */
+export function convertDistance(meters, units = 'metric') {
+  return units === 'imperial' ? meters / METERS_PER_MILE : meters / 1000;
+}
+
+/**
+ * Convert a speed to mph or km/h
+ * @param {number} metersPerSecond - Speed in m/s
+ * @param {string} units - 'imperial' for mph, otherwise km/h
+ * @returns {number} Speed in the requested unit
+ */
+export function convertSpeed(metersPerSecond, units = 'metric') {
+  return convertDistance(metersPerSecond * 3600, units);
+}
+
+/**
+ * Format a speed like "34 mph" or "55 km/h"
+ * @param {number} metersPerSecond - Speed in m/s
+ * @param {string} units - 'imperial' or 'metric'
+ * @returns {string} Formatted speed
+ */
+export function formatSpeed(metersPerSecond, units = 'metric') {
+  return `${Math.round(convertSpeed(metersPerSecond || 0, units))} ${units === 'imperial' ? 'mph' : 'km/h'}`;
+}
+
+/**
+ * Format a distance like "12.3 mi" or "19.8 km"
+ * @param {number} meters - Distance in meters
+ * @param {string} units - 'imperial' or 'metric'
+ * @returns {string} Formatted distance
+ */
+export function formatDistance(meters, units = 'metric') {
+  return `${convertDistance(meters || 0, units).toFixed(1)} ${units === 'imperial' ? 'mi' : 'km'}`;
+}
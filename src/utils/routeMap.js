@@ -0,0 +1,117 @@
+/**
+ * Route Map Utilities for Drively
+ *
+ * Draws a drive's recorded track without map tiles: the route is projected
+ * into a box scaled to its bounds. The same projection feeds the on-device
+ * RouteMap component and the SVG used in PDF reports.
+ */
+
+import { decodePolyline } from './route';
+
+// Keep drawn tracks light enough for the PDF and the view hierarchy
+const MAX_DRAWN_POINTS = 200;
+
+/**
+ * Keep at most maxPoints points, always including the first and last
+ * @param {Array} points - Points in order
+ * @param {number} maxPoints - Largest number of points to keep
+ * @returns {Array} Thinned points
+ */
+function thinPoints(points, maxPoints) {
+  if (points.length <= maxPoints) {
+    return points;
+  }
+
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, index) => points[Math.round(index * step)]);
+}
+
+/**
+ * Project a drive's route into a width x height box, keeping its shape
+ * @param {Object} route - Route stored on a drive ({ polylines })
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} padding - Space kept free around the track
+ * @returns {Object|null} { segments: [[{ x, y }]], start, end }, or null without a route
+ */
+export function projectRoute(route, width, height, padding = 8) {
+  const decoded = (route?.polylines || []).map(decodePolyline).filter(points => points.length > 0);
+  const totalPoints = decoded.reduce((count, points) => count + points.length, 0);
+  if (totalPoints === 0) {
+    return null;
+  }
+
+  const segments = decoded.map(points =>
+    thinPoints(points, Math.max(2, Math.round((points.length / totalPoints) * MAX_DRAWN_POINTS)))
+  );
+  const allPoints = segments.flat();
+
+  const latitudes = allPoints.map(point => point.latitude);
+  const minLatitude = Math.min(...latitudes);
+  const maxLatitude = Math.max(...latitudes);
+  const minLongitude = Math.min(...allPoints.map(point => point.longitude));
+  const maxLongitude = Math.max(...allPoints.map(point => point.longitude));
+
+  // Longitude degrees shrink towards the poles
+  const longitudeScale = Math.cos(((minLatitude + maxLatitude) / 2) * Math.PI / 180);
+  const spanX = (maxLongitude - minLongitude) * longitudeScale;
+  const spanY = maxLatitude - minLatitude;
+
+  const drawWidth = width - padding * 2;
+  const drawHeight = height - padding * 2;
+  const scale = spanX === 0 && spanY === 0
+    ? 0
+    : Math.min(spanX > 0 ? drawWidth / spanX : Infinity, spanY > 0 ? drawHeight / spanY : Infinity);
+
+  // Center the track in the box
+  const offsetX = padding + (drawWidth - spanX * scale) / 2;
+  const offsetY = padding + (drawHeight - spanY * scale) / 2;
+
+  const project = (point) => ({
+    x: offsetX + (point.longitude - minLongitude) * longitudeScale * scale,
+    y: offsetY + (maxLatitude - point.latitude) * scale,
+  });
+
+  const projected = segments.map(points => points.map(project));
+  const lastSegment = projected[projected.length - 1];
+
+  return {
+    segments: projected,
+    start: projected[0][0],
+    end: lastSegment[lastSegment.length - 1],
+  };
+}
+
+/**
+ * Build an SVG drawing of a drive's route
+ * @param {Object} route - Route stored on a drive ({ polylines })
+ * @param {Object} options - Drawing options
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {string} options.color - Track color
+ * @param {string} options.background - Background color
+ * @returns {string} SVG markup, or an empty string without a route
+ */
+export function buildRouteSvg(route, { width = 120, height = 80, color = '#2563eb', background = '#f3f4f6' } = {}) {
+  const strokeWidth = Math.max(1.5, Math.min(width, height) / 40);
+  const projection = projectRoute(route, width, height, strokeWidth * 3);
+  if (!projection) {
+    return '';
+  }
+
+  const format = (value) => value.toFixed(1);
+  const paths = projection.segments
+    .filter(points => points.length > 1)
+    .map(points => `<path d="M${points.map(point => `${format(point.x)} ${format(point.y)}`).join(' L')}" fill="none" stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"/>`)
+    .join('');
+
+  const marker = (point, fill) =>
+    `<circle cx="${format(point.x)}" cy="${format(point.y)}" r="${format(strokeWidth * 1.8)}" fill="${fill}" stroke="white" stroke-width="1"/>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="${width}" height="${height}" rx="6" fill="${background}"/>` +
+    paths +
+    marker(projection.start, '#10b981') +
+    marker(projection.end, '#ef4444') +
+    '</svg>';
+}
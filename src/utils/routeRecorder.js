@@ -0,0 +1,209 @@
+/**
+ * Route Recorder for Drively
+ *
+ * Collects location samples while a drive is running. Samples come from a
+ * location source - an object with `watch(onLocation)` that resolves to a
+ * subscription with `remove()` - so the device GPS can be swapped for a
+ * replayed track when testing off-device.
+ */
+
+// Fixes less accurate than this are dropped from the track
+const MAX_SAMPLE_ACCURACY_METERS = 50;
+
+/**
+ * Turn a location update into a route sample
+ * @param {Object} location - expo-location result ({ coords, timestamp }) or a stored sample
+ * @returns {Object|null} { latitude, longitude, timestamp, speed, accuracy }, or null if unusable
+ */
+export function toRouteSample(location) {
+  const coords = location?.coords || location;
+  if (!coords || !Number.isFinite(coords.latitude) || !Number.isFinite(coords.longitude)) {
+    return null;
+  }
+
+  const accuracy = Number.isFinite(coords.accuracy) ? coords.accuracy : null;
+  if (accuracy !== null && accuracy > MAX_SAMPLE_ACCURACY_METERS) {
+    return null;
+  }
+
+  return {
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    timestamp: location.timestamp || Date.now(),
+    speed: Number.isFinite(coords.speed) && coords.speed >= 0 ? coords.speed : null,
+    accuracy,
+  };
+}
+
+/**
+ * Whether a saved drive session is recording its route (running and not paused)
+ * @param {Object} session - Active drive session from storage
+ * @returns {boolean} True while locations should be added to it
+ */
+export function isSessionRecording(session) {
+  const stopped = session?.stoppedElapsedTime !== null && session?.stoppedElapsedTime !== undefined;
+  return !!session?.realStartTime && !stopped && !session.pausedAt;
+}
+
+/**
+ * Add locations to a saved drive session while no recorder is listening
+ * The drive wasn't paused in between, so samples carry on the last segment.
+ * @param {Object} session - Active drive session from storage
+ * @param {Array} locations - expo-location results in time order
+ * @returns {Object|null} Updated session, or null when nothing was added
+ */
+export function appendLocationsToSession(session, locations) {
+  if (!isSessionRecording(session)) {
+    return null;
+  }
+
+  const segments = (session.routeSegments || []).map(segment => [...segment]);
+  if (segments.length === 0) {
+    segments.push([]);
+  }
+  const segment = segments[segments.length - 1];
+  const before = segment.length;
+
+  locations.forEach(location => {
+    const sample = toRouteSample(location);
+    const previous = segment[segment.length - 1];
+    if (sample && !(previous && previous.timestamp >= sample.timestamp)) {
+      segment.push(sample);
+    }
+  });
+
+  return segment.length > before ? { ...session, routeSegments: segments } : null;
+}
+
+/**
+ * Create a recorder that splits the track into segments at each pause
+ * @param {Object} source - Location source with watch(onLocation)
+ * @param {Object} options - Recorder options
+ * @param {Array<Array>} options.initialSegments - Segments recorded before an app restart
+ * @param {Function} options.onUpdate - Called with the segments after each new sample
+ * @returns {Object} Recorder with start, pause, resume, release, stop and getSegments
+ */
+export function createRouteRecorder(source, { initialSegments = [], onUpdate } = {}) {
+  const segments = initialSegments.map(segment => [...segment]);
+  let subscription = null;
+  let recording = false;
+
+  const handleLocation = (location) => {
+    const sample = toRouteSample(location);
+    if (!recording || !sample) {
+      return;
+    }
+
+    const segment = segments[segments.length - 1];
+    const previous = segment[segment.length - 1];
+    if (previous && previous.timestamp >= sample.timestamp) {
+      return;
+    }
+
+    segment.push(sample);
+    if (onUpdate) {
+      onUpdate(segments);
+    }
+  };
+
+  const stopWatching = () => {
+    recording = false;
+    if (subscription) {
+      subscription.remove();
+      subscription = null;
+    }
+  };
+
+  // Stop handling locations here without stopping the source: a background
+  // source keeps saving them into the drive session instead
+  const release = () => {
+    recording = false;
+    if (subscription) {
+      if (subscription.release) {
+        subscription.release();
+      } else {
+        subscription.remove();
+      }
+      subscription = null;
+    }
+  };
+
+  // Start a new segment (or carry on the last one) and listen for locations until paused
+  const start = async ({ continueSegment = false } = {}) => {
+    if (recording) {
+      return;
+    }
+
+    recording = true;
+    if (!continueSegment || segments.length === 0) {
+      segments.push([]);
+    }
+
+    let newSubscription;
+    try {
+      newSubscription = await source.watch(handleLocation);
+    } catch (error) {
+      recording = false;
+      throw error;
+    }
+
+    // Paused or stopped while the source was starting up
+    if (!recording) {
+      newSubscription.remove();
+      return;
+    }
+    subscription = newSubscription;
+  };
+
+  return {
+    start,
+    resume: () => start(),
+    pause: stopWatching,
+    release,
+    stop: () => {
+      stopWatching();
+      return segments;
+    },
+    getSegments: () => segments,
+    isRecording: () => recording,
+  };
+}
+
+/**
+ * Location source that replays a recorded track with its original timing
+ * Resuming after a pause continues from the next unplayed sample.
+ * @param {Array} track - Samples or expo-location results in time order
+ * @param {Object} options - Replay options
+ * @param {number} options.speedMultiplier - How much faster than real time to replay
+ * @returns {Object} Location source with watch(onLocation)
+ */
+export function createReplayLocationSource(track, { speedMultiplier = 1 } = {}) {
+  let index = 0;
+
+  const getTimestamp = (location) => location.timestamp || 0;
+
+  return {
+    watch: async (onLocation) => {
+      let timer = null;
+
+      const emitNext = () => {
+        if (index >= track.length) {
+          return;
+        }
+
+        const location = track[index++];
+        onLocation(location);
+
+        if (index < track.length) {
+          const delay = (getTimestamp(track[index]) - getTimestamp(location)) / speedMultiplier;
+          timer = setTimeout(emitNext, Math.max(0, delay));
+        }
+      };
+
+      timer = setTimeout(emitNext, 0);
+      return {
+        remove: () => clearTimeout(timer),
+      };
+    },
+  };
+}
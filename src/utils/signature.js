@@ -0,0 +1,147 @@
+/**
+ * Signature Utilities for Drively
+ *
+ * Supervisor signatures are stored with the drive as vector strokes: each
+ * stroke is a flat [x1, y1, x2, y2, ...] list in the coordinates of the pad
+ * it was drawn on. They are redrawn scaled to fit wherever they are shown,
+ * on screen and as SVG in PDF reports.
+ */
+
+// Points closer than this to the previous one add nothing visible
+const MIN_POINT_DISTANCE = 1.5;
+
+/**
+ * Whether a drive carries a supervisor signature
+ * @param {Object} drive - Drive record
+ * @returns {boolean} True when at least one stroke was drawn
+ */
+export function hasSignature(drive) {
+  return !!drive?.signature?.strokes?.length;
+}
+
+/**
+ * Whether a drive should have been signed (it had a supervisor)
+ * @param {Object} drive - Drive record
+ * @returns {boolean} True when the drive names a supervisor
+ */
+export function needsSignature(drive) {
+  return !!drive?.supervisorName;
+}
+
+/**
+ * Add a point to a stroke being drawn, skipping points too close to the last
+ * @param {Array<number>} stroke - Flat stroke coordinates drawn so far
+ * @param {number} x - X coordinate on the pad
+ * @param {number} y - Y coordinate on the pad
+ * @returns {Array<number>} The stroke with the point added (or unchanged)
+ */
+export function addStrokePoint(stroke, x, y) {
+  const length = stroke.length;
+  if (length >= 2) {
+    const dx = x - stroke[length - 2];
+    const dy = y - stroke[length - 1];
+    if (dx * dx + dy * dy < MIN_POINT_DISTANCE * MIN_POINT_DISTANCE) {
+      return stroke;
+    }
+  }
+  return [...stroke, Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+}
+
+/**
+ * Turn flat stroke coordinates into points
+ * @param {Array<number>} stroke - Flat [x1, y1, x2, y2, ...] coordinates
+ * @returns {Array} Points ({ x, y })
+ */
+export function strokeToPoints(stroke) {
+  const points = [];
+  for (let i = 0; i + 1 < stroke.length; i += 2) {
+    points.push({ x: stroke[i], y: stroke[i + 1] });
+  }
+  return points;
+}
+
+/**
+ * Build the signature stored on a drive
+ * @param {Array<Array<number>>} strokes - Flat stroke coordinates
+ * @param {number} width - Width of the pad the strokes were drawn on
+ * @param {number} height - Height of the pad
+ * @returns {Object|null} { width, height, strokes, signedAt }, or null without strokes
+ */
+export function createSignature(strokes, width, height) {
+  const drawn = strokes.filter(stroke => stroke.length >= 2);
+  if (drawn.length === 0) {
+    return null;
+  }
+
+  return {
+    width: Math.round(width),
+    height: Math.round(height),
+    strokes: drawn,
+    signedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Scale a signature's strokes to fit a box, keeping its shape
+ * The ink itself is fitted rather than the pad, so small signatures fill the space.
+ * @param {Object} signature - Signature stored on a drive
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} padding - Space kept free around the ink
+ * @returns {Array<Array>} Strokes as lists of { x, y }
+ */
+export function fitSignature(signature, width, height, padding = 4) {
+  const strokes = (signature?.strokes || []).map(strokeToPoints).filter(points => points.length > 0);
+
+  const allPoints = strokes.flat();
+  if (allPoints.length === 0) {
+    return [];
+  }
+
+  const minX = Math.min(...allPoints.map(point => point.x));
+  const maxX = Math.max(...allPoints.map(point => point.x));
+  const minY = Math.min(...allPoints.map(point => point.y));
+  const maxY = Math.max(...allPoints.map(point => point.y));
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+
+  const drawWidth = width - padding * 2;
+  const drawHeight = height - padding * 2;
+  const scale = spanX === 0 && spanY === 0
+    ? 1
+    : Math.min(spanX > 0 ? drawWidth / spanX : Infinity, spanY > 0 ? drawHeight / spanY : Infinity);
+
+  // Center the ink in the box
+  const offsetX = padding + (drawWidth - spanX * scale) / 2;
+  const offsetY = padding + (drawHeight - spanY * scale) / 2;
+
+  return strokes.map(points => points.map(point => ({
+    x: offsetX + (point.x - minX) * scale,
+    y: offsetY + (point.y - minY) * scale,
+  })));
+}
+
+/**
+ * Build an SVG drawing of a signature
+ * @param {Object} signature - Signature stored on a drive
+ * @param {Object} options - Drawing options
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {string} options.color - Ink color
+ * @returns {string} SVG markup, or an empty string without a signature
+ */
+export function buildSignatureSvg(signature, { width = 120, height = 40, color = '#1f2937' } = {}) {
+  const strokes = fitSignature(signature, width, height);
+  if (strokes.length === 0) {
+    return '';
+  }
+
+  const format = (value) => value.toFixed(1);
+  const paths = strokes.map(points => {
+    // A lone point is drawn as a zero-length line so the round cap shows a dot
+    const drawn = points.length === 1 ? [points[0], points[0]] : points;
+    return `<path d="M${drawn.map(point => `${format(point.x)} ${format(point.y)}`).join(' L')}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${paths}</svg>`;
+}
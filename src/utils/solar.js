@@ -0,0 +1,182 @@
+/**
+ * Solar Time Utilities for Drively
+ *
+ * Computes sunrise and sunset locally from a date and coordinates so night
+ * driving can follow the sun without any network access. Uses the NOAA
+ * sunrise/sunset algorithm, which is accurate to about a minute between the
+ * polar circles.
+ *
+ * Two sun-based night definitions are offered:
+ * - civil: civil dusk to civil dawn, when the sun is 6° below the horizon
+ *   and it is too dark to drive without headlights (usually 20-40 minutes
+ *   after sunset)
+ * - sunset: official sunset to sunrise, the times almanacs quote and most
+ *   state rules are written against ("30 minutes after sunset")
+ * Either can be shifted by settings.nightOffsetMinutes.
+ */
+
+// Sun's center 50 arc-minutes below the horizon (refraction + solar radius)
+const OFFICIAL_ZENITH = 90.833;
+// Sun's center 6° below the horizon
+const CIVIL_ZENITH = 96;
+
+export const NIGHT_DEFINITIONS = {
+  FIXED: 'fixed',
+  CIVIL: 'sun',
+  SUNSET: 'sunset',
+};
+
+const ZENITHS = {
+  [NIGHT_DEFINITIONS.CIVIL]: CIVIL_ZENITH,
+  [NIGHT_DEFINITIONS.SUNSET]: OFFICIAL_ZENITH,
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const normalize = (value, max) => ((value % max) + max) % max;
+
+/**
+ * Day of the year (1-366) for a YYYY-MM-DD date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {number} Day of the year
+ */
+function dayOfYear(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / 86400000);
+}
+
+/**
+ * Calculate sunrise or sunset in UTC hours
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} latitude - Latitude in degrees (north positive)
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @param {boolean} isSunrise - true for sunrise, false for sunset
+ * @param {number} zenith - Sun's zenith angle at the event, in degrees
+ * @returns {number|null} Hours after UTC midnight, or null if the sun doesn't rise/set that day
+ */
+function calculateSunEventUTC(dateString, latitude, longitude, isSunrise, zenith) {
+  const lngHour = longitude / 15;
+  const t = dayOfYear(dateString) + ((isSunrise ? 6 : 18) - lngHour) / 24;
+
+  // Sun's mean anomaly and true longitude
+  const meanAnomaly = 0.9856 * t - 3.289;
+  const trueLongitude = normalize(
+    meanAnomaly +
+      1.916 * Math.sin(toRadians(meanAnomaly)) +
+      0.020 * Math.sin(toRadians(2 * meanAnomaly)) +
+      282.634,
+    360
+  );
+
+  // Right ascension, moved into the same quadrant as the true longitude
+  let rightAscension = normalize(toDegrees(Math.atan(0.91764 * Math.tan(toRadians(trueLongitude)))), 360);
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  // Declination and local hour angle
+  const sinDeclination = 0.39782 * Math.sin(toRadians(trueLongitude));
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle =
+    (Math.cos(toRadians(zenith)) - sinDeclination * Math.sin(toRadians(latitude))) /
+    (cosDeclination * Math.cos(toRadians(latitude)));
+
+  if (cosHourAngle > 1 || cosHourAngle < -1) {
+    return null;
+  }
+
+  const hourAngle = (isSunrise
+    ? 360 - toDegrees(Math.acos(cosHourAngle))
+    : toDegrees(Math.acos(cosHourAngle))) / 15;
+
+  const localMeanTime = hourAngle + rightAscension - 0.06571 * t - 6.622;
+  return normalize(localMeanTime - lngHour, 24);
+}
+
+/**
+ * Convert UTC hours on a date to device-local HH:MM
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} utcHours - Hours after UTC midnight
+ * @returns {string} Local time in HH:MM format
+ */
+function utcHoursToLocalTime(dateString, utcHours) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day) + Math.round(utcHours * 60) * 60000);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Whether a night definition follows the sun rather than fixed hours
+ * @param {string} definition - One of NIGHT_DEFINITIONS
+ * @returns {boolean} True for the civil and sunset definitions
+ */
+export function isSunNightDefinition(definition) {
+  return definition in ZENITHS;
+}
+
+/**
+ * Calculate local sunrise and sunset for a date and place
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {string} definition - NIGHT_DEFINITIONS.CIVIL for civil dawn and dusk, SUNSET for official times
+ * @returns {Object|null} { sunrise, sunset } in local HH:MM, or null during polar day/night
+ */
+export function calculateSunTimes(dateString, latitude, longitude, definition = NIGHT_DEFINITIONS.SUNSET) {
+  const zenith = ZENITHS[definition] || OFFICIAL_ZENITH;
+  const sunriseUTC = calculateSunEventUTC(dateString, latitude, longitude, true, zenith);
+  const sunsetUTC = calculateSunEventUTC(dateString, latitude, longitude, false, zenith);
+
+  if (sunriseUTC === null || sunsetUTC === null) {
+    return null;
+  }
+
+  return {
+    sunrise: utcHoursToLocalTime(dateString, sunriseUTC),
+    sunset: utcHoursToLocalTime(dateString, sunsetUTC),
+  };
+}
+
+/**
+ * Shift an HH:MM time by a number of minutes, wrapping around midnight
+ * @param {string} time - Time in HH:MM format
+ * @param {number} minutes - Minutes to add (may be negative)
+ * @returns {string} Shifted time in HH:MM format
+ */
+function shiftTime(time, minutes) {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = normalize(hours * 60 + mins + minutes, 24 * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve the night window to pass to isNightTime for a drive
+ * With a sun-based definition, night runs from civil dusk (or sunset) + offset
+ * until civil dawn (or sunrise) - offset at the drive's location. Fixed hours
+ * are used when that definition is selected, the location is unknown or the
+ * sun doesn't set.
+ * @param {Object} settings - App settings
+ * @param {string} dateString - Drive date in YYYY-MM-DD format
+ * @param {Object} location - Drive location ({ latitude, longitude }), optional
+ * @returns {Object} { nightStart, nightEnd } in HH:MM format
+ */
+export function getNightWindow(settings, dateString, location) {
+  const fixedWindow = {
+    nightStart: settings.nightTimeStart || '18:00',
+    nightEnd: settings.nightTimeEnd || '06:00',
+  };
+
+  if (!isSunNightDefinition(settings.nightDefinition) || !location || !dateString) {
+    return fixedWindow;
+  }
+
+  const sunTimes = calculateSunTimes(dateString, location.latitude, location.longitude, settings.nightDefinition);
+  if (!sunTimes) {
+    return fixedWindow;
+  }
+
+  const offset = settings.nightOffsetMinutes || 0;
+  return {
+    nightStart: shiftTime(sunTimes.sunset, offset),
+    nightEnd: shiftTime(sunTimes.sunrise, -offset),
+  };
+}
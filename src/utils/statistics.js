@@ -0,0 +1,207 @@
+/**
+ * Statistics Utilities for Drively
+ *
+ * Everything on the Statistics tab is worked out from the drive log. Hours
+ * only come from approved drives, as with goal progress, while the calendar
+ * heatmap shows every day driven like the streak does. Weeks start on Sunday
+ * to match the streak calendar.
+ */
+
+import { getCurrentDate, addDaysToDate } from './time';
+import { getDriveMinutes } from './drives';
+import { getDriveSkills } from './categories';
+
+export const STAT_PERIODS = {
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+export const HEATMAP_LEVELS = 4;
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Sunday that starts the week of a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Week start in YYYY-MM-DD format
+ */
+function getWeekStart(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return addDaysToDate(date, -new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+}
+
+/**
+ * First day of the month a number of months before a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} monthsBack - Months to go back
+ * @returns {string} Month start in YYYY-MM-DD format
+ */
+function getMonthStart(date, monthsBack = 0) {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 - monthsBack, 1)).toISOString().split('T')[0];
+}
+
+/**
+ * Short label for a date, e.g. "Mar 3"
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Label
+ */
+function formatShortDate(date) {
+  const [, month, day] = date.split('-').map(Number);
+  return `${MONTH_LABELS[month - 1]} ${day}`;
+}
+
+/**
+ * Day and night minutes for each of the last few weeks or months
+ * Periods without drives are included so the chart has no gaps.
+ * @param {Array} drives - Approved drives
+ * @param {string} period - One of STAT_PERIODS
+ * @param {number} count - Number of periods, ending with the current one
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Array} Oldest first: { start, label, dayMinutes, nightMinutes, driveCount, averageMinutes }
+ */
+export function calculatePeriodTotals(drives, period, count, today = getCurrentDate()) {
+  const weekly = period === STAT_PERIODS.WEEK;
+  const periods = Array.from({ length: count }, (_, index) => {
+    const back = count - 1 - index;
+    const start = weekly ? addDaysToDate(getWeekStart(today), -7 * back) : getMonthStart(today, back);
+    return {
+      start,
+      label: weekly ? formatShortDate(start) : MONTH_LABELS[Number(start.split('-')[1]) - 1],
+      dayMinutes: 0,
+      nightMinutes: 0,
+      driveCount: 0,
+      averageMinutes: null,
+    };
+  });
+  const byStart = new Map(periods.map(entry => [entry.start, entry]));
+
+  drives.forEach(drive => {
+    if (!drive.date) return;
+    const entry = byStart.get(weekly ? getWeekStart(drive.date) : getMonthStart(drive.date));
+    if (!entry) return;
+    const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+    entry.dayMinutes += dayMinutes || 0;
+    entry.nightMinutes += nightMinutes || 0;
+    entry.driveCount += 1;
+  });
+
+  periods.forEach(entry => {
+    if (entry.driveCount > 0) {
+      entry.averageMinutes = Math.round((entry.dayMinutes + entry.nightMinutes) / entry.driveCount);
+    }
+  });
+  return periods;
+}
+
+/**
+ * Calendar heatmap of the minutes driven each day
+ * @param {Array} drives - Drives to show (pending ones count as days driven, like the streak)
+ * @param {Array<string>} frozenDates - Dates covered by a freeze day (YYYY-MM-DD)
+ * @param {number} weeks - Number of weeks, ending with this one
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Object} { weeks: columns of 7 { date, minutes, level, frozen, future }, maxMinutes }
+ */
+export function buildDrivingHeatmap(drives, frozenDates = [], weeks = 17, today = getCurrentDate()) {
+  const minutesByDate = new Map();
+  drives.forEach(drive => {
+    if (!drive.date) return;
+    minutesByDate.set(drive.date, (minutesByDate.get(drive.date) || 0) + (drive.duration || 0));
+  });
+  const frozen = new Set(frozenDates || []);
+  const startDate = addDaysToDate(getWeekStart(today), -7 * (weeks - 1));
+
+  const columns = Array.from({ length: weeks }, (_, week) =>
+    Array.from({ length: 7 }, (_, dayIndex) => {
+      const date = addDaysToDate(startDate, week * 7 + dayIndex);
+      return {
+        date,
+        minutes: date > today ? 0 : minutesByDate.get(date) || 0,
+        frozen: frozen.has(date),
+        future: date > today,
+      };
+    })
+  );
+
+  const maxMinutes = Math.max(0, ...columns.flat().map(cell => cell.minutes));
+  columns.flat().forEach(cell => {
+    cell.level = cell.minutes > 0 && maxMinutes > 0
+      ? Math.min(HEATMAP_LEVELS, Math.max(1, Math.ceil((cell.minutes / maxMinutes) * HEATMAP_LEVELS)))
+      : 0;
+  });
+  return { weeks: columns, maxMinutes };
+}
+
+/**
+ * Add up drive minutes under the labels each drive belongs to
+ * @param {Array} drives - Approved drives
+ * @param {Function} getLabels - Returns the labels for a drive
+ * @returns {Array} Largest first: { label, minutes, driveCount }
+ */
+function breakDownMinutes(drives, getLabels) {
+  const totals = new Map();
+  drives.forEach(drive => {
+    const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+    getLabels(drive).forEach(label => {
+      const key = label.toLowerCase();
+      const entry = totals.get(key) || { label, minutes: 0, driveCount: 0 };
+      entry.minutes += (dayMinutes || 0) + (nightMinutes || 0);
+      entry.driveCount += 1;
+      totals.set(key, entry);
+    });
+  });
+  return [...totals.values()].sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Hours driven in each kind of weather
+ * @param {Array} drives - Approved drives
+ * @returns {Array} Largest first: { label, minutes, driveCount }
+ */
+export function calculateWeatherBreakdown(drives) {
+  return breakDownMinutes(drives, drive => [drive.weather || 'Not recorded']);
+}
+
+/**
+ * Hours spent on each skill
+ * A drive counts in full toward every skill practiced on it, so these can add
+ * up to more than the total.
+ * @param {Array} drives - Approved drives
+ * @returns {Array} Largest first: { label, minutes, driveCount }
+ */
+export function calculateSkillBreakdown(drives) {
+  return breakDownMinutes(drives, getDriveSkills);
+}
+
+/**
+ * Hours driven with each supervisor
+ * @param {Array} drives - Approved drives
+ * @returns {Array} Largest first: { label, minutes, driveCount }
+ */
+export function calculateSupervisorBreakdown(drives) {
+  return breakDownMinutes(drives, drive => [drive.supervisorName?.trim() || 'No supervisor']);
+}
+
+/**
+ * Overall totals for the summary cards
+ * @param {Array} drives - Approved drives
+ * @returns {Object} { totalMinutes, dayMinutes, nightMinutes, driveCount, drivingDays, averageMinutes }
+ */
+export function summarizeDrives(drives) {
+  const totals = drives.reduce((sum, drive) => {
+    const { dayMinutes, nightMinutes } = getDriveMinutes(drive);
+    return {
+      dayMinutes: sum.dayMinutes + (dayMinutes || 0),
+      nightMinutes: sum.nightMinutes + (nightMinutes || 0),
+    };
+  }, { dayMinutes: 0, nightMinutes: 0 });
+  const totalMinutes = totals.dayMinutes + totals.nightMinutes;
+
+  return {
+    ...totals,
+    totalMinutes,
+    driveCount: drives.length,
+    drivingDays: new Set(drives.filter(drive => drive.date).map(drive => drive.date)).size,
+    averageMinutes: drives.length > 0 ? Math.round(totalMinutes / drives.length) : 0,
+  };
+}
@@ -1,9 +1,48 @@
 import * as FileSystem from 'expo-file-system';
-import { getAppVersion } from './appInfo';
+import { migrateData, DATA_VERSION, DATA_VERSION_TOO_NEW } from './migrations';
+import { getDriveMinutes } from './drives';
+import { convertDistance, convertSpeed } from './route';
+import { hasSignature, needsSignature } from './signature';
+import { getApprovalStatus, isDriveApproved } from './approval';
+import { getGoalCategories, getDriveCategoryLabels } from './categories';
+import { getArchiveUser } from './license';
+import { DEFAULT_ALLOWED_PURPOSES, RESTRICTION_LABELS } from './restrictions';
+import {
+  DEFAULT_PROFILE_ID,
+  createDefaultRegistry,
+  buildProfile,
+  getActiveProfile,
+  isValidProfileId,
+} from './profiles';
 
 const DATA_DIR = `${FileSystem.documentDirectory}drively/`;
-const MAIN_DATA_FILE = `${DATA_DIR}data.json`;
-const BACKUP_DATA_FILE = `${DATA_DIR}backup.json`;
+// The profile list is written the same way as data.json: through a verified
+// temp file, keeping the previous version as a backup
+const PROFILES_FILES = {
+  main: `${DATA_DIR}profiles.json`,
+  backup: `${DATA_DIR}profiles.backup.json`,
+  temp: `${DATA_DIR}profiles.json.tmp`,
+};
+const PROFILES_DIR = `${DATA_DIR}profiles/`;
+
+// Snapshot retention: one per hour for the last day, one per day for the
+// last month, and never more than MAX_SNAPSHOT_BYTES on disk
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HOURLY_SNAPSHOT_WINDOW = DAY_MS;
+const DAILY_SNAPSHOT_WINDOW = 30 * DAY_MS;
+const MAX_SNAPSHOT_BYTES = 10 * 1024 * 1024;
+
+// Profile list, loaded once; every data function works on the active profile
+// unless it is given another one
+let profileRegistry = null;
+
+// Time of the newest snapshot per profile, cached so saves don't list the directory each time
+const lastSnapshotTimes = {};
+
+// Set per profile when its data.json was written by a newer app version; saves
+// are refused until the data is cleared so the newer file is never overwritten
+const newerVersionLocks = {};
 
 /**
  * Default data structure for a new user
@@ -12,104 +51,460 @@ const DEFAULT_DATA = {
   user: {
     licenseType: null,
     licenseDate: null,
+    jurisdiction: null,
+    birthDate: null,
     goalDayHours: 50,
     goalNightHours: 10,
+    goalCategories: [],
     completedDayHours: 0,
     completedNightHours: 0,
     onboardingComplete: false,
   },
   drives: [],
+  supervisors: [],
+  archives: [],
   streaks: {
     current: 0,
     longest: 0,
     lastDriveDate: null,
     freezeDaysUsed: 0,
     freezeDaysThisMonth: 0,
+    lastFreezeReset: null,
+    frozenDates: [],
   },
   settings: {
     nightTimeStart: '18:00',
     nightTimeEnd: '06:00',
+    nightDefinition: 'fixed',
+    nightOffsetMinutes: 0,
+    maxFreezeDaysPerMonth: 10,
     backupReminder: true,
     lastBackupDate: null,
+    temperatureUnit: 'metric',
+    supervisorMinAge: 21,
+    supervisorMinLicenseYears: 3,
+    supervisorRuleMode: 'block',
+    parentApproval: false,
+    parentPinHash: null,
+    curfewStart: '23:00',
+    curfewEnd: '05:00',
+    maxMinorPassengers: 1,
+    allowedPurposes: DEFAULT_ALLOWED_PURPOSES,
+    requireSupervisor: false,
+    restrictionRuleMode: 'warn',
   },
-  version: getAppVersion(),
+  version: DATA_VERSION,
 };
 
 /**
- * Ensure the data directory exists
+ * Files belonging to a profile
+ * The default profile keeps the original location directly under drively/.
+ * @param {string} profileId - Profile id
+ * @returns {Object} { dir, main, backup, temp, snapshots, activeDrive }
  */
-async function ensureDirectoryExists() {
-  const dirInfo = await FileSystem.getInfoAsync(DATA_DIR);
+function getProfileFiles(profileId) {
+  const dir = profileId === DEFAULT_PROFILE_ID ? DATA_DIR : `${PROFILES_DIR}${profileId}/`;
+  return {
+    dir,
+    main: `${dir}data.json`,
+    backup: `${dir}backup.json`,
+    temp: `${dir}data.json.tmp`,
+    snapshots: `${dir}snapshots/`,
+    activeDrive: `${dir}active-drive.json`,
+  };
+}
+
+/**
+ * Id of the active profile
+ * @returns {string} Profile id (the default profile before profiles are loaded)
+ */
+function getActiveProfileId() {
+  return profileRegistry ? profileRegistry.activeProfileId : DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Ensure a directory exists
+ * @param {string} dir - Directory, the active profile's by default
+ */
+async function ensureDirectoryExists(dir = getProfileFiles(getActiveProfileId()).dir) {
+  const dirInfo = await FileSystem.getInfoAsync(dir);
   if (!dirInfo.exists) {
-    await FileSystem.makeDirectoryAsync(DATA_DIR, { intermediates: true });
+    await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+  }
+}
+
+/**
+ * Write the profile list
+ * @param {Object} registry - { activeProfileId, profiles }
+ * @throws {Error} When the list could not be written; the saved list is unchanged
+ */
+async function saveProfiles(registry) {
+  await ensureDirectoryExists(DATA_DIR);
+  await writeFileAtomically(PROFILES_FILES, serializeData(registry));
+  profileRegistry = registry;
+}
+
+/**
+ * Read and verify a saved profile list
+ * @param {string} fileUri - File to read
+ * @returns {Promise<Object>} { activeProfileId, profiles }
+ * @throws {Error} When the file is corrupt or has no usable active profile
+ */
+async function readProfilesFile(fileUri) {
+  const registry = parseVerifiedData(await FileSystem.readAsStringAsync(fileUri));
+  if (!Array.isArray(registry.profiles) || !getActiveProfile(registry.profiles, registry.activeProfileId)) {
+    throw new Error('Invalid profile list');
   }
+  return registry;
 }
 
 /**
- * Load data from the main file, fallback to backup if corrupted
+ * Rebuild the profile list from the profile folders on disk
+ * Names aren't stored with the data, so profiles get numbered names that can
+ * be changed in Settings. Used only when no saved list can be read.
+ * @returns {Promise<Object>} { activeProfileId, profiles }
  */
-export async function loadData() {
+async function rebuildProfiles() {
+  const registry = createDefaultRegistry();
   try {
-    await ensureDirectoryExists();
+    const folderInfo = await FileSystem.getInfoAsync(PROFILES_DIR);
+    if (folderInfo.exists) {
+      const ids = (await FileSystem.readDirectoryAsync(PROFILES_DIR)).filter(isValidProfileId).sort();
+      ids.forEach((id, index) => {
+        registry.profiles.push({ ...buildProfile(`Learner ${index + 2}`, id), createdAt: null });
+      });
+    }
+  } catch (error) {
+    console.error('Failed to list profile folders:', error);
+  }
+  return registry;
+}
+
+/**
+ * Load the profile list, creating it with the default profile on first run
+ * A damaged list is recovered from an interrupted save or the backup, and
+ * failing that rebuilt from the profile folders, so no learner's data is hidden.
+ * @returns {Promise<Object>} { activeProfileId, profiles }
+ */
+export async function loadProfiles() {
+  if (profileRegistry) {
+    return profileRegistry;
+  }
+
+  const mainFileInfo = await FileSystem.getInfoAsync(PROFILES_FILES.main).catch(() => ({ exists: false }));
+  if (mainFileInfo.exists) {
+    try {
+      profileRegistry = await readProfilesFile(PROFILES_FILES.main);
+      return profileRegistry;
+    } catch (error) {
+      console.warn('Profile list unusable, trying recovery:', error);
+    }
+  }
+
+  let recovered = null;
+  for (const recoveryFile of [PROFILES_FILES.temp, PROFILES_FILES.backup]) {
+    try {
+      const fileInfo = await FileSystem.getInfoAsync(recoveryFile);
+      if (fileInfo.exists) {
+        recovered = await readProfilesFile(recoveryFile);
+        break;
+      }
+    } catch (recoveryError) {
+      console.warn(`Recovery file ${recoveryFile} also unusable:`, recoveryError);
+    }
+  }
+
+  if (!recovered && !mainFileInfo.exists) {
+    // First run, or profiles were never added
+    profileRegistry = createDefaultRegistry();
+    return profileRegistry;
+  }
+
+  const registry = recovered || await rebuildProfiles();
+  try {
+    await saveProfiles(registry);
+  } catch (error) {
+    console.error('Failed to save recovered profile list:', error);
+    profileRegistry = registry;
+  }
+  return profileRegistry;
+}
+
+/**
+ * Make another profile the active one
+ * @param {string} profileId - Profile to switch to
+ * @returns {Promise<Object>} Updated profile list
+ */
+export async function setActiveProfile(profileId) {
+  const registry = await loadProfiles();
+  if (!getActiveProfile(registry.profiles, profileId)) {
+    throw new Error('Profile not found');
+  }
+  await saveProfiles({ ...registry, activeProfileId: profileId });
+  return profileRegistry;
+}
+
+/**
+ * Add a profile without switching to it
+ * Its data file is created the first time it is loaded.
+ * @param {string} name - Learner's name
+ * @param {string} id - Id to keep (e.g. from a backup)
+ * @returns {Promise<Object>} The new profile
+ */
+export async function addProfile(name, id = null) {
+  const registry = await loadProfiles();
+  let profile = buildProfile(name, id);
+  if (registry.profiles.some(existing => existing.id === profile.id)) {
+    profile = buildProfile(name);
+  }
+  await saveProfiles({ ...registry, profiles: [...registry.profiles, profile] });
+  return profile;
+}
+
+/**
+ * Rename a profile
+ * @param {string} profileId - Profile to rename
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Updated profile list
+ */
+export async function updateProfileName(profileId, name) {
+  const registry = await loadProfiles();
+  await saveProfiles({
+    ...registry,
+    profiles: registry.profiles.map(profile =>
+      profile.id === profileId ? { ...profile, name: name.trim() } : profile
+    ),
+  });
+  return profileRegistry;
+}
+
+/**
+ * Delete a profile and all of its files
+ * The active profile can't be deleted; switch to another one first.
+ * @param {string} profileId - Profile to delete
+ * @returns {Promise<Object>} Updated profile list
+ */
+export async function removeProfile(profileId) {
+  const registry = await loadProfiles();
+  if (profileId === registry.activeProfileId) {
+    throw new Error('The active profile cannot be deleted');
+  }
+
+  await deleteProfileFiles(profileId);
+  if (profileId !== DEFAULT_PROFILE_ID) {
+    await FileSystem.deleteAsync(getProfileFiles(profileId).dir, { idempotent: true });
+  }
+  await saveProfiles({
+    ...registry,
+    profiles: registry.profiles.filter(profile => profile.id !== profileId),
+  });
+  return profileRegistry;
+}
+
+/**
+ * Calculate a checksum for file contents (32-bit FNV-1a, hex encoded)
+ * @param {string} content - String to hash
+ * @returns {string} 8 character hex checksum
+ */
+function calculateChecksum(content) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < content.length; i++) {
+    hash ^= content.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Serialize data for storage with an embedded checksum
+ * The checksum covers the pretty-printed data without the checksum field.
+ * @param {Object} data - Data to serialize
+ * @returns {string} File contents
+ */
+function serializeData(data) {
+  const { checksum: _ignored, ...content } = data;
+  const checksum = calculateChecksum(JSON.stringify(content, null, 2));
+  return JSON.stringify({ ...content, checksum }, null, 2);
+}
+
+/**
+ * Parse file contents and verify the embedded checksum
+ * Files written before checksums were added are accepted as-is.
+ * @param {string} dataString - Raw file contents
+ * @returns {Object} Parsed data without the checksum field
+ * @throws {Error} When the JSON is invalid or the checksum does not match
+ */
+function parseVerifiedData(dataString) {
+  const { checksum, ...content } = JSON.parse(dataString);
+
+  if (checksum !== undefined && checksum !== calculateChecksum(JSON.stringify(content, null, 2))) {
+    throw new Error('Checksum mismatch');
+  }
+
+  return content;
+}
+
+/**
+ * Read a stored data file, verify it and upgrade it to the current version
+ * @param {string} fileUri - File to read
+ * @returns {Promise<Object>} Migrated data and the list of applied migrations
+ */
+async function readDataFile(fileUri) {
+  const dataString = await FileSystem.readAsStringAsync(fileUri);
+  const { data, applied } = migrateData(parseVerifiedData(dataString));
+
+  // Validate the data structure
+  if (!data.user || !data.drives || !data.streaks || !data.settings) {
+    throw new Error('Invalid data structure');
+  }
+
+  return { data, applied };
+}
+
+/**
+ * Check whether a file exists and passes checksum verification
+ * @param {string} fileUri - File to check
+ * @returns {Promise<boolean>} Whether the file is intact
+ */
+async function isFileIntact(fileUri) {
+  try {
+    const fileInfo = await FileSystem.getInfoAsync(fileUri);
+    if (!fileInfo.exists) {
+      return false;
+    }
+    parseVerifiedData(await FileSystem.readAsStringAsync(fileUri));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Replace a file through a verified temp file, keeping the old one as backup
+ * @param {Object} files - { main, backup, temp } file URIs
+ * @param {string} fileContents - Serialized contents (see serializeData)
+ * @throws {Error} When writing or verifying fails; the main file is left as it was
+ */
+async function writeFileAtomically(files, fileContents) {
+  // Write the new contents next to the main file
+  await FileSystem.writeAsStringAsync(files.temp, fileContents);
+
+  const writtenContents = await FileSystem.readAsStringAsync(files.temp);
+  if (writtenContents !== fileContents) {
+    throw new Error(`Temp file verification failed: ${files.temp}`);
+  }
+
+  // Keep the current file as backup, but never replace a good backup with a broken file
+  if (await isFileIntact(files.main)) {
+    await FileSystem.copyAsync({
+      from: files.main,
+      to: files.backup,
+    });
+  }
+
+  // Rename the verified temp file into place
+  await FileSystem.deleteAsync(files.main, { idempotent: true });
+  await FileSystem.moveAsync({
+    from: files.temp,
+    to: files.main,
+  });
+}
+
+/**
+ * Load data from the main file, falling back to an interrupted save or the backup
+ * Older files are migrated to the current version; files written by a newer
+ * app version are refused and locked against overwriting.
+ * @param {string} profileId - Profile to load, the active one by default
+ */
+export async function loadData(profileId = null) {
+  await loadProfiles();
+  const id = profileId || getActiveProfileId();
+  const files = getProfileFiles(id);
+
+  try {
+    await ensureDirectoryExists(files.dir);
     
-    const mainFileInfo = await FileSystem.getInfoAsync(MAIN_DATA_FILE);
+    const mainFileInfo = await FileSystem.getInfoAsync(files.main);
     if (!mainFileInfo.exists) {
-      // First time user, create default data
-      await saveData(DEFAULT_DATA);
-      return DEFAULT_DATA;
+      const tempFileInfo = await FileSystem.getInfoAsync(files.temp);
+      const backupFileInfo = await FileSystem.getInfoAsync(files.backup);
+      if (!tempFileInfo.exists && !backupFileInfo.exists) {
+        // First time user, create default data
+        await saveData(DEFAULT_DATA, id);
+        return DEFAULT_DATA;
+      }
+      throw new Error('Main data file missing');
     }
 
-    const dataString = await FileSystem.readAsStringAsync(MAIN_DATA_FILE);
-    const data = JSON.parse(dataString);
+    const { data, applied } = await readDataFile(files.main);
     
-    // Validate the data structure
-    if (!data.user || !data.drives || !data.streaks || !data.settings) {
-      throw new Error('Invalid data structure');
+    if (applied.length > 0) {
+      console.log(`Migrated data file through versions: ${applied.join(', ')}`);
+      await saveData(data, id);
     }
     
     return data;
   } catch (error) {
-    console.warn('Main data file corrupted, trying backup:', error);
+    if (error.code === DATA_VERSION_TOO_NEW) {
+      newerVersionLocks[id] = error.message;
+      throw error;
+    }
     
-    try {
-      const backupFileInfo = await FileSystem.getInfoAsync(BACKUP_DATA_FILE);
-      if (backupFileInfo.exists) {
-        const backupString = await FileSystem.readAsStringAsync(BACKUP_DATA_FILE);
-        const backupData = JSON.parse(backupString);
+    console.warn('Main data file unusable, trying recovery:', error);
+    
+    // A save interrupted after the temp file was written leaves the newest
+    // complete data there; otherwise fall back to the previous version
+    for (const recoveryFile of [files.temp, files.backup]) {
+      try {
+        const fileInfo = await FileSystem.getInfoAsync(recoveryFile);
+        if (!fileInfo.exists) {
+          continue;
+        }
+        
+        const { data: recoveredData } = await readDataFile(recoveryFile);
         
-        // Restore from backup
-        await saveData(backupData);
-        return backupData;
+        // saveData only rotates an intact main file into backup.json, so the
+        // corrupt main file can't overwrite the backup here
+        await saveData(recoveredData, id);
+        return recoveredData;
+      } catch (recoveryError) {
+        if (recoveryError.code === DATA_VERSION_TOO_NEW) {
+          newerVersionLocks[id] = recoveryError.message;
+          throw recoveryError;
+        }
+        console.warn(`Recovery file ${recoveryFile} also unusable:`, recoveryError);
       }
-    } catch (backupError) {
-      console.warn('Backup file also corrupted:', backupError);
     }
     
     // Last resort: return default data
-    await saveData(DEFAULT_DATA);
+    await saveData(DEFAULT_DATA, id);
     return DEFAULT_DATA;
   }
 }
 
 /**
- * Save data to main file and create backup
+ * Save data atomically and keep the previous version as backup
+ * The new contents go to a temp file first, are read back and verified, and
+ * only then renamed over data.json. The old data.json becomes backup.json
+ * only if it is intact.
+ * @param {Object} data - Data to save
+ * @param {string} profileId - Profile to save to, the active one by default
  */
-export async function saveData(data) {
+export async function saveData(data, profileId = null) {
+  // Resolved before anything is awaited, so a profile switch mid-save can't
+  // send the data to the wrong profile
+  const id = profileId || getActiveProfileId();
+  const files = getProfileFiles(id);
+
+  if (newerVersionLocks[id]) {
+    console.warn('Refusing to save, data file belongs to a newer app version:', newerVersionLocks[id]);
+    return false;
+  }
+
   try {
-    await ensureDirectoryExists();
-    
-    // Create backup of current data before overwriting
-    const mainFileInfo = await FileSystem.getInfoAsync(MAIN_DATA_FILE);
-    if (mainFileInfo.exists) {
-      await FileSystem.copyAsync({
-        from: MAIN_DATA_FILE,
-        to: BACKUP_DATA_FILE,
-      });
-    }
-    
-    // Save new data
-    const dataString = JSON.stringify(data, null, 2);
-    await FileSystem.writeAsStringAsync(MAIN_DATA_FILE, dataString);
+    await ensureDirectoryExists(files.dir);
+    await writeFileAtomically(files, serializeData(data));
+    await rotateSnapshots(id);
     
     return true;
   } catch (error) {
@@ -118,13 +513,230 @@ export async function saveData(data) {
   }
 }
 
+/**
+ * Choose which snapshots to keep under the retention policy
+ * The newest snapshot per hour is kept for the last day, the newest per
+ * calendar day for the last month, then the oldest are dropped until the
+ * total size fits MAX_SNAPSHOT_BYTES. The newest snapshot is always kept.
+ * @param {Array} snapshots - Snapshot files ({ uri, timestamp, size })
+ * @param {number} now - Current time in milliseconds
+ * @returns {Set<string>} URIs of the snapshots to keep
+ */
+export function selectSnapshotsToKeep(snapshots, now = Date.now()) {
+  const newestFirst = [...snapshots].sort((a, b) => b.timestamp - a.timestamp);
+  const buckets = new Set();
+  const kept = [];
+
+  newestFirst.forEach((snapshot, index) => {
+    const age = now - snapshot.timestamp;
+    let bucket;
+
+    if (index === 0 || age < HOURLY_SNAPSHOT_WINDOW) {
+      bucket = `hour-${Math.floor(snapshot.timestamp / HOUR_MS)}`;
+    } else if (age < DAILY_SNAPSHOT_WINDOW) {
+      bucket = `day-${new Date(snapshot.timestamp).toDateString()}`;
+    } else {
+      return;
+    }
+
+    if (!buckets.has(bucket)) {
+      buckets.add(bucket);
+      kept.push(snapshot);
+    }
+  });
+
+  // Enforce the size cap, keeping the newest snapshots first
+  let totalSize = 0;
+  const keep = new Set();
+  kept.forEach((snapshot, index) => {
+    totalSize += snapshot.size || 0;
+    if (index === 0 || totalSize <= MAX_SNAPSHOT_BYTES) {
+      keep.add(snapshot.uri);
+    }
+  });
+
+  return keep;
+}
+
+/**
+ * List snapshot files on disk, newest first
+ * @param {string} profileId - Profile whose snapshots to list, the active one by default
+ * @returns {Promise<Array>} Snapshots ({ uri, timestamp, size })
+ */
+export async function listSnapshotFiles(profileId = null) {
+  const snapshotDir = getProfileFiles(profileId || getActiveProfileId()).snapshots;
+  const dirInfo = await FileSystem.getInfoAsync(snapshotDir);
+  if (!dirInfo.exists) {
+    return [];
+  }
+
+  const fileNames = await FileSystem.readDirectoryAsync(snapshotDir);
+  const snapshots = [];
+
+  for (const fileName of fileNames) {
+    const match = fileName.match(/^snapshot-(\d+)\.json$/);
+    if (!match) {
+      continue;
+    }
+
+    const uri = `${snapshotDir}${fileName}`;
+    const fileInfo = await FileSystem.getInfoAsync(uri, { size: true });
+    snapshots.push({
+      uri,
+      timestamp: parseInt(match[1], 10),
+      size: fileInfo.size || 0,
+    });
+  }
+
+  return snapshots.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Copy the current data file into a new timestamped snapshot
+ * @param {string} profileId - Profile to snapshot, the active one by default
+ * @returns {Promise<boolean>} Whether a snapshot was written
+ */
+export async function createSnapshot(profileId = null) {
+  const id = profileId || getActiveProfileId();
+  const files = getProfileFiles(id);
+
+  try {
+    if (!(await isFileIntact(files.main))) {
+      return false;
+    }
+
+    await ensureDirectoryExists(files.snapshots);
+
+    const timestamp = Date.now();
+    await FileSystem.copyAsync({
+      from: files.main,
+      to: `${files.snapshots}snapshot-${timestamp}.json`,
+    });
+    lastSnapshotTimes[id] = timestamp;
+
+    return true;
+  } catch (error) {
+    console.error('Failed to create snapshot:', error);
+    return false;
+  }
+}
+
+/**
+ * Take an hourly snapshot when one is due and prune old snapshots
+ * Failures are logged and never fail the save that triggered them.
+ * @param {string} profileId - Profile that was just saved
+ */
+async function rotateSnapshots(profileId) {
+  try {
+    if (lastSnapshotTimes[profileId] === undefined) {
+      const snapshots = await listSnapshotFiles(profileId);
+      lastSnapshotTimes[profileId] = snapshots.length > 0 ? snapshots[0].timestamp : 0;
+    }
+
+    if (Date.now() - lastSnapshotTimes[profileId] < HOUR_MS) {
+      return;
+    }
+
+    await createSnapshot(profileId);
+
+    const snapshots = await listSnapshotFiles(profileId);
+    const keep = selectSnapshotsToKeep(snapshots);
+    for (const snapshot of snapshots) {
+      if (!keep.has(snapshot.uri)) {
+        await FileSystem.deleteAsync(snapshot.uri, { idempotent: true });
+      }
+    }
+  } catch (error) {
+    console.error('Failed to rotate snapshots:', error);
+  }
+}
+
+/**
+ * Read and verify a snapshot, upgrading it to the current version
+ * @param {string} snapshotUri - Snapshot file to read
+ * @returns {Promise<Object>} Snapshot data
+ * @throws {Error} When the snapshot is corrupt or from a newer app version
+ */
+export async function readSnapshot(snapshotUri) {
+  const { data } = await readDataFile(snapshotUri);
+  return data;
+}
+
+/**
+ * Save the in-progress drive session so it survives the app being killed
+ * @param {Object} session - Active drive session from LogDriveScreen
+ * @returns {Promise<boolean>} Whether the session was written
+ */
+export async function saveActiveDrive(session) {
+  try {
+    await ensureDirectoryExists();
+    await FileSystem.writeAsStringAsync(
+      getProfileFiles(getActiveProfileId()).activeDrive,
+      JSON.stringify({ ...session, savedAt: Date.now() })
+    );
+    return true;
+  } catch (error) {
+    console.error('Failed to save active drive:', error);
+    return false;
+  }
+}
+
+/**
+ * Load the in-progress drive session left by a previous app run
+ * @returns {Promise<Object|null>} Active drive session, or null if there is none
+ */
+export async function loadActiveDrive() {
+  try {
+    const activeDriveFile = getProfileFiles(getActiveProfileId()).activeDrive;
+    const fileInfo = await FileSystem.getInfoAsync(activeDriveFile);
+    if (!fileInfo.exists) {
+      return null;
+    }
+
+    const session = JSON.parse(await FileSystem.readAsStringAsync(activeDriveFile));
+    return session && session.realStartTime ? session : null;
+  } catch (error) {
+    console.error('Failed to load active drive:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove the in-progress drive session once it is saved or discarded
+ */
+export async function clearActiveDrive() {
+  try {
+    await FileSystem.deleteAsync(getProfileFiles(getActiveProfileId()).activeDrive, { idempotent: true });
+    return true;
+  } catch (error) {
+    console.error('Failed to clear active drive:', error);
+    return false;
+  }
+}
+
 /**
  * Export data as JSON string
+ * An all-profiles backup holds { profiles: [{ id, name, data }], version };
+ * profiles that have never been opened have no data yet and are left out.
+ * @param {Object} options - Export options
+ * @param {boolean} options.allProfiles - Back up every profile instead of the active one
  */
-export async function exportDataAsJSON() {
+export async function exportDataAsJSON({ allProfiles = false } = {}) {
   try {
-    const data = await loadData();
-    return JSON.stringify(data, null, 2);
+    if (!allProfiles) {
+      const data = await loadData();
+      return JSON.stringify(data, null, 2);
+    }
+
+    const registry = await loadProfiles();
+    const profiles = [];
+    for (const profile of registry.profiles) {
+      const fileInfo = await FileSystem.getInfoAsync(getProfileFiles(profile.id).main);
+      if (fileInfo.exists) {
+        profiles.push({ id: profile.id, name: profile.name, data: await loadData(profile.id) });
+      }
+    }
+    return JSON.stringify({ profiles, version: DATA_VERSION }, null, 2);
   } catch (error) {
     console.error('Failed to export data as JSON:', error);
     return null;
@@ -133,11 +745,30 @@ export async function exportDataAsJSON() {
 
 /**
  * Export drives data as CSV string
+ * Only approved drives are included unless includeUnapproved is set.
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeUnapproved - Also export pending and rejected drives
+ * @param {string} options.archiveId - Export an archived license stage instead of the current log
  */
-export async function exportDrivesAsCSV() {
+export async function exportDrivesAsCSV({ includeUnapproved = false, archiveId = null } = {}) {
   try {
     const data = await loadData();
-    const drives = data.drives;
+    const archive = archiveId ? (data.archives || []).find(a => a.id === archiveId) : null;
+    if (archiveId && !archive) {
+      return null;
+    }
+
+    const stageDrives = archive ? archive.drives : data.drives;
+    const drives = includeUnapproved ? stageDrives : stageDrives.filter(isDriveApproved);
+    const showApproval = drives.some(drive => drive.approval);
+    const showViolations = drives.some(drive => Array.isArray(drive.restrictionViolations));
+    const showPassengers = drives.some(drive => Number.isFinite(drive.passengers));
+    const categories = getGoalCategories(archive ? getArchiveUser(data.user, archive) : data.user);
+    const showCategories = categories.some(category => !category.builtIn);
+    const supervisors = data.supervisors || [];
+    const units = data.settings.temperatureUnit;
+    const distanceUnit = units === 'imperial' ? 'miles' : 'km';
+    const speedUnit = units === 'imperial' ? 'mph' : 'km/h';
     
     if (drives.length === 0) {
       return 'No drives to export';
@@ -149,11 +780,23 @@ export async function exportDrivesAsCSV() {
       'Start Time',
       'End Time', 
       'Duration (minutes)',
-      'Night Drive',
+      'Day Minutes',
+      'Night Minutes',
       'Weather',
       'Skills Practiced',
       'Supervisor Name',
-      'Supervisor Age'
+      'Supervisor Age',
+      'Supervisor Signed',
+      ...(showPassengers ? ['Passengers', 'Passengers Under 21'] : []),
+      `Distance (${distanceUnit})`,
+      `Average Moving Speed (${speedUnit})`,
+      `Max Speed (${speedUnit})`,
+      'Moving Minutes',
+      'Stationary Minutes',
+      'Highway Minutes',
+      ...(showCategories ? ['Counts Toward'] : []),
+      ...(showViolations ? ['Rule Violations'] : []),
+      ...(showApproval ? ['Approval', 'Approval Comment'] : [])
     ];
     
     // CSV rows
@@ -162,16 +805,28 @@ export async function exportDrivesAsCSV() {
       drive.startTime,
       drive.endTime,
       drive.duration,
-      drive.isNightDrive ? 'Yes' : 'No',
+      getDriveMinutes(drive).dayMinutes,
+      getDriveMinutes(drive).nightMinutes,
       drive.weather || '',
       drive.skills || '',
       drive.supervisorName || '',
-      drive.supervisorAge || ''
+      drive.supervisorAge || '',
+      needsSignature(drive) ? (hasSignature(drive) ? 'Yes' : 'No') : '',
+      ...(showPassengers ? [drive.passengers ?? '', drive.minorPassengers ?? ''] : []),
+      drive.stats ? convertDistance(drive.stats.distance, units).toFixed(1) : '',
+      drive.stats ? Math.round(convertSpeed(drive.stats.averageSpeed, units)) : '',
+      drive.stats ? Math.round(convertSpeed(drive.stats.maxSpeed, units)) : '',
+      drive.stats ? drive.stats.movingMinutes : '',
+      drive.stats ? drive.stats.stationaryMinutes : '',
+      drive.stats ? drive.stats.highwayMinutes : '',
+      ...(showCategories ? [getDriveCategoryLabels(drive, categories, supervisors).join('; ')] : []),
+      ...(showViolations ? [(drive.restrictionViolations || []).map(violation => `${RESTRICTION_LABELS[violation.type]}: ${violation.message}`).join('; ')] : []),
+      ...(showApproval ? [getApprovalStatus(drive), drive.approval?.comment || ''] : [])
     ]);
     
     // Combine headers and rows
     const csvContent = [headers, ...rows]
-      .map(row => row.map(field => `"${field}"`).join(','))
+      .map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
       .join('\n');
     
     return csvContent;
@@ -182,22 +837,29 @@ export async function exportDrivesAsCSV() {
 }
 
 /**
- * Clear all data (for testing or reset)
+ * Delete a profile's data, backup, snapshots and drive in progress
+ * @param {string} profileId - Profile to clear
+ */
+async function deleteProfileFiles(profileId) {
+  const files = getProfileFiles(profileId);
+  await FileSystem.deleteAsync(files.main, { idempotent: true });
+  await FileSystem.deleteAsync(files.backup, { idempotent: true });
+  await FileSystem.deleteAsync(files.temp, { idempotent: true });
+  await FileSystem.deleteAsync(files.snapshots, { idempotent: true });
+  await FileSystem.deleteAsync(files.activeDrive, { idempotent: true });
+
+  delete newerVersionLocks[profileId];
+  delete lastSnapshotTimes[profileId];
+}
+
+/**
+ * Clear the active profile's data (for testing or reset)
+ * Other profiles are left alone.
  */
 export async function clearAllData() {
   try {
-    await ensureDirectoryExists();
-    
-    const mainFileInfo = await FileSystem.getInfoAsync(MAIN_DATA_FILE);
-    if (mainFileInfo.exists) {
-      await FileSystem.deleteAsync(MAIN_DATA_FILE);
-    }
-    
-    const backupFileInfo = await FileSystem.getInfoAsync(BACKUP_DATA_FILE);
-    if (backupFileInfo.exists) {
-      await FileSystem.deleteAsync(BACKUP_DATA_FILE);
-    }
-    
+    await loadProfiles();
+    await deleteProfileFiles(getActiveProfileId());
     return true;
   } catch (error) {
     console.error('Failed to clear data:', error);
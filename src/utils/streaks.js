@@ -2,51 +2,34 @@
  * Utility functions for calculating and managing streaks
  */
 
+import { getCurrentDate, addDaysToDate } from './time';
+
 /**
  * Calculate the current streak based on drive dates
+ * Frozen dates bridge a gap without adding to the streak count.
  * @param {Array} drives - Array of drive objects with date property
- * @param {string} lastDriveDate - Last recorded drive date
+ * @param {Array<string>} frozenDates - Dates covered by a freeze day (YYYY-MM-DD)
+ * @param {string} today - Today's date in YYYY-MM-DD format
  * @returns {number} Current streak count
  */
-export function calculateCurrentStreak(drives) {
+export function calculateCurrentStreak(drives, frozenDates = [], today = getCurrentDate()) {
   if (!drives || drives.length === 0) {
     return 0;
   }
 
-  // Sort drives by date (most recent first)
-  const sortedDrives = drives
-    .filter(drive => drive.date)
-    .sort((a, b) => new Date(b.date) - new Date(a.date));
-
-  if (sortedDrives.length === 0) {
-    return 0;
-  }
-
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
+  const driveDates = new Set(drives.filter(drive => drive.date).map(drive => drive.date));
+  const frozen = new Set(frozenDates || []);
+  const isActive = (date) => driveDates.has(date) || frozen.has(date);
 
-  // Get unique drive dates (remove duplicates from same day)
-  const uniqueDates = [...new Set(sortedDrives.map(drive => drive.date))];
-  
+  // Today still counts as part of the streak until it's over
+  let checkDate = isActive(today) ? today : addDaysToDate(today, -1);
   let streak = 0;
-  let checkDate = new Date(today);
 
-  for (const dateStr of uniqueDates) {
-    const driveDate = new Date(dateStr);
-    driveDate.setHours(0, 0, 0, 0);
-
-    // Check if this drive date matches our current check date or yesterday
-    if (driveDate.getTime() === checkDate.getTime() || 
-        driveDate.getTime() === yesterday.getTime()) {
+  while (isActive(checkDate)) {
+    if (driveDates.has(checkDate)) {
       streak++;
-      checkDate.setDate(checkDate.getDate() - 1);
-    } else if (driveDate.getTime() < checkDate.getTime()) {
-      // Gap found, streak broken
-      break;
     }
+    checkDate = addDaysToDate(checkDate, -1);
   }
 
   return streak;
@@ -54,48 +37,71 @@ export function calculateCurrentStreak(drives) {
 
 /**
  * Calculate the longest streak from all drives
+ * Frozen dates bridge a gap without adding to the streak count.
  * @param {Array} drives - Array of drive objects
+ * @param {Array<string>} frozenDates - Dates covered by a freeze day (YYYY-MM-DD)
  * @returns {number} Longest streak count
  */
-export function calculateLongestStreak(drives) {
+export function calculateLongestStreak(drives, frozenDates = []) {
   if (!drives || drives.length === 0) {
     return 0;
   }
 
-  // Get unique drive dates and sort them
-  const uniqueDates = [...new Set(drives.map(drive => drive.date))]
-    .filter(date => date)
-    .sort((a, b) => new Date(a) - new Date(b))
-    .map(dateStr => new Date(dateStr));
+  const driveDates = new Set(drives.filter(drive => drive.date).map(drive => drive.date));
+  const activeDates = [...new Set([...driveDates, ...(frozenDates || [])])].sort();
 
-  if (uniqueDates.length === 0) {
-    return 0;
-  }
-
-  let longestStreak = 1;
-  let currentStreak = 1;
+  let longestStreak = 0;
+  let currentStreak = 0;
+  let previousDate = null;
 
-  for (let i = 1; i < uniqueDates.length; i++) {
-    const prevDate = uniqueDates[i - 1];
-    const currentDate = uniqueDates[i];
-    
-    // Calculate difference in days
-    const diffTime = currentDate - prevDate;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  for (const date of activeDates) {
+    // Gap found, reset current streak
+    if (previousDate && addDaysToDate(previousDate, 1) !== date) {
+      currentStreak = 0;
+    }
 
-    if (diffDays === 1) {
-      // Consecutive day
+    if (driveDates.has(date)) {
       currentStreak++;
       longestStreak = Math.max(longestStreak, currentStreak);
-    } else {
-      // Gap found, reset current streak
-      currentStreak = 1;
     }
+    previousDate = date;
   }
 
   return longestStreak;
 }
 
+/**
+ * Most recent date that was driven or frozen
+ * @param {Array} drives - Array of drive objects
+ * @param {Array<string>} frozenDates - Dates covered by a freeze day
+ * @returns {string|null} Date in YYYY-MM-DD format, or null with no drives
+ */
+export function getLastActiveDate(drives, frozenDates = []) {
+  const dates = [...drives.map(drive => drive.date), ...(frozenDates || [])].filter(Boolean).sort();
+  return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+/**
+ * Days since the last drive or freeze day that would need freezing to keep
+ * the streak going (today isn't included, since there's still time to drive)
+ * @param {Array} drives - Array of drive objects
+ * @param {Array<string>} frozenDates - Dates covered by a freeze day
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Array<string>} Missed dates in YYYY-MM-DD format, oldest first
+ */
+export function getMissedStreakDates(drives, frozenDates = [], today = getCurrentDate()) {
+  const lastActiveDate = getLastActiveDate(drives, frozenDates);
+  if (!lastActiveDate) {
+    return [];
+  }
+
+  const missedDates = [];
+  for (let date = addDaysToDate(lastActiveDate, 1); date < today; date = addDaysToDate(date, 1)) {
+    missedDates.push(date);
+  }
+  return missedDates;
+}
+
 /**
  * Check if user can use a freeze day
  * @param {number} freezeDaysUsedThisMonth - Number of freeze days used this month
@@ -154,11 +160,12 @@ export function getDaysSinceLastDrive(lastDriveDate) {
 
 /**
  * Check if it's time to suggest a freeze day
- * @param {string} lastDriveDate - Last drive date
+ * @param {string} lastActiveDate - Last date that was driven or frozen
  * @param {number} freezeDaysUsedThisMonth - Freeze days used this month
+ * @param {number} maxFreezeDaysPerMonth - Maximum freeze days allowed per month
  * @returns {boolean} Whether to suggest a freeze day
  */
-export function shouldSuggestFreezeDay(lastDriveDate, freezeDaysUsedThisMonth) {
-  const daysSince = getDaysSinceLastDrive(lastDriveDate);
-  return daysSince >= 2 && canUseFreezeDay(freezeDaysUsedThisMonth);
+export function shouldSuggestFreezeDay(lastActiveDate, freezeDaysUsedThisMonth, maxFreezeDaysPerMonth = 10) {
+  const daysSince = getDaysSinceLastDrive(lastActiveDate);
+  return daysSince >= 2 && canUseFreezeDay(freezeDaysUsedThisMonth, maxFreezeDaysPerMonth);
 }
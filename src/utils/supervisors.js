@@ -0,0 +1,115 @@
+/**
+ * Supervisor Roster Utilities for Drively
+ *
+ * Saved supervisors are picked with one tap when logging a drive. The
+ * supervisor is checked against the eligibility rules in settings before the
+ * drive starts; depending on the rule mode a failed check warns or blocks.
+ */
+
+import { isValidDate, getCurrentDate, calculateAge } from './time';
+
+export const SUPERVISOR_RELATIONSHIPS = [
+  'Parent',
+  'Guardian',
+  'Grandparent',
+  'Sibling',
+  'Other Relative',
+  'Instructor',
+  'Family Friend',
+];
+
+export const SUPERVISOR_RULE_MODES = {
+  WARN: 'warn',
+  BLOCK: 'block',
+};
+
+/**
+ * Age of a supervisor on a given date
+ * A birthdate is preferred since it stays correct; a plain age is used as entered.
+ * @param {Object} supervisor - Supervisor ({ birthDate, age })
+ * @param {string} onDate - Date in YYYY-MM-DD format, today by default
+ * @returns {number|null} Age in years, or null if unknown
+ */
+export function getSupervisorAge(supervisor, onDate = getCurrentDate()) {
+  if (supervisor?.birthDate && isValidDate(supervisor.birthDate)) {
+    return calculateAge(supervisor.birthDate, onDate);
+  }
+  return Number.isFinite(supervisor?.age) ? supervisor.age : null;
+}
+
+/**
+ * Check a supervisor against the eligibility rules
+ * Details a rule needs but that weren't recorded are listed separately: they
+ * only ever warn, so a supervisor typed in on the spot is never blocked.
+ * @param {Object} supervisor - Supervisor ({ birthDate, age, licenseYears })
+ * @param {Object} settings - App settings with supervisorMinAge and supervisorMinLicenseYears
+ * @param {string} onDate - Date of the drive (YYYY-MM-DD), today by default
+ * @returns {Object} { violations, missing } lists of messages (both empty when eligible)
+ */
+export function checkSupervisorEligibility(supervisor, settings, onDate = getCurrentDate()) {
+  const violations = [];
+  const missing = [];
+  const minAge = settings.supervisorMinAge || 0;
+  const minLicenseYears = settings.supervisorMinLicenseYears || 0;
+
+  if (minAge > 0) {
+    const age = getSupervisorAge(supervisor, onDate);
+    if (age === null) {
+      missing.push(`Age not recorded (must be at least ${minAge}).`);
+    } else if (age < minAge) {
+      violations.push(`Must be at least ${minAge} years old (is ${age}).`);
+    }
+  }
+
+  if (minLicenseYears > 0) {
+    const licenseYears = supervisor?.licenseYears;
+    if (!Number.isFinite(licenseYears)) {
+      missing.push(`Years licensed not recorded (must be ${minLicenseYears}+).`);
+    } else if (licenseYears < minLicenseYears) {
+      violations.push(`Must have been licensed for ${minLicenseYears}+ years (has ${licenseYears}).`);
+    }
+  }
+
+  return { violations, missing };
+}
+
+/**
+ * Validate supervisor details entered in the roster form
+ * @param {Object} fields - Form fields as entered
+ * @param {string} fields.name - Full name
+ * @param {string} fields.birthDate - Birthdate in YYYY-MM-DD format (optional if age is given)
+ * @param {string} fields.age - Age in years (optional if birthDate is given)
+ * @param {string} fields.licenseYears - Years licensed (optional)
+ * @returns {Array<string>} Validation errors (empty when the details are valid)
+ */
+export function validateSupervisor(fields) {
+  const errors = [];
+  const name = fields.name ? fields.name.trim() : '';
+  const birthDate = fields.birthDate ? fields.birthDate.trim() : '';
+  const age = fields.age ? parseInt(fields.age, 10) : null;
+  const licenseYears = fields.licenseYears ? parseInt(fields.licenseYears, 10) : null;
+
+  if (name.length < 2) {
+    errors.push('Please enter the supervisor\'s full name.');
+  }
+
+  if (birthDate) {
+    if (!isValidDate(birthDate)) {
+      errors.push('Enter the birthdate as YYYY-MM-DD.');
+    } else if (birthDate > getCurrentDate()) {
+      errors.push('The birthdate cannot be in the future.');
+    }
+  } else if (age === null) {
+    errors.push('Please enter a birthdate or age.');
+  }
+
+  if (age !== null && (isNaN(age) || age < 16 || age > 120)) {
+    errors.push('Please enter a valid age.');
+  }
+
+  if (licenseYears !== null && isNaN(licenseYears)) {
+    errors.push('Please enter the number of years licensed.');
+  }
+
+  return errors;
+}
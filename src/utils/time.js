@@ -52,6 +52,38 @@ export function calculateDuration(startTime, endTime) {
   return endMinutes - startMinutes;
 }
 
+/**
+ * Split the time between two clock times into day and night minutes
+ * @param {string} startTime - Start time in HH:MM format
+ * @param {string} endTime - End time in HH:MM format
+ * @param {string} nightStart - Night start time (default: 18:00)
+ * @param {string} nightEnd - Night end time (default: 06:00)
+ * @param {Array} pauses - Pauses to leave out, as { startOffset, endOffset } minutes from the start time
+ * @returns {Object} Day and night minutes
+ */
+export function splitDayNightMinutes(startTime, endTime, nightStart = '18:00', nightEnd = '06:00', pauses = []) {
+  const startMinutes = timeToMinutes(startTime);
+  const span = calculateDuration(startTime, endTime);
+  let dayMinutes = 0;
+  let nightMinutes = 0;
+
+  for (let offset = 0; offset < span; offset++) {
+    if (pauses.some(pause => offset >= pause.startOffset && offset < pause.endOffset)) {
+      continue;
+    }
+
+    const minuteOfDay = (startMinutes + offset) % (24 * 60);
+    const time = `${Math.floor(minuteOfDay / 60)}:${String(minuteOfDay % 60).padStart(2, '0')}`;
+    if (isNightTime(time, nightStart, nightEnd)) {
+      nightMinutes++;
+    } else {
+      dayMinutes++;
+    }
+  }
+
+  return { dayMinutes, nightMinutes };
+}
+
 /**
  * Format minutes to hours and minutes display
  * @param {number} minutes - Total minutes
@@ -99,6 +131,54 @@ export function getCurrentDate() {
   return now.toISOString().split('T')[0];
 }
 
+/**
+ * Get today's date on the device clock in YYYY-MM-DD format
+ * Matches getCurrentTime, which is local too; getCurrentDate is the UTC date.
+ * @returns {string} Local date
+ */
+export function getLocalDate() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+export function addDaysToDate(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of months
+ * Days past the end of the target month fall back to its last day (Aug 31 + 6 months is Feb 28).
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+export function addMonthsToDate(dateString, months) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ * @param {string} fromDate - Start date
+ * @param {string} toDate - End date
+ * @returns {number} Days between them (negative when toDate is earlier)
+ */
+export function daysBetweenDates(fromDate, toDate) {
+  const toUTC = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUTC(toDate) - toUTC(fromDate)) / (24 * 60 * 60 * 1000));
+}
+
 /**
  * Format date for display
  * @param {string} dateString - Date in YYYY-MM-DD format
@@ -156,18 +236,11 @@ export function isValidDate(date) {
 /**
  * Get age from date of birth
  * @param {string} birthDate - Birth date in YYYY-MM-DD format
+ * @param {string} onDate - Date to work out the age on (YYYY-MM-DD), today by default
  * @returns {number} Age in years
  */
-export function calculateAge(birthDate) {
-  const birth = new Date(birthDate);
-  const today = new Date();
-  
-  let age = today.getFullYear() - birth.getFullYear();
-  const monthDiff = today.getMonth() - birth.getMonth();
-  
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-    age--;
-  }
-  
-  return age;
+export function calculateAge(birthDate, onDate = getCurrentDate()) {
+  // Compared as strings so the result doesn't depend on the time zone
+  const age = parseInt(onDate.slice(0, 4), 10) - parseInt(birthDate.slice(0, 4), 10);
+  return onDate.slice(5) < birthDate.slice(5) ? age - 1 : age;
 }